@@ -48,6 +48,7 @@ const io = new Server(server, {
 });
 
 app.set('io', io);
+require('./src/utils/realtime').setSocketServer(io);
 
 io.on("connection", (socket) => {
     // console.log("New client connected", socket.id);
@@ -123,7 +124,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-seller-id', 'x-xsrf-token', 'xsrf-token', 'X-XSRF-TOKEN', 'x-session-id']
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-seller-id', 'x-xsrf-token', 'xsrf-token', 'X-XSRF-TOKEN', 'x-session-id', 'Idempotency-Key', 'x-device-id', 'x-device-name', 'x-device-platform', 'x-app-version'],
+    exposedHeaders: ['Idempotent-Replayed', 'X-Label-Pages']
 }));
 
 // Rate Limiting
@@ -153,6 +155,8 @@ const requestLogger = require('./src/middleware/requestLogger');
 app.use(requestLogger);
 
 // MongoDB Connection with retry logic
+// Must be a replica set (or Atlas): order sync, stock transfers and write-offs use transactions,
+// which a standalone mongod rejects. Locally, start mongod with `--replSet rs0` and run `rs.initiate()` once.
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/dragAndDrop_inventory';
 
 let mongoConnectPromise = null;
@@ -332,6 +336,16 @@ app.get('/api/test-expiry-scheduler', adminAuth, async (req, res) => {
     }
 });
 
+app.get('/api/test-tombstone-compaction', adminAuth, async (req, res) => {
+    const { compactTombstones } = require('./src/utils/tombstones');
+    try {
+        const result = await compactTombstones();
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 app.use('/api/admin', adminRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/sync', syncRoutes);
@@ -343,9 +357,17 @@ app.use('/api/settings', require('./src/routes/settings'));
 app.use('/api/online-store', require('./src/routes/onlineStoreRoutes'));
 app.use('/api/public', publicRoutes);
 app.use('/api/targets', require('./src/routes/targetRoutes'));
+app.use('/api/stock-takes', require('./src/routes/stockTake'));
+app.use('/api/locations', require('./src/routes/location'));
+app.use('/api/stock-write-offs', require('./src/routes/stockWriteOff'));
+app.use('/api/barcodes', require('./src/routes/barcode'));
 // Initialize Background Schedulers
 const { initExpiryScheduler } = require('./src/utils/expiryScheduler');
 initExpiryScheduler();
+const { initTombstoneCompaction } = require('./src/utils/tombstones');
+initTombstoneCompaction();
+const { initReservationExpiry } = require('./src/utils/stockReservations');
+initReservationExpiry();
 
 //('✅ Refund routes registered at /api/refunds');
 
@@ -2,6 +2,7 @@ const SuperAdmin = require('../models/SuperAdmin');
 const Seller = require('../models/Seller');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 
 exports.login = async (req, res) => {
     try {
@@ -724,3 +725,76 @@ exports.getRequestStats = async (req, res) => {
         res.status(500).json({ success: false, error: error.message });
     }
 };
+
+const SyncJournal = require('../models/SyncJournal');
+
+// Search sync batches by seller, client localId or invoice number
+exports.searchSyncJournal = async (req, res) => {
+    try {
+        const { sellerId, localId, invoiceNumber, collection, deviceId, failedOnly, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+        if (!sellerId && !localId && !invoiceNumber) {
+            return res.status(400).json({ success: false, message: 'Provide sellerId, localId or invoiceNumber' });
+        }
+
+        const query = {};
+        if (sellerId) {
+            if (!mongoose.isValidObjectId(sellerId)) {
+                return res.status(400).json({ success: false, message: 'Invalid sellerId' });
+            }
+            query.sellerId = sellerId;
+        }
+        if (localId) query['items.localId'] = String(localId);
+        if (invoiceNumber) query['items.invoiceNumber'] = String(invoiceNumber);
+        if (collection) query.collectionName = collection;
+        if (deviceId) query.deviceId = deviceId;
+        if (failedOnly === 'true') query.failedCount = { $gt: 0 };
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+            if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({ success: false, message: 'Invalid date filter' });
+            }
+        }
+
+        const entries = await SyncJournal.find(query)
+            .populate('sellerId', 'name email shopName')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+
+        // Pick out the searched record so it is easy to find in large batches
+        if (localId || invoiceNumber) {
+            entries.forEach((entry) => {
+                entry.matchedItems = entry.items.filter(item =>
+                    (localId && item.localId === String(localId)) ||
+                    (invoiceNumber && item.invoiceNumber === String(invoiceNumber))
+                );
+            });
+        }
+
+        res.json({ success: true, entries, count: entries.length });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+exports.getSyncJournalEntry = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid sync journal entry ID' });
+        }
+
+        const entry = await SyncJournal.findById(req.params.id)
+            .populate('sellerId', 'name email shopName')
+            .lean();
+
+        if (!entry) return res.status(404).json({ success: false, message: 'Sync journal entry not found' });
+
+        res.json({ success: true, entry });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
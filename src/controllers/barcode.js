@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const { isInternalBarcode, assignInternalBarcodes, pickScanBatch, lookupBarcode } = require('../utils/barcodes');
+const { renderLabelSheets } = require('../utils/barcodeLabels');
+
+const MAX_LABELS = 2000;
+
+/**
+ * Give products (and optionally batches) internal EAN-13 barcodes
+ * POST /api/barcodes/assign { productIds?, batchIds?, overwrite? } — no ids: every product without a barcode
+ */
+const assignBarcodes = async (req, res) => {
+  try {
+    const { productIds = [], batchIds = [], overwrite = false } = req.body;
+    const assignments = await assignInternalBarcodes(req.sellerId, { productIds, batchIds, overwrite });
+
+    res.json({ success: true, message: `Assigned ${assignments.length} barcode(s)`, data: assignments });
+  } catch (error) {
+    if (error.code === 'INVALID_BARCODE' || error.code === 'BARCODE_RANGE_EXHAUSTED') {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Assign barcodes error:', error);
+    res.status(500).json({ success: false, message: 'Error assigning barcodes', error: error.message });
+  }
+};
+
+/**
+ * Resolve a scanned barcode to its product, batch and price
+ * GET /api/barcodes/lookup/:code
+ */
+const lookupScannedBarcode = async (req, res) => {
+  try {
+    const code = String(req.params.code || '').trim();
+    const result = code ? await lookupBarcode(req.sellerId, code) : null;
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'No product with this barcode' });
+    }
+
+    const { matchedBy, product, batch, price } = result;
+    res.json({
+      success: true,
+      data: {
+        barcode: code,
+        internal: isInternalBarcode(code),
+        matchedBy,
+        product: {
+          id: product._id.toString(),
+          _id: product._id.toString(),
+          name: product.name,
+          barcode: product.barcode || '',
+          unit: product.unit,
+          gstPercent: product.gstPercent || 0,
+          isGstInclusive: product.isGstInclusive !== false,
+          isBundle: !!product.isBundle,
+          isVariantParent: !!product.isVariantParent,
+          localId: product.localId
+        },
+        batch: batch ? {
+          id: batch._id.toString(),
+          _id: batch._id.toString(),
+          batchNumber: batch.batchNumber || '',
+          barcode: batch.barcode || '',
+          expiry: batch.expiry || null,
+          quantity: batch.quantity,
+          sellingUnitPrice: batch.sellingUnitPrice,
+          wholesalePrice: batch.wholesalePrice || 0,
+          wholesaleMOQ: batch.wholesaleMOQ || 1,
+          locationId: batch.locationId || null,
+          localId: batch.localId
+        } : null,
+        price
+      }
+    });
+  } catch (error) {
+    console.error('Barcode lookup error:', error);
+    res.status(500).json({ success: false, message: 'Error looking up barcode', error: error.message });
+  }
+};
+
+/**
+ * Printable A4 label sheet (SVG) for chosen products or batches. Products without a barcode are given
+ * an internal one first. Product labels show the price of the batch a scan would sell from.
+ * POST /api/barcodes/labels { items: [{ productId | batchId, copies }], columns, rows, page, outline }
+ * The total number of sheets comes back in the X-Label-Pages header.
+ */
+const getLabelSheet = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { items, columns = 3, rows = 8, page = 1, outline = true } = req.body;
+
+    const invalid = items.find(item => !mongoose.Types.ObjectId.isValid(item.batchId || item.productId));
+    if (invalid) {
+      return res.status(400).json({ success: false, message: `Invalid ID: ${invalid.batchId || invalid.productId}` });
+    }
+    const copies = items.reduce((sum, item) => sum + (item.copies || 1), 0);
+    if (copies > MAX_LABELS) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_LABELS} labels per request` });
+    }
+
+    const batchIds = items.filter(item => item.batchId).map(item => item.batchId);
+    const batches = await ProductBatch.find({ sellerId, _id: { $in: batchIds }, isDeleted: false }).lean();
+    const batchMap = new Map(batches.map(batch => [batch._id.toString(), batch]));
+
+    const productIds = [
+      ...items.filter(item => !item.batchId).map(item => item.productId),
+      ...batches.map(batch => batch.productId)
+    ];
+    let products = await Product.find({ sellerId, _id: { $in: productIds }, isDeleted: { $ne: true } }).lean();
+
+    // A batch whose product has been deleted has nothing to label either
+    const hasProduct = (productId) => products.some(p => p._id.equals(productId));
+    const missing = items.find(item => {
+      if (!item.batchId) return !hasProduct(item.productId);
+      const batch = batchMap.get(String(item.batchId));
+      return !batch || !hasProduct(batch.productId);
+    });
+    if (missing) {
+      return res.status(404).json({ success: false, message: `${missing.batchId ? 'Batch' : 'Product'} not found (ID: ${missing.batchId || missing.productId})` });
+    }
+
+    // A batch label can use the batch's own barcode, so only products still without one need a code
+    const needsBarcode = products.filter(product => !product.barcode && (
+      items.some(item => !item.batchId && product._id.equals(item.productId))
+      || batches.some(batch => !batch.barcode && product._id.equals(batch.productId))
+    ));
+    if (needsBarcode.length > 0) {
+      const assigned = await assignInternalBarcodes(sellerId, { productIds: needsBarcode.map(product => product._id) });
+      const codes = new Map(assigned.map(entry => [entry.id.toString(), entry.barcode]));
+      products = products.map(product => (codes.has(product._id.toString()) ? { ...product, barcode: codes.get(product._id.toString()) } : product));
+    }
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const labels = [];
+    for (const item of items) {
+      let label;
+      if (item.batchId) {
+        const batch = batchMap.get(String(item.batchId));
+        const product = productMap.get(batch.productId.toString());
+        label = {
+          name: product.name,
+          barcode: batch.barcode || product.barcode,
+          price: batch.sellingUnitPrice,
+          batchNumber: batch.batchNumber,
+          expiry: batch.expiry
+        };
+      } else {
+        const product = productMap.get(String(item.productId));
+        const batch = product.isBundle || product.isVariantParent ? null : await pickScanBatch(sellerId, product);
+        label = {
+          name: product.name,
+          barcode: product.barcode,
+          price: product.isBundle ? product.bundlePrice : (batch ? batch.sellingUnitPrice : null)
+        };
+      }
+      for (let i = 0; i < (item.copies || 1); i++) labels.push(label);
+    }
+
+    const pages = renderLabelSheets(labels, { columns, rows, outline });
+    if (page > pages.length) {
+      return res.status(400).json({ success: false, message: `The labels fit on ${pages.length} page(s)` });
+    }
+
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="labels-${page}.svg"`);
+    res.setHeader('X-Label-Pages', String(pages.length));
+    res.send(pages[page - 1]);
+  } catch (error) {
+    if (error.code === 'INVALID_BARCODE' || error.code === 'BARCODE_RANGE_EXHAUSTED') {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Label sheet error:', error);
+    res.status(500).json({ success: false, message: 'Error generating label sheet', error: error.message });
+  }
+};
+
+module.exports = {
+  assignBarcodes,
+  lookupScannedBarcode,
+  getLabelSheet
+};
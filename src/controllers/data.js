@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const zlib = require('zlib');
 const Customer = require('../models/Customer');
 const Supplier = require('../models/Supplier');
 const SupplierTransaction = require('../models/SupplierTransaction');
@@ -19,11 +20,27 @@ const CustomerTransaction = require('../models/CustomerTransaction');
 const Target = require('../models/Target');
 
 const SyncTracking = require('../models/SyncTracking');
+const { findTombstones } = require('../utils/tombstones');
+const { recordDeviceSync } = require('../utils/deviceRegistry');
 const { createOrder, verifyPayment, convertToPaise } = require('../utils/razorpay');
 const { computeRemainingMs, formatRemaining, getPlanDurationMs } = require('../utils/planTimers');
 const { setActivePlanForSeller } = require('./planValidity');
 const { getPlanUsageSummary } = require('../utils/planUsage');
 const { sendPlanPurchaseEmail } = require('../utils/emailService');
+const { getMovementUser, recordStockMovement, recordStockMovements } = require('../utils/stockMovements');
+const StockMovement = require('../models/StockMovement');
+const { getReservedQuantities } = require('../utils/stockReservations');
+const { getNegativeStockPolicy } = require('../utils/stockPolicy');
+const { applyBatchUpdate } = require('../utils/batchUpdates');
+const { formatStockTake } = require('../utils/stockTakes');
+const StockTake = require('../models/StockTake');
+const Location = require('../models/Location');
+const { findLocation, findDefaultLocation, locationBatchFilter, batchLocationId, summarizeStockByLocation } = require('../utils/locations');
+const { resolveVariantFields, detachVariants, formatVariantFields } = require('../utils/productVariants');
+const { normalizeUnitConversions, getConversionFactor, quantityInUnits } = require('../utils/unitConversions');
+const { resolveBundleFields, computeBundleStock, formatBundleFields } = require('../utils/bundles');
+const { buildReorderSuggestions, draftReorderPurchaseOrders } = require('../utils/reorder');
+const { VALUATION_METHODS, valueInventory, computeCogs, toCsv } = require('../utils/inventoryValuation');
 
 // Cache to track which sellers have had their timestamps fixed in this session
 const timestampFixedSellers = new Set();
@@ -786,6 +803,12 @@ const getProducts = async (req, res) => {
       isDeleted: false
     }).populate('productId', 'name');
 
+    // Quantity held for pending online orders is still in the batches but not available to sell
+    const reserved = await getReservedQuantities(sellerId);
+
+    const locations = await Location.find({ sellerId, isDeleted: false });
+    const defaultLocation = locations.find(location => location.isDefault) || null;
+
     // Group batches by product and calculate totals
     const productBatchData = {};
     batches.forEach(batch => {
@@ -815,10 +838,21 @@ const getProducts = async (req, res) => {
       }
     });
 
+    // Available units per product (less reserved and damaged units); a bundle is as available as its scarcest component
+    const availableByProduct = new Map(Object.entries(productBatchData).map(([productId, data]) => [
+      productId,
+      data.batches.reduce((sum, batch) => sum + batch.quantity - (reserved.get(batch._id.toString()) || 0) - (batch.damagedQuantity || 0), 0)
+    ]));
+
     // Transform to match frontend format - now using batch data
     const formattedProducts = products.map(product => {
       const productId = product._id.toString();
       const batchData = productBatchData[productId] || { totalStock: 0, batches: [], latestBatch: null };
+      const reservedStock = batchData.batches.reduce((sum, batch) => sum + (reserved.get(batch._id.toString()) || 0), 0);
+      const damagedStock = batchData.batches.reduce((sum, batch) => sum + (batch.damagedQuantity || 0), 0);
+      const availableStock = product.isBundle
+        ? computeBundleStock(product, availableByProduct)
+        : batchData.totalStock - reservedStock - damagedStock;
 
       return {
         id: product._id.toString(),
@@ -826,9 +860,14 @@ const getProducts = async (req, res) => {
         barcode: product.barcode || '',
         categoryId: product.categoryId && typeof product.categoryId === 'object' && product.categoryId._id ? product.categoryId._id.toString() : (product.categoryId ? String(product.categoryId) : null),
         category: (product.categoryId && typeof product.categoryId === 'object' && product.categoryId.name) ? product.categoryId.name : '',
-        stock: batchData.totalStock, // Now calculated from batches
-        quantity: batchData.totalStock, // Frontend compatibility
+        stock: availableStock, // Now calculated from batches, less reserved and damaged stock
+        quantity: availableStock, // Frontend compatibility
+        onHandStock: batchData.totalStock,
+        reservedStock,
+        stockByLocation: summarizeStockByLocation(batchData.batches, locations, defaultLocation),
         unit: product.unit || 'pcs',
+        unitConversions: product.unitConversions || [],
+        stockInUnits: quantityInUnits(product, availableStock),
         costPrice: batchData.latestBatch ? batchData.latestBatch.costPrice : 0,
         unitPrice: batchData.latestBatch ? batchData.latestBatch.costPrice : 0, // Frontend compatibility
         sellingUnitPrice: batchData.latestBatch ? batchData.latestBatch.sellingUnitPrice : 0,
@@ -850,6 +889,8 @@ const getProducts = async (req, res) => {
         isFeatured: product.isFeatured || false,
         discountPrice: product.discountPrice || 0,
         images: product.images || [],
+        ...formatVariantFields(product),
+        ...formatBundleFields(product),
         createdAt: product.createdAt,
         updatedAt: product.updatedAt,
         isSynced: true,
@@ -862,6 +903,8 @@ const getProducts = async (req, res) => {
           mfg: batch.mfg,
           expiry: batch.expiry,
           quantity: batch.quantity,
+          reservedQuantity: reserved.get(batch._id.toString()) || 0,
+          locationId: batchLocationId(batch, defaultLocation),
           costPrice: batch.costPrice,
           sellingUnitPrice: batch.sellingUnitPrice,
           wholesalePrice: batch.wholesalePrice || 0,
@@ -895,7 +938,7 @@ const createProduct = async (req, res) => {
       name, barcode, categoryId, unit, lowStockLevel,
       description, localId, hsnCode, gstPercent,
       longDescription, isFeatured, discountPrice, images, onlineSale,
-      expiryThreshold, trackExpiry, isGstInclusive, wholesalePrice, wholesaleMOQ
+      expiryThreshold, trackExpiry, isGstInclusive, wholesalePrice, wholesaleMOQ, unitConversions
     } = req.body;
 
     if (!name) {
@@ -941,7 +984,21 @@ const createProduct = async (req, res) => {
       }
     }
 
+    let variantFields;
+    let bundleFields;
+    try {
+      variantFields = await resolveVariantFields(sellerId, req.body);
+      bundleFields = await resolveBundleFields(sellerId, req.body);
+    } catch (productError) {
+      return res.status(400).json({
+        success: false,
+        message: productError.message
+      });
+    }
+
     const product = new Product({
+      ...variantFields,
+      ...bundleFields,
       sellerId,
       name,
       barcode,
@@ -961,6 +1018,7 @@ const createProduct = async (req, res) => {
       discountPrice: discountPrice || 0,
       images: images || [],
       onlineSale: onlineSale !== false,
+      unitConversions: normalizeUnitConversions(unitConversions, unit || 'pcs'),
       isSynced: true,
       localId
     });
@@ -1043,7 +1101,10 @@ const createProduct = async (req, res) => {
         isGstInclusive: product.isGstInclusive,
         wholesalePrice: product.wholesalePrice,
         wholesaleMOQ: product.wholesaleMOQ,
+        unitConversions: product.unitConversions,
         isActive: product.isActive,
+        ...formatVariantFields(product),
+        ...formatBundleFields(product),
         createdAt: product.createdAt,
         updatedAt: product.updatedAt,
         isSynced: true,
@@ -1092,6 +1153,19 @@ const updateProduct = async (req, res) => {
         product[field] = updates[field];
       }
     });
+    if (updates.unitConversions !== undefined) {
+      product.unitConversions = normalizeUnitConversions(updates.unitConversions, product.unit);
+    }
+
+    try {
+      Object.assign(product, await resolveVariantFields(sellerId, updates, product));
+      Object.assign(product, await resolveBundleFields(sellerId, updates, product));
+    } catch (productError) {
+      return res.status(400).json({
+        success: false,
+        message: productError.message
+      });
+    }
 
     product.updatedAt = new Date();
     await product.save();
@@ -1111,11 +1185,14 @@ const updateProduct = async (req, res) => {
         barcode: product.barcode,
         categoryId: product.categoryId,
         unit: product.unit,
+        unitConversions: product.unitConversions,
         lowStockLevel: product.lowStockLevel,
         description: product.description,
         isActive: product.isActive,
         trackExpiry: product.trackExpiry,
         expiryThreshold: product.expiryThreshold,
+        ...formatVariantFields(product),
+        ...formatBundleFields(product),
         createdAt: product.createdAt,
         updatedAt: product.updatedAt,
         isSynced: true,
@@ -1155,6 +1232,10 @@ const deleteProduct = async (req, res) => {
       });
     }
 
+    if (product.isVariantParent) {
+      await detachVariants(sellerId, product._id);
+    }
+
     try {
       await SyncTracking.updateLatestTime(sellerId, 'products');
     } catch (trackingError) {
@@ -1182,13 +1263,25 @@ const deleteProduct = async (req, res) => {
 const getProductBatches = async (req, res) => {
   try {
     const sellerId = req.sellerId;
-    const { productId } = req.query;
+    const { productId, locationId } = req.query;
 
     let query = { sellerId, isDeleted: false };
     if (productId) {
       query.productId = productId;
     }
 
+    const defaultLocation = await findDefaultLocation(sellerId);
+    if (locationId) {
+      const location = await findLocation(sellerId, locationId, null, { includeInactive: true });
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'Location not found'
+        });
+      }
+      Object.assign(query, locationBatchFilter(location));
+    }
+
     const batches = await ProductBatch.find(query)
       .populate('productId', 'name barcode unit')
       .sort({ createdAt: -1 });
@@ -1203,6 +1296,7 @@ const getProductBatches = async (req, res) => {
       mfg: batch.mfg,
       expiry: batch.expiry,
       quantity: batch.quantity,
+      locationId: batchLocationId(batch, defaultLocation),
       costPrice: batch.costPrice,
       sellingUnitPrice: batch.sellingUnitPrice,
       wholesalePrice: batch.wholesalePrice || 0,
@@ -1228,7 +1322,7 @@ const getProductBatches = async (req, res) => {
 const createProductBatch = async (req, res) => {
   try {
     const sellerId = req.sellerId;
-    const { productId, batchNumber, mfg, expiry, quantity, costPrice, sellingUnitPrice, wholesalePrice } = req.body;
+    const { productId, batchNumber, mfg, expiry, quantity, costPrice, sellingUnitPrice, wholesalePrice, locationId, purchaseUnit } = req.body;
 
     // Validate required fields (mfg and expiry are optional)
     if (!productId || !quantity || !costPrice || !sellingUnitPrice) {
@@ -1259,20 +1353,63 @@ const createProductBatch = async (req, res) => {
       });
     }
 
+    if (product.isVariantParent) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} has variants; add the batch to a variant`
+      });
+    }
+
+    if (product.isBundle) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} is a bundle; add stock to its components`
+      });
+    }
+
+    // Quantity and cost may be given per purchase unit (per box); the batch keeps base units.
+    // sellingUnitPrice is always per base unit.
+    const factor = purchaseUnit ? getConversionFactor(product, purchaseUnit) : 1;
+    if (factor === null) {
+      return res.status(400).json({
+        success: false,
+        message: `No conversion from ${purchaseUnit} to ${product.unit} for ${product.name}`
+      });
+    }
+
+    let location = null;
+    if (locationId) {
+      location = await findLocation(sellerId, locationId);
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: `Location not found. LocationId: ${locationId}`
+        });
+      }
+    }
+
     const batch = new ProductBatch({
       sellerId,
       productId,
+      locationId: location ? location._id : null,
       batchNumber: batchNumber || '',
       mfg: mfg ? new Date(mfg) : undefined,
       expiry: expiry ? new Date(expiry) : undefined,
-      quantity: Number(quantity),
-      costPrice: Number(costPrice),
+      quantity: Number(quantity) * factor,
+      costPrice: Number(costPrice) / factor,
       sellingUnitPrice: Number(sellingUnitPrice),
       wholesalePrice: Number(wholesalePrice) || 0
     });
 
     await batch.save();
 
+    await recordStockMovement(batch, batch.quantity, {
+      sellerId,
+      reason: 'purchase',
+      source: { type: 'ProductBatch', id: batch._id },
+      user: getMovementUser(req)
+    });
+
     // Update sync tracking
     try {
       await SyncTracking.updateLatestTime(sellerId, 'productBatches');
@@ -1296,6 +1433,7 @@ const createProductBatch = async (req, res) => {
         mfg: batch.mfg,
         expiry: batch.expiry,
         quantity: batch.quantity,
+        locationId: batch.locationId ? batch.locationId.toString() : null,
         costPrice: batch.costPrice,
         sellingUnitPrice: batch.sellingUnitPrice,
         wholesalePrice: batch.wholesalePrice || 0,
@@ -1329,26 +1467,13 @@ const updateProductBatch = async (req, res) => {
       });
     }
 
-    // Update allowed fields
-    const allowedUpdates = ['batchNumber', 'mfg', 'expiry', 'quantity', 'costPrice', 'sellingUnitPrice', 'wholesalePrice'];
-    const updateData = {};
-
-    allowedUpdates.forEach(field => {
-      if (updates[field] !== undefined) {
-        if (field === 'mfg' || field === 'expiry') {
-          updateData[field] = new Date(updates[field]);
-        } else if (field === 'quantity' || field === 'costPrice' || field === 'sellingUnitPrice') {
-          updateData[field] = Number(updates[field]);
-        } else {
-          updateData[field] = updates[field];
-        }
-      }
+    // Update allowed fields; quantity edits are manual adjustments unless the caller marks them as a write-off
+    const updatedBatch = await applyBatchUpdate(batch, updates, {
+      reason: updates.reason === 'write_off' ? 'write_off' : 'manual_adjust',
+      user: getMovementUser(req),
+      note: typeof updates.note === 'string' ? updates.note : undefined
     });
-
-    updateData.updatedAt = new Date();
-
-    const updatedBatch = await ProductBatch.findByIdAndUpdate(id, updateData, { new: true })
-      .populate('productId', 'name barcode unit');
+    await updatedBatch.populate('productId', 'name barcode unit');
 
     // Update sync tracking
     try {
@@ -1392,9 +1517,10 @@ const deleteProductBatch = async (req, res) => {
     const sellerId = req.sellerId;
     const { id } = req.params;
 
-    // Soft delete by setting isDeleted to true
+    // Soft delete by setting isDeleted to true; a batch already deleted is not found, so a repeated
+    // delete cannot take its quantity out of the ledger again
     const batch = await ProductBatch.findOneAndUpdate(
-      { _id: id, sellerId },
+      { _id: id, sellerId, isDeleted: false },
       { isDeleted: true, updatedAt: new Date() },
       { new: true }
     );
@@ -1406,6 +1532,15 @@ const deleteProductBatch = async (req, res) => {
       });
     }
 
+    // Whatever the batch still held leaves stock with it
+    await recordStockMovements([{ batch, delta: -(batch.quantity || 0), quantityAfter: 0 }], {
+      sellerId,
+      reason: 'manual_adjust',
+      source: { type: 'ProductBatch', id: batch._id },
+      user: getMovementUser(req),
+      note: 'Batch deleted'
+    });
+
     // Update sync tracking
     try {
       await SyncTracking.updateLatestTime(sellerId, 'productBatches');
@@ -1427,6 +1562,253 @@ const deleteProductBatch = async (req, res) => {
   }
 };
 
+/**
+ * Opaque paging cursor for stock movements: base64url of the last returned row's (createdAt, _id).
+ * recordStockMovements writes many rows with one timestamp, so createdAt alone is not a cursor.
+ */
+const encodeMovementCursor = (movement) => Buffer.from(JSON.stringify({
+  c: new Date(movement.createdAt).toISOString(),
+  i: movement._id.toString()
+})).toString('base64url');
+
+const decodeMovementCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+    if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(i)) return null;
+    return { createdAt, _id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Stock movement history for one product, newest first
+ * GET /api/data/products/:id/stock-movements?batchId=&reason=&from=&to=&limit=&before=
+ * `before` pages backwards: pass the previous page's nextBefore. The summary covers the
+ * whole filtered range, not just the current page.
+ */
+const getProductStockMovements = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { id } = req.params;
+    const { batchId, reason, from, to, before } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findOne({ _id: id, sellerId }).select('name barcode unit unitConversions').lean();
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found or does not belong to seller'
+      });
+    }
+
+    // Cast ids up front: aggregate() does not cast the $match the way find() does
+    const query = { sellerId: new mongoose.Types.ObjectId(sellerId), productId: product._id };
+    if (batchId) {
+      if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        return res.status(400).json({ success: false, message: 'Invalid batch ID' });
+      }
+      query.batchId = new mongoose.Types.ObjectId(batchId);
+    }
+    if (reason) {
+      const reasons = String(reason).split(',').filter(r => StockMovement.REASONS.includes(r));
+      if (reasons.length === 0) {
+        return res.status(400).json({ success: false, message: `Reason must be one of: ${StockMovement.REASONS.join(', ')}` });
+      }
+      query.reason = { $in: reasons };
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ success: false, message: 'Invalid date filter' });
+      }
+    }
+
+    // The cursor only narrows the page; the totals below stay on the full filtered range
+    let pageQuery = query;
+    if (before) {
+      const cursor = decodeMovementCursor(before);
+      if (!cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+      }
+      pageQuery = {
+        $and: [
+          query,
+          {
+            $or: [
+              { createdAt: { $lt: cursor.createdAt } },
+              { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+            ]
+          }
+        ]
+      };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const [movements, totals, batches] = await Promise.all([
+      StockMovement.find(pageQuery).sort({ createdAt: -1, _id: -1 }).limit(limit).lean(),
+      StockMovement.aggregate([
+        { $match: query },
+        { $group: { _id: '$reason', count: { $sum: 1 }, quantity: { $sum: '$delta' } } }
+      ]),
+      ProductBatch.find({ sellerId, productId: product._id, isDeleted: false }).select('batchNumber quantity expiry').lean()
+    ]);
+
+    const byReason = {};
+    totals.forEach(total => {
+      byReason[total._id] = { count: total.count, quantity: total.quantity };
+    });
+
+    // Ledger quantities are in the base unit; the other units are for display
+    const currentStock = batches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          id: product._id.toString(),
+          name: product.name,
+          barcode: product.barcode,
+          unit: product.unit,
+          unitConversions: product.unitConversions || []
+        },
+        currentStock,
+        currentStockInUnits: quantityInUnits(product, currentStock),
+        batches: batches.map(batch => ({
+          id: batch._id.toString(),
+          batchNumber: batch.batchNumber,
+          quantity: batch.quantity,
+          expiry: batch.expiry
+        })),
+        summary: {
+          in: totals.reduce((sum, total) => sum + Math.max(total.quantity, 0), 0),
+          out: totals.reduce((sum, total) => sum + Math.min(total.quantity, 0), 0),
+          byReason
+        },
+        movements: movements.map(movement => ({
+          id: movement._id.toString(),
+          batchId: movement.batchId ? movement.batchId.toString() : null,
+          batchNumber: movement.batchNumber,
+          delta: movement.delta,
+          quantityBefore: movement.quantityBefore,
+          quantityAfter: movement.quantityAfter,
+          reason: movement.reason,
+          sourceType: movement.sourceType,
+          sourceId: movement.sourceId ? movement.sourceId.toString() : null,
+          sourceLocalId: movement.sourceLocalId,
+          reference: movement.reference,
+          userType: movement.userType,
+          userId: movement.userId ? movement.userId.toString() : null,
+          userName: movement.userName,
+          note: movement.note,
+          createdAt: movement.createdAt
+        })),
+        nextBefore: movements.length === limit ? encodeMovementCursor(movements[movements.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get product stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock movements',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sales made against insufficient stock, newest first, with per-product totals
+ * GET /api/data/reports/stock-shortfalls?from=&to=&productId=&limit=
+ */
+const getStockShortfallReport = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { from, to, productId } = req.query;
+
+    const query = { sellerId, hasStockShortfall: true, isDeleted: { $ne: true } };
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ success: false, message: 'Invalid product ID' });
+      }
+      query['stockShortfalls.productId'] = productId;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ success: false, message: 'Invalid date filter' });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+
+    const [orders, policy] = await Promise.all([
+      Order.find(query)
+        .select('invoiceNumber localId orderSource orderStatus totalAmount customerName stockShortfalls createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean(),
+      getNegativeStockPolicy(sellerId)
+    ]);
+
+    const productTotals = {};
+    orders.forEach(order => {
+      (order.stockShortfalls || []).forEach(line => {
+        if (!line.productId || (productId && line.productId.toString() !== productId)) return;
+        const key = line.productId.toString();
+        if (!productTotals[key]) {
+          productTotals[key] = { productId: key, productName: line.productName || '', orders: 0, quantity: 0, shortfall: 0 };
+        }
+        productTotals[key].orders += 1;
+        productTotals[key].quantity += line.quantity || 0;
+        productTotals[key].shortfall += line.shortfall || 0;
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        policy,
+        orders: orders.map(order => ({
+          id: order._id.toString(),
+          invoiceNumber: order.invoiceNumber,
+          localId: order.localId,
+          orderSource: order.orderSource,
+          orderStatus: order.orderStatus,
+          customerName: order.customerName,
+          totalAmount: order.totalAmount,
+          createdAt: order.createdAt,
+          items: (order.stockShortfalls || []).map(line => ({
+            productId: line.productId ? line.productId.toString() : null,
+            productName: line.productName,
+            quantity: line.quantity,
+            deducted: line.deducted,
+            shortfall: line.shortfall,
+            policy: line.policy,
+            overflowBatchId: line.overflowBatchId ? line.overflowBatchId.toString() : null
+          }))
+        })),
+        products: Object.values(productTotals).sort((a, b) => b.shortfall - a.shortfall)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock shortfall report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock shortfall report',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get all orders for a seller
  */
@@ -1587,7 +1969,8 @@ const getTransactions = async (req, res) => {
 const getVendorOrders = async (req, res) => {
   try {
     const sellerId = req.sellerId;
-    const vendorOrders = await VendorOrder.find({ sellerId }).sort({ createdAt: -1 });
+    // Replaced reorder drafts are soft-deleted and must not come back in the list
+    const vendorOrders = await VendorOrder.find({ sellerId, isDeleted: { $ne: true } }).sort({ createdAt: -1 });
 
     // Transform to match frontend format
     const formattedOrders = vendorOrders.map(order => ({
@@ -1623,6 +2006,333 @@ const getVendorOrders = async (req, res) => {
   }
 };
 
+/**
+ * Receive a purchase order into stock: each product line becomes a batch in the product's base unit
+ * (2 box at 240/box of a 24-pcs box -> 48 pcs at 10/pcs). `lines` optionally gives batch details per
+ * line ({ itemId, batchNumber, mfg, expiry, sellingUnitPrice }) and limits which lines are received.
+ * POST /api/data/vendor-orders/:id/receive
+ */
+const receiveVendorOrder = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { lines, locationId } = req.body;
+
+    const vendorOrder = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await VendorOrder.findOne({ _id: req.params.id, sellerId })
+      : null;
+    if (!vendorOrder) {
+      return res.status(404).json({ success: false, message: 'Vendor order not found' });
+    }
+    if (vendorOrder.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Cancelled orders cannot be received' });
+    }
+    if (vendorOrder.status === 'draft') {
+      return res.status(400).json({ success: false, message: 'Draft orders must be placed before they are received' });
+    }
+    if (vendorOrder.status === 'completed') {
+      return res.status(400).json({ success: false, message: 'This order has already been received' });
+    }
+
+    let location = null;
+    if (locationId) {
+      location = await findLocation(sellerId, locationId);
+      if (!location) {
+        return res.status(404).json({ success: false, message: 'Location not found' });
+      }
+    }
+
+    const details = new Map((Array.isArray(lines) ? lines : []).map(line => [String(line.itemId), line]));
+    let received = [];
+    let failed = [];
+    let status = vendorOrder.status;
+    let pending = [];
+
+    // Batches, ledger rows and the order's received lines commit together. Each line is claimed
+    // (receivedBatchId still null) before its batch is created, so a repeated or concurrent
+    // receive never adds the same line's stock twice.
+    await mongoose.connection.transaction(async (session) => {
+      received = [];
+      failed = [];
+      const order = await VendorOrder.findOne({ _id: vendorOrder._id, sellerId }).session(session);
+
+      for (const item of order.items) {
+        if (item.receivedBatchId || !item.productId) continue;
+        if (details.size > 0 && !details.has(item._id.toString())) continue;
+        const detail = details.get(item._id.toString()) || {};
+
+        const product = await Product.findOne({ _id: item.productId, sellerId }).session(session);
+        if (!product) {
+          failed.push({ itemId: item._id, productName: item.productName, error: 'Product not found' });
+          continue;
+        }
+        const factor = getConversionFactor(product, item.unit);
+        if (factor === null) {
+          failed.push({ itemId: item._id, productName: item.productName, error: `No conversion from ${item.unit} to ${product.unit}` });
+          continue;
+        }
+
+        const batchId = new mongoose.Types.ObjectId();
+        const claim = await VendorOrder.updateOne(
+          { _id: order._id, items: { $elemMatch: { _id: item._id, receivedBatchId: null } } },
+          { $set: { 'items.$.receivedBatchId': batchId, 'items.$.receivedBaseQuantity': item.quantity * factor } },
+          { session }
+        );
+        if (claim.matchedCount === 0) continue;
+
+        // Keep selling at the current price unless the line sets a new one
+        const latest = await ProductBatch.findOne({ sellerId, productId: product._id, isDeleted: false, isOverflow: { $ne: true } })
+          .sort({ createdAt: -1 })
+          .session(session);
+
+        const batch = new ProductBatch({
+          _id: batchId,
+          sellerId,
+          productId: product._id,
+          productLocalId: product.localId,
+          productMongoId: product._id,
+          locationId: location ? location._id : null,
+          batchNumber: detail.batchNumber || '',
+          mfg: detail.mfg ? new Date(detail.mfg) : undefined,
+          expiry: detail.expiry ? new Date(detail.expiry) : undefined,
+          quantity: item.quantity * factor,
+          costPrice: item.price / factor,
+          sellingUnitPrice: detail.sellingUnitPrice !== undefined ? Number(detail.sellingUnitPrice) : (latest ? latest.sellingUnitPrice : 0),
+          wholesalePrice: latest ? latest.wholesalePrice || 0 : 0
+        });
+        await batch.save({ session });
+
+        await recordStockMovement(batch, batch.quantity, {
+          sellerId,
+          reason: 'purchase',
+          source: { type: 'VendorOrder', id: order._id, localId: order.localId },
+          user: getMovementUser(req),
+          note: `${item.quantity} ${item.unit} from ${order.supplierName}`,
+          session
+        });
+
+        item.receivedBatchId = batch._id;
+        received.push({
+          itemId: item._id,
+          productId: product._id,
+          productName: product.name,
+          quantity: item.quantity,
+          unit: item.unit,
+          baseQuantity: batch.quantity,
+          baseUnit: product.unit,
+          costPrice: batch.costPrice,
+          batchId: batch._id
+        });
+      }
+
+      pending = order.items.filter(item => item.productId && !item.receivedBatchId);
+      status = order.status;
+      if (received.length > 0 && pending.length === 0) {
+        status = 'completed';
+        await VendorOrder.updateOne(
+          { _id: order._id },
+          { status, ...(!order.actualDeliveryDate && { actualDeliveryDate: new Date() }) },
+          { session }
+        );
+      }
+    });
+
+    if (received.length > 0) {
+      await SyncTracking.updateLatestTime(sellerId, 'productBatches');
+      await SyncTracking.updateLatestTime(sellerId, 'products');
+      await SyncTracking.updateLatestTime(sellerId, 'vendorOrders');
+    }
+
+    res.json({
+      success: true,
+      message: `Received ${received.length} line(s)`,
+      data: { received, failed, status, pendingLines: pending.length }
+    });
+  } catch (error) {
+    console.error('Receive vendor order error:', error);
+    res.status(500).json({ success: false, message: 'Error receiving vendor order', error: error.message });
+  }
+};
+
+/**
+ * Products due for reordering, from daily sales velocity and each supplier's observed lead time
+ * GET /api/data/reports/reorder-suggestions?velocityDays=&coverDays=&safetyDays=&leadDays=
+ */
+const getReorderSuggestions = async (req, res) => {
+  try {
+    const { parameters, suggestions } = await buildReorderSuggestions(req.sellerId, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        parameters,
+        suggestions,
+        summary: {
+          products: suggestions.length,
+          suppliers: new Set(suggestions.filter(s => s.supplier).map(s => s.supplier.key)).size,
+          withoutSupplier: suggestions.filter(s => !s.supplier).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reorder suggestions error:', error);
+    res.status(500).json({ success: false, message: 'Error building reorder suggestions', error: error.message });
+  }
+};
+
+/**
+ * Draft one purchase order per supplier from the current reorder suggestions, replacing earlier
+ * auto-drafted orders still in draft. Drafts sync down as vendor orders with status 'draft'.
+ * POST /api/data/vendor-orders/reorder-drafts { velocityDays, coverDays, safetyDays, leadDays }
+ */
+const createReorderDrafts = async (req, res) => {
+  try {
+    const { parameters, drafts, unassigned } = await draftReorderPurchaseOrders(req.sellerId, req.body || {});
+
+    res.json({
+      success: true,
+      message: `Drafted ${drafts.length} purchase order(s)`,
+      data: {
+        parameters,
+        drafts: drafts.map(draft => draft.toObject()),
+        unassigned
+      }
+    });
+  } catch (error) {
+    console.error('Create reorder drafts error:', error);
+    res.status(500).json({ success: false, message: 'Error drafting purchase orders', error: error.message });
+  }
+};
+
+const VALUATION_COLUMNS = {
+  product: [
+    { key: 'productName', label: 'Product' },
+    { key: 'categoryName', label: 'Category' },
+    { key: 'unit', label: 'Unit' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'unitCost', label: 'Unit Cost' },
+    { key: 'value', label: 'Value' }
+  ],
+  category: [
+    { key: 'categoryName', label: 'Category' },
+    { key: 'products', label: 'Products' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'value', label: 'Value' }
+  ]
+};
+
+const COGS_COLUMNS = {
+  product: [
+    { key: 'productName', label: 'Product' },
+    { key: 'categoryName', label: 'Category' },
+    { key: 'unitsSold', label: 'Units Sold' },
+    { key: 'unitsReturned', label: 'Units Returned' },
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'cogs', label: 'COGS' },
+    { key: 'grossMargin', label: 'Gross Margin' },
+    { key: 'marginPercent', label: 'Margin %' },
+    { key: 'writeOffLoss', label: 'Write-off Loss' },
+    { key: 'writeOffRecovered', label: 'Supplier Returns' },
+    { key: 'profit', label: 'Profit' }
+  ],
+  category: [
+    { key: 'categoryName', label: 'Category' },
+    { key: 'products', label: 'Products' },
+    { key: 'unitsSold', label: 'Units Sold' },
+    { key: 'unitsReturned', label: 'Units Returned' },
+    { key: 'revenue', label: 'Revenue' },
+    { key: 'cogs', label: 'COGS' },
+    { key: 'grossMargin', label: 'Gross Margin' },
+    { key: 'marginPercent', label: 'Margin %' },
+    { key: 'writeOffLoss', label: 'Write-off Loss' },
+    { key: 'writeOffRecovered', label: 'Supplier Returns' },
+    { key: 'profit', label: 'Profit' }
+  ]
+};
+
+/**
+ * Shared query parsing for the valuation reports; returns { error } for a bad query
+ */
+const parseValuationQuery = (query) => {
+  const method = query.method || 'fifo';
+  if (!VALUATION_METHODS.includes(method)) {
+    return { error: `Method must be one of: ${VALUATION_METHODS.join(', ')}` };
+  }
+  const groupBy = query.groupBy || 'product';
+  if (!['product', 'category'].includes(groupBy)) {
+    return { error: 'groupBy must be product or category' };
+  }
+  const dates = {};
+  for (const field of ['asOf', 'from', 'to']) {
+    if (!query[field]) continue;
+    dates[field] = new Date(query[field]);
+    if (isNaN(dates[field].getTime())) {
+      return { error: `Invalid ${field} date` };
+    }
+  }
+  return { method, groupBy, csv: query.format === 'csv', ...dates };
+};
+
+const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+};
+
+/**
+ * Closing stock value on a date, per product or category
+ * GET /api/data/reports/inventory-valuation?asOf=&method=fifo|weighted_average&groupBy=product|category&format=csv
+ */
+const getInventoryValuation = async (req, res) => {
+  try {
+    const options = parseValuationQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, message: options.error });
+    }
+
+    const report = await valueInventory(req.sellerId, { asOf: options.asOf || new Date(), method: options.method });
+
+    if (options.csv) {
+      const rows = options.groupBy === 'category' ? report.categories : report.products;
+      const date = report.asOf.toISOString().slice(0, 10);
+      return sendCsv(res, `inventory-valuation-${options.method}-${date}.csv`, toCsv(VALUATION_COLUMNS[options.groupBy], rows));
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Get inventory valuation error:', error);
+    res.status(500).json({ success: false, message: 'Error valuing inventory', error: error.message });
+  }
+};
+
+/**
+ * Cost of goods sold, gross margin and profit after write-offs for a date range, per product or category
+ * GET /api/data/reports/cogs?from=&to=&method=fifo|weighted_average&groupBy=product|category&format=csv
+ */
+const getCogsReport = async (req, res) => {
+  try {
+    const options = parseValuationQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, message: options.error });
+    }
+    if (options.from && options.to && options.from > options.to) {
+      return res.status(400).json({ success: false, message: 'from must be before to' });
+    }
+
+    const report = await computeCogs(req.sellerId, { from: options.from, to: options.to || new Date(), method: options.method });
+
+    if (options.csv) {
+      const rows = options.groupBy === 'category' ? report.categories : report.products;
+      const range = `${report.from ? report.from.toISOString().slice(0, 10) : 'start'}-to-${report.to.toISOString().slice(0, 10)}`;
+      return sendCsv(res, `cogs-${options.method}-${range}.csv`, toCsv(COGS_COLUMNS[options.groupBy], rows));
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Get COGS report error:', error);
+    res.status(500).json({ success: false, message: 'Error computing cost of goods sold', error: error.message });
+  }
+};
+
 /**
  * Get all categories for a seller
  */
@@ -1660,6 +2370,604 @@ const getCategories = async (req, res) => {
   }
 };
 
+// Collections returned by getAllData, in response order
+const ALL_DATA_TYPES = ['customers', 'products', 'productBatches', 'orders', 'transactions', 'purchaseOrders', 'categories', 'refunds', 'plans', 'planOrders', 'expenses', 'customerTransactions', 'suppliers', 'supplierTransactions', 'dProducts', 'settings', 'targets', 'stockTakes'];
+
+// Base query per collection for getAllData and its streaming variant (settings is a single findOne)
+const ALL_DATA_QUERIES = {
+  customers: (sellerId) => Customer.find({ sellerId }),
+  products: (sellerId) => Product.find({ sellerId }).populate('categoryId', 'name'),
+  productBatches: (sellerId) => ProductBatch.find({ sellerId, isDeleted: false }),
+  orders: (sellerId) => Order.find({ sellerId }).populate('customerId', 'name mobileNumber address').lean(),
+  transactions: (sellerId) => Transaction.find({ sellerId }),
+  purchaseOrders: (sellerId) => VendorOrder.find({ sellerId }),
+  categories: (sellerId) => ProductCategory.find({ sellerId }),
+  refunds: (sellerId) => Refund.find({ sellerId }),
+  plans: () => Plan.find({}), // Plans are global
+  planOrders: (sellerId) => PlanOrder.find({
+    sellerId,
+    paymentStatus: 'completed'
+  }).populate({
+    path: 'planId',
+    select: 'name unlockedModules lockedModules planType'
+  }),
+  expenses: (sellerId) => Expense.find({ sellerId }),
+  customerTransactions: (sellerId) => CustomerTransaction.find({ sellerId }),
+  suppliers: (sellerId) => Supplier.find({ sellerId, isDeleted: { $ne: true } }),
+  supplierTransactions: (sellerId) => SupplierTransaction.find({ sellerId }),
+  dProducts: (sellerId) => require('../models/DProduct').find({ sellerId }),
+  targets: (sellerId) => Target.find({ sellerId }),
+  stockTakes: (sellerId) => StockTake.find({ sellerId, isDeleted: { $ne: true } })
+};
+
+const parseNumeric = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Add a batch to a product's running totals
+ * The latest batch (by expiry date, or creation date if no expiry) supplies the product's prices
+ */
+const addBatchToProductData = (batchData, batch) => {
+  batchData.totalStock += batch.quantity;
+  batchData.batches.push(batch);
+
+  if (!batchData.latestBatch ||
+    (batch.expiry && batchData.latestBatch.expiry &&
+      batch.expiry > batchData.latestBatch.expiry) ||
+    (!batch.expiry && !batchData.latestBatch.expiry &&
+      batch.createdAt > batchData.latestBatch.createdAt)) {
+    batchData.latestBatch = batch;
+  }
+};
+
+/**
+ * Format a product with its batch totals for getAllData
+ * batchData: { totalStock, batches, latestBatch } for this product
+ */
+const formatProductWithBatches = (product, batchData = { totalStock: 0, batches: [], latestBatch: null }) => {
+  return {
+    id: product._id.toString(),
+    name: product.name,
+    barcode: product.barcode || '',
+    categoryId: product.categoryId && product.categoryId._id ? product.categoryId._id.toString() : (typeof product.categoryId === 'string' ? product.categoryId : null),
+    category: product.categoryId ? product.categoryId.name : '',
+    stock: batchData.totalStock, // Now calculated from batches
+    quantity: batchData.totalStock, // Frontend compatibility
+    unit: product.unit || 'pcs',
+    unitConversions: product.unitConversions || [],
+    costPrice: batchData.latestBatch ? batchData.latestBatch.costPrice : 0,
+    unitPrice: batchData.latestBatch ? batchData.latestBatch.costPrice : 0, // Frontend compatibility
+    sellingUnitPrice: batchData.latestBatch ? batchData.latestBatch.sellingUnitPrice : 0,
+    sellingPrice: batchData.latestBatch ? batchData.latestBatch.sellingUnitPrice : 0, // Backward compatibility
+    lowStockLevel: product.lowStockLevel || 10,
+    trackExpiry: product.trackExpiry !== undefined ? product.trackExpiry : false,
+    expiryThreshold: product.expiryThreshold !== undefined ? product.expiryThreshold : 30, // Added expiryThreshold
+    mfg: batchData.latestBatch ? batchData.latestBatch.mfg : null,
+    mfgDate: batchData.latestBatch ? batchData.latestBatch.mfg : null, // Backward compatibility
+    expiryDate: batchData.latestBatch ? batchData.latestBatch.expiry : null,
+    description: product.description || '',
+    isActive: product.isActive !== undefined ? product.isActive : true,
+    createdAt: product.createdAt,
+    updatedAt: product.updatedAt,
+    isSynced: true,
+    wholesalePrice: product.wholesalePrice || 0,
+    wholesaleMOQ: product.wholesaleMOQ || 1,
+    longDescription: product.longDescription || '',
+    isFeatured: product.isFeatured || false,
+    discountPrice: product.discountPrice || 0,
+    images: product.images || [],
+    onlineSale: product.onlineSale !== false,
+    hsnCode: product.hsnCode || '',
+    gstPercent: product.gstPercent || 0,
+    isGstInclusive: product.isGstInclusive !== undefined ? product.isGstInclusive : true,
+    ...formatVariantFields(product),
+    ...formatBundleFields(product),
+    localId: product.localId,
+    _id: product._id.toString(),
+    // Add batch information
+    batches: batchData.batches.map(batch => ({
+      id: batch._id.toString(),
+      batchNumber: batch.batchNumber,
+      mfg: batch.mfg,
+      expiry: batch.expiry,
+      quantity: batch.quantity,
+      locationId: batch.locationId ? batch.locationId.toString() : null,
+      barcode: batch.barcode || '',
+      costPrice: batch.costPrice,
+      sellingUnitPrice: batch.sellingUnitPrice,
+      wholesalePrice: batch.wholesalePrice || 0,
+      createdAt: batch.createdAt,
+      updatedAt: batch.updatedAt,
+      localId: batch.localId
+    }))
+  };
+};
+
+/**
+ * Record formatters for getAllData, keyed by collection (products are formatted with their batches)
+ */
+const ALL_DATA_FORMATTERS = {
+  customers: (customer) => ({
+    id: customer._id.toString(),
+    name: customer.name,
+    mobileNumber: customer.mobileNumber,
+    phone: customer.mobileNumber,
+    email: customer.email,
+    dueAmount: customer.dueAmount || 0,
+    balanceDue: customer.dueAmount || 0, // Frontend compatibility - ensure balanceDue is set
+    createdAt: customer.createdAt,
+    updatedAt: customer.updatedAt,
+    isSynced: true,
+    localId: customer.localId,
+    _id: customer._id.toString(),
+    isDeleted: customer.isDeleted
+  }),
+  productBatches: (batch) => ({
+    id: batch._id.toString(),
+    sellerId: batch.sellerId?.toString(),
+    productId: batch.productId?.toString(),
+    batchNumber: batch.batchNumber || '',
+    mfg: batch.mfg,
+    expiry: batch.expiry,
+    quantity: batch.quantity || 0,
+    costPrice: batch.costPrice || 0,
+    sellingUnitPrice: batch.sellingUnitPrice || 0,
+    wholesalePrice: batch.wholesalePrice || 0,
+    wholesaleMOQ: batch.wholesaleMOQ || 1,
+    locationId: batch.locationId ? batch.locationId.toString() : null,
+    barcode: batch.barcode || '',
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    isSynced: true,
+    localId: batch.localId,
+    _id: batch._id.toString()
+  }),
+  orders: (order) => {
+    const items = order.items || [];
+    const subtotalValue = parseNumeric(order.subtotal);
+    const subtotal = subtotalValue !== null
+      ? subtotalValue
+      : items.reduce((sum, item) => {
+        const price = parseNumeric(item.sellingPrice) ?? parseNumeric(item.price) ?? 0;
+        const qty = parseNumeric(item.quantity) ?? 0;
+        return sum + price * qty;
+      }, 0);
+
+    const rawDiscountAmount = parseNumeric(order.discount) ?? parseNumeric(order.discountAmount) ?? 0;
+    const rawTaxAmount = parseNumeric(order.tax) ?? parseNumeric(order.taxAmount) ?? 0;
+
+    const discountPercentValue = parseNumeric(order.discountPercent);
+    const discountPercent = discountPercentValue !== null
+      ? discountPercentValue
+      : (subtotal > 0 ? (rawDiscountAmount / subtotal) * 100 : 0);
+
+    const discountAmount = rawDiscountAmount > 0
+      ? rawDiscountAmount
+      : subtotal * (discountPercent / 100);
+
+    const taxableBase = Math.max(0, subtotal - discountAmount);
+
+    const taxPercentValue = parseNumeric(order.taxPercent);
+    const taxPercent = taxPercentValue !== null
+      ? taxPercentValue
+      : (taxableBase > 0 ? (rawTaxAmount / taxableBase) * 100 : 0);
+
+    const taxAmount = rawTaxAmount > 0
+      ? rawTaxAmount
+      : taxableBase * (taxPercent / 100);
+
+    const totalAmountValue = parseNumeric(order.totalAmount);
+    const totalAmount = totalAmountValue !== null
+      ? totalAmountValue
+      : Math.max(0, taxableBase + taxAmount);
+
+    // Preserve splitPaymentDetails exactly as stored in MongoDB
+    // Don't use || null as it will convert empty objects or objects with 0 values to null
+    let splitPaymentDetails = null;
+    if (order.splitPaymentDetails !== undefined && order.splitPaymentDetails !== null) {
+      // Include splitPaymentDetails exactly as it is in MongoDB
+      splitPaymentDetails = order.splitPaymentDetails;
+    }
+
+    return {
+      id: order._id.toString(),
+      sellerId: order.sellerId.toString(),
+      customerId: order.customerId ? order.customerId._id.toString() : null,
+      customerName: order.customerName || (order.customerId ? order.customerId.name : 'Walk-in Customer'),
+      customerMobile: order.customerMobile || (order.customerId ? (order.customerId.mobileNumber || order.customerId.phone || '') : ''),
+      paymentMethod: order.paymentMethod || 'cash',
+      splitPaymentDetails: splitPaymentDetails,
+      items,
+      subtotal,
+      discountPercent,
+      discountAmount,
+      taxPercent,
+      taxAmount,
+      totalAmount,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt,
+      isSynced: true,
+      localId: order.localId,
+      invoiceNumber: order.invoiceNumber,
+      orderSource: order.orderSource || 'in-store',
+      orderStatus: order.orderStatus || 'Completed',
+
+      deliveryAddress: order.deliveryAddress || (order.customerId ? order.customerId.address : '') || '',
+      orderNotes: order.orderNotes || '',
+      deliveryType: order.deliveryType || 'delivery',
+      deliveryCharge: order.deliveryCharge || 0,
+      _id: order._id.toString()
+    };
+  },
+  transactions: (transaction) => ({
+    id: transaction._id.toString(),
+    type: transaction.type,
+    customerId: transaction.customerId || null,
+    customerName: transaction.customerName || '',
+    amount: transaction.amount || 0,
+    total: transaction.amount || 0,
+    paymentMethod: transaction.paymentMethod || 'cash',
+    description: transaction.description || '',
+    date: transaction.date || transaction.createdAt,
+    razorpayOrderId: transaction.razorpayOrderId || null,
+    razorpayPaymentId: transaction.razorpayPaymentId || null,
+    planOrderId: transaction.planOrderId ? transaction.planOrderId.toString() : null,
+    planId: transaction.planId ? transaction.planId.toString() : null,
+    status: transaction.status || 'completed',
+    createdAt: transaction.createdAt,
+    updatedAt: transaction.updatedAt,
+    isSynced: true,
+    localId: transaction.localId,
+    _id: transaction._id.toString()
+  }),
+  purchaseOrders: (order) => ({
+    id: order._id.toString(),
+    supplierName: order.supplierName,
+    items: order.items || [],
+    total: order.total || 0,
+    balanceDue: order.balanceDue !== undefined ? order.balanceDue : (order.paymentStatus === 'paid' ? 0 : order.total),
+    amountPaid: order.amountPaid || 0,
+    paymentStatus: order.paymentStatus || 'pending',
+    paymentMethod: order.paymentMethod || 'due',
+    status: order.status || 'pending',
+    notes: order.notes || '',
+    expectedDeliveryDate: order.expectedDeliveryDate,
+    actualDeliveryDate: order.actualDeliveryDate,
+    cancelledAt: order.cancelledAt,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+    isSynced: true,
+    localId: order.localId,
+    _id: order._id.toString()
+  }),
+  categories: (category) => ({
+    id: category._id.toString(),
+    name: category.name,
+    description: category.description || '',
+    image: category.image || '',
+    onlineSale: category.onlineSale !== false,
+    isActive: category.isActive !== undefined ? category.isActive : true,
+    createdAt: category.createdAt,
+    updatedAt: category.updatedAt,
+    isSynced: true,
+    localId: category.localId,
+    _id: category._id.toString()
+  }),
+  refunds: (refund) => ({
+    id: refund._id.toString(),
+    orderId: refund.orderId?.toString() || refund.orderId,
+    customerId: refund.customerId?.toString() || refund.customerId || null,
+    sellerId: refund.sellerId?.toString() || refund.sellerId,
+    items: refund.items || [],
+    totalRefundAmount: refund.totalRefundAmount || 0,
+    reason: refund.reason || '',
+    refundedByUser: refund.refundedByUser || '',
+    createdAt: refund.createdAt,
+    updatedAt: refund.updatedAt,
+    isSynced: true,
+    localId: refund.localId,
+    _id: refund._id.toString()
+  }),
+  plans: (plan) => ({
+    id: plan._id.toString(),
+    name: plan.name,
+    price: plan.price || 0,
+    durationDays: plan.durationDays || 30,
+    planType: plan.planType || 'standard',
+    maxCustomers: plan.maxCustomers,
+    maxProducts: plan.maxProducts,
+    maxOrders: plan.maxOrders,
+    description: plan.description || '',
+    features: plan.features || [],
+    popular: plan.popular || false,
+    unlockedModules: plan.unlockedModules || [],
+    createdAt: plan.createdAt,
+    updatedAt: plan.updatedAt,
+    isSynced: true,
+    _id: plan._id.toString()
+  }),
+  planOrders: (planOrder) => ({
+    id: planOrder._id.toString(),
+    planId: planOrder.planId,
+    sellerId: planOrder.sellerId?.toString() || planOrder.sellerId,
+    status: planOrder.status || 'active',
+    paymentStatus: planOrder.paymentStatus || 'pending',
+    paymentMethod: planOrder.paymentMethod || '',
+    amount: planOrder.amount || 0,
+    expiryDate: planOrder.expiryDate,
+    razorpayOrderId: planOrder.razorpayOrderId || '',
+    razorpayPaymentId: planOrder.razorpayPaymentId || '',
+    createdAt: planOrder.createdAt,
+    updatedAt: planOrder.updatedAt,
+    isSynced: true,
+    _id: planOrder._id.toString(),
+    planName: planOrder.planId?.name || 'Unknown Plan',
+    planType: planOrder.planId?.planType || 'standard'
+  }),
+  expenses: (expense) => ({
+    id: expense._id.toString(),
+    sellerId: expense.sellerId,
+    amount: expense.amount,
+    category: expense.category,
+    description: expense.description,
+    date: expense.date,
+    createdAt: expense.createdAt,
+    updatedAt: expense.updatedAt,
+    isSynced: true,
+    localId: expense.localId,
+    _id: expense._id.toString()
+  }),
+  customerTransactions: (tx) => ({
+    id: tx._id.toString(),
+    _id: tx._id.toString(),
+    sellerId: tx.sellerId.toString(),
+    customerId: tx.customerId.toString(),
+    orderId: tx.orderId ? tx.orderId.toString() : null,
+    type: tx.type,
+    amount: tx.amount,
+    previousBalance: tx.previousBalance || 0,
+    currentBalance: tx.currentBalance || 0,
+    date: tx.date,
+    description: tx.description,
+    localId: tx.localId,
+    isDeleted: tx.isDeleted,
+    createdAt: tx.createdAt,
+    updatedAt: tx.updatedAt,
+    isSynced: true
+  }),
+  suppliers: (supplier) => ({
+    id: supplier._id.toString(),
+    name: supplier.name,
+    mobileNumber: supplier.mobileNumber,
+    phone: supplier.mobileNumber, // Backward compatibility
+    email: supplier.email,
+    dueAmount: supplier.dueAmount || 0,
+    balanceDue: supplier.dueAmount || 0, // Frontend compatibility
+    address: supplier.address,
+    gstNumber: supplier.gstNumber,
+    createdAt: supplier.createdAt,
+    updatedAt: supplier.updatedAt,
+    isSynced: true,
+    localId: supplier.localId,
+    _id: supplier._id.toString()
+  }),
+  supplierTransactions: (tx) => ({
+    id: tx._id.toString(),
+    _id: tx._id.toString(),
+    sellerId: tx.sellerId.toString(),
+    supplierId: tx.supplierId.toString(),
+    orderId: tx.orderId ? tx.orderId.toString() : null,
+    type: tx.type,
+    amount: tx.amount,
+    previousBalance: tx.previousBalance || 0,
+    currentBalance: tx.currentBalance || 0,
+    date: tx.date,
+    description: tx.description,
+    localId: tx.localId,
+    isDeleted: tx.isDeleted,
+    createdAt: tx.createdAt,
+    updatedAt: tx.updatedAt,
+    isSynced: true
+  }),
+  dProducts: (p) => ({
+    id: p._id.toString(),
+    _id: p._id.toString(),
+    sellerId: p.sellerId.toString(),
+    pCode: p.pCode,
+    productName: p.productName,
+    unit: p.unit,
+    taxPercentage: p.taxPercentage,
+    isActive: p.isActive,
+    localId: p.localId,
+    isDeleted: p.isDeleted,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+    isSynced: true
+  }),
+  settings: (storeSettings) => ({
+    ...storeSettings.toObject(),
+    id: storeSettings._id.toString(),
+    _id: storeSettings._id.toString(),
+    isSynced: true
+  }),
+  targets: (target) => ({
+    id: target._id.toString(),
+    sellerId: target.sellerId.toString(),
+    targetAmount: target.targetAmount,
+    date: target.date,
+    localId: target.localId,
+    isDeleted: target.isDeleted,
+    createdAt: target.createdAt,
+    updatedAt: target.updatedAt,
+    isSynced: true,
+    _id: target._id.toString()
+  }),
+  stockTakes: formatStockTake
+};
+
+/**
+ * Collections that changed since the device's lastFetchTimes
+ * Checks sync tracking first (catches deletions), then falls back to the collection itself
+ */
+const getChangedDataTypes = async (sellerId, lastFetchTimes, syncTracking) => {
+  const changedDataTypes = [];
+
+  // Check each data type for changes individually
+  for (const dataType of ALL_DATA_TYPES) {
+    const lastFetchTime = lastFetchTimes[dataType];
+    let hasChanges = false;
+
+    // console.log(`🔄 GET ALL DATA: Checking ${dataType} for changes since ${lastFetchTime || 'never'}`);
+
+    try {
+      if (lastFetchTime) {
+        // Check sync tracking first (catches deletions and updates)
+        const latestUpdateTime = syncTracking ? syncTracking[`${dataType}LatestUpdateTime`] : null;
+        // console.log(`🔄 GET ALL DATA: ${dataType} - sync tracking latest: ${latestUpdateTime}, device lastFetch: ${lastFetchTime}`);
+
+        if (latestUpdateTime && new Date(latestUpdateTime) > new Date(lastFetchTime)) {
+          // console.log(`🔄 GET ALL DATA: ✅ ${dataType} sync tracking shows changes (latest: ${latestUpdateTime} > lastFetch: ${lastFetchTime})`);
+          hasChanges = true;
+        } else {
+          // console.log(`🔄 GET ALL DATA: Sync tracking shows no changes, checking database...`);
+          // Fallback to database check for updates/creations
+          switch (dataType) {
+            case 'customers':
+              hasChanges = await Customer.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'products':
+              hasChanges = await Product.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'productBatches':
+              const ProductBatch = require('../models/ProductBatch');
+              hasChanges = await ProductBatch.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'orders':
+              hasChanges = await Order.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'transactions':
+              hasChanges = await Transaction.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'purchaseOrders':
+              hasChanges = await VendorOrder.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'categories':
+              hasChanges = await ProductCategory.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'refunds':
+              hasChanges = await Refund.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'plans':
+              // Plans are global, check if any plan was updated after last fetch
+              hasChanges = await require('../models/Plan').findOne({
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'planOrders':
+              hasChanges = await require('../models/PlanOrder').findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'expenses':
+              hasChanges = await Expense.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'customerTransactions':
+              hasChanges = await CustomerTransaction.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'settings':
+              hasChanges = await OnlineStore.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'suppliers':
+              hasChanges = await Supplier.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'supplierTransactions':
+              hasChanges = await SupplierTransaction.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'dProducts':
+              const DProduct = require('../models/DProduct');
+              hasChanges = await DProduct.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'targets':
+              const Target = require('../models/Target');
+              hasChanges = await Target.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+            case 'stockTakes':
+              hasChanges = await StockTake.findOne({
+                sellerId,
+                updatedAt: { $gt: new Date(lastFetchTime) }
+              }).countDocuments() > 0;
+              break;
+          }
+        }
+      } else {
+        // No lastFetchTime means this is first fetch, so we need data
+        hasChanges = true;
+      }
+
+      if (hasChanges) {
+        // console.log(`🔄 GET ALL DATA: ✅ ${dataType} HAS changes - will fetch data`);
+        changedDataTypes.push(dataType);
+      } else {
+        // console.log(`🔄 GET ALL DATA: ⏭️ ${dataType} NO changes - skipping`);
+      }
+    } catch (checkError) {
+      console.error(`Error checking ${dataType} changes:`, checkError);
+      // If we can't check, assume there are changes to be safe
+      changedDataTypes.push(dataType);
+    }
+  }
+
+  return changedDataTypes;
+};
+
 /**
  * Get all data at once
  */
@@ -1751,9 +3059,7 @@ const getAllData = async (req, res) => {
     await ensureTimestamps(sellerId);
 
     // Initialize variables for tracking changes
-    const dataTypesToCheck = ['customers', 'products', 'productBatches', 'orders', 'transactions', 'purchaseOrders', 'categories', 'refunds', 'plans', 'planOrders', 'expenses', 'customerTransactions', 'suppliers', 'supplierTransactions', 'dProducts', 'settings', 'targets'];
     const changedDataTypes = [];
-    let hasAnyChanges = false;
 
     // Get sync tracking to check for latest update times - always ensure document is complete
     let syncTracking = null;
@@ -1765,156 +3071,10 @@ const getAllData = async (req, res) => {
 
     // If lastFetchTimes provided, check if any data changed
     if (lastFetchTimes && typeof lastFetchTimes === 'object') {
-
-      // Check each data type for changes individually
-      for (const dataType of dataTypesToCheck) {
-        const lastFetchTime = lastFetchTimes[dataType];
-        let hasChanges = false;
-
-        // console.log(`🔄 GET ALL DATA: Checking ${dataType} for changes since ${lastFetchTime || 'never'}`);
-
-        try {
-          if (lastFetchTime) {
-            // Check sync tracking first (catches deletions and updates)
-            const latestUpdateTime = syncTracking ? syncTracking[`${dataType}LatestUpdateTime`] : null;
-            // console.log(`🔄 GET ALL DATA: ${dataType} - sync tracking latest: ${latestUpdateTime}, device lastFetch: ${lastFetchTime}`);
-
-            if (latestUpdateTime && new Date(latestUpdateTime) > new Date(lastFetchTime)) {
-              // console.log(`🔄 GET ALL DATA: ✅ ${dataType} sync tracking shows changes (latest: ${latestUpdateTime} > lastFetch: ${lastFetchTime})`);
-              hasChanges = true;
-            } else {
-              // console.log(`🔄 GET ALL DATA: Sync tracking shows no changes, checking database...`);
-              // Fallback to database check for updates/creations
-              switch (dataType) {
-                case 'customers':
-                  hasChanges = await Customer.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'products':
-                  hasChanges = await Product.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'productBatches':
-                  const ProductBatch = require('../models/ProductBatch');
-                  hasChanges = await ProductBatch.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'orders':
-                  hasChanges = await Order.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'transactions':
-                  hasChanges = await Transaction.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'purchaseOrders':
-                  hasChanges = await VendorOrder.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'categories':
-                  hasChanges = await ProductCategory.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'refunds':
-                  hasChanges = await Refund.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'plans':
-                  // Plans are global, check if any plan was updated after last fetch
-                  hasChanges = await require('../models/Plan').findOne({
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'planOrders':
-                  hasChanges = await require('../models/PlanOrder').findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'expenses':
-                  hasChanges = await Expense.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'customerTransactions':
-                  hasChanges = await CustomerTransaction.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'settings':
-                  hasChanges = await OnlineStore.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'suppliers':
-                  hasChanges = await Supplier.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'supplierTransactions':
-                  hasChanges = await SupplierTransaction.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'dProducts':
-                  const DProduct = require('../models/DProduct');
-                  hasChanges = await DProduct.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-                case 'targets':
-                  const Target = require('../models/Target');
-                  hasChanges = await Target.findOne({
-                    sellerId,
-                    updatedAt: { $gt: new Date(lastFetchTime) }
-                  }).countDocuments() > 0;
-                  break;
-              }
-            }
-          } else {
-            // No lastFetchTime means this is first fetch, so we need data
-            hasChanges = true;
-          }
-
-          if (hasChanges) {
-            // console.log(`🔄 GET ALL DATA: ✅ ${dataType} HAS changes - will fetch data`);
-            changedDataTypes.push(dataType);
-            hasAnyChanges = true;
-          } else {
-            // console.log(`🔄 GET ALL DATA: ⏭️ ${dataType} NO changes - skipping`);
-          }
-        } catch (checkError) {
-          console.error(`Error checking ${dataType} changes:`, checkError);
-          // If we can't check, assume there are changes to be safe
-          changedDataTypes.push(dataType);
-          hasAnyChanges = true;
-        }
-      }
+      changedDataTypes.push(...await getChangedDataTypes(sellerId, lastFetchTimes, syncTracking));
 
       // If no changes detected, return early with needUpdate: false
-      if (!hasAnyChanges) {
+      if (changedDataTypes.length === 0) {
         // console.log('🔄 GET ALL DATA: ✅ No data changes detected - returning needUpdate: false');
         return res.json({
           success: true,
@@ -1926,11 +3086,11 @@ const getAllData = async (req, res) => {
       // console.log(`🔄 GET ALL DATA: 📥 Fetching data only for changed collections: ${changedDataTypes.join(', ')}`);
 
       // Log summary of what we're doing
-      // console.log(`🔄 GET ALL DATA: Efficiency improvement - fetching ${changedDataTypes.length}/${dataTypesToCheck.length} collections instead of all data`);
+      // console.log(`🔄 GET ALL DATA: Efficiency improvement - fetching ${changedDataTypes.length}/${ALL_DATA_TYPES.length} collections instead of all data`);
     } else {
       // No lastFetchTimes provided - fetch all data
       // console.log('🔄 GET ALL DATA: No lastFetchTimes provided - fetching all data');
-      changedDataTypes.push(...dataTypesToCheck);
+      changedDataTypes.push(...ALL_DATA_TYPES);
     }
 
     // Fetch data for collections that need to be updated
@@ -1943,14 +3103,14 @@ const getAllData = async (req, res) => {
     changedDataTypes.forEach(dataType => {
       switch (dataType) {
         case 'customers':
-          fetchPromises.push(Customer.find({ sellerId }).sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.customers(sellerId).sort({ createdAt: -1 }));
           fetchMap.customers = fetchPromises.length - 1;
           break;
         case 'products':
           // Use the enhanced getProducts logic that includes batch data and total stock calculation
           fetchPromises.push((async () => {
             try {
-              const products = await Product.find({ sellerId }).populate('categoryId', 'name').sort({ createdAt: -1 });
+              const products = await ALL_DATA_QUERIES.products(sellerId).sort({ createdAt: -1 });
               // console.log(`🔄 GET ALL DATA: Found ${products.length} products for seller ${sellerId}`);
 
               // Get all batches for this seller
@@ -1983,80 +3143,13 @@ const getAllData = async (req, res) => {
                     latestBatch: null
                   };
                 }
-                productBatchData[productId].totalStock += batch.quantity;
-                productBatchData[productId].batches.push(batch);
-
-                // Track the latest batch for pricing (by expiry date, or creation date if no expiry)
-                if (!productBatchData[productId].latestBatch ||
-                  (batch.expiry && productBatchData[productId].latestBatch.expiry &&
-                    batch.expiry > productBatchData[productId].latestBatch.expiry) ||
-                  (!batch.expiry && !productBatchData[productId].latestBatch.expiry &&
-                    batch.createdAt > productBatchData[productId].latestBatch.createdAt)) {
-                  productBatchData[productId].latestBatch = batch;
-                }
+                addBatchToProductData(productBatchData[productId], batch);
               });
 
 
 
               // Transform to match frontend format - now using batch data
-              const formattedProducts = products.map(product => {
-                const productId = product._id.toString();
-                const batchData = productBatchData[productId] || { totalStock: 0, batches: [], latestBatch: null };
-
-                // console.log(`🔄 GET ALL DATA: Product ${product.name} (${productId}) - totalStock: ${batchData.totalStock}, batches: ${batchData.batches.length}`);
-
-                return {
-                  id: product._id.toString(),
-                  name: product.name,
-                  barcode: product.barcode || '',
-                  categoryId: product.categoryId && product.categoryId._id ? product.categoryId._id.toString() : (typeof product.categoryId === 'string' ? product.categoryId : null),
-                  category: product.categoryId ? product.categoryId.name : '',
-                  stock: batchData.totalStock, // Now calculated from batches
-                  quantity: batchData.totalStock, // Frontend compatibility
-                  unit: product.unit || 'pcs',
-                  costPrice: batchData.latestBatch ? batchData.latestBatch.costPrice : 0,
-                  unitPrice: batchData.latestBatch ? batchData.latestBatch.costPrice : 0, // Frontend compatibility
-                  sellingUnitPrice: batchData.latestBatch ? batchData.latestBatch.sellingUnitPrice : 0,
-                  sellingPrice: batchData.latestBatch ? batchData.latestBatch.sellingUnitPrice : 0, // Backward compatibility
-                  lowStockLevel: product.lowStockLevel || 10,
-                  trackExpiry: product.trackExpiry !== undefined ? product.trackExpiry : false,
-                  expiryThreshold: product.expiryThreshold !== undefined ? product.expiryThreshold : 30, // Added expiryThreshold
-                  mfg: batchData.latestBatch ? batchData.latestBatch.mfg : null,
-                  mfgDate: batchData.latestBatch ? batchData.latestBatch.mfg : null, // Backward compatibility
-                  expiryDate: batchData.latestBatch ? batchData.latestBatch.expiry : null,
-                  description: product.description || '',
-                  isActive: product.isActive !== undefined ? product.isActive : true,
-                  createdAt: product.createdAt,
-                  updatedAt: product.updatedAt,
-                  isSynced: true,
-                  wholesalePrice: product.wholesalePrice || 0,
-                  wholesaleMOQ: product.wholesaleMOQ || 1,
-                  longDescription: product.longDescription || '',
-                  isFeatured: product.isFeatured || false,
-                  discountPrice: product.discountPrice || 0,
-                  images: product.images || [],
-                  onlineSale: product.onlineSale !== false,
-                  hsnCode: product.hsnCode || '',
-                  gstPercent: product.gstPercent || 0,
-                  isGstInclusive: product.isGstInclusive !== undefined ? product.isGstInclusive : true,
-                  localId: product.localId,
-                  _id: product._id.toString(),
-                  // Add batch information
-                  batches: batchData.batches.map(batch => ({
-                    id: batch._id.toString(),
-                    batchNumber: batch.batchNumber,
-                    mfg: batch.mfg,
-                    expiry: batch.expiry,
-                    quantity: batch.quantity,
-                    costPrice: batch.costPrice,
-                    sellingUnitPrice: batch.sellingUnitPrice,
-                    wholesalePrice: batch.wholesalePrice || 0,
-                    createdAt: batch.createdAt,
-                    updatedAt: batch.updatedAt,
-                    localId: batch.localId
-                  }))
-                };
-              });
+              const formattedProducts = products.map(product => formatProductWithBatches(product, productBatchData[product._id.toString()]));
 
               // console.log(`🔄 GET ALL DATA: Returning ${formattedProducts.length} formatted products`);
               return formattedProducts;
@@ -2158,65 +3251,56 @@ const getAllData = async (req, res) => {
           fetchMap.products = fetchPromises.length - 1;
           break;
         case 'productBatches':
-          const ProductBatchModel = require('../models/ProductBatch');
-          fetchPromises.push(ProductBatchModel.find({ sellerId, isDeleted: false }).populate('productId', 'name').sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.productBatches(sellerId).populate('productId', 'name').sort({ createdAt: -1 }));
           fetchMap.productBatches = fetchPromises.length - 1;
           break;
         case 'orders':
-          fetchPromises.push(Order.find({ sellerId }).populate('customerId', 'name mobileNumber address').lean().sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.orders(sellerId).sort({ createdAt: -1 }));
           fetchMap.orders = fetchPromises.length - 1;
           break;
         case 'transactions':
-          fetchPromises.push(Transaction.find({ sellerId }).sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.transactions(sellerId).sort({ createdAt: -1 }));
           fetchMap.transactions = fetchPromises.length - 1;
           break;
         case 'purchaseOrders':
-          fetchPromises.push(VendorOrder.find({ sellerId }).sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.purchaseOrders(sellerId).sort({ createdAt: -1 }));
           fetchMap.purchaseOrders = fetchPromises.length - 1;
           break;
         case 'categories':
-          fetchPromises.push(ProductCategory.find({ sellerId }).sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.categories(sellerId).sort({ createdAt: -1 }));
           fetchMap.categories = fetchPromises.length - 1;
           break;
         case 'refunds':
-          fetchPromises.push(Refund.find({ sellerId }).sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.refunds(sellerId).sort({ createdAt: -1 }));
           fetchMap.refunds = fetchPromises.length - 1;
           break;
         case 'plans':
-          fetchPromises.push(require('../models/Plan').find({}).sort({ createdAt: -1 })); // Plans are global
+          fetchPromises.push(ALL_DATA_QUERIES.plans().sort({ createdAt: -1 })); // Plans are global
           fetchMap.plans = fetchPromises.length - 1;
           break;
         case 'planOrders':
           // Return all completed plan orders for achievements tracking
-          fetchPromises.push(require('../models/PlanOrder').find({
-            sellerId,
-            paymentStatus: 'completed'
-          }).populate({
-            path: 'planId',
-            select: 'name unlockedModules lockedModules planType'
-          }).sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.planOrders(sellerId).sort({ createdAt: -1 }));
           fetchMap.planOrders = fetchPromises.length - 1;
           break;
         case 'expenses':
-          fetchPromises.push(Expense.find({ sellerId }).sort({ date: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.expenses(sellerId).sort({ date: -1 }));
           fetchMap.expenses = fetchPromises.length - 1;
           break;
         case 'customerTransactions':
-          const CustomerTransactionModel = require('../models/CustomerTransaction');
-          fetchPromises.push(CustomerTransactionModel.find({ sellerId }).sort({ date: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.customerTransactions(sellerId).sort({ date: -1 }));
           fetchMap.customerTransactions = fetchPromises.length - 1;
           break;
         case 'suppliers':
-          fetchPromises.push(Supplier.find({ sellerId, isDeleted: { $ne: true } }).sort({ createdAt: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.suppliers(sellerId).sort({ createdAt: -1 }));
           fetchMap.suppliers = fetchPromises.length - 1;
           break;
         case 'supplierTransactions':
-          fetchPromises.push(SupplierTransaction.find({ sellerId }).sort({ date: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.supplierTransactions(sellerId).sort({ date: -1 }));
           fetchMap.supplierTransactions = fetchPromises.length - 1;
           break;
         case 'dProducts':
-          const DProductModel = require('../models/DProduct');
-          fetchPromises.push(require('../models/DProduct').find({ sellerId }));
+          fetchPromises.push(ALL_DATA_QUERIES.dProducts(sellerId));
           fetchMap.dProducts = fetchPromises.length - 1;
           break;
         case 'settings':
@@ -2225,295 +3309,76 @@ const getAllData = async (req, res) => {
           fetchMap.settings = fetchPromises.length - 1;
           break;
         case 'targets':
-          fetchPromises.push(require('../models/Target').find({ sellerId }).sort({ date: -1 }));
+          fetchPromises.push(ALL_DATA_QUERIES.targets(sellerId).sort({ date: -1 }));
           fetchMap.targets = fetchPromises.length - 1;
           break;
+        case 'stockTakes':
+          fetchPromises.push(ALL_DATA_QUERIES.stockTakes(sellerId).sort({ createdAt: -1 }));
+          fetchMap.stockTakes = fetchPromises.length - 1;
+          break;
 
-      }
-    });
-
-    // Execute only the necessary queries
-    const results = await Promise.all(fetchPromises);
-
-    // Extract results into variables
-    const customers = fetchMap.customers !== undefined ? results[fetchMap.customers] : [];
-    const products = fetchMap.products !== undefined ? results[fetchMap.products] : [];
-    const productBatches = fetchMap.productBatches !== undefined ? results[fetchMap.productBatches] : [];
-    const orders = fetchMap.orders !== undefined ? results[fetchMap.orders] : [];
-    const transactions = fetchMap.transactions !== undefined ? results[fetchMap.transactions] : [];
-    const vendorOrders = fetchMap.purchaseOrders !== undefined ? results[fetchMap.purchaseOrders] : [];
-    const categories = fetchMap.categories !== undefined ? results[fetchMap.categories] : [];
-    const refunds = fetchMap.refunds !== undefined ? results[fetchMap.refunds] : [];
-    const plans = fetchMap.plans !== undefined ? results[fetchMap.plans] : [];
-    const planOrders = fetchMap.planOrders !== undefined ? results[fetchMap.planOrders] : [];
-
-    const expenses = fetchMap.expenses !== undefined ? results[fetchMap.expenses] : [];
-    const customerTransactions = fetchMap.customerTransactions !== undefined ? results[fetchMap.customerTransactions] : [];
-    const suppliers = fetchMap.suppliers !== undefined ? results[fetchMap.suppliers] : [];
-    const supplierTransactions = fetchMap.supplierTransactions !== undefined ? results[fetchMap.supplierTransactions] : [];
-    const dProducts = fetchMap.dProducts !== undefined ? results[fetchMap.dProducts] : [];
-    const storeSettings = fetchMap.settings !== undefined ? results[fetchMap.settings] : null;
-    const targets = fetchMap.targets !== undefined ? results[fetchMap.targets] : [];
-
-    // Format customers
-    const formattedCustomers = customers.map(customer => ({
-      id: customer._id.toString(),
-      name: customer.name,
-      mobileNumber: customer.mobileNumber,
-      phone: customer.mobileNumber,
-      email: customer.email,
-      dueAmount: customer.dueAmount || 0,
-      balanceDue: customer.dueAmount || 0, // Frontend compatibility - ensure balanceDue is set
-      createdAt: customer.createdAt,
-      updatedAt: customer.updatedAt,
-      isSynced: true,
-      localId: customer.localId,
-      _id: customer._id.toString(),
-      isDeleted: customer.isDeleted
-    }));
-
-    // Format plans (global data)
-    const formattedPlans = plans.map(plan => ({
-      id: plan._id.toString(),
-      name: plan.name,
-      price: plan.price || 0,
-      durationDays: plan.durationDays || 30,
-      planType: plan.planType || 'standard',
-      maxCustomers: plan.maxCustomers,
-      maxProducts: plan.maxProducts,
-      maxOrders: plan.maxOrders,
-      description: plan.description || '',
-      features: plan.features || [],
-      popular: plan.popular || false,
-      unlockedModules: plan.unlockedModules || [],
-      createdAt: plan.createdAt,
-      updatedAt: plan.updatedAt,
-      isSynced: true,
-      _id: plan._id.toString()
-    }));
-
-    // Format plan orders
-    const formattedPlanOrders = planOrders.map(planOrder => ({
-      id: planOrder._id.toString(),
-      planId: planOrder.planId,
-      sellerId: planOrder.sellerId?.toString() || planOrder.sellerId,
-      status: planOrder.status || 'active',
-      paymentStatus: planOrder.paymentStatus || 'pending',
-      paymentMethod: planOrder.paymentMethod || '',
-      amount: planOrder.amount || 0,
-      expiryDate: planOrder.expiryDate,
-      razorpayOrderId: planOrder.razorpayOrderId || '',
-      razorpayPaymentId: planOrder.razorpayPaymentId || '',
-      createdAt: planOrder.createdAt,
-      updatedAt: planOrder.updatedAt,
-      isSynced: true,
-      _id: planOrder._id.toString(),
-      planName: planOrder.planId?.name || 'Unknown Plan',
-      planType: planOrder.planId?.planType || 'standard'
-    }));
-
-
-    // Products are already formatted in the fetch phase (to include batch data)
-    const formattedProducts = products;
-
-    // Format product batches
-    const formattedProductBatches = productBatches.map(batch => ({
-      id: batch._id.toString(),
-      sellerId: batch.sellerId?.toString(),
-      productId: batch.productId?.toString(),
-      batchNumber: batch.batchNumber || '',
-      mfg: batch.mfg,
-      expiry: batch.expiry,
-      quantity: batch.quantity || 0,
-      costPrice: batch.costPrice || 0,
-      sellingUnitPrice: batch.sellingUnitPrice || 0,
-      wholesalePrice: batch.wholesalePrice || 0,
-      wholesaleMOQ: batch.wholesaleMOQ || 1,
-      createdAt: batch.createdAt,
-      updatedAt: batch.updatedAt,
-      isSynced: true,
-      localId: batch.localId,
-      _id: batch._id.toString()
-    }));
-
-    // Format expenses
-    const formattedExpenses = expenses.map(expense => ({
-      id: expense._id.toString(),
-      sellerId: expense.sellerId,
-      amount: expense.amount,
-      category: expense.category,
-      description: expense.description,
-      date: expense.date,
-      createdAt: expense.createdAt,
-      updatedAt: expense.updatedAt,
-      isSynced: true,
-      localId: expense.localId,
-      _id: expense._id.toString()
-    }));
-
-
-
-    // Format orders
-    const parseNumeric = (value) => {
-      const num = Number(value);
-      return Number.isFinite(num) ? num : null;
-    };
-
-    const formattedOrders = orders.map((order, index) => {
+      }
+    });
 
-      const items = order.items || [];
-      const subtotalValue = parseNumeric(order.subtotal);
-      const subtotal = subtotalValue !== null
-        ? subtotalValue
-        : items.reduce((sum, item) => {
-          const price = parseNumeric(item.sellingPrice) ?? parseNumeric(item.price) ?? 0;
-          const qty = parseNumeric(item.quantity) ?? 0;
-          return sum + price * qty;
-        }, 0);
+    // Execute only the necessary queries
+    const results = await Promise.all(fetchPromises);
 
-      const rawDiscountAmount = parseNumeric(order.discount) ?? parseNumeric(order.discountAmount) ?? 0;
-      const rawTaxAmount = parseNumeric(order.tax) ?? parseNumeric(order.taxAmount) ?? 0;
+    // Extract results into variables
+    const customers = fetchMap.customers !== undefined ? results[fetchMap.customers] : [];
+    const products = fetchMap.products !== undefined ? results[fetchMap.products] : [];
+    const productBatches = fetchMap.productBatches !== undefined ? results[fetchMap.productBatches] : [];
+    const orders = fetchMap.orders !== undefined ? results[fetchMap.orders] : [];
+    const transactions = fetchMap.transactions !== undefined ? results[fetchMap.transactions] : [];
+    const vendorOrders = fetchMap.purchaseOrders !== undefined ? results[fetchMap.purchaseOrders] : [];
+    const categories = fetchMap.categories !== undefined ? results[fetchMap.categories] : [];
+    const refunds = fetchMap.refunds !== undefined ? results[fetchMap.refunds] : [];
+    const plans = fetchMap.plans !== undefined ? results[fetchMap.plans] : [];
+    const planOrders = fetchMap.planOrders !== undefined ? results[fetchMap.planOrders] : [];
 
-      const discountPercentValue = parseNumeric(order.discountPercent);
-      const discountPercent = discountPercentValue !== null
-        ? discountPercentValue
-        : (subtotal > 0 ? (rawDiscountAmount / subtotal) * 100 : 0);
+    const expenses = fetchMap.expenses !== undefined ? results[fetchMap.expenses] : [];
+    const customerTransactions = fetchMap.customerTransactions !== undefined ? results[fetchMap.customerTransactions] : [];
+    const suppliers = fetchMap.suppliers !== undefined ? results[fetchMap.suppliers] : [];
+    const supplierTransactions = fetchMap.supplierTransactions !== undefined ? results[fetchMap.supplierTransactions] : [];
+    const dProducts = fetchMap.dProducts !== undefined ? results[fetchMap.dProducts] : [];
+    const storeSettings = fetchMap.settings !== undefined ? results[fetchMap.settings] : null;
+    const targets = fetchMap.targets !== undefined ? results[fetchMap.targets] : [];
+    const stockTakes = fetchMap.stockTakes !== undefined ? results[fetchMap.stockTakes] : [];
 
-      const discountAmount = rawDiscountAmount > 0
-        ? rawDiscountAmount
-        : subtotal * (discountPercent / 100);
+    // Format customers
+    const formattedCustomers = customers.map(ALL_DATA_FORMATTERS.customers);
 
-      const taxableBase = Math.max(0, subtotal - discountAmount);
+    // Format plans (global data)
+    const formattedPlans = plans.map(ALL_DATA_FORMATTERS.plans);
 
-      const taxPercentValue = parseNumeric(order.taxPercent);
-      const taxPercent = taxPercentValue !== null
-        ? taxPercentValue
-        : (taxableBase > 0 ? (rawTaxAmount / taxableBase) * 100 : 0);
+    // Format plan orders
+    const formattedPlanOrders = planOrders.map(ALL_DATA_FORMATTERS.planOrders);
 
-      const taxAmount = rawTaxAmount > 0
-        ? rawTaxAmount
-        : taxableBase * (taxPercent / 100);
 
-      const totalAmountValue = parseNumeric(order.totalAmount);
-      const totalAmount = totalAmountValue !== null
-        ? totalAmountValue
-        : Math.max(0, taxableBase + taxAmount);
+    // Products are already formatted in the fetch phase (to include batch data)
+    const formattedProducts = products;
 
-      // Preserve splitPaymentDetails exactly as stored in MongoDB
-      // Don't use || null as it will convert empty objects or objects with 0 values to null
-      let splitPaymentDetails = null;
-      if (order.splitPaymentDetails !== undefined && order.splitPaymentDetails !== null) {
-        // Include splitPaymentDetails exactly as it is in MongoDB
-        splitPaymentDetails = order.splitPaymentDetails;
-      }
+    // Format product batches
+    const formattedProductBatches = productBatches.map(ALL_DATA_FORMATTERS.productBatches);
 
-      return {
-        id: order._id.toString(),
-        sellerId: order.sellerId.toString(),
-        customerId: order.customerId ? order.customerId._id.toString() : null,
-        customerName: order.customerName || (order.customerId ? order.customerId.name : 'Walk-in Customer'),
-        customerMobile: order.customerMobile || (order.customerId ? (order.customerId.mobileNumber || order.customerId.phone || '') : ''),
-        paymentMethod: order.paymentMethod || 'cash',
-        splitPaymentDetails: splitPaymentDetails,
-        items,
-        subtotal,
-        discountPercent,
-        discountAmount,
-        taxPercent,
-        taxAmount,
-        totalAmount,
-        createdAt: order.createdAt,
-        updatedAt: order.updatedAt,
-        isSynced: true,
-        localId: order.localId,
-        invoiceNumber: order.invoiceNumber,
-        orderSource: order.orderSource || 'in-store',
-        orderStatus: order.orderStatus || 'Completed',
+    // Format expenses
+    const formattedExpenses = expenses.map(ALL_DATA_FORMATTERS.expenses);
 
-        deliveryAddress: order.deliveryAddress || (order.customerId ? order.customerId.address : '') || '',
-        orderNotes: order.orderNotes || '',
-        deliveryType: order.deliveryType || 'delivery',
-        deliveryCharge: order.deliveryCharge || 0,
-        _id: order._id.toString()
-      };
-    });
+
+
+    // Format orders
+    const formattedOrders = orders.map(ALL_DATA_FORMATTERS.orders);
 
     // Format transactions
-    const formattedTransactions = transactions.map(transaction => ({
-      id: transaction._id.toString(),
-      type: transaction.type,
-      customerId: transaction.customerId || null,
-      customerName: transaction.customerName || '',
-      amount: transaction.amount || 0,
-      total: transaction.amount || 0,
-      paymentMethod: transaction.paymentMethod || 'cash',
-      description: transaction.description || '',
-      date: transaction.date || transaction.createdAt,
-      razorpayOrderId: transaction.razorpayOrderId || null,
-      razorpayPaymentId: transaction.razorpayPaymentId || null,
-      planOrderId: transaction.planOrderId ? transaction.planOrderId.toString() : null,
-      planId: transaction.planId ? transaction.planId.toString() : null,
-      status: transaction.status || 'completed',
-      createdAt: transaction.createdAt,
-      updatedAt: transaction.updatedAt,
-      isSynced: true,
-      localId: transaction.localId,
-      _id: transaction._id.toString()
-    }));
+    const formattedTransactions = transactions.map(ALL_DATA_FORMATTERS.transactions);
 
     // Format vendor orders
-    const formattedVendorOrders = vendorOrders.map(order => ({
-      id: order._id.toString(),
-      supplierName: order.supplierName,
-      items: order.items || [],
-      total: order.total || 0,
-      balanceDue: order.balanceDue !== undefined ? order.balanceDue : (order.paymentStatus === 'paid' ? 0 : order.total),
-      amountPaid: order.amountPaid || 0,
-      paymentStatus: order.paymentStatus || 'pending',
-      paymentMethod: order.paymentMethod || 'due',
-      status: order.status || 'pending',
-      notes: order.notes || '',
-      expectedDeliveryDate: order.expectedDeliveryDate,
-      actualDeliveryDate: order.actualDeliveryDate,
-      cancelledAt: order.cancelledAt,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt,
-      isSynced: true,
-      localId: order.localId,
-      _id: order._id.toString()
-    }));
+    const formattedVendorOrders = vendorOrders.map(ALL_DATA_FORMATTERS.purchaseOrders);
 
     // Format categories
-    const formattedCategories = categories.map(category => ({
-      id: category._id.toString(),
-      name: category.name,
-      description: category.description || '',
-      image: category.image || '',
-      onlineSale: category.onlineSale !== false,
-      isActive: category.isActive !== undefined ? category.isActive : true,
-      createdAt: category.createdAt,
-      updatedAt: category.updatedAt,
-      isSynced: true,
-      localId: category.localId,
-      _id: category._id.toString()
-    }));
+    const formattedCategories = categories.map(ALL_DATA_FORMATTERS.categories);
 
     // Format refunds
-    const formattedRefunds = refunds.map(refund => ({
-      id: refund._id.toString(),
-      orderId: refund.orderId?.toString() || refund.orderId,
-      customerId: refund.customerId?.toString() || refund.customerId || null,
-      sellerId: refund.sellerId?.toString() || refund.sellerId,
-      items: refund.items || [],
-      totalRefundAmount: refund.totalRefundAmount || 0,
-      reason: refund.reason || '',
-      refundedByUser: refund.refundedByUser || '',
-      createdAt: refund.createdAt,
-      updatedAt: refund.updatedAt,
-      isSynced: true,
-      localId: refund.localId,
-      _id: refund._id.toString()
-    }));
+    const formattedRefunds = refunds.map(ALL_DATA_FORMATTERS.refunds);
 
     // Build response data object with only changed collections
     const responseData = {};
@@ -2553,105 +3418,29 @@ const getAllData = async (req, res) => {
           responseData.expenses = formattedExpenses;
           break;
         case 'customerTransactions':
-          responseData.customerTransactions = customerTransactions.map(tx => ({
-            id: tx._id.toString(),
-            _id: tx._id.toString(),
-            sellerId: tx.sellerId.toString(),
-            customerId: tx.customerId.toString(),
-            orderId: tx.orderId ? tx.orderId.toString() : null,
-            type: tx.type,
-            amount: tx.amount,
-            previousBalance: tx.previousBalance || 0,
-            currentBalance: tx.currentBalance || 0,
-            date: tx.date,
-            description: tx.description,
-            localId: tx.localId,
-            isDeleted: tx.isDeleted,
-            createdAt: tx.createdAt,
-            updatedAt: tx.updatedAt,
-            isSynced: true
-          }));
+          responseData.customerTransactions = customerTransactions.map(ALL_DATA_FORMATTERS.customerTransactions);
           break;
         case 'suppliers':
-          responseData.suppliers = suppliers.map(supplier => ({
-            id: supplier._id.toString(),
-            name: supplier.name,
-            mobileNumber: supplier.mobileNumber,
-            phone: supplier.mobileNumber, // Backward compatibility
-            email: supplier.email,
-            dueAmount: supplier.dueAmount || 0,
-            balanceDue: supplier.dueAmount || 0, // Frontend compatibility
-            address: supplier.address,
-            gstNumber: supplier.gstNumber,
-            createdAt: supplier.createdAt,
-            updatedAt: supplier.updatedAt,
-            isSynced: true,
-            localId: supplier.localId,
-            _id: supplier._id.toString()
-          }));
+          responseData.suppliers = suppliers.map(ALL_DATA_FORMATTERS.suppliers);
           break;
         case 'supplierTransactions':
-          responseData.supplierTransactions = supplierTransactions.map(tx => ({
-            id: tx._id.toString(),
-            _id: tx._id.toString(),
-            sellerId: tx.sellerId.toString(),
-            supplierId: tx.supplierId.toString(),
-            orderId: tx.orderId ? tx.orderId.toString() : null,
-            type: tx.type,
-            amount: tx.amount,
-            previousBalance: tx.previousBalance || 0,
-            currentBalance: tx.currentBalance || 0,
-            date: tx.date,
-            description: tx.description,
-            localId: tx.localId,
-            isDeleted: tx.isDeleted,
-            createdAt: tx.createdAt,
-            updatedAt: tx.updatedAt,
-            isSynced: true
-          }));
+          responseData.supplierTransactions = supplierTransactions.map(ALL_DATA_FORMATTERS.supplierTransactions);
           break;
         case 'dProducts':
-          responseData.dProducts = dProducts.map(p => ({
-            id: p._id.toString(),
-            _id: p._id.toString(),
-            sellerId: p.sellerId.toString(),
-            pCode: p.pCode,
-            productName: p.productName,
-            unit: p.unit,
-            taxPercentage: p.taxPercentage,
-            isActive: p.isActive,
-            localId: p.localId,
-            isDeleted: p.isDeleted,
-            createdAt: p.createdAt,
-            updatedAt: p.updatedAt,
-            isSynced: true
-          }));
+          responseData.dProducts = dProducts.map(ALL_DATA_FORMATTERS.dProducts);
           break;
         case 'settings':
           if (storeSettings) {
-            responseData.settings = [{
-              ...storeSettings.toObject(),
-              id: storeSettings._id.toString(),
-              _id: storeSettings._id.toString(),
-              isSynced: true
-            }];
+            responseData.settings = [ALL_DATA_FORMATTERS.settings(storeSettings)];
           } else {
             responseData.settings = [];
           }
           break;
         case 'targets':
-          responseData.targets = targets.map(target => ({
-            id: target._id.toString(),
-            sellerId: target.sellerId.toString(),
-            targetAmount: target.targetAmount,
-            date: target.date,
-            localId: target.localId,
-            isDeleted: target.isDeleted,
-            createdAt: target.createdAt,
-            updatedAt: target.updatedAt,
-            isSynced: true,
-            _id: target._id.toString()
-          }));
+          responseData.targets = targets.map(ALL_DATA_FORMATTERS.targets);
+          break;
+        case 'stockTakes':
+          responseData.stockTakes = stockTakes.map(ALL_DATA_FORMATTERS.stockTakes);
           break;
 
       }
@@ -2716,6 +3505,196 @@ const getAllData = async (req, res) => {
   }
 };
 
+/**
+ * Records of one collection for streamAllData, read through Mongo cursors
+ * Products are merged with their batches by walking both cursors in productId order
+ */
+async function* readAllDataRecords(dataType, sellerId) {
+  if (dataType === 'settings') {
+    const storeSettings = await OnlineStore.findOne({ sellerId });
+    if (storeSettings) {
+      yield ALL_DATA_FORMATTERS.settings(storeSettings);
+    }
+    return;
+  }
+
+  if (dataType !== 'products') {
+    for await (const doc of ALL_DATA_QUERIES[dataType](sellerId).sort({ _id: 1 }).cursor()) {
+      yield ALL_DATA_FORMATTERS[dataType](doc);
+    }
+    return;
+  }
+
+  const batchCursor = ProductBatch.find({
+    sellerId,
+    isDeleted: false,
+    productId: { $ne: null }
+  }).sort({ productId: 1, _id: 1 }).cursor();
+
+  try {
+    let batch = await batchCursor.next();
+    for await (const product of ALL_DATA_QUERIES.products(sellerId).sort({ _id: 1 }).cursor()) {
+      const productId = product._id.toString();
+      const batchData = { totalStock: 0, batches: [], latestBatch: null };
+
+      // Skip batches whose product no longer exists
+      while (batch && batch.productId.toString() < productId) {
+        batch = await batchCursor.next();
+      }
+      while (batch && batch.productId.toString() === productId) {
+        addBatchToProductData(batchData, batch);
+        batch = await batchCursor.next();
+      }
+
+      yield formatProductWithBatches(product, batchData);
+    }
+  } finally {
+    await batchCursor.close();
+  }
+}
+
+/**
+ * Get all data as a stream
+ * Same collections and change detection as getAllData, written as newline-delimited JSON
+ * (gzip when the client accepts it) so large sellers never build the response in memory:
+ *   { type: 'meta', ... }                               once, before any records
+ *   { type: 'record', collection, data }                one per record
+ *   { type: 'end', collection, count }                  after each collection
+ *   { type: 'done', ... }                               plan usage and record totals
+ * Errors after the first line are sent as { type: 'error', message } before the stream ends.
+ */
+const streamAllData = async (req, res) => {
+  let output = null;
+
+  try {
+    const sellerId = req.sellerId;
+    const { lastFetchTimes } = req.body || {};
+
+    const planCheck = await checkPlanValidity(sellerId);
+
+    // Ensure all documents have proper updatedAt timestamps
+    await ensureTimestamps(sellerId);
+
+    let syncTracking = null;
+    try {
+      syncTracking = await SyncTracking.ensureTracking(sellerId);
+    } catch (trackingError) {
+      console.warn('🔄 STREAM ALL DATA: Error retrieving sync tracking:', trackingError.message);
+    }
+
+    let changedDataTypes = ALL_DATA_TYPES;
+    if (lastFetchTimes && typeof lastFetchTimes === 'object') {
+      changedDataTypes = await getChangedDataTypes(sellerId, lastFetchTimes, syncTracking);
+      if (changedDataTypes.length === 0) {
+        return res.json({
+          success: true,
+          needUpdate: false,
+          message: 'Data is up to date'
+        });
+      }
+    }
+
+    const useGzip = /\bgzip\b/.test(req.headers['accept-encoding'] || '');
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (useGzip) {
+      res.setHeader('Content-Encoding', 'gzip');
+      res.setHeader('Vary', 'Accept-Encoding');
+      output = zlib.createGzip();
+      output.pipe(res);
+    } else {
+      output = res;
+    }
+
+    let clientGone = false;
+    res.on('close', () => {
+      if (!res.writableFinished) clientGone = true;
+    });
+
+    // Respect backpressure so memory stays flat while the client catches up
+    const writeLine = (line) => {
+      if (clientGone || output.write(JSON.stringify(line) + '\n')) return null;
+      return new Promise((resolve) => {
+        const resume = () => {
+          output.off('drain', resume);
+          res.off('close', resume);
+          resolve();
+        };
+        output.on('drain', resume);
+        res.on('close', resume);
+      });
+    };
+
+    await writeLine({
+      type: 'meta',
+      success: true,
+      needUpdate: true,
+      isReadOnlyMode: req.isReadOnly || false,
+      planInvalid: !planCheck.isValid,
+      serverTime: new Date().toISOString(),
+      changedCollections: changedDataTypes
+    });
+
+    const counts = {};
+    let recordsWithoutTimestamps = 0;
+
+    for (const dataType of changedDataTypes) {
+      if (clientGone) break;
+      counts[dataType] = 0;
+
+      for await (const record of readAllDataRecords(dataType, sellerId)) {
+        if (clientGone) break;
+        if (!record.updatedAt) recordsWithoutTimestamps++;
+        counts[dataType]++;
+        await writeLine({ type: 'record', collection: dataType, data: record });
+      }
+
+      await writeLine({ type: 'end', collection: dataType, count: counts[dataType] });
+      if (useGzip) output.flush();
+    }
+
+    if (clientGone) {
+      output.destroy();
+      return;
+    }
+
+    if (recordsWithoutTimestamps > 0) {
+      console.error(`❌ CRITICAL: ${recordsWithoutTimestamps} documents are missing timestamps! This will break delta sync.`);
+    }
+
+    const planUsage = await getPlanUsageSummary(sellerId);
+    const totalRecords = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    await writeLine({
+      type: 'done',
+      planUsageSummary: planUsage.summary,
+      planDetails: planUsage.planDetails,
+      currentPlanDetails: planUsage.currentPlanDetails || { unlockedModules: [], lockedModules: [] },
+      counts,
+      timestampValidation: {
+        totalRecords,
+        recordsWithTimestamps: totalRecords - recordsWithoutTimestamps,
+        recordsWithoutTimestamps
+      }
+    });
+    output.end();
+  } catch (error) {
+    console.error('Stream all data error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching all data',
+        error: error.message
+      });
+    }
+    if (output && !output.destroyed) {
+      output.end(JSON.stringify({ type: 'error', message: error.message }) + '\n');
+    }
+  }
+};
+
 /**
  * Get all active plans
  * Optionally includes seller's current plan and active plan orders if sellerId is provided
@@ -4073,6 +5052,7 @@ const getDeltaSync = async (req, res) => {
   try {
     const sellerId = req.sellerId;
     const lastFetchTimes = req.query.lastFetchTimes || req.body.lastFetchTimes;
+    const syncStartedAt = new Date();
 
     if (!sellerId) {
       return res.status(401).json({
@@ -4099,6 +5079,7 @@ const getDeltaSync = async (req, res) => {
 
     // Fetch updated data for data types that need updates
     const dataTypesToFetch = Object.keys(deltaData).filter(dataType => deltaData[dataType].needsUpdate);
+    const failedDataTypes = new Set();
 
     if (dataTypesToFetch.length > 0) {
       // Use Promise.allSettled to handle partial failures
@@ -4163,6 +5144,10 @@ const getDeltaSync = async (req, res) => {
               model = Target;
               data = await Target.find(query).sort({ date: -1 });
               break;
+            case 'stockTakes':
+              model = StockTake;
+              data = await StockTake.find(query).sort({ updatedAt: -1 });
+              break;
             default:
               console.warn(`Unknown data type for delta sync: ${dataType}`);
               return { dataType, data: [], error: 'Unknown data type' };
@@ -4403,6 +5388,10 @@ const getDeltaSync = async (req, res) => {
               }));
               break;
 
+            case 'stockTakes':
+              formattedData = data.map(formatStockTake);
+              break;
+
             default:
               formattedData = data;
           }
@@ -4414,22 +5403,59 @@ const getDeltaSync = async (req, res) => {
         }
       });
 
-      const results = await Promise.allSettled(fetchPromises);
+      // Hard-deleted records only exist as tombstones
+      const tombstonePromises = dataTypesToFetch.map(async (dataType) => {
+        const collectionName = dataType === 'purchaseOrders' ? 'vendorOrders' : dataType;
+        const lastFetchTime = lastFetchTimes[dataType] ? new Date(lastFetchTimes[dataType]) : null;
+        try {
+          const tombstones = await findTombstones(sellerId, collectionName, lastFetchTime);
+          return [dataType, tombstones.map(t => ({
+            id: t.documentId.toString(),
+            _id: t.documentId.toString(),
+            localId: t.localId,
+            deletedAt: t.deletedAt
+          }))];
+        } catch (error) {
+          console.error(`Error fetching tombstones for ${dataType}:`, error);
+          return [dataType, []];
+        }
+      });
+
+      const [results, tombstoneEntries] = await Promise.all([
+        Promise.allSettled(fetchPromises),
+        Promise.all(tombstonePromises)
+      ]);
+      const deletedByType = Object.fromEntries(tombstoneEntries);
 
       results.forEach(promiseResult => {
         if (promiseResult.status === 'fulfilled') {
-          const { dataType, data, count } = promiseResult.value;
+          const { dataType, data, count, error } = promiseResult.value;
+          if (error) failedDataTypes.add(dataType);
           result.data[dataType] = {
             items: data,
             count: count,
+            deleted: deletedByType[dataType] || [],
             updatedAt: deltaData[dataType].latestUpdateTime
           };
         } else {
           console.error(`Failed to fetch data for ${promiseResult.reason}`);
         }
       });
+
+      dataTypesToFetch
+        .filter(dataType => !result.data[dataType])
+        .forEach(dataType => failedDataTypes.add(dataType));
     }
 
+    // The device now has every delivered collection up to the start of this request
+    const deviceCursors = {};
+    Object.keys(deltaData)
+      .filter(dataType => !failedDataTypes.has(dataType))
+      .forEach(dataType => {
+        deviceCursors[dataType === 'purchaseOrders' ? 'vendorOrders' : dataType] = { lastSyncTime: syncStartedAt };
+      });
+    recordDeviceSync(req, deviceCursors).catch(err => console.error('Error recording device sync:', err));
+
     res.json({
       success: true,
       data: result,
@@ -4687,6 +5713,12 @@ const getLatestData = async (req, res) => {
             }));
             break;
 
+          case 'stockTakes':
+            model = StockTake;
+            data = await StockTake.find(query).sort({ updatedAt: -1 });
+            data = data.map(formatStockTake);
+            break;
+
           default:
             console.warn(`Unknown data type for latest fetch: ${dataType}`);
             continue;
@@ -4789,7 +5821,8 @@ const fetchLatestData = async (req, res) => {
       { key: 'plans', model: Plan },
       { key: 'planOrders', model: PlanOrder },
       { key: 'expenses', model: Expense },
-      { key: 'targets', model: Target }
+      { key: 'targets', model: Target },
+      { key: 'stockTakes', model: StockTake }
       // Note: Staff is not included as there's no staff model yet
     ];
 
@@ -5078,6 +6111,10 @@ const fetchLatestData = async (req, res) => {
             }));
             break;
 
+          case 'stockTakes':
+            data = data.map(formatStockTake);
+            break;
+
           default:
             // For transactions, keep as-is since they don't need special formatting
             data = data.map(item => ({
@@ -5210,11 +6247,19 @@ module.exports = {
   createProductBatch,
   updateProductBatch,
   deleteProductBatch,
+  getProductStockMovements,
+  getStockShortfallReport,
   getOrders,
   getTransactions,
   getVendorOrders,
+  receiveVendorOrder,
+  getReorderSuggestions,
+  createReorderDrafts,
+  getInventoryValuation,
+  getCogsReport,
   getCategories,
   getAllData,
+  streamAllData,
   getCurrentPlan,
   upgradePlan,
   createRazorpayOrder,
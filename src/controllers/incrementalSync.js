@@ -19,6 +19,9 @@ const ProductBatch = require('../models/ProductBatch');
 const Supplier = require('../models/Supplier');
 const SupplierTransaction = require('../models/SupplierTransaction');
 const DProduct = require('../models/DProduct');
+const StockTake = require('../models/StockTake');
+const Tombstone = require('../models/Tombstone');
+const { recordDeviceSync } = require('../utils/deviceRegistry');
 
 // Map collection names to Mongoose models
 const MODEL_MAP = {
@@ -42,24 +45,82 @@ const MODEL_MAP = {
   'supplier-transactions': SupplierTransaction,
   supplierTransactions: SupplierTransaction, // Alias
   'd-products': DProduct,
-  dProducts: DProduct // Alias
+  dProducts: DProduct, // Alias
+  'stock-takes': StockTake,
+  stockTakes: StockTake // Alias
 };
 
+// Route collection name -> SyncTracking data type (used for tombstones and device cursors)
+const DATA_TYPE_MAP = {
+  customers: 'customers',
+  products: 'products',
+  orders: 'orders',
+  transactions: 'transactions',
+  'vendor-orders': 'vendorOrders',
+  purchaseOrders: 'vendorOrders',
+  categories: 'categories',
+  refunds: 'refunds',
+  'plan-orders': 'planOrders',
+  planOrders: 'planOrders',
+  expenses: 'expenses',
+  'product-batches': 'productBatches',
+  productBatches: 'productBatches',
+  'customer-transactions': 'customerTransactions',
+  customerTransactions: 'customerTransactions',
+  suppliers: 'suppliers',
+  'supplier-transactions': 'supplierTransactions',
+  supplierTransactions: 'supplierTransactions',
+  'd-products': 'dProducts',
+  dProducts: 'dProducts',
+  'stock-takes': 'stockTakes',
+  stockTakes: 'stockTakes'
+};
+
+// Data types that are hard deleted and therefore leave tombstones
+const TOMBSTONE_DATA_TYPES = ['customers', 'products', 'productBatches', 'transactions', 'vendorOrders', 'expenses', 'customerTransactions', 'suppliers', 'supplierTransactions', 'dProducts'];
+
 // Collections that don't require sellerId filtering (global/system data)
 const GLOBAL_COLLECTIONS = ['plans'];
 
 // Valid collection names (include global collections)
 const VALID_COLLECTIONS = [...Object.keys(MODEL_MAP), ...GLOBAL_COLLECTIONS];
 
+// Page size for incremental sync (documents per response)
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 2000;
+
+/**
+ * Opaque paging cursor: base64url of the last returned document's (updatedAt, _id)
+ */
+const encodeCursor = (doc) => Buffer.from(JSON.stringify({
+  u: new Date(doc.updatedAt).toISOString(),
+  i: doc._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { u, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const updatedAt = new Date(u);
+    if (isNaN(updatedAt.getTime()) || !mongoose.Types.ObjectId.isValid(i)) return null;
+    return { updatedAt, _id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Universal incremental sync endpoint
- * GET /sync/:collection?since=TIMESTAMP
+ * GET /sync/:collection?since=TIMESTAMP&limit=500&cursor=CURSOR
+ *
+ * Updated, soft-deleted and hard-deleted (tombstoned) documents are paged together in (updatedAt, _id) order.
+ * While `hasMore` is true, request the next page with `cursor=nextCursor` (keep the same `since`).
  */
 const incrementalSync = async (req, res) => {
   try {
     const { collection } = req.params;
     const sellerId = req.sellerId;
     const since = req.query.since ? new Date(req.query.since) : null;
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
 
     // Validate collection name
     if (!VALID_COLLECTIONS.includes(collection)) {
@@ -78,46 +139,93 @@ const incrementalSync = async (req, res) => {
       });
     }
 
-    // Build query: sellerId + not deleted + optionally updated after timestamp
-    const query = { isDeleted: false };
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+      }
+    }
+
+    // Build query: sellerId + optionally updated after timestamp.
+    // Deleted documents are included so they page together with updates.
+    const conditions = [];
 
     // Only add sellerId filter for non-global collections
     if (!GLOBAL_COLLECTIONS.includes(collection)) {
-      query.sellerId = mongoose.Types.ObjectId.isValid(sellerId)
-        ? new mongoose.Types.ObjectId(sellerId)
-        : sellerId;
+      conditions.push({
+        sellerId: mongoose.Types.ObjectId.isValid(sellerId)
+          ? new mongoose.Types.ObjectId(sellerId)
+          : sellerId
+      });
     }
 
     // If since timestamp provided, only get items updated after that time
     if (since && !isNaN(since.getTime())) {
-      query.updatedAt = { $gt: since };
+      conditions.push({ updatedAt: { $gt: since } });
     }
 
-    // Find all matching documents
+    // Resume strictly after the last document of the previous page
+    if (cursor) {
+      conditions.push({
+        $or: [
+          { updatedAt: { $gt: cursor.updatedAt } },
+          { updatedAt: cursor.updatedAt, _id: { $gt: cursor._id } }
+        ]
+      });
+    }
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    // Fetch one extra document to know whether another page exists
     const documents = await Model.find(query)
-      .sort({ updatedAt: 1 }) // Sort by updatedAt ascending
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(pageSize + 1)
       .lean(); // Use lean() for better performance
 
-    // Find deleted documents (isDeleted = true)
-    const deletedQuery = { isDeleted: true };
+    // Hard deletes only exist as tombstones; page them on deletedAt with the same cursor
+    const dataType = DATA_TYPE_MAP[collection];
+    const tombstoneCollection = TOMBSTONE_DATA_TYPES.includes(dataType) ? dataType : null;
+    if (tombstoneCollection && !GLOBAL_COLLECTIONS.includes(collection)) {
+      const tombstoneQuery = { sellerId: conditions[0].sellerId, collectionName: tombstoneCollection };
+      const tombstoneConditions = [tombstoneQuery];
+      if (since && !isNaN(since.getTime())) {
+        tombstoneConditions.push({ deletedAt: { $gt: since } });
+      }
+      if (cursor) {
+        tombstoneConditions.push({
+          $or: [
+            { deletedAt: { $gt: cursor.updatedAt } },
+            { deletedAt: cursor.updatedAt, _id: { $gt: cursor._id } }
+          ]
+        });
+      }
 
-    // Only add sellerId filter for non-global collections
-    if (!GLOBAL_COLLECTIONS.includes(collection)) {
-      deletedQuery.sellerId = mongoose.Types.ObjectId.isValid(sellerId)
-        ? new mongoose.Types.ObjectId(sellerId)
-        : sellerId;
-    }
+      const tombstones = await Tombstone.find({ $and: tombstoneConditions })
+        .sort({ deletedAt: 1, _id: 1 })
+        .limit(pageSize + 1)
+        .lean();
 
-    if (since && !isNaN(since.getTime())) {
-      deletedQuery.updatedAt = { $gt: since };
+      tombstones.forEach(tombstone => documents.push({
+        _id: tombstone._id,
+        documentId: tombstone.documentId,
+        updatedAt: tombstone.deletedAt,
+        isDeleted: true,
+        isTombstone: true
+      }));
+
+      documents.sort((a, b) => {
+        const diff = new Date(a.updatedAt).getTime() - new Date(b.updatedAt).getTime();
+        return diff !== 0 ? diff : a._id.toString().localeCompare(b._id.toString());
+      });
     }
 
-    const deletedDocuments = await Model.find(deletedQuery)
-      .select('_id updatedAt')
-      .lean();
+    const hasMore = documents.length > pageSize;
+    const page = hasMore ? documents.slice(0, pageSize) : documents;
+    const lastDoc = page[page.length - 1];
 
     // Transform documents to frontend format
-    const updated = documents.map(doc => {
+    const updated = page.filter(doc => doc.isDeleted !== true).map(doc => {
       const transformed = {
         ...doc,
         id: doc._id.toString(),
@@ -128,12 +236,22 @@ const incrementalSync = async (req, res) => {
       return transformed;
     });
 
-    // Transform deleted documents to just IDs
-    const deleted = deletedDocuments.map(doc => ({
-      id: doc._id.toString(),
-      _id: doc._id.toString(),
-      updatedAt: doc.updatedAt
-    }));
+    // Transform deleted documents to just IDs (tombstones report the deleted document's id)
+    const deleted = page.filter(doc => doc.isDeleted === true).map(doc => {
+      const id = (doc.isTombstone ? doc.documentId : doc._id).toString();
+      return { id, _id: id, updatedAt: doc.updatedAt };
+    });
+
+    const nextCursor = lastDoc ? encodeCursor(lastDoc) : (req.query.cursor || null);
+    // With more pages pending, only the last returned change is safe to use as the next `since`
+    const timestamp = hasMore && lastDoc ? new Date(lastDoc.updatedAt).toISOString() : new Date().toISOString();
+
+    // Move this device's cursor: keep the page cursor while paging, settle the sync time once complete
+    if (dataType) {
+      recordDeviceSync(req, {
+        [dataType]: hasMore ? { cursor: nextCursor } : { lastSyncTime: new Date(timestamp), cursor: null }
+      }).catch(err => console.error('Error recording device sync:', err));
+    }
 
     res.json({
       success: true,
@@ -145,7 +263,9 @@ const incrementalSync = async (req, res) => {
         deleted: deleted.length,
         total: updated.length + deleted.length
       },
-      timestamp: new Date().toISOString()
+      hasMore,
+      nextCursor,
+      timestamp
     });
   } catch (error) {
     console.error(`Error in incremental sync for ${req.params.collection}:`, error);
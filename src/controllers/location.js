@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const ProductBatch = require('../models/ProductBatch');
+const StockTransfer = require('../models/StockTransfer');
+const { getMovementUser } = require('../utils/stockMovements');
+const { getDefaultLocation, findLocation, locationBatchFilter } = require('../utils/locations');
+const { executeStockTransfer } = require('../utils/stockTransfers');
+
+const formatLocation = (location, stock = null) => ({
+  id: location._id.toString(),
+  _id: location._id.toString(),
+  name: location.name,
+  type: location.type,
+  isDefault: location.isDefault,
+  isActive: location.isActive,
+  localId: location.localId,
+  ...(stock && { totalQuantity: stock.quantity, batchCount: stock.batches }),
+  createdAt: location.createdAt,
+  updatedAt: location.updatedAt
+});
+
+const formatTransfer = (transfer) => ({
+  id: transfer._id.toString(),
+  _id: transfer._id.toString(),
+  transferNumber: transfer.transferNumber,
+  fromLocationId: transfer.fromLocationId,
+  toLocationId: transfer.toLocationId,
+  items: transfer.items,
+  status: transfer.status,
+  note: transfer.note,
+  createdBy: transfer.createdBy,
+  localId: transfer.localId,
+  createdAt: transfer.createdAt
+});
+
+// Make `location` the default. Batches without a location belong to the current default, so they are
+// pinned to it before the flag moves (one default per seller). All three writes commit together.
+const setDefaultLocation = async (sellerId, location) => {
+  const current = await getDefaultLocation(sellerId);
+  if (current._id.equals(location._id)) return;
+
+  await mongoose.connection.transaction(async (session) => {
+    await ProductBatch.updateMany({ sellerId, locationId: null }, { locationId: current._id }, { session });
+    await Location.updateOne({ _id: current._id }, { isDefault: false }, { session });
+    location.isDefault = true;
+    await location.save({ session });
+  });
+};
+
+/**
+ * List locations with the stock each holds
+ * GET /api/locations
+ */
+const getLocations = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const defaultLocation = await getDefaultLocation(sellerId);
+    const locations = await Location.find({ sellerId, isDeleted: false }).sort({ isDefault: -1, name: 1 });
+
+    const stock = await ProductBatch.aggregate([
+      { $match: { sellerId: new mongoose.Types.ObjectId(sellerId), isDeleted: false } },
+      {
+        $group: {
+          _id: { $ifNull: ['$locationId', defaultLocation._id] },
+          quantity: { $sum: '$quantity' },
+          batches: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+    const stockMap = new Map(stock.map(row => [row._id.toString(), row]));
+
+    res.json({
+      success: true,
+      data: locations.map(location => formatLocation(location, stockMap.get(location._id.toString()) || { quantity: 0, batches: 0 }))
+    });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching locations', error: error.message });
+  }
+};
+
+/**
+ * Add a location
+ * POST /api/locations
+ */
+const createLocation = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { name, type, isDefault, localId } = req.body;
+
+    // Existing stock stays with the default location, so it must exist before any other
+    await getDefaultLocation(sellerId);
+
+    const location = await Location.create({ sellerId, name, type, localId });
+    if (isDefault) await setDefaultLocation(sellerId, location);
+
+    res.status(201).json({ success: true, message: 'Location created', data: formatLocation(location) });
+  } catch (error) {
+    console.error('Create location error:', error);
+    res.status(500).json({ success: false, message: 'Error creating location', error: error.message });
+  }
+};
+
+/**
+ * Rename, retype, deactivate or make a location the default
+ * PUT /api/locations/:id
+ */
+const updateLocation = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const location = await findLocation(sellerId, req.params.id, null, { includeInactive: true });
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+
+    const { name, type, isActive, isDefault } = req.body;
+    if (name !== undefined) location.name = name;
+    if (type !== undefined) location.type = type;
+    if (isActive !== undefined) location.isActive = isActive;
+
+    if (isDefault === true && !location.isActive) {
+      return res.status(400).json({ success: false, message: 'An inactive location cannot be the default' });
+    }
+
+    if (isDefault === true && !location.isDefault) {
+      await setDefaultLocation(sellerId, location);
+    } else {
+      await location.save();
+    }
+
+    res.json({ success: true, message: 'Location updated', data: formatLocation(location) });
+  } catch (error) {
+    console.error('Update location error:', error);
+    res.status(500).json({ success: false, message: 'Error updating location', error: error.message });
+  }
+};
+
+/**
+ * Remove an empty, non-default location
+ * DELETE /api/locations/:id
+ */
+const deleteLocation = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const location = await findLocation(sellerId, req.params.id, null, { includeInactive: true });
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+    if (location.isDefault) {
+      return res.status(400).json({ success: false, message: 'The default location cannot be deleted' });
+    }
+
+    const stocked = await ProductBatch.countDocuments({ sellerId, locationId: location._id, isDeleted: false, quantity: { $ne: 0 } });
+    if (stocked > 0) {
+      return res.status(400).json({ success: false, message: 'Transfer the stock out of this location before deleting it' });
+    }
+
+    location.isDeleted = true;
+    location.isActive = false;
+    await location.save();
+
+    res.json({ success: true, message: 'Location deleted' });
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting location', error: error.message });
+  }
+};
+
+/**
+ * Batch stock held at one location, grouped by product
+ * GET /api/locations/:id/stock
+ */
+const getLocationStock = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const location = await findLocation(sellerId, req.params.id, null, { includeInactive: true });
+    if (!location) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+
+    const batches = await ProductBatch.find({ sellerId, isDeleted: false, quantity: { $ne: 0 }, ...locationBatchFilter(location) })
+      .populate('productId', 'name barcode unit')
+      .sort({ expiry: 1, createdAt: 1 });
+
+    const products = new Map();
+    batches.forEach(batch => {
+      if (!batch.productId || !batch.productId._id) return;
+      const key = batch.productId._id.toString();
+      if (!products.has(key)) {
+        products.set(key, {
+          productId: key,
+          productName: batch.productId.name,
+          barcode: batch.productId.barcode || '',
+          unit: batch.productId.unit || 'pcs',
+          quantity: 0,
+          value: 0,
+          batches: []
+        });
+      }
+      const entry = products.get(key);
+      entry.quantity += batch.quantity;
+      entry.value += batch.quantity * (batch.costPrice || 0);
+      entry.batches.push({
+        id: batch._id.toString(),
+        batchNumber: batch.batchNumber,
+        expiry: batch.expiry,
+        quantity: batch.quantity,
+        costPrice: batch.costPrice,
+        sellingUnitPrice: batch.sellingUnitPrice
+      });
+    });
+
+    const data = [...products.values()];
+    res.json({
+      success: true,
+      data: {
+        location: formatLocation(location),
+        products: data,
+        totals: {
+          products: data.length,
+          quantity: data.reduce((sum, entry) => sum + entry.quantity, 0),
+          value: data.reduce((sum, entry) => sum + entry.value, 0)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get location stock error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching location stock', error: error.message });
+  }
+};
+
+/**
+ * Transfer history, optionally for one location
+ * GET /api/locations/transfers?locationId=&limit=
+ */
+const getStockTransfers = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const query = { sellerId };
+
+    if (req.query.locationId) {
+      const location = await findLocation(sellerId, req.query.locationId, null, { includeInactive: true });
+      if (!location) {
+        return res.status(404).json({ success: false, message: 'Location not found' });
+      }
+      query.$or = [{ fromLocationId: location._id }, { toLocationId: location._id }];
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const transfers = await StockTransfer.find(query).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({ success: true, data: transfers.map(formatTransfer) });
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching stock transfers', error: error.message });
+  }
+};
+
+/**
+ * One transfer
+ * GET /api/locations/transfers/:id
+ */
+const getStockTransfer = async (req, res) => {
+  try {
+    const transfer = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await StockTransfer.findOne({ _id: req.params.id, sellerId: req.sellerId })
+      : null;
+    if (!transfer) {
+      return res.status(404).json({ success: false, message: 'Stock transfer not found' });
+    }
+
+    res.json({ success: true, data: formatTransfer(transfer) });
+  } catch (error) {
+    console.error('Get stock transfer error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching stock transfer', error: error.message });
+  }
+};
+
+/**
+ * Move stock from one location to another
+ * POST /api/locations/transfers
+ */
+const createStockTransfer = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { fromLocationId, toLocationId, items, note, localId } = req.body;
+
+    if (localId) {
+      const existing = await StockTransfer.findOne({ sellerId, localId });
+      if (existing) {
+        return res.json({ success: true, message: 'Stock transfer already recorded', data: formatTransfer(existing) });
+      }
+    }
+
+    // Stock can still be moved out of a deactivated location, never into one
+    const fromLocation = await findLocation(sellerId, fromLocationId, null, { includeInactive: true });
+    const toLocation = await findLocation(sellerId, toLocationId);
+    if (!fromLocation || !toLocation) {
+      return res.status(404).json({ success: false, message: 'Location not found' });
+    }
+
+    const transfer = await executeStockTransfer(sellerId, { fromLocation, toLocation, items, note, localId }, getMovementUser(req));
+
+    res.status(201).json({ success: true, message: 'Stock transferred', data: formatTransfer(transfer) });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_STOCK' || error.code === 'INVALID_TRANSFER') {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Create stock transfer error:', error);
+    res.status(500).json({ success: false, message: 'Error transferring stock', error: error.message });
+  }
+};
+
+module.exports = {
+  getLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationStock,
+  getStockTransfers,
+  getStockTransfer,
+  createStockTransfer
+};
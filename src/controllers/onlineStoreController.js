@@ -6,6 +6,20 @@ const Customer = require('../models/Customer');
 const EcomCustomer = require('../models/EcomCustomer');
 const SyncTracking = require('../models/SyncTracking');
 const mongoose = require('mongoose');
+const { getNegativeStockPolicy } = require('../utils/stockPolicy');
+const { getMovementUser, recordStockMovement } = require('../utils/stockMovements');
+const {
+    COMMIT_STATUSES,
+    getReservedQuantities,
+    planReservation,
+    reserveOrderStock,
+    commitOrderReservation,
+    releaseOrderReservation
+} = require('../utils/stockReservations');
+const { groupVariantListings } = require('../utils/productVariants');
+const { computeBundleStock, bundleComponentLines } = require('../utils/bundles');
+const { emitToSeller } = require('../utils/realtime');
+const { findDefaultLocation, locationBatchFilter } = require('../utils/locations');
 
 /**
  * Get online store settings for the authenticated seller
@@ -154,7 +168,13 @@ exports.updateOnlineOrderStatus = async (req, res) => {
         }
 
         // Check if we need to RESTOCK (Status changed TO Cancelled/Rejected from a non-cancelled state)
-        if (status === 'Cancelled' && order.orderStatus !== 'Cancelled') {
+        // Reserved orders go back to the exact batches they were reserved from
+        const reservation = status === 'Cancelled' && order.orderStatus !== 'Cancelled'
+            ? await releaseOrderReservation(order, 'cancelled', getMovementUser(req))
+            : null;
+
+        if (status === 'Cancelled' && order.orderStatus !== 'Cancelled' && !reservation) {
+            // Orders placed before reservations deducted stock immediately
             const items = order.items;
             for (const item of items) {
                 // Find a suitable batch to return stock to (preferably one with furthest expiry or created most recently)
@@ -167,6 +187,12 @@ exports.updateOnlineOrderStatus = async (req, res) => {
                 if (latestBatch) {
                     latestBatch.quantity += item.quantity;
                     await latestBatch.save();
+                    await recordStockMovement(latestBatch, item.quantity, {
+                        sellerId,
+                        reason: 'cancel',
+                        source: { type: 'Order', id: order._id, reference: order.invoiceNumber },
+                        user: getMovementUser(req)
+                    });
                 } else {
                     // Fallback: Create a new batch or finding product failed (shouldn't happen)
                     // For now, logging error if no batch found to return stock to
@@ -178,6 +204,11 @@ exports.updateOnlineOrderStatus = async (req, res) => {
             await SyncTracking.updateLatestTime(sellerId, 'products');
         }
 
+        // Seller accepted the order: take the reserved stock out of its batches
+        if (COMMIT_STATUSES.includes(status)) {
+            await commitOrderReservation(order, getMovementUser(req));
+        }
+
         // If order from ecommerce website is Delivered/Completed, mark payment as Clear
         if ((status === 'Delivered' || status === 'Completed') && order.orderSource === 'online') {
             order.allPaymentClear = true;
@@ -198,6 +229,10 @@ exports.updateOnlineOrderStatus = async (req, res) => {
             data: order
         });
     } catch (error) {
+        // The seller's 'block' policy refuses to accept an order its stock no longer covers
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(400).json({ success: false, message: error.message, shortfalls: error.shortfalls });
+        }
         console.error('Error updating order status:', error);
         res.status(500).json({ message: 'Error updating order status' });
     }
@@ -241,6 +276,9 @@ exports.verifyDeliveryToken = async (req, res) => {
             order.allPaymentClear = true;
         }
 
+        // Taken before the status is saved, so a 'block' policy leaves the order as it was
+        await commitOrderReservation(order, getMovementUser(req));
+
         order.updatedAt = new Date();
         await order.save();
 
@@ -253,6 +291,9 @@ exports.verifyDeliveryToken = async (req, res) => {
             data: order
         });
     } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(400).json({ success: false, message: error.message, shortfalls: error.shortfalls });
+        }
         console.error('Error verifying delivery token:', error);
         res.status(500).json({ success: false, message: 'Error verifying delivery' });
     }
@@ -435,12 +476,38 @@ exports.getPublicProducts = async (req, res) => {
             return product.categoryId.onlineSale !== false;
         });
 
-        const batches = await ProductBatch.find({ sellerId, isDeleted: false, quantity: { $gt: 0 } })
+        // Only the selling location's stock can be reserved for an online order, so only it is listed
+        const batches = await ProductBatch.find({
+            sellerId,
+            isDeleted: false,
+            quantity: { $gt: 0 },
+            ...locationBatchFilter(await findDefaultLocation(sellerId))
+        })
             .sort({ expiry: 1 })
             .lean();
 
+        // Shoppers only see stock not already held for other pending orders or waiting for a write-off
+        const reserved = await getReservedQuantities(sellerId);
+
+        // Available units per product, for bundles (which are as available as their scarcest component)
+        const availableByProduct = new Map();
+        batches.forEach(b => {
+            const key = b.productId.toString();
+            const available = Math.max(b.quantity - (reserved.get(b._id.toString()) || 0) - (b.damagedQuantity || 0), 0);
+            availableByProduct.set(key, (availableByProduct.get(key) || 0) + available);
+        });
+
         // Associate batches with products
         const productsWithBatches = products.map(product => {
+            if (product.isBundle) {
+                return {
+                    ...product,
+                    price: product.bundlePrice || 0,
+                    totalStock: computeBundleStock(product, availableByProduct),
+                    batches: []
+                };
+            }
+
             const productBatches = batches.filter(b =>
                 b.productId.toString() === product._id.toString() ||
                 b.productMongoId?.toString() === product._id.toString()
@@ -448,19 +515,23 @@ exports.getPublicProducts = async (req, res) => {
 
             // Get standard price from latest batch or first batch
             const price = productBatches.length > 0 ? productBatches[0].sellingUnitPrice : 0;
-            const totalStock = productBatches.reduce((sum, b) => sum + b.quantity, 0);
+            const availableBatches = productBatches
+                .map(b => ({ ...b, quantity: b.quantity - (reserved.get(b._id.toString()) || 0) - (b.damagedQuantity || 0) }))
+                .filter(b => b.quantity > 0);
+            const totalStock = availableBatches.reduce((sum, b) => sum + b.quantity, 0);
 
             return {
                 ...product,
                 price,
                 totalStock,
-                batches: productBatches
+                batches: availableBatches
             };
         });
 
+        // Variants are listed under their parent, which offers the option selector
         res.status(200).json({
             success: true,
-            data: productsWithBatches
+            data: groupVariantListings(productsWithBatches)
         });
 
     } catch (error) {
@@ -535,22 +606,41 @@ exports.createPublicOrder = async (req, res) => {
         }
         */
 
-        // 2. Fetch Cost Price from Batches
+        // 2. Fetch Cost Price from Batches (a bundle costs the sum of its components)
         const productIds = items.map(item => item._id);
+        const bundles = await Product.find({ _id: { $in: productIds }, sellerId, isBundle: true }).select('bundleComponents').lean();
+        const bundleMap = new Map(bundles.map(bundle => [bundle._id.toString(), bundle]));
+        const componentIds = bundles.flatMap(bundle => bundle.bundleComponents.map(component => component.productId));
+
         const batches = await ProductBatch.find({
             sellerId,
-            productId: { $in: productIds },
+            productId: { $in: [...productIds, ...componentIds] },
             isDeleted: false,
             quantity: { $gt: 0 }
         }).sort({ expiry: 1 }).lean();
 
-        const orderItems = items.map(item => {
-            const productBatches = batches.filter(b =>
-                b.productId?.toString() === item._id ||
-                b.productMongoId?.toString() === item._id
+        const batchCost = (productId) => {
+            const batch = batches.find(b =>
+                b.productId?.toString() === String(productId) ||
+                b.productMongoId?.toString() === String(productId)
             );
+            return batch ? (batch.costPrice || 0) : 0;
+        };
 
-            const cost = productBatches.length > 0 ? (productBatches[0].costPrice || 0) : 0;
+        // A variant parent only groups its variants in the store; the cart must name the chosen variant
+        const variantParents = await Product.find({ _id: { $in: productIds }, sellerId, isVariantParent: true }).select('name').lean();
+        if (variantParents.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Please choose an option for ${variantParents.map(p => p.name).join(', ')}.`
+            });
+        }
+
+        const orderItems = items.map(item => {
+            const bundle = bundleMap.get(String(item._id));
+            const cost = bundle
+                ? bundle.bundleComponents.reduce((sum, component) => sum + batchCost(component.productId) * component.quantity, 0)
+                : batchCost(item._id);
 
             return {
                 productId: item._id,
@@ -559,44 +649,11 @@ exports.createPublicOrder = async (req, res) => {
                 unit: item.unit,
                 sellingPrice: item.price,
                 costPrice: cost,
-                total: item.price * item.quantity
+                total: item.price * item.quantity,
+                ...(bundle && { bundleComponents: bundleComponentLines(bundle, item.quantity) })
             };
         });
 
-        // 2.5 Deduct Stock from Batches
-        for (const item of items) {
-            let quantityToDeduct = item.quantity;
-
-            // Fetch mutable batches for this specific item
-            const itemBatches = await ProductBatch.find({
-                sellerId,
-                productId: item._id,
-                isDeleted: false,
-                quantity: { $gt: 0 }
-            }).sort({ expiry: 1 });
-
-            for (const batch of itemBatches) {
-                if (quantityToDeduct <= 0) break;
-
-                if (batch.quantity >= quantityToDeduct) {
-                    batch.quantity -= quantityToDeduct;
-                    quantityToDeduct = 0;
-                } else {
-                    quantityToDeduct -= batch.quantity;
-                    batch.quantity = 0;
-                }
-                await batch.save();
-            }
-        }
-
-        // Update Sync Tracking so seller devices refresh their stock
-        try {
-            await SyncTracking.updateLatestTime(sellerId, 'productBatches');
-            await SyncTracking.updateLatestTime(sellerId, 'products');
-        } catch (err) {
-            console.error('Error updating sync tracking for online order:', err);
-        }
-
         // 3. Create Order
         const validPaymentMethod = (paymentMethod === 'COD' || paymentMethod === 'cod') ? 'cod' : paymentMethod;
         const confirmationToken = 'CONF-' + Math.random().toString(36).substring(2, 10).toUpperCase() + '-' + Date.now().toString(36).slice(-4).toUpperCase();
@@ -609,30 +666,97 @@ exports.createPublicOrder = async (req, res) => {
         }
         const invoiceNumber = `INV-${randomId}`;
 
-        const order = new Order({
-            invoiceNumber,
-            sellerId,
-            customerId: null, // No persistent customer created
-            customerLocalId: null,
-            ecomCustomerId: req.customer ? req.customer._id : null,
-            customerName: customerInfo.name,
-            customerMobile: customerInfo.mobileNumber,
-            deliveryAddress: customerInfo.address, // Store directly on order
-            orderNotes: customerInfo.specialMessage, // Store special message
-            items: orderItems,
-            subtotal: cartSubtotal,
-            totalAmount,
-            deliveryCharge,
-            deliveryType,
-            paymentMethod: validPaymentMethod,
-            orderStatus: 'Pending',
-            orderSource: 'online',
-            isSynced: true,
-            allPaymentClear: false,
-            deliveryConfirmationToken: confirmationToken
+        // The stock check, the order and its reservation commit together: an order never stays behind
+        // without its reservation, and two checkouts cannot both hold the same units (the later one is
+        // retried against what the first left). transaction() resolves with the commit result, so the
+        // callback reports back through `order` and `blockedShortfalls`.
+        let order = null;
+        let blockedShortfalls = null;
+        await mongoose.connection.transaction(async (session) => {
+            order = null;
+            blockedShortfalls = null;
+
+            // 2.5 Reserve Stock: batches are held for the order and only deducted once the seller accepts it
+            const { lines: reservationLines, shortfalls } = await planReservation(
+                sellerId,
+                items.map(item => ({ productId: item._id, quantity: item.quantity, unit: item.unit })),
+                session
+            );
+
+            // Items the shop cannot cover follow the seller's negative-stock policy; online orders
+            // cannot sell into an overflow batch, so anything short other than 'block' is flagged
+            const stockPolicy = shortfalls.length > 0 ? await getNegativeStockPolicy(sellerId, session) : null;
+            const stockShortfalls = shortfalls.map(s => ({
+                productId: s.productId,
+                productName: s.productName || (items.find(item => item._id === String(s.productId)) || {}).name,
+                quantity: s.quantity,
+                deducted: s.quantity - s.shortfall,
+                shortfall: s.shortfall,
+                policy: stockPolicy
+            }));
+
+            if (stockPolicy === 'block') {
+                blockedShortfalls = stockShortfalls;
+                return;
+            }
+
+            order = new Order({
+                invoiceNumber,
+                sellerId,
+                customerId: null, // No persistent customer created
+                customerLocalId: null,
+                ecomCustomerId: req.customer ? req.customer._id : null,
+                customerName: customerInfo.name,
+                customerMobile: customerInfo.mobileNumber,
+                deliveryAddress: customerInfo.address, // Store directly on order
+                orderNotes: customerInfo.specialMessage, // Store special message
+                items: orderItems,
+                subtotal: cartSubtotal,
+                totalAmount,
+                deliveryCharge,
+                deliveryType,
+                paymentMethod: validPaymentMethod,
+                orderStatus: 'Pending',
+                orderSource: 'online',
+                isSynced: true,
+                allPaymentClear: false,
+                deliveryConfirmationToken: confirmationToken,
+                hasStockShortfall: stockShortfalls.length > 0,
+                stockShortfalls
+            });
+
+            await order.save({ session });
+
+            await reserveOrderStock(order, reservationLines, session);
         });
 
-        await order.save();
+        if (blockedShortfalls) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some items are out of stock. Please update your cart.',
+                shortfalls: blockedShortfalls
+            });
+        }
+
+        try {
+            await SyncTracking.updateLatestTime(sellerId, 'orders');
+            await SyncTracking.updateLatestTime(sellerId, 'productBatches');
+            await SyncTracking.updateLatestTime(sellerId, 'products');
+        } catch (err) {
+            console.error('Error updating sync tracking for online order:', err);
+        }
+
+        // Notify the seller's open devices about the new online order
+        emitToSeller(sellerId, 'new_online_order', {
+            orderId: order._id,
+            invoiceNumber: order.invoiceNumber,
+            customerName: order.customerName,
+            totalAmount: order.totalAmount,
+            itemCount: orderItems.length,
+            deliveryType: order.deliveryType,
+            paymentMethod: order.paymentMethod,
+            createdAt: order.createdAt
+        });
 
         res.status(201).json({
             success: true,
@@ -641,6 +765,10 @@ exports.createPublicOrder = async (req, res) => {
         });
 
     } catch (error) {
+        // Another checkout took the units between planning and reserving
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(409).json({ success: false, message: 'Some items just sold out. Please update your cart.' });
+        }
         console.error('Error creating public order:', error);
         res.status(500).json({ message: 'Error placing order' });
     }
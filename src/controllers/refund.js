@@ -4,6 +4,8 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
 const SyncTracking = require('../models/SyncTracking');
+const { getMovementUser, recordStockMovement } = require('../utils/stockMovements');
+const { toBaseQuantity } = require('../utils/unitConversions');
 
 /**
  * Create a new refund
@@ -138,21 +140,50 @@ exports.createRefund = async (req, res) => {
           }
 
           if (product) {
-            // For refunds, we need to add quantity back to batches
-            // We'll add to the most recently created batch (LIFO for refunds)
-            const ProductBatch = require('../models/ProductBatch');
-            const recentBatch = await ProductBatch.findOne({
-              sellerId,
-              productId,
-              isDeleted: false
-            }).sort({ createdAt: -1 }); // Most recent batch
-
-            if (recentBatch) {
-              recentBatch.quantity = (recentBatch.quantity || 0) + qty;
-              await recentBatch.save();
-              // Refund added to batch
-            } else {
-              // No active batches found logs suppressed
+            // Refunded quantity is in the unit the line was sold in; batches hold base units. Use the
+            // conversion recorded at sale time; only older lines without baseQuantity are converted now.
+            const orderLine = order.items.find(item => item.productId && item.productId.toString() === productId.toString());
+            const restockQty = orderLine && orderLine.baseQuantity !== undefined && orderLine.baseQuantity !== null && orderLine.quantity > 0
+              ? Math.round((orderLine.baseQuantity / orderLine.quantity) * qty * 1e6) / 1e6
+              : toBaseQuantity(product, qty, orderLine ? orderLine.unit : product.unit);
+
+            // A refunded bundle restocks the components it was sold with; lines sold before those were
+            // kept on the order fall back to the bundle's current components
+            const soldComponents = orderLine && orderLine.bundleComponents && orderLine.bundleComponents.length > 0 && orderLine.quantity > 0
+              ? orderLine.bundleComponents.map(component => ({
+                productId: component.productId,
+                quantity: Math.round((component.baseQuantity / orderLine.quantity) * qty * 1e6) / 1e6
+              }))
+              : null;
+            const restockLines = soldComponents
+              || (product.isBundle
+                ? product.bundleComponents.map(component => ({ productId: component.productId, quantity: component.quantity * qty }))
+                : [{ productId, quantity: restockQty }]);
+
+            for (const line of restockLines) {
+              // For refunds, we need to add quantity back to batches
+              // We'll add to the most recently created batch (LIFO for refunds)
+              const ProductBatch = require('../models/ProductBatch');
+              // $inc, as a bundle and its components (or two bundles) may restock the same batch at once.
+              // Overflow batches only record stock sold without cover and are never restocked.
+              const recentBatch = await ProductBatch.findOneAndUpdate(
+                { sellerId, productId: line.productId, isDeleted: false, isOverflow: { $ne: true } },
+                { $inc: { quantity: line.quantity } },
+                { sort: { createdAt: -1 }, new: true } // Most recent batch
+              );
+
+              if (recentBatch) {
+                await recordStockMovement(recentBatch, line.quantity, {
+                  sellerId,
+                  reason: 'refund',
+                  source: { type: 'Refund', id: savedRefund._id, reference: order.invoiceNumber },
+                  user: getMovementUser(req),
+                  ...(product.isBundle && { note: `Bundle: ${product.name}` })
+                });
+                // Refund added to batch
+              } else {
+                // No active batches found logs suppressed
+              }
             }
           } else {
             // Product not found logs suppressed
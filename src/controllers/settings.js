@@ -30,6 +30,9 @@ exports.getSettings = async (req, res) => {
                     enableLowStockAlerts: true,
                     enableDailySummary: false,
                     alertThreshold: 10
+                },
+                inventorySettings: {
+                    negativeStockPolicy: 'flag'
                 }
             };
         }
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const StockTake = require('../models/StockTake');
+const ProductCategory = require('../models/ProductCategory');
+const SyncTracking = require('../models/SyncTracking');
+const { getMovementUser } = require('../utils/stockMovements');
+const {
+  getCounterFromRequest,
+  formatStockTake,
+  addCounts,
+  buildVarianceReport,
+  commitStockTake
+} = require('../utils/stockTakes');
+
+const findSellerStockTake = (sellerId, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return StockTake.findOne({ _id: id, sellerId, isDeleted: { $ne: true } });
+};
+
+/**
+ * List stock-take sessions
+ * GET /api/stock-takes?status=
+ */
+const getStockTakes = async (req, res) => {
+  try {
+    const query = { sellerId: req.sellerId, isDeleted: { $ne: true } };
+    if (req.query.status) query.status = req.query.status;
+
+    const stockTakes = await StockTake.find(query).select('-counts -adjustments').sort({ createdAt: -1 });
+
+    res.json({ success: true, data: stockTakes.map(formatStockTake) });
+  } catch (error) {
+    console.error('Get stock takes error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching stock takes', error: error.message });
+  }
+};
+
+/**
+ * Open a stock-take session for all products or one category
+ * POST /api/stock-takes
+ */
+const createStockTake = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { name, scope = 'all', categoryId } = req.body;
+
+    if (scope === 'category') {
+      const category = mongoose.Types.ObjectId.isValid(categoryId)
+        ? await ProductCategory.findOne({ _id: categoryId, sellerId })
+        : null;
+      if (!category) {
+        return res.status(404).json({ success: false, message: 'Category not found' });
+      }
+    }
+
+    const stockTake = await StockTake.create({
+      sellerId,
+      name: name || `Stock take ${new Date().toISOString().slice(0, 10)}`,
+      scope,
+      categoryId: scope === 'category' ? categoryId : undefined,
+      openedBy: req.seller ? req.seller.name || req.seller.email || '' : ''
+    });
+
+    await SyncTracking.updateLatestTime(sellerId, 'stockTakes');
+
+    res.status(201).json({ success: true, message: 'Stock take opened', data: formatStockTake(stockTake) });
+  } catch (error) {
+    console.error('Create stock take error:', error);
+    res.status(500).json({ success: false, message: 'Error opening stock take', error: error.message });
+  }
+};
+
+/**
+ * Session with its variance report
+ * GET /api/stock-takes/:id
+ */
+const getStockTake = async (req, res) => {
+  try {
+    const stockTake = await findSellerStockTake(req.sellerId, req.params.id);
+    if (!stockTake) {
+      return res.status(404).json({ success: false, message: 'Stock take not found' });
+    }
+
+    const { lines, totals } = await buildVarianceReport(stockTake);
+
+    res.json({ success: true, data: { ...formatStockTake(stockTake), variance: { lines, totals } } });
+  } catch (error) {
+    console.error('Get stock take error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching stock take', error: error.message });
+  }
+};
+
+/**
+ * Post counted quantities; several counters may each post part of the stock
+ * POST /api/stock-takes/:id/counts
+ */
+const addStockTakeCounts = async (req, res) => {
+  try {
+    const stockTake = await findSellerStockTake(req.sellerId, req.params.id);
+    if (!stockTake) {
+      return res.status(404).json({ success: false, message: 'Stock take not found' });
+    }
+    if (stockTake.status === 'committing') {
+      return res.status(409).json({ success: false, message: 'Stock take is being committed' });
+    }
+    if (stockTake.status !== 'open') {
+      return res.status(400).json({ success: false, message: `Stock take is ${stockTake.status}` });
+    }
+
+    const rejected = await addCounts(stockTake, req.body.counts, getCounterFromRequest(req, req.body.counterName));
+    await SyncTracking.updateLatestTime(req.sellerId, 'stockTakes');
+
+    res.json({
+      success: true,
+      message: 'Counts recorded',
+      data: formatStockTake(await StockTake.findById(stockTake._id)),
+      rejected
+    });
+  } catch (error) {
+    if (error.code === 'STOCK_TAKE_CLOSED') {
+      // Committed or cancelled while these counts were being written
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('Add stock take counts error:', error);
+    res.status(500).json({ success: false, message: 'Error recording counts', error: error.message });
+  }
+};
+
+/**
+ * Apply the counted quantities to their batches
+ * POST /api/stock-takes/:id/commit
+ */
+const commitStockTakeSession = async (req, res) => {
+  try {
+    const stockTake = await findSellerStockTake(req.sellerId, req.params.id);
+    if (!stockTake) {
+      return res.status(404).json({ success: false, message: 'Stock take not found' });
+    }
+    if (stockTake.status !== 'open') {
+      return res.status(400).json({ success: false, message: `Stock take is ${stockTake.status}` });
+    }
+
+    if (!await commitStockTake(stockTake, getMovementUser(req))) {
+      return res.status(400).json({ success: false, message: 'Stock take is already being committed' });
+    }
+    await SyncTracking.updateLatestTime(req.sellerId, 'stockTakes');
+
+    const { lines, totals } = await buildVarianceReport(stockTake);
+
+    res.json({
+      success: true,
+      message: 'Stock take committed',
+      data: { ...formatStockTake(stockTake), variance: { lines, totals } }
+    });
+  } catch (error) {
+    console.error('Commit stock take error:', error);
+    res.status(500).json({ success: false, message: 'Error committing stock take', error: error.message });
+  }
+};
+
+/**
+ * Close a session without touching stock
+ * POST /api/stock-takes/:id/cancel
+ */
+const cancelStockTake = async (req, res) => {
+  try {
+    const stockTake = await findSellerStockTake(req.sellerId, req.params.id);
+    if (!stockTake) {
+      return res.status(404).json({ success: false, message: 'Stock take not found' });
+    }
+    if (stockTake.status !== 'open') {
+      return res.status(400).json({ success: false, message: `Stock take is ${stockTake.status}` });
+    }
+
+    stockTake.status = 'cancelled';
+    stockTake.cancelledAt = new Date();
+    await stockTake.save();
+    await SyncTracking.updateLatestTime(req.sellerId, 'stockTakes');
+
+    res.json({ success: true, message: 'Stock take cancelled', data: formatStockTake(stockTake) });
+  } catch (error) {
+    console.error('Cancel stock take error:', error);
+    res.status(500).json({ success: false, message: 'Error cancelling stock take', error: error.message });
+  }
+};
+
+module.exports = {
+  getStockTakes,
+  createStockTake,
+  getStockTake,
+  addStockTakeCounts,
+  commitStockTakeSession,
+  cancelStockTake
+};
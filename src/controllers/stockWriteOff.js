@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const ProductBatch = require('../models/ProductBatch');
+const StockWriteOff = require('../models/StockWriteOff');
+const SyncTracking = require('../models/SyncTracking');
+const { getMovementUser } = require('../utils/stockMovements');
+const { findLocation } = require('../utils/locations');
+const { findWriteOffCandidates, executeWriteOff } = require('../utils/stockWriteOffs');
+
+const formatWriteOff = (writeOff) => ({
+  id: writeOff._id.toString(),
+  _id: writeOff._id.toString(),
+  writeOffNumber: writeOff.writeOffNumber,
+  reason: writeOff.reason,
+  items: writeOff.items,
+  totalLoss: writeOff.totalLoss,
+  supplierReturn: writeOff.supplierReturn && writeOff.supplierReturn.supplierId ? writeOff.supplierReturn : null,
+  netLoss: writeOff.totalLoss - (writeOff.supplierReturn && writeOff.supplierReturn.supplierId ? writeOff.supplierReturn.amount : 0),
+  note: writeOff.note,
+  createdBy: writeOff.createdBy,
+  localId: writeOff.localId,
+  createdAt: writeOff.createdAt
+});
+
+/**
+ * Expired, expiring and damaged batches with their value at cost
+ * GET /api/stock-write-offs/candidates?expiringWithinDays=&locationId=
+ */
+const getWriteOffCandidates = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+
+    let location = null;
+    if (req.query.locationId) {
+      location = await findLocation(sellerId, req.query.locationId, null, { includeInactive: true });
+      if (!location) {
+        return res.status(404).json({ success: false, message: 'Location not found' });
+      }
+    }
+
+    const expiringWithinDays = Math.max(parseInt(req.query.expiringWithinDays, 10) || 0, 0);
+    const candidates = await findWriteOffCandidates(sellerId, { expiringWithinDays, location });
+
+    res.json({
+      success: true,
+      data: candidates,
+      summary: {
+        batches: candidates.length,
+        potentialLoss: Math.round(candidates.reduce((sum, c) => sum + c.potentialLoss, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Get write-off candidates error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching write-off candidates', error: error.message });
+  }
+};
+
+/**
+ * Report units of a batch as damaged, so they are listed for write-off
+ * PUT /api/stock-write-offs/batches/:id/damage { damagedQuantity }
+ */
+const markBatchDamaged = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const batch = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ProductBatch.findOne({ _id: req.params.id, sellerId, isDeleted: false })
+      : null;
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Product batch not found' });
+    }
+
+    const damagedQuantity = Number(req.body.damagedQuantity);
+    if (damagedQuantity > batch.quantity) {
+      return res.status(400).json({ success: false, message: `Only ${batch.quantity} units in this batch` });
+    }
+
+    batch.damagedQuantity = damagedQuantity;
+    await batch.save();
+    await SyncTracking.updateLatestTime(sellerId, 'productBatches');
+
+    res.json({ success: true, data: { batchId: batch._id, quantity: batch.quantity, damagedQuantity: batch.damagedQuantity } });
+  } catch (error) {
+    console.error('Mark batch damaged error:', error);
+    res.status(500).json({ success: false, message: 'Error updating damaged quantity', error: error.message });
+  }
+};
+
+/**
+ * Recent write-offs, newest first
+ * GET /api/stock-write-offs?from=&to=&reason=&limit=
+ */
+const getWriteOffs = async (req, res) => {
+  try {
+    const query = { sellerId: req.sellerId };
+    if (req.query.reason) query.reason = req.query.reason;
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ success: false, message: 'Invalid date filter' });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const writeOffs = await StockWriteOff.find(query).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({ success: true, data: writeOffs.map(formatWriteOff) });
+  } catch (error) {
+    console.error('Get stock write-offs error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching stock write-offs', error: error.message });
+  }
+};
+
+/**
+ * One write-off
+ * GET /api/stock-write-offs/:id
+ */
+const getWriteOff = async (req, res) => {
+  try {
+    const writeOff = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await StockWriteOff.findOne({ _id: req.params.id, sellerId: req.sellerId })
+      : null;
+    if (!writeOff) {
+      return res.status(404).json({ success: false, message: 'Stock write-off not found' });
+    }
+
+    res.json({ success: true, data: formatWriteOff(writeOff) });
+  } catch (error) {
+    console.error('Get stock write-off error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching stock write-off', error: error.message });
+  }
+};
+
+/**
+ * Write off whole or partial batches, optionally returning the goods to the supplier
+ * POST /api/stock-write-offs
+ */
+const createWriteOff = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { reason, items, note, localId, supplierReturn } = req.body;
+
+    if (localId) {
+      const existing = await StockWriteOff.findOne({ sellerId, localId });
+      if (existing) {
+        return res.json({ success: true, message: 'Stock write-off already recorded', data: formatWriteOff(existing) });
+      }
+    }
+
+    const writeOff = await executeWriteOff(sellerId, { reason, items, note, localId, supplierReturn }, getMovementUser(req));
+
+    res.status(201).json({ success: true, message: 'Stock written off', data: formatWriteOff(writeOff) });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_STOCK' || error.code === 'INVALID_WRITE_OFF') {
+      return res.status(400).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Create stock write-off error:', error);
+    res.status(500).json({ success: false, message: 'Error writing off stock', error: error.message });
+  }
+};
+
+module.exports = {
+  getWriteOffCandidates,
+  markBatchDamaged,
+  getWriteOffs,
+  getWriteOff,
+  createWriteOff
+};
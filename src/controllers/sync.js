@@ -16,7 +16,17 @@ const SupplierTransaction = require('../models/SupplierTransaction');
 const SellerSettings = require('../models/SellerSettings');
 const DProduct = require('../models/DProduct');
 const Target = require('../models/Target');
+const StockTake = require('../models/StockTake');
 const { checkAndSendInventoryAlerts } = require('../utils/inventoryAlerts');
+const { applySyncUpdate } = require('../utils/syncConflicts');
+const { getMovementUser, recordStockMovements, recordStockMovement } = require('../utils/stockMovements');
+const { getCounterFromRequest, addCounts, commitStockTake } = require('../utils/stockTakes');
+const { findDefaultLocation, findLocation, locationBatchFilter, batchLocationId } = require('../utils/locations');
+const { findMatchingVariant, resolveVariantFields, detachVariants } = require('../utils/productVariants');
+const { normalizeUnitConversions, getConversionFactor, toBaseQuantity } = require('../utils/unitConversions');
+const { resolveBundleFields, expandBundleItems, bundleComponentLines } = require('../utils/bundles');
+const { getReservedQuantities } = require('../utils/stockReservations');
+const { getNegativeStockPolicy } = require('../utils/stockPolicy');
 
 // Helper to enforce correct balance based on transactions
 const recalculateSupplierBalance = async (supplierId, sellerId) => {
@@ -53,11 +63,133 @@ const recalculateSupplierBalance = async (supplierId, sellerId) => {
   }
 };
 
-const adjustProductStockForOrder = async (sellerId, orderItems) => {
+/**
+ * Products of an order that batch stock at `location` cannot cover, counting quantities already drawn down in a `preview` map
+ * and leaving out units `reserved` (batchId -> quantity) for pending online orders and units reported damaged
+ */
+const findStockShortfalls = async (sellerId, orderItems, session = null, preview = null, location = null, reserved = new Map()) => {
+  const needed = new Map();
+  for (const item of orderItems) {
+    if (!item || !item.productId || !mongoose.Types.ObjectId.isValid(item.productId)) continue;
+    const quantity = typeof item.quantity === 'number' ? item.quantity : parseFloat(item.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) continue;
+    const key = item.productId.toString();
+    if (!needed.has(key)) needed.set(key, []);
+    needed.get(key).push({ quantity, unit: item.unit });
+  }
+
+  const shortfalls = [];
+  for (const [productId, lines] of needed) {
+    const product = await Product.findOne({ _id: productId, sellerId }).select('name unit unitConversions').session(session);
+    if (!product) continue;
+    const quantity = lines.reduce((sum, line) => sum + toBaseQuantity(product, line.quantity, line.unit), 0);
+
+    const batches = await ProductBatch.find({
+      sellerId,
+      productId,
+      isDeleted: false,
+      quantity: { $gt: 0 },
+      ...locationBatchFilter(location)
+    }).select('quantity damagedQuantity').session(session);
+
+    const available = batches.reduce((sum, batch) => {
+      const batchKey = batch._id.toString();
+      const batchQuantity = preview && preview.has(batchKey) ? preview.get(batchKey) : batch.quantity;
+      return sum + Math.max(batchQuantity - (reserved.get(batchKey) || 0) - (batch.damagedQuantity || 0), 0);
+    }, 0);
+
+    if (available < quantity) {
+      shortfalls.push({ productId: product._id, productName: product.name, quantity, available, shortfall: quantity - available });
+    }
+  }
+  return shortfalls;
+};
+
+/**
+ * The product's overflow batch at `location`, created on first use with the latest batch's prices
+ */
+const getOverflowBatch = async (sellerId, product, session = null, location = null) => {
+  const existing = await ProductBatch.findOne({
+    sellerId,
+    productId: product._id,
+    isOverflow: true,
+    isDeleted: false,
+    ...locationBatchFilter(location)
+  }).session(session);
+  if (existing) return existing;
+
+  const latest = await ProductBatch.findOne({ sellerId, productId: product._id, isOverflow: { $ne: true } })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+  const [overflowBatch] = await ProductBatch.create([{
+    sellerId,
+    productId: product._id,
+    productLocalId: product.localId,
+    productMongoId: product._id,
+    batchNumber: 'OVERFLOW',
+    quantity: 0,
+    costPrice: latest ? latest.costPrice : 0,
+    sellingUnitPrice: latest ? latest.sellingUnitPrice : 0,
+    isOverflow: true,
+    locationId: location ? location._id : null
+  }], { session });
+  return overflowBatch;
+};
+
+/**
+ * Keep the items an order sold beyond available stock on the order, for the shortfall report
+ */
+const recordOrderShortfalls = async (orderId, stockChanges, session = null) => {
+  const stockShortfalls = stockChanges
+    .filter(change => change.shortfall > 0)
+    .map(({ productId, productName, quantity, deducted, shortfall, policy, overflowBatchId }) => ({
+      productId, productName, quantity, deducted, shortfall, policy, overflowBatchId
+    }));
+  if (stockShortfalls.length === 0) return;
+
+  await Order.updateOne({ _id: orderId }, { hasStockShortfall: true, stockShortfalls }, { session });
+};
+
+/**
+ * Deduct order quantities from product batches (FEFO when the product tracks expiry, FIFO otherwise).
+ * When a session is given the deductions join that transaction and any failure is rethrown.
+ * When a `preview` Map (batchId -> quantity) is given nothing is saved: deductions are planned against
+ * the quantities in the map, so several previewed orders draw down the same batches.
+ * Each saved deduction is written to the stock ledger under `options` ({ reason, source, user }, reason 'sale' by default).
+ * Stock is drawn from `options.location` (a Location), the seller's default location when omitted.
+ * Units held by open reservations of pending online orders and units reported damaged (awaiting
+ * write-off) are not sold; a shortfall they cause is handled like any other.
+ * Bundles are deducted as their components.
+ * Quantity the batches cannot cover follows the seller's negative-stock policy: 'block' throws an
+ * INSUFFICIENT_STOCK error before anything is deducted, 'overflow' takes it from the product's overflow
+ * batch, 'flag' leaves it as a shortfall.
+ * Returns the per-item deductions with their shortfall.
+ */
+const adjustProductStockForOrder = async (sellerId, orderItems, session = null, preview = null, options = {}) => {
+  const stockChanges = [];
   //(`🔄 [BATCH_REDUCTION] Starting batch stock reduction for ${orderItems.length} items`);
   if (!Array.isArray(orderItems) || orderItems.length === 0) {
     //(`🔄 [BATCH_REDUCTION] No items to process`);
-    return;
+    return stockChanges;
+  }
+  orderItems = await expandBundleItems(sellerId, orderItems, session);
+
+  const policy = await getNegativeStockPolicy(sellerId, session);
+  const location = options.location || await findDefaultLocation(sellerId, session);
+  const productIds = orderItems
+    .filter(item => item && item.productId && mongoose.Types.ObjectId.isValid(item.productId))
+    .map(item => item.productId);
+  const reserved = await getReservedQuantities(sellerId, productIds, session);
+  if (policy === 'block') {
+    const shortfalls = await findStockShortfalls(sellerId, orderItems, session, preview, location, reserved);
+    if (shortfalls.length > 0) {
+      const stockError = new Error(`Insufficient stock for ${shortfalls.map(s => s.productName).join(', ')}`);
+      stockError.code = 'INSUFFICIENT_STOCK';
+      stockError.action = 'insufficient-stock';
+      stockError.shortfalls = shortfalls;
+      throw stockError;
+    }
   }
 
   for (const item of orderItems) {
@@ -66,25 +198,28 @@ const adjustProductStockForOrder = async (sellerId, orderItems) => {
         continue;
       }
 
-      const quantity = typeof item.quantity === 'number' ? item.quantity : parseFloat(item.quantity);
-      if (!Number.isFinite(quantity) || quantity <= 0) {
+      const soldQuantity = typeof item.quantity === 'number' ? item.quantity : parseFloat(item.quantity);
+      if (!Number.isFinite(soldQuantity) || soldQuantity <= 0) {
         continue;
       }
 
       // Get product to check trackExpiry setting
       const Product = require('../models/Product');
-      const product = await Product.findOne({ _id: item.productId, sellerId });
+      const product = await Product.findOne({ _id: item.productId, sellerId }).session(session);
 
       if (!product) {
         console.warn(`Product not found for seller`);
         continue;
       }
 
+      // Batches hold base units; loose or boxed sales are converted first
+      const quantity = toBaseQuantity(product, soldQuantity, item.unit);
+
       // Determine sorting logic based on trackExpiry
       let sortCriteria;
       if (product.trackExpiry) {
         // FEFO (First Expired, First Out): Sort by expiry date ascending (earliest expiry first)
-        sortCriteria = { expiry: 1 };
+        sortCriteria = { expiry: 1, createdAt: 1 };
         //(`🎯 Using FEFO for product ${product.name} (trackExpiry: ${product.trackExpiry})`);
       } else {
         // FIFO (First In, First Out): Sort by creation date ascending (oldest first)
@@ -97,8 +232,9 @@ const adjustProductStockForOrder = async (sellerId, orderItems) => {
         sellerId,
         productId: item.productId,
         isDeleted: false,
-        quantity: { $gt: 0 }
-      }).sort(sortCriteria);
+        quantity: { $gt: 0 },
+        ...locationBatchFilter(location)
+      }).sort(sortCriteria).session(session);
 
       // Found active batches
 
@@ -107,18 +243,31 @@ const adjustProductStockForOrder = async (sellerId, orderItems) => {
 
       let remainingQuantity = quantity;
       const deductionDetails = [];
+      const movements = [];
 
       for (const batch of batches) {
         if (remainingQuantity <= 0) break;
 
-        const deductQuantity = Math.min(batch.quantity, remainingQuantity);
+        const batchKey = batch._id.toString();
+        if (preview) {
+          batch.quantity = preview.has(batchKey) ? preview.get(batchKey) : batch.quantity;
+        }
+        const available = batch.quantity - (reserved.get(batchKey) || 0) - (batch.damagedQuantity || 0);
+        if (available <= 0) continue;
+
+        const deductQuantity = Math.min(available, remainingQuantity);
         const originalQuantity = batch.quantity;
 
         batch.quantity -= deductQuantity;
         remainingQuantity -= deductQuantity;
 
-        const savedBatch = await batch.save();
-        //(`💾 Saved batch ${batch._id} with new quantity: ${savedBatch.quantity}`);
+        if (preview) {
+          preview.set(batch._id.toString(), batch.quantity);
+        } else {
+          const savedBatch = await batch.save();
+          //(`💾 Saved batch ${batch._id} with new quantity: ${savedBatch.quantity}`);
+          movements.push({ batch, delta: -deductQuantity, quantityBefore: originalQuantity });
+        }
 
         deductionDetails.push({
           batchId: batch._id,
@@ -131,25 +280,69 @@ const adjustProductStockForOrder = async (sellerId, orderItems) => {
         //(`📦 Deducted ${deductQuantity} from batch ${batch.batchNumber || batch._id} (${originalQuantity} → ${batch.quantity}) | Remaining needed: ${remainingQuantity}`);
       }
 
-      // If we couldn't deduct all quantity (insufficient stock), log a warning
-      // Insufficient stock warning suppressed
       const totalDeducted = deductionDetails.reduce((sum, d) => sum + d.deductedQuantity, 0);
       //(`✅ Successfully deducted ${totalDeducted}/${quantity} units from ${deductionDetails.length} batches`);
       //(`📊 Deduction summary:`, deductionDetails);
 
+      // Sell the rest into the overflow batch, which goes negative until stock is received
+      let overflowBatchId = null;
+      if (remainingQuantity > 0 && policy === 'overflow' && !preview) {
+        const overflowBatch = await getOverflowBatch(sellerId, product, session, location);
+        const originalQuantity = overflowBatch.quantity;
+        overflowBatch.quantity -= remainingQuantity;
+        await overflowBatch.save();
+        movements.push({ batch: overflowBatch, delta: -remainingQuantity, quantityBefore: originalQuantity });
+        deductionDetails.push({
+          batchId: overflowBatch._id,
+          batchNumber: overflowBatch.batchNumber,
+          originalQuantity,
+          deductedQuantity: remainingQuantity,
+          remainingQuantity: overflowBatch.quantity,
+          overflow: true
+        });
+        overflowBatchId = overflowBatch._id;
+      }
+
+      stockChanges.push({
+        productId: product._id,
+        productName: product.name,
+        quantity,
+        unit: product.unit,
+        deducted: totalDeducted,
+        shortfall: remainingQuantity,
+        policy,
+        overflowBatchId,
+        ...(item.bundleProductId && { bundleProductId: item.bundleProductId }),
+        batches: deductionDetails
+      });
+
+      if (preview) continue;
+
+      await recordStockMovements(movements, {
+        sellerId,
+        reason: options.reason || 'sale',
+        source: options.source,
+        user: options.user,
+        session
+      });
+
       // Verify the changes were saved
       const updatedBatches = await ProductBatch.find({
         _id: { $in: deductionDetails.map(d => d.batchId) }
-      }).select('_id batchNumber quantity');
+      }).select('_id batchNumber quantity').session(session);
 
       // Verification complete
 
     } catch (error) {
-      // Error adjusting batch stock suppressed
+      // Inside a transaction the caller must see the failure so the whole order rolls back
+      if (session) throw error;
+      console.error('Error adjusting batch stock:', error);
+      stockChanges.push({ productId: item.productId, quantity: item.quantity, error: error.message });
     }
   }
 
   //(`✅ [BATCH_REDUCTION] Completed batch stock reduction for all ${orderItems.length} items`);
+  return stockChanges;
 };
 
 /**
@@ -176,25 +369,26 @@ const findExistingDocument = async (Model, sellerId, uniqueFields) => {
  * - If not found by `_id` (or `mongoId` invalid/missing), try to find by `localId`.
  * - This ensures robustness: we can resolve relations using either the permanent backend ID or the stable local ID.
  * - All sync functions should use this to resolve dependencies (e.g. finding a Customer for an Order).
+ * - Pass `session` when resolving inside a transaction so the returned document saves within it.
  */
-const resolveEntity = async (Model, sellerId, localId, mongoId) => {
+const resolveEntity = async (Model, sellerId, localId, mongoId, session = null) => {
   // Stricter resolution to prevent casting errors
   // Check mongoId only if it looks like a valid ObjectId string (24 chars hex)
   if (mongoId && typeof mongoId === 'string' && mongoId.length === 24 && mongoose.isValidObjectId(mongoId)) {
-    const found = await Model.findOne({ _id: mongoId, sellerId });
+    const found = await Model.findOne({ _id: mongoId, sellerId }).session(session);
     if (found) return found;
   }
 
   // Alternative: if mongoId is already an ObjectId object
   if (mongoId && mongoId instanceof mongoose.Types.ObjectId) {
-    const found = await Model.findOne({ _id: mongoId, sellerId });
+    const found = await Model.findOne({ _id: mongoId, sellerId }).session(session);
     if (found) return found;
   }
 
   if (localId) {
     // localId can be String or Number, but schema says String. 
     // Mongoose handles number to string cast for query usually.
-    const found = await Model.findOne({ localId: String(localId), sellerId });
+    const found = await Model.findOne({ localId: String(localId), sellerId }).session(session);
     if (found) return found;
   }
   return null;
@@ -316,9 +510,9 @@ const syncCustomers = async (req, res) => {
           };
 
           if (existingTx) {
-            Object.assign(existingTx, transactionData);
+            const conflict = await applySyncUpdate(existingTx, item, { sellerId, collectionName: 'customerTransactions' }, () => Object.assign(existingTx, transactionData));
             await existingTx.save();
-            results.success.push({ id: item.id, _id: existingTx._id, action: 'updated', type: 'customerTransaction' });
+            results.success.push({ id: item.id, _id: existingTx._id, action: 'updated', type: 'customerTransaction', ...(conflict && { conflict }) });
           } else {
             const newTx = new CustomerTransaction(transactionData);
             const saved = await newTx.save();
@@ -347,15 +541,17 @@ const syncCustomers = async (req, res) => {
           }
 
           if (existingCust) {
-            existingCust.name = item.name.trim();
-            existingCust.dueAmount = item.dueAmount !== undefined ? item.dueAmount : existingCust.dueAmount;
-            existingCust.mobileNumber = item.mobileNumber || item.phone || existingCust.mobileNumber;
-            existingCust.email = item.email !== undefined ? item.email : existingCust.email;
-            existingCust.address = item.address !== undefined ? item.address : existingCust.address;
-            existingCust.isDeleted = false;
-            existingCust.localId = item.id || existingCust.localId; // Ensure localId provided
+            const conflict = await applySyncUpdate(existingCust, item, { sellerId, collectionName: 'customers' }, () => {
+              existingCust.name = item.name.trim();
+              existingCust.dueAmount = item.dueAmount !== undefined ? item.dueAmount : existingCust.dueAmount;
+              existingCust.mobileNumber = item.mobileNumber || item.phone || existingCust.mobileNumber;
+              existingCust.email = item.email !== undefined ? item.email : existingCust.email;
+              existingCust.address = item.address !== undefined ? item.address : existingCust.address;
+              existingCust.isDeleted = false;
+              existingCust.localId = item.id || existingCust.localId; // Ensure localId provided
+            });
             await existingCust.save();
-            results.success.push({ id: item.id, _id: existingCust._id, action: 'updated', type: 'customer' });
+            results.success.push({ id: item.id, _id: existingCust._id, action: 'updated', type: 'customer', ...(conflict && { conflict }) });
           } else {
             const customer = new Customer({
               sellerId,
@@ -449,17 +645,19 @@ const syncCategories = async (req, res) => {
         }
 
         if (existing) {
-          existing.name = item.name;
-          existing.description = item.description;
-          existing.image = item.image;
-          existing.onlineSale = item.onlineSale !== false;
-          existing.isActive = item.isActive !== undefined ? item.isActive : true;
-          existing.isDeleted = false; // Ensure it's not hidden if re-synced
-          // Ensure localId is set if found by name but missing localId
-          if (!existing.localId && item.id) existing.localId = item.id;
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'categories' }, () => {
+            existing.name = item.name;
+            existing.description = item.description;
+            existing.image = item.image;
+            existing.onlineSale = item.onlineSale !== false;
+            existing.isActive = item.isActive !== undefined ? item.isActive : true;
+            existing.isDeleted = false; // Ensure it's not hidden if re-synced
+            // Ensure localId is set if found by name but missing localId
+            if (!existing.localId && item.id) existing.localId = item.id;
+          });
 
           const saved = await existing.save();
-          results.success.push({ id: item.id, _id: saved._id, action: 'exists_updated' });
+          results.success.push({ id: item.id, _id: saved._id, action: 'exists_updated', ...(conflict && { conflict }) });
         } else {
           // Create new category
           const category = new ProductCategory({
@@ -532,7 +730,11 @@ const syncProducts = async (req, res) => {
       });
     }
 
-    for (const item of items) {
+    // Variant parents are saved before the variants that point at them
+    const isVariant = (item) => !!(item.parentProductId || item.parentProductLocalId || item.parentProductMongoId);
+    const orderedItems = [...items].sort((a, b) => isVariant(a) - isVariant(b));
+
+    for (const item of orderedItems) {
       try {
         // Handle deletion
         if (item.isDeleted === true) {
@@ -540,6 +742,7 @@ const syncProducts = async (req, res) => {
 
           if (existing) {
             await Product.findByIdAndDelete(existing._id);
+            if (existing.isVariantParent) await detachVariants(sellerId, existing._id);
             results.success.push({ id: item.id, _id: existing._id, action: 'deleted' });
             deletionCount++;
             const usageResult = await adjustPlanUsage(sellerId, 'products', -1);
@@ -589,11 +792,13 @@ const syncProducts = async (req, res) => {
         // Find Existing Product
         let existing = await resolveEntity(Product, sellerId, item.id, item._id);
 
-        // Fallback: Match by name/description
-        if (!existing) {
+        // Fallback: a variant matches the sibling with the same options; other products match by name/description
+        if (!existing && isVariant(item)) {
+          existing = await findMatchingVariant(sellerId, item);
+        } else if (!existing) {
           const productName = item.name.trim();
           const productDescription = (item.description || '').trim();
-          const query = { sellerId, name: productName };
+          const query = { sellerId, name: productName, parentProductId: null };
           if (productDescription) query.description = productDescription;
           else query.$or = [{ description: { $exists: false } }, { description: '' }, { description: null }];
 
@@ -623,6 +828,9 @@ const syncProducts = async (req, res) => {
           discountPrice: item.discountPrice || 0,
           images: item.images || [],
           onlineSale: item.onlineSale !== false,
+          ...(item.unitConversions !== undefined && {
+            unitConversions: normalizeUnitConversions(item.unitConversions, item.unit || item.quantityUnit || 'pcs')
+          }),
 
           // ID fields
           localId: item.id,
@@ -633,11 +841,20 @@ const syncProducts = async (req, res) => {
           isDeleted: false
         };
 
+        try {
+          Object.assign(productData, await resolveVariantFields(sellerId, item, existing));
+          Object.assign(productData, await resolveBundleFields(sellerId, item, existing));
+        } catch (productError) {
+          const action = productError.code === 'INVALID_BUNDLE' ? 'invalid-bundle' : 'invalid-variant';
+          results.failed.push({ id: item.id, error: productError.message, action });
+          continue;
+        }
+
         if (existing) {
           // Update
-          Object.assign(existing, productData);
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'products' }, () => Object.assign(existing, productData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           // Create
           const product = new Product({ ...productData, sellerId });
@@ -696,6 +913,13 @@ const syncProductBatches = async (req, res) => {
           const existing = await resolveEntity(ProductBatch, sellerId, item.id, item._id);
           if (existing) {
             await ProductBatch.findByIdAndDelete(existing._id);
+            await recordStockMovements([{ batch: existing, delta: -existing.quantity, quantityAfter: 0 }], {
+              sellerId,
+              reason: 'manual_adjust',
+              source: { type: 'ProductBatch', id: existing._id, localId: item.id },
+              user: getMovementUser(req),
+              note: 'Batch deleted'
+            });
             results.success.push({ id: item.id, _id: existing._id, action: 'deleted' });
             deletionCount++;
           } else {
@@ -720,23 +944,57 @@ const syncProductBatches = async (req, res) => {
           results.failed.push({ id: item.id, error: `Product not found for batch (ID: ${productLocalId || productMongoId})` });
           continue;
         }
+        if (product.isVariantParent) {
+          results.failed.push({ id: item.id, error: `${product.name} has variants; add the batch to a variant` });
+          continue;
+        }
+        if (product.isBundle) {
+          results.failed.push({ id: item.id, error: `${product.name} is a bundle; its stock is its components'` });
+          continue;
+        }
 
         productId = product._id;
         productLocalId = product.localId;
         productMongoId = product._id;
 
+        // Inactive locations are resolved too, so batches already kept there can still be edited
+        let location = null;
+        if (item.locationId) {
+          location = await findLocation(sellerId, item.locationId, null, { includeInactive: true });
+          if (!location) {
+            results.failed.push({ id: item.id, error: `Location not found for batch (ID: ${item.locationId})` });
+            continue;
+          }
+        }
+
         // Find Existing Batch
         let existing = await resolveEntity(ProductBatch, sellerId, item.id, item._id);
 
-        // Fallback: match by product + batch number (if provided)
+        // Fallback: match by product + batch number (if provided) at the same location
         if (!existing) {
           existing = await ProductBatch.findOne({
             sellerId,
             productId,
-            batchNumber: item.batchNumber || ''
+            batchNumber: item.batchNumber || '',
+            ...locationBatchFilter(location || await findDefaultLocation(sellerId))
           });
         }
 
+        if (location && !existing && !location.isActive) {
+          results.failed.push({ id: item.id, error: `${location.name} is inactive; new stock cannot be added there` });
+          continue;
+        }
+
+        // Stock only moves between locations through a transfer, which records both sides in the ledger
+        if (location && existing && batchLocationId(existing, await findDefaultLocation(sellerId)) !== location._id.toString()) {
+          results.failed.push({
+            id: item.id,
+            error: 'A batch cannot change location here; move its stock with a stock transfer',
+            code: 'LOCATION_CHANGE'
+          });
+          continue;
+        }
+
         const batchData = {
           sellerId,
           productId: productId,
@@ -750,16 +1008,34 @@ const syncProductBatches = async (req, res) => {
           sellingUnitPrice: Number(item.sellingUnitPrice) || 0,
           wholesalePrice: Number(item.wholesalePrice) || 0,
           wholesaleMOQ: Number(item.wholesaleMOQ) || 1,
+          ...(location && { locationId: location._id }),
           localId: item.id
         };
 
+        const movementContext = {
+          sellerId,
+          source: { type: 'ProductBatch', localId: item.id },
+          user: getMovementUser(req)
+        };
+
         if (existing) {
-          Object.assign(existing, batchData);
+          const quantityBefore = existing.quantity || 0;
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'productBatches' }, () => Object.assign(existing, batchData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          await recordStockMovement(existing, (existing.quantity || 0) - quantityBefore, {
+            ...movementContext,
+            reason: 'manual_adjust',
+            source: { ...movementContext.source, id: existing._id }
+          });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           const newBatch = new ProductBatch(batchData);
           await newBatch.save();
+          await recordStockMovement(newBatch, newBatch.quantity, {
+            ...movementContext,
+            reason: 'purchase',
+            source: { ...movementContext.source, id: newBatch._id }
+          });
           results.success.push({ id: item.id, _id: newBatch._id, action: 'created' });
         }
       } catch (error) {
@@ -787,6 +1063,8 @@ const syncProductBatches = async (req, res) => {
 
 /**
  * Sync Orders (sales/billing records)
+ * Each order is written in a transaction, so MongoDB must run as a replica set; on a standalone
+ * server every order fails at the transaction step.
  */
 const syncOrders = async (req, res) => {
   try {
@@ -800,223 +1078,272 @@ const syncOrders = async (req, res) => {
     }
 
     for (const item of items) {
+      // Each order is written atomically: the order itself, batch deductions, customer due
+      // and plan usage commit together or not at all. `step` records where a failure happened.
+      let step = 'validate';
+      let outcome = null;
       try {
-        // Handle deletion
-        if (item.isDeleted === true) {
-          const existing = await resolveEntity(Order, sellerId, item.id, item._id);
-          if (existing) {
-            await Order.findByIdAndUpdate(existing._id, { isDeleted: true, updatedAt: new Date() });
-            results.success.push({ id: item.id, _id: existing._id, action: 'deleted' });
-            deletionCount++;
-            await adjustPlanUsage(sellerId, 'orders', -1);
-          } else {
-            results.success.push({ id: item.id, _id: item._id || null, action: 'deleted' });
-          }
-          continue;
-        }
+        // transaction() resolves with the commit result, so the callback reports back through `outcome`
+        await mongoose.connection.transaction(async (session) => {
+          step = 'validate';
 
-        // Validate
-        if (!item.items || !Array.isArray(item.items) || item.items.length === 0) throw new Error('Order must have at least one item');
-        if (item.totalAmount === undefined || item.totalAmount === null || typeof item.totalAmount !== 'number' || item.totalAmount < 0) throw new Error('Order must have valid totalAmount');
+          // Handle deletion
+          if (item.isDeleted === true) {
+            step = 'resolve';
+            const existing = await resolveEntity(Order, sellerId, item.id, item._id, session);
+            if (existing) {
+              step = 'save_order';
+              await Order.findByIdAndUpdate(existing._id, { isDeleted: true, updatedAt: new Date() }, { session });
+              step = 'plan_usage';
+              await adjustPlanUsage(sellerId, 'orders', -1, { session });
+              outcome = { entry: { _id: existing._id, action: 'deleted' }, deleted: true };
+              return;
+            }
+            outcome = { entry: { _id: item._id || null, action: 'deleted' }, deleted: false };
+            return;
+          }
 
-        // Resolve Customer
-        let customerId = item.customerId; // This might be localId from frontend
-        let customerLocalId = item.customerLocalId || item.customerId; // Prefer explicit localId, fallback to customerId
-        let customerMongoId = item.customerMongoId;
-        let resolvedCustomerId = null; // The actual ObjectId
+          // Validate
+          if (!item.items || !Array.isArray(item.items) || item.items.length === 0) throw new Error('Order must have at least one item');
+          if (item.totalAmount === undefined || item.totalAmount === null || typeof item.totalAmount !== 'number' || item.totalAmount < 0) throw new Error('Order must have valid totalAmount');
 
-        // Check if item.customerId is already a MongoId
-        if (mongoose.isValidObjectId(item.customerId)) {
-          customerMongoId = item.customerId;
-        }
+          // Resolve Customer
+          step = 'resolve';
+          let customerId = item.customerId; // This might be localId from frontend
+          let customerLocalId = item.customerLocalId || item.customerId; // Prefer explicit localId, fallback to customerId
+          let customerMongoId = item.customerMongoId;
+          let resolvedCustomerId = null; // The actual ObjectId
+
+          // Check if item.customerId is already a MongoId
+          if (mongoose.isValidObjectId(item.customerId)) {
+            customerMongoId = item.customerId;
+          }
 
-        const customer = await resolveEntity(Customer, sellerId, customerLocalId, customerMongoId);
+          const customer = await resolveEntity(Customer, sellerId, customerLocalId, customerMongoId, session);
 
-        if (customer) {
-          resolvedCustomerId = customer._id;
-          customerLocalId = customer.localId;
-          customerMongoId = customer._id;
-        } else if (item.customerId) {
-          // Only warn if a customer ID was provided but not found
-          // It might be a guest user if customerId is missing/null, but if provided, it should exist
-          // However, for offline sync, we might receive orders before customers.
-          // But syncCustomers runs before syncOrders usually?
-          // If not found, we set resolvedCustomerId to null to avoid casting errors, but keep LocalId
-          console.warn(`Customer not found for order (ID: ${customerLocalId})`);
-        }
+          if (customer) {
+            resolvedCustomerId = customer._id;
+            customerLocalId = customer.localId;
+            customerMongoId = customer._id;
+          } else if (item.customerId) {
+            // Only warn if a customer ID was provided but not found
+            // It might be a guest user if customerId is missing/null, but if provided, it should exist
+            // However, for offline sync, we might receive orders before customers.
+            // But syncCustomers runs before syncOrders usually?
+            // If not found, we set resolvedCustomerId to null to avoid casting errors, but keep LocalId
+            console.warn(`Customer not found for order (ID: ${customerLocalId})`);
+          }
 
-        // Process Items (Resolve Products)
-        const processedItems = [];
-        for (const orderItem of item.items) {
-          // Identify IDs
-          const incomingProductId = orderItem.productId;
-          const incomingProductLocalId = orderItem.productLocalId;
-          const incomingProductMongoId = orderItem.productMongoId;
-
-          const incomingDProductId = orderItem.dProductId;
-          const incomingDProductLocalId = orderItem.dProductLocalId;
-          const incomingDProductMongoId = orderItem.dProductMongoId;
-
-          // Initialization
-          let resolvedProductId = null;
-          let productLocalId = incomingProductLocalId || (incomingProductId && (typeof incomingProductId !== 'string' || incomingProductId.length !== 24 || !mongoose.isValidObjectId(incomingProductId)) ? incomingProductId : null);
-          let productMongoId = (incomingProductMongoId && typeof incomingProductMongoId === 'string' && incomingProductMongoId.length === 24 && mongoose.isValidObjectId(incomingProductMongoId)) ? incomingProductMongoId :
-            (incomingProductId && typeof incomingProductId === 'string' && incomingProductId.length === 24 && mongoose.isValidObjectId(incomingProductId) ? incomingProductId : null);
-
-          let resolvedDProductId = null;
-          let dProductLocalId = incomingDProductLocalId || (incomingDProductId && (typeof incomingDProductId !== 'string' || incomingDProductId.length !== 24 || !mongoose.isValidObjectId(incomingDProductId)) ? incomingDProductId : null);
-          let dProductMongoId = (incomingDProductMongoId && typeof incomingDProductMongoId === 'string' && incomingDProductMongoId.length === 24 && mongoose.isValidObjectId(incomingDProductMongoId)) ? incomingDProductMongoId :
-            (incomingDProductId && typeof incomingDProductId === 'string' && incomingDProductId.length === 24 && mongoose.isValidObjectId(incomingDProductId) ? incomingDProductId : null);
-
-          // Resolve Regular Product
-          if (productLocalId || productMongoId) {
-            const product = await resolveEntity(Product, sellerId, productLocalId, productMongoId);
-            if (product) {
-              resolvedProductId = product._id;
-              productLocalId = product.localId;
-              productMongoId = product._id;
-            }
+          // Resolve the selling location (stock comes from the default location when none is given)
+          let location = null;
+          if (item.locationId) {
+            location = await findLocation(sellerId, item.locationId, session);
+            if (!location) throw new Error('Location not found');
           }
 
-          // Resolve DProduct
-          if (orderItem.isDProduct && (dProductLocalId || dProductMongoId)) {
-            const dProduct = await resolveEntity(DProduct, sellerId, dProductLocalId, dProductMongoId);
-            if (dProduct) {
-              resolvedDProductId = dProduct._id;
-              dProductLocalId = dProduct.localId;
-              dProductMongoId = dProduct._id;
+          // Process Items (Resolve Products)
+          const processedItems = [];
+          for (const orderItem of item.items) {
+            // Identify IDs
+            const incomingProductId = orderItem.productId;
+            const incomingProductLocalId = orderItem.productLocalId;
+            const incomingProductMongoId = orderItem.productMongoId;
+
+            const incomingDProductId = orderItem.dProductId;
+            const incomingDProductLocalId = orderItem.dProductLocalId;
+            const incomingDProductMongoId = orderItem.dProductMongoId;
+
+            // Initialization
+            let resolvedProductId = null;
+            let productLocalId = incomingProductLocalId || (incomingProductId && (typeof incomingProductId !== 'string' || incomingProductId.length !== 24 || !mongoose.isValidObjectId(incomingProductId)) ? incomingProductId : null);
+            let productMongoId = (incomingProductMongoId && typeof incomingProductMongoId === 'string' && incomingProductMongoId.length === 24 && mongoose.isValidObjectId(incomingProductMongoId)) ? incomingProductMongoId :
+              (incomingProductId && typeof incomingProductId === 'string' && incomingProductId.length === 24 && mongoose.isValidObjectId(incomingProductId) ? incomingProductId : null);
+
+            let resolvedDProductId = null;
+            let dProductLocalId = incomingDProductLocalId || (incomingDProductId && (typeof incomingDProductId !== 'string' || incomingDProductId.length !== 24 || !mongoose.isValidObjectId(incomingDProductId)) ? incomingDProductId : null);
+            let dProductMongoId = (incomingDProductMongoId && typeof incomingDProductMongoId === 'string' && incomingDProductMongoId.length === 24 && mongoose.isValidObjectId(incomingDProductMongoId)) ? incomingDProductMongoId :
+              (incomingDProductId && typeof incomingDProductId === 'string' && incomingDProductId.length === 24 && mongoose.isValidObjectId(incomingDProductId) ? incomingDProductId : null);
+
+            // Resolve Regular Product
+            let baseQuantity;
+            let bundleComponents = [];
+            if (productLocalId || productMongoId) {
+              const product = await resolveEntity(Product, sellerId, productLocalId, productMongoId, session);
+              if (product) {
+                resolvedProductId = product._id;
+                productLocalId = product.localId;
+                productMongoId = product._id;
+                // Reject a unit with no conversion rather than guessing it is the base unit
+                if (orderItem.unit && getConversionFactor(product, orderItem.unit) === null) {
+                  throw new Error(`No conversion from ${orderItem.unit} to ${product.unit} for ${product.name}`);
+                }
+                baseQuantity = toBaseQuantity(product, orderItem.quantity, orderItem.unit);
+                if (product.isBundle) bundleComponents = bundleComponentLines(product, baseQuantity);
+              }
             }
-          }
 
-          // Build clean item object
-          const cleanedItem = { ...orderItem };
-
-          // CRITICAL: Remove all ID fields before re-adding resolved ones to prevent casting errors from spread
-          delete cleanedItem.productId;
-          delete cleanedItem.productMongoId;
-          delete cleanedItem.productLocalId;
-          delete cleanedItem.dProductId;
-          delete cleanedItem.dProductMongoId;
-          delete cleanedItem.dProductLocalId;
-
-          processedItems.push({
-            ...cleanedItem,
-            productId: resolvedProductId, // Will be ObjectId or null
-            productLocalId: productLocalId, // String
-            productMongoId: productMongoId, // ObjectId or null
-            dProductId: resolvedDProductId, // Will be ObjectId or null
-            dProductLocalId: dProductLocalId, // String
-            dProductMongoId: dProductMongoId, // ObjectId or null
-            // Ensure numbers
-            quantity: Number(orderItem.quantity || 0),
-            sellingPrice: Number(orderItem.sellingPrice || 0),
-            costPrice: Number(orderItem.costPrice || 0)
-          });
-        }
+            // Resolve DProduct
+            if (orderItem.isDProduct && (dProductLocalId || dProductMongoId)) {
+              const dProduct = await resolveEntity(DProduct, sellerId, dProductLocalId, dProductMongoId, session);
+              if (dProduct) {
+                resolvedDProductId = dProduct._id;
+                dProductLocalId = dProduct.localId;
+                dProductMongoId = dProduct._id;
+              }
+            }
 
-        // Find Existing Order
-        let existing = await resolveEntity(Order, sellerId, item.id, item._id);
+            // Build clean item object
+            const cleanedItem = { ...orderItem };
 
-        if (!existing && item.id) {
-          // Duplicate check by content (legacy protection)
-          const orderCreatedAt = item.createdAt || item.date;
-          // ... duplicate check implementation if really needed, skipping for brevity/performance unless critical
-          // Keeping it simple: Trust localId. 
-        }
+            // CRITICAL: Remove all ID fields before re-adding resolved ones to prevent casting errors from spread
+            delete cleanedItem.productId;
+            delete cleanedItem.productMongoId;
+            delete cleanedItem.productLocalId;
+            delete cleanedItem.dProductId;
+            delete cleanedItem.dProductMongoId;
+            delete cleanedItem.dProductLocalId;
 
-        // Prepare Data
-        const orderData = {
-          sellerId,
-          customerId: resolvedCustomerId,
-          customerLocalId: customerLocalId,
-          customerMongoId: customerMongoId,
-          customerName: item.customerName || '',
-          customerMobile: item.customerMobile || '',
-          items: processedItems,
-          totalAmount: item.totalAmount,
-          subtotal: item.subtotal || item.totalAmount,
-          discountPercent: item.discountPercent || 0,
-          taxPercent: item.taxPercent || 0,
-          paymentMethod: item.paymentMethod || 'cash',
-          splitPaymentDetails: item.splitPaymentDetails,
-          invoiceNumber: item.invoiceNumber,
-          allPaymentClear: item.allPaymentClear,
-          stockDeducted: item.stockDeducted || false,
-          dueAdded: item.dueAdded || false,
-          localId: item.id,
-          isDeleted: false
-        };
+            processedItems.push({
+              ...cleanedItem,
+              productId: resolvedProductId, // Will be ObjectId or null
+              productLocalId: productLocalId, // String
+              productMongoId: productMongoId, // ObjectId or null
+              dProductId: resolvedDProductId, // Will be ObjectId or null
+              dProductLocalId: dProductLocalId, // String
+              dProductMongoId: dProductMongoId, // ObjectId or null
+              // Ensure numbers
+              quantity: Number(orderItem.quantity || 0),
+              baseQuantity,
+              bundleComponents,
+              sellingPrice: Number(orderItem.sellingPrice || 0),
+              costPrice: Number(orderItem.costPrice || 0)
+            });
+          }
 
-        // Logic for allPaymentClear inference...
-        if (orderData.allPaymentClear === undefined) {
-          const pm = orderData.paymentMethod;
-          orderData.allPaymentClear = (pm !== 'due' && pm !== 'credit' && !(pm === 'split' && item.splitPaymentDetails?.dueAmount > 0));
-        }
+          // Find Existing Order
+          let existing = await resolveEntity(Order, sellerId, item.id, item._id, session);
 
-        if (existing) {
-          // Capture old due state
-          const wasDueAdded = existing.dueAdded;
-          const oldDue = (!existing.allPaymentClear && existing.paymentMethod === 'due') ? existing.totalAmount :
-            (existing.splitPaymentDetails?.dueAmount || 0);
+          if (!existing && item.id) {
+            // Duplicate check by content (legacy protection)
+            const orderCreatedAt = item.createdAt || item.date;
+            // ... duplicate check implementation if really needed, skipping for brevity/performance unless critical
+            // Keeping it simple: Trust localId. 
+          }
 
-          Object.assign(existing, orderData);
-          await existing.save();
+          // Prepare Data
+          const orderData = {
+            sellerId,
+            customerId: resolvedCustomerId,
+            customerLocalId: customerLocalId,
+            customerMongoId: customerMongoId,
+            customerName: item.customerName || '',
+            customerMobile: item.customerMobile || '',
+            items: processedItems,
+            totalAmount: item.totalAmount,
+            subtotal: item.subtotal || item.totalAmount,
+            discountPercent: item.discountPercent || 0,
+            taxPercent: item.taxPercent || 0,
+            paymentMethod: item.paymentMethod || 'cash',
+            splitPaymentDetails: item.splitPaymentDetails,
+            invoiceNumber: item.invoiceNumber,
+            allPaymentClear: item.allPaymentClear,
+            stockDeducted: item.stockDeducted || false,
+            dueAdded: item.dueAdded || false,
+            ...(location && { locationId: location._id }),
+            localId: item.id,
+            isDeleted: false
+          };
 
-          // Update customer due
-          if (resolvedCustomerId && existing.dueAdded) { // Only if due WAS added (or we are maintaining it)
-            // Re-calculate diff is hard. 
-            // Simplified: If dueAdded is true, we assume the previous logic handled it.
-            // If the order total/due changed, we adjust.
-            // But honestly, recalculating entire customer balance from transactions is safer.
-            // For now, minimal intervention.
+          // Logic for allPaymentClear inference...
+          if (orderData.allPaymentClear === undefined) {
+            const pm = orderData.paymentMethod;
+            orderData.allPaymentClear = (pm !== 'due' && pm !== 'credit' && !(pm === 'split' && item.splitPaymentDetails?.dueAmount > 0));
+          }
 
-            const newDue = (!existing.allPaymentClear && existing.paymentMethod === 'due') ? existing.totalAmount :
+          if (existing) {
+            // Capture old due state
+            const wasDueAdded = existing.dueAdded;
+            const oldDue = (!existing.allPaymentClear && existing.paymentMethod === 'due') ? existing.totalAmount :
               (existing.splitPaymentDetails?.dueAmount || 0);
 
-            if (wasDueAdded) {
-              const diff = newDue - oldDue;
-              if (diff !== 0) await Customer.findByIdAndUpdate(resolvedCustomerId, { $inc: { dueAmount: diff } });
-            } else {
-              // It wasn't added before (maybe new due?)
-              if (newDue > 0) await Customer.findByIdAndUpdate(resolvedCustomerId, { $inc: { dueAmount: newDue } });
+            step = 'save_order';
+            const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'orders', session }, () => Object.assign(existing, orderData));
+            await existing.save();
+
+            step = 'customer_due';
+
+            // Update customer due
+            if (resolvedCustomerId && existing.dueAdded) { // Only if due WAS added (or we are maintaining it)
+              // Re-calculate diff is hard. 
+              // Simplified: If dueAdded is true, we assume the previous logic handled it.
+              // If the order total/due changed, we adjust.
+              // But honestly, recalculating entire customer balance from transactions is safer.
+              // For now, minimal intervention.
+
+              const newDue = (!existing.allPaymentClear && existing.paymentMethod === 'due') ? existing.totalAmount :
+                (existing.splitPaymentDetails?.dueAmount || 0);
+
+              if (wasDueAdded) {
+                const diff = newDue - oldDue;
+                if (diff !== 0) await Customer.findByIdAndUpdate(resolvedCustomerId, { $inc: { dueAmount: diff } }, { session });
+              } else {
+                // It wasn't added before (maybe new due?)
+                if (newDue > 0) await Customer.findByIdAndUpdate(resolvedCustomerId, { $inc: { dueAmount: newDue } }, { session });
+              }
             }
-          }
 
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
-        } else {
-          const order = new Order(orderData);
-          const saved = await order.save();
+            outcome = { entry: { _id: existing._id, action: 'updated', ...(conflict && { conflict }) } };
+            return;
+          } else {
+            step = 'save_order';
+            const order = new Order(orderData);
+            const saved = await order.save({ session });
 
-          // Limits
-          const usageResult = await adjustPlanUsage(sellerId, 'orders', 1);
-          if (!usageResult.success) {
-            await Order.findByIdAndUpdate(saved._id, { isDeleted: true });
-            results.failed.push({ id: item.id, error: usageResult.message, action: 'limit-exceeded' });
-            continue;
-          }
+            // Limits (rolling back the transaction discards the order saved above)
+            step = 'plan_usage';
+            const usageResult = await adjustPlanUsage(sellerId, 'orders', 1, { session });
+            if (!usageResult.success) {
+              const limitError = new Error(usageResult.message);
+              limitError.action = 'limit-exceeded';
+              throw limitError;
+            }
 
-          // Stock Deduction
-          if (!item.stockDeducted) {
-            await adjustProductStockForOrder(sellerId, processedItems);
-            // Mark as deducted? No, avoid mutation if possible, or update Order? 
-            // Usually adjustProductStock is side-effect.
-          }
+            // Stock Deduction
+            step = 'stock_deduction';
+            let stockChanges = [];
+            if (!item.stockDeducted) {
+              stockChanges = await adjustProductStockForOrder(sellerId, processedItems, session, null, {
+                source: { type: 'Order', id: saved._id, localId: item.id, reference: saved.invoiceNumber },
+                user: getMovementUser(req),
+                location
+              });
+              await recordOrderShortfalls(saved._id, stockChanges, session);
+              // Mark as deducted? No, avoid mutation if possible, or update Order? 
+              // Usually adjustProductStock is side-effect.
+            }
 
-          // Customer Due
-          if (resolvedCustomerId && !item.dueAdded) {
-            const dueAmount = (!saved.allPaymentClear && saved.paymentMethod === 'due') ? saved.totalAmount :
-              (saved.splitPaymentDetails?.dueAmount || 0);
-            if (dueAmount > 0) {
-              await Customer.findByIdAndUpdate(resolvedCustomerId, { $inc: { dueAmount: dueAmount } });
+            // Customer Due
+            step = 'customer_due';
+            if (resolvedCustomerId && !item.dueAdded) {
+              const dueAmount = (!saved.allPaymentClear && saved.paymentMethod === 'due') ? saved.totalAmount :
+                (saved.splitPaymentDetails?.dueAmount || 0);
+              if (dueAmount > 0) {
+                await Customer.findByIdAndUpdate(resolvedCustomerId, { $inc: { dueAmount: dueAmount } }, { session });
+              }
             }
-          }
 
-          results.success.push({ id: item.id, _id: saved._id, invoiceNumber: saved.invoiceNumber, action: 'created' });
-        }
+            outcome = { entry: { _id: saved._id, invoiceNumber: saved.invoiceNumber, action: 'created', stockChanges } };
+          }
+        });
 
+        results.success.push({ id: item.id, ...outcome.entry });
+        if (outcome.deleted) deletionCount++;
       } catch (error) {
         console.error('Error syncing order:', error);
-        results.failed.push({ id: item.id, error: error.message });
+        const failure = { id: item.id, error: error.message, step };
+        if (error.action) failure.action = error.action;
+        if (error.shortfalls) failure.shortfalls = error.shortfalls;
+        results.failed.push(failure);
       }
     }
 
@@ -1070,16 +1397,18 @@ const syncTransactions = async (req, res) => {
 
         if (existing) {
           // Update existing transaction
-          existing.type = item.type || existing.type;
-          existing.amount = item.amount || item.total || existing.amount;
-          existing.paymentMethod = item.paymentMethod || existing.paymentMethod;
-          existing.description = item.description || existing.description;
-          existing.date = item.date ? new Date(item.date) : existing.date;
-          // Ensure localId if missing
-          if (!existing.localId && item.id) existing.localId = item.id;
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'transactions' }, () => {
+            existing.type = item.type || existing.type;
+            existing.amount = item.amount || item.total || existing.amount;
+            existing.paymentMethod = item.paymentMethod || existing.paymentMethod;
+            existing.description = item.description || existing.description;
+            existing.date = item.date ? new Date(item.date) : existing.date;
+            // Ensure localId if missing
+            if (!existing.localId && item.id) existing.localId = item.id;
+          });
 
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           // Create new transaction
           const transaction = new Transaction({
@@ -1134,6 +1463,44 @@ const syncTransactions = async (req, res) => {
   }
 };
 
+/**
+ * Lines a pushed vendor order may save. A line received into stock (receivedBatchId, set only by the
+ * receive endpoint) is server-owned: it keeps its received state and cannot be edited or dropped.
+ * The line is matched by its _id, or by identical product, quantity, unit and price when the client
+ * sent none. Returns { items } or { error }.
+ */
+const mergeVendorOrderLines = (existingItems, incomingItems) => {
+  // Received state is never taken from a client
+  const items = incomingItems.map(({ receivedBatchId, receivedBaseQuantity, ...line }) => ({ ...line }));
+  const matched = new Set();
+
+  for (const receivedLine of (existingItems || []).filter(line => line.receivedBatchId)) {
+    const unchanged = (line) => (line.productName || line.name) === receivedLine.productName
+      && Number(line.quantity) === receivedLine.quantity
+      && (line.unit || 'pcs') === receivedLine.unit
+      && Number(line.price) === receivedLine.price;
+
+    const index = items.findIndex((line, i) => !matched.has(i)
+      && (line._id ? String(line._id) === receivedLine._id.toString() : unchanged(line)));
+    if (index === -1) {
+      return { error: `${receivedLine.productName} has been received and cannot be removed from the order` };
+    }
+    if (!unchanged(items[index])) {
+      return { error: `${receivedLine.productName} has been received and cannot be edited` };
+    }
+
+    matched.add(index);
+    items[index] = {
+      ...items[index],
+      _id: receivedLine._id,
+      receivedBatchId: receivedLine.receivedBatchId,
+      receivedBaseQuantity: receivedLine.receivedBaseQuantity
+    };
+  }
+
+  return { items };
+};
+
 /**
  * Sync Vendor Orders
  */
@@ -1260,13 +1627,22 @@ const syncVendorOrders = async (req, res) => {
           paymentMethod: item.paymentMethod || 'due',
           amountPaid: item.amountPaid || 0,
           balanceDue: item.balanceDue || 0,
-          paymentStatus: item.paymentStatus || 'unpaid'
+          paymentStatus: item.paymentStatus || 'unpaid',
+          // A pushed order is the seller's own, even if the reorder engine drafted it
+          autoDrafted: false
         };
 
+        const lines = mergeVendorOrderLines(existing ? existing.items : [], processedItems);
+        if (lines.error) {
+          results.failed.push({ id: item.id, error: lines.error, code: 'RECEIVED_LINE_CHANGED' });
+          continue;
+        }
+        vendorOrderData.items = lines.items;
+
         if (existing) {
-          Object.assign(existing, vendorOrderData);
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'vendorOrders' }, () => Object.assign(existing, vendorOrderData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           const vendorOrder = new VendorOrder({ ...vendorOrderData, sellerId });
           const saved = await vendorOrder.save();
@@ -1492,6 +1868,14 @@ const syncOrdersInternal = async (sellerId, items) => {
         }
       }
 
+      let location = null;
+      if (item.locationId) {
+        location = await findLocation(sellerId, item.locationId);
+        if (!location) {
+          throw new Error('Location not found');
+        }
+      }
+
       // Convert customerId to ObjectId if it's a string
       let customerId = null;
       if (item.customerId) {
@@ -1579,7 +1963,8 @@ const syncOrdersInternal = async (sellerId, items) => {
           customerId: customerId,
           paymentMethod: paymentMethod,
           items: item.items,
-          totalAmount: item.totalAmount
+          totalAmount: item.totalAmount,
+          locationId: location ? location._id : null
         };
 
         // Add split payment details only if payment method is split and details are provided
@@ -1608,9 +1993,23 @@ const syncOrdersInternal = async (sellerId, items) => {
         // Always deduct from batches in backend (batch-based inventory system)
         // The stockDeducted flag was for old product-based system
         //(`[SYNC] Deducting from product batches for order ${item.id}`);
-        await adjustProductStockForOrder(sellerId, item.items);
+        let stockChanges;
+        try {
+          stockChanges = await adjustProductStockForOrder(sellerId, item.items, null, null, {
+            source: { type: 'Order', id: saved._id, localId: item.id, reference: saved.invoiceNumber },
+            user: { userType: 'seller', userId: sellerId },
+            location
+          });
+        } catch (stockError) {
+          // Blocked by the negative-stock policy: undo the order the same way as a plan-limit rejection
+          await Order.findByIdAndUpdate(saved._id, { isDeleted: true, updatedAt: new Date() });
+          await adjustPlanUsage(sellerId, 'orders', -1);
+          results.failed.push({ id: item.id, error: stockError.message, action: stockError.action, shortfalls: stockError.shortfalls });
+          continue;
+        }
+        await recordOrderShortfalls(saved._id, stockChanges);
 
-        results.success.push({ id: item.id, _id: saved._id, action: 'created' });
+        results.success.push({ id: item.id, _id: saved._id, action: 'created', stockChanges });
       }
     } catch (error) {
       console.error('Error syncing order:', error);
@@ -1744,14 +2143,21 @@ const syncVendorOrdersInternal = async (sellerId, items) => {
         }
       }
 
+      const lines = mergeVendorOrderLines(existing ? existing.items : [], item.items || (existing ? existing.items.map(line => line.toObject()) : []));
+      if (lines.error) {
+        results.failed.push({ id: item.id, error: lines.error, code: 'RECEIVED_LINE_CHANGED' });
+        continue;
+      }
+
       if (existing && existing.sellerId.toString() === sellerId.toString()) {
-        existing.items = item.items || existing.items;
+        existing.items = lines.items;
         existing.total = item.total || existing.total;
         existing.status = item.status || existing.status;
+        existing.autoDrafted = false;
         await existing.save();
         results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
       } else {
-        const vendorOrder = new VendorOrder({ sellerId, supplierName: item.supplierName, items: item.items || [], total: item.total || 0, status: item.status || 'pending' });
+        const vendorOrder = new VendorOrder({ sellerId, supplierName: item.supplierName, items: lines.items, total: item.total || 0, status: item.status || 'pending' });
         const saved = await vendorOrder.save();
         results.success.push({ id: item.id, _id: saved._id, action: 'created' });
       }
@@ -1887,9 +2293,9 @@ const syncRefunds = async (req, res) => {
         };
 
         if (existing) {
-          Object.assign(existing, refundData);
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'refunds' }, () => Object.assign(existing, refundData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           // Validate order existence before creation?
           // If orderId is null, it's a problem. 
@@ -1969,12 +2375,14 @@ const syncExpenses = async (req, res) => {
         }
 
         if (existing) {
-          existing.amount = item.amount;
-          existing.category = item.category;
-          existing.description = item.description;
-          existing.date = item.date;
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'expenses' }, () => {
+            existing.amount = item.amount;
+            existing.category = item.category;
+            existing.description = item.description;
+            existing.date = item.date;
+          });
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           const expense = new Expense({
             sellerId,
@@ -2101,9 +2509,9 @@ const syncCustomerTransactions = async (req, res) => {
         };
 
         if (existing) {
-          Object.assign(existing, transactionData);
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'customerTransactions' }, () => Object.assign(existing, transactionData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           const newTx = new CustomerTransaction(transactionData);
           const saved = await newTx.save();
@@ -2161,6 +2569,7 @@ const syncSettings = async (req, res) => {
         if (item.billSettings) settings.billSettings = { ...settings.billSettings, ...item.billSettings };
         if (item.reportSettings) settings.reportSettings = { ...settings.reportSettings, ...item.reportSettings };
         if (item.emailSettings) settings.emailSettings = { ...settings.emailSettings, ...item.emailSettings };
+        if (item.inventorySettings) settings.inventorySettings = { ...settings.inventorySettings, ...item.inventorySettings };
 
         // Ensure standard fields are preserved if not provided in partial update
         // (Mongoose might overwrite with empty object if we are not careful, but spread above handles it)
@@ -2312,9 +2721,9 @@ const syncSuppliers = async (req, res) => {
           };
 
           if (existingTx) {
-            Object.assign(existingTx, transactionData);
+            const conflict = await applySyncUpdate(existingTx, item, { sellerId, collectionName: 'supplierTransactions' }, () => Object.assign(existingTx, transactionData));
             await existingTx.save();
-            results.success.push({ id: item.id, _id: existingTx._id, action: 'updated', type: 'supplierTransaction' });
+            results.success.push({ id: item.id, _id: existingTx._id, action: 'updated', type: 'supplierTransaction', ...(conflict && { conflict }) });
           } else {
             const newTx = new SupplierTransaction(transactionData);
             const saved = await newTx.save();
@@ -2343,18 +2752,20 @@ const syncSuppliers = async (req, res) => {
           }
 
           if (existingSup) {
-            existingSup.name = item.name.trim();
-            existingSup.dueAmount = item.dueAmount !== undefined ? item.dueAmount : existingSup.dueAmount;
-            existingSup.mobileNumber = item.mobileNumber || item.phone || existingSup.mobileNumber;
-            existingSup.email = item.email !== undefined ? item.email : existingSup.email;
-            existingSup.address = item.address !== undefined ? item.address : existingSup.address;
-            existingSup.gstNumber = item.gstNumber !== undefined ? item.gstNumber : existingSup.gstNumber;
-            existingSup.isDeleted = false;
-            // Ensure localId is set if missing
-            if (!existingSup.localId && item.id) existingSup.localId = item.id;
+            const conflict = await applySyncUpdate(existingSup, item, { sellerId, collectionName: 'suppliers' }, () => {
+              existingSup.name = item.name.trim();
+              existingSup.dueAmount = item.dueAmount !== undefined ? item.dueAmount : existingSup.dueAmount;
+              existingSup.mobileNumber = item.mobileNumber || item.phone || existingSup.mobileNumber;
+              existingSup.email = item.email !== undefined ? item.email : existingSup.email;
+              existingSup.address = item.address !== undefined ? item.address : existingSup.address;
+              existingSup.gstNumber = item.gstNumber !== undefined ? item.gstNumber : existingSup.gstNumber;
+              existingSup.isDeleted = false;
+              // Ensure localId is set if missing
+              if (!existingSup.localId && item.id) existingSup.localId = item.id;
+            });
 
             await existingSup.save();
-            results.success.push({ id: item.id, _id: existingSup._id, action: 'updated', type: 'supplier' });
+            results.success.push({ id: item.id, _id: existingSup._id, action: 'updated', type: 'supplier', ...(conflict && { conflict }) });
 
             // Recalculate balance to ensure consistency
             await recalculateSupplierBalance(existingSup._id, sellerId);
@@ -2504,9 +2915,9 @@ const syncSupplierTransactions = async (req, res) => {
         };
 
         if (existing) {
-          Object.assign(existing, transactionData);
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'supplierTransactions' }, () => Object.assign(existing, transactionData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           const newTx = new SupplierTransaction(transactionData);
           const saved = await newTx.save();
@@ -2606,9 +3017,9 @@ const syncDProducts = async (req, res) => {
         };
 
         if (existing) {
-          Object.assign(existing, dProductData);
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'dProducts' }, () => Object.assign(existing, dProductData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           const newDProduct = new DProduct({
             ...dProductData,
@@ -2700,9 +3111,9 @@ const syncTargets = async (req, res) => {
         };
 
         if (existing) {
-          Object.assign(existing, targetData);
+          const conflict = await applySyncUpdate(existing, item, { sellerId, collectionName: 'targets' }, () => Object.assign(existing, targetData));
           await existing.save();
-          results.success.push({ id: item.id, _id: existing._id, action: 'updated' });
+          results.success.push({ id: item.id, _id: existing._id, action: 'updated', ...(conflict && { conflict }) });
         } else {
           const newTarget = new Target(targetData);
           const saved = await newTarget.save();
@@ -2730,6 +3141,141 @@ const syncTargets = async (req, res) => {
   }
 };
 
+/**
+ * Sync Stock Takes
+ * Devices open sessions, post partial counts and commit offline. Counts are merged per counter
+ * (the device) rather than replaced, so several devices can count the same session.
+ * `status: 'committed'` commits an open session; `'cancelled'` or `isDeleted` cancels it.
+ */
+const syncStockTakes = async (req, res) => {
+  try {
+    const { items } = req.body;
+    const sellerId = req.sellerId;
+    const results = { success: [], failed: [] };
+    let stockChanged = false;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ success: false, message: 'Items must be an array' });
+    }
+
+    for (const item of items) {
+      try {
+        const existing = await resolveEntity(StockTake, sellerId, item.id, item._id);
+
+        if (item.isDeleted === true) {
+          if (existing) {
+            if (existing.status === 'open') {
+              existing.status = 'cancelled';
+              existing.cancelledAt = new Date();
+            }
+            existing.isDeleted = true;
+            await existing.save();
+          }
+          results.success.push({ id: item.id, _id: existing ? existing._id : (item._id || null), action: 'deleted' });
+          continue;
+        }
+
+        let stockTake = existing;
+        if (!stockTake) {
+          let categoryId;
+          if (item.scope === 'category') {
+            const categoryMongoId = item.categoryMongoId || (mongoose.isValidObjectId(item.categoryId) ? item.categoryId : null);
+            const category = await resolveEntity(ProductCategory, sellerId, item.categoryLocalId || item.categoryId, categoryMongoId);
+            if (!category) {
+              results.failed.push({ id: item.id, error: `Category not found for stock take (ID: ${item.categoryLocalId || item.categoryId})` });
+              continue;
+            }
+            categoryId = category._id;
+          }
+
+          stockTake = new StockTake({
+            sellerId,
+            localId: item.id,
+            name: item.name || '',
+            scope: item.scope === 'category' ? 'category' : 'all',
+            categoryId,
+            openedBy: item.openedBy || ''
+          });
+        }
+
+        // A closed session only accepts a replay of its own final state
+        if (stockTake.status !== 'open') {
+          if (!item.status || item.status === stockTake.status) {
+            results.success.push({ id: item.id, _id: stockTake._id, action: 'unchanged', status: stockTake.status });
+          } else {
+            results.failed.push({ id: item.id, error: `Stock take is ${stockTake.status}` });
+          }
+          continue;
+        }
+
+        if (item.name) stockTake.name = item.name;
+        // Counts are written to the stored session, so a new one must exist first
+        await stockTake.save();
+
+        const rejectedCounts = [];
+        if (Array.isArray(item.counts) && item.counts.length > 0) {
+          const counts = [];
+          for (const count of item.counts) {
+            const batchMongoId = count.batchMongoId || (mongoose.isValidObjectId(count.batchId) ? count.batchId : null);
+            const batch = await resolveEntity(ProductBatch, sellerId, count.batchLocalId || count.batchId, batchMongoId);
+            if (!batch) {
+              rejectedCounts.push({ batchId: count.batchLocalId || count.batchId, error: 'Batch not found' });
+              continue;
+            }
+            counts.push({ ...count, batchId: batch._id });
+          }
+          rejectedCounts.push(...await addCounts(stockTake, counts, getCounterFromRequest(req, item.counterName)));
+        }
+
+        if (item.status === 'committed') {
+          if (!await commitStockTake(stockTake, getMovementUser(req))) {
+            results.failed.push({ id: item.id, error: 'Stock take is already being committed' });
+            continue;
+          }
+          stockChanged = true;
+        } else if (item.status === 'cancelled') {
+          stockTake.status = 'cancelled';
+          stockTake.cancelledAt = new Date();
+          await stockTake.save();
+        }
+
+        results.success.push({
+          id: item.id,
+          _id: stockTake._id,
+          action: existing ? 'updated' : 'created',
+          status: stockTake.status,
+          ...(rejectedCounts.length > 0 && { rejectedCounts })
+        });
+      } catch (error) {
+        if (error.code === 'STOCK_TAKE_CLOSED') {
+          results.failed.push({ id: item.id, error: error.message, code: error.code });
+          continue;
+        }
+        console.error('Error syncing stock take:', error);
+        results.failed.push({ id: item.id, error: error.message });
+      }
+    }
+
+    if (results.success.length > 0) {
+      const count = await StockTake.countDocuments({ sellerId, isDeleted: { $ne: true } });
+      await SyncTracking.updateLatestTime(sellerId, 'stockTakes', count);
+    }
+
+    res.json({
+      success: true,
+      results,
+      summary: { total: items.length, successful: results.success.length, failed: results.failed.length }
+    });
+
+    if (stockChanged) {
+      setImmediate(() => checkAndSendInventoryAlerts(sellerId).catch(console.error));
+    }
+  } catch (error) {
+    console.error('Sync stock takes error:', error);
+    res.status(500).json({ success: false, message: 'Error syncing stock takes', error: error.message });
+  }
+};
+
 module.exports = {
   syncCustomers,
   syncProducts,
@@ -2746,5 +3292,8 @@ module.exports = {
   getSyncStatus,
   syncSettings,
   syncDProducts,
-  syncTargets
+  syncTargets,
+  syncStockTakes,
+  resolveEntity,
+  adjustProductStockForOrder
 };
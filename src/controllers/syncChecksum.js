@@ -0,0 +1,211 @@
+/**
+ * Sync Checksum Controller
+ * Lets a client compare its local copy with the server per time bucket
+ * and find the exact records that drifted, without a full reload.
+ *
+ * Digest algorithm (clients must compute the same values):
+ * - record hash = sha1(`${_id}|${updatedAt ISO}|${field1}|${field2}...`) as hex,
+ *   numeric fields in CHECKSUM_FIELDS order, each formatted with toFixed(2) (missing = 0)
+ * - records are bucketed by createdAt in UTC: day 'YYYY-MM-DD', week (Monday) 'YYYY-MM-DD', month 'YYYY-MM'
+ * - bucket hash = sha1 of the bucket's record hashes sorted by _id and joined with '\n'
+ * - soft-deleted records are excluded
+ */
+
+const crypto = require('crypto');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const ProductCategory = require('../models/ProductCategory');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const VendorOrder = require('../models/VendorOrder');
+const Refund = require('../models/Refund');
+const Expense = require('../models/Expense');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const Supplier = require('../models/Supplier');
+const SupplierTransaction = require('../models/SupplierTransaction');
+const DProduct = require('../models/DProduct');
+
+// Collection (SyncTracking data type) -> model and the numeric fields that go into each record hash
+const CHECKSUM_FIELDS = {
+  customers: { model: Customer, fields: ['dueAmount'] },
+  suppliers: { model: Supplier, fields: ['dueAmount'] },
+  products: { model: Product, fields: [] },
+  productBatches: { model: ProductBatch, fields: ['quantity', 'costPrice', 'sellingUnitPrice'] },
+  categories: { model: ProductCategory, fields: [] },
+  orders: { model: Order, fields: ['totalAmount'] },
+  transactions: { model: Transaction, fields: ['amount'] },
+  vendorOrders: { model: VendorOrder, fields: ['total'] },
+  refunds: { model: Refund, fields: ['totalRefundAmount'] },
+  expenses: { model: Expense, fields: ['amount'] },
+  customerTransactions: { model: CustomerTransaction, fields: ['amount'] },
+  supplierTransactions: { model: SupplierTransaction, fields: ['amount'] },
+  dProducts: { model: DProduct, fields: ['taxPercentage'] }
+};
+
+const BUCKET_SIZES = ['day', 'week', 'month'];
+
+const sha1 = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+const formatNumber = (value) => {
+  const num = Number(value);
+  return (Number.isFinite(num) ? num : 0).toFixed(2);
+};
+
+const getBucketKey = (date, bucket) => {
+  const d = new Date(date || 0);
+  if (bucket === 'month') {
+    return d.toISOString().slice(0, 7);
+  }
+  if (bucket === 'week') {
+    // Start of the ISO week (Monday)
+    const offset = (d.getUTCDay() + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - offset);
+  }
+  return d.toISOString().slice(0, 10);
+};
+
+const hashRecord = (doc, fields) => {
+  const updatedAt = doc.updatedAt ? new Date(doc.updatedAt).toISOString() : '';
+  return sha1([doc._id.toString(), updatedAt, ...fields.map(field => formatNumber(doc[field]))].join('|'));
+};
+
+/**
+ * Build bucket -> { hash, count, records } for one collection
+ */
+const buildCollectionDigests = async (sellerId, collection, bucket) => {
+  const { model, fields } = CHECKSUM_FIELDS[collection];
+  const buckets = {};
+
+  const cursor = model.find({ sellerId, isDeleted: { $ne: true } })
+    .select(['_id', 'localId', 'createdAt', 'updatedAt', ...fields].join(' '))
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    const key = getBucketKey(doc.createdAt, bucket);
+    if (!buckets[key]) buckets[key] = [];
+    buckets[key].push({
+      id: doc._id.toString(),
+      localId: doc.localId || null,
+      updatedAt: doc.updatedAt || null,
+      hash: hashRecord(doc, fields)
+    });
+  }
+
+  Object.keys(buckets).forEach(key => {
+    const records = buckets[key].sort((a, b) => a.id.localeCompare(b.id));
+    buckets[key] = {
+      hash: sha1(records.map(r => r.hash).join('\n')),
+      count: records.length,
+      records
+    };
+  });
+
+  return buckets;
+};
+
+/**
+ * Compare server buckets with the client's digests.
+ * Without client record hashes a differing bucket returns the server's record list;
+ * with them, the exact missing/different ids are returned.
+ */
+const diffCollection = (serverBuckets, clientDigests = {}, clientRecords = {}) => {
+  const differingBuckets = [];
+  const bucketKeys = new Set([...Object.keys(serverBuckets), ...Object.keys(clientDigests)]);
+
+  bucketKeys.forEach(key => {
+    const server = serverBuckets[key];
+    const clientHash = clientDigests[key] && typeof clientDigests[key] === 'object' ? clientDigests[key].hash : clientDigests[key];
+    if (server && clientHash === server.hash) return;
+
+    const entry = {
+      bucket: key,
+      serverHash: server ? server.hash : null,
+      clientHash: clientHash || null,
+      serverCount: server ? server.count : 0
+    };
+
+    const clientBucketRecords = clientRecords[key];
+    if (clientBucketRecords && typeof clientBucketRecords === 'object') {
+      const serverById = new Map((server ? server.records : []).map(r => [r.id, r]));
+      entry.missingOnClient = [];
+      entry.missingOnServer = [];
+      entry.different = [];
+
+      serverById.forEach((record, id) => {
+        if (!(id in clientBucketRecords)) entry.missingOnClient.push(record);
+        else if (clientBucketRecords[id] !== record.hash) entry.different.push(record);
+      });
+      Object.keys(clientBucketRecords).forEach(id => {
+        if (!serverById.has(id)) entry.missingOnServer.push(id);
+      });
+    } else {
+      entry.records = server ? server.records : [];
+    }
+
+    differingBuckets.push(entry);
+  });
+
+  return differingBuckets.sort((a, b) => a.bucket.localeCompare(b.bucket));
+};
+
+/**
+ * Collection checksums
+ * POST /sync/checksums
+ * Body: {
+ *   collections?: ['orders', 'productBatches'],   // default: all supported
+ *   bucket?: 'day' | 'week' | 'month',           // default: 'month'
+ *   digests?: { orders: { '2026-01': '<bucket hash>' } },
+ *   records?: { orders: { '2026-01': { '<_id>': '<record hash>' } } }
+ * }
+ * Without digests: returns { bucket: { hash, count } } per collection.
+ * With digests: returns only the buckets (and records) that differ.
+ */
+const getChecksums = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { digests, records = {} } = req.body;
+    const bucket = req.body.bucket || 'month';
+    const collections = Array.isArray(req.body.collections) && req.body.collections.length > 0
+      ? req.body.collections
+      : Object.keys(CHECKSUM_FIELDS);
+
+    if (!BUCKET_SIZES.includes(bucket)) {
+      return res.status(400).json({ success: false, message: `bucket must be one of ${BUCKET_SIZES.join(', ')}` });
+    }
+
+    const unsupported = collections.filter(c => !CHECKSUM_FIELDS[c]);
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported collections: ${unsupported.join(', ')}. Supported: ${Object.keys(CHECKSUM_FIELDS).join(', ')}`
+      });
+    }
+
+    const result = {};
+    for (const collection of collections) {
+      const serverBuckets = await buildCollectionDigests(sellerId, collection, bucket);
+
+      if (digests && typeof digests === 'object') {
+        const differingBuckets = diffCollection(serverBuckets, digests[collection] || {}, records[collection] || {});
+        result[collection] = { inSync: differingBuckets.length === 0, differingBuckets };
+      } else {
+        const buckets = {};
+        Object.entries(serverBuckets).forEach(([key, value]) => {
+          buckets[key] = { hash: value.hash, count: value.count };
+        });
+        result[collection] = { buckets, fields: CHECKSUM_FIELDS[collection].fields };
+      }
+    }
+
+    res.json({ success: true, bucket, collections: result, serverTime: new Date() });
+  } catch (error) {
+    console.error('Sync checksum error:', error);
+    res.status(500).json({ success: false, message: 'Error computing checksums', error: error.message });
+  }
+};
+
+module.exports = {
+  getChecksums
+};
@@ -0,0 +1,165 @@
+/**
+ * Sync Conflict Controller
+ * Lists conflicts recorded during sync and lets the seller settle them by hand
+ */
+
+const mongoose = require('mongoose');
+const SyncConflict = require('../models/SyncConflict');
+const SyncTracking = require('../models/SyncTracking');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const ProductCategory = require('../models/ProductCategory');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const VendorOrder = require('../models/VendorOrder');
+const Refund = require('../models/Refund');
+const Expense = require('../models/Expense');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const Supplier = require('../models/Supplier');
+const SupplierTransaction = require('../models/SupplierTransaction');
+const DProduct = require('../models/DProduct');
+const Target = require('../models/Target');
+const StockTake = require('../models/StockTake');
+const { getMovementUser, recordStockMovement } = require('../utils/stockMovements');
+
+// SyncConflict.collectionName -> Mongoose model
+const MODEL_MAP = {
+  customers: Customer,
+  products: Product,
+  productBatches: ProductBatch,
+  categories: ProductCategory,
+  orders: Order,
+  transactions: Transaction,
+  vendorOrders: VendorOrder,
+  refunds: Refund,
+  expenses: Expense,
+  customerTransactions: CustomerTransaction,
+  suppliers: Supplier,
+  supplierTransactions: SupplierTransaction,
+  dProducts: DProduct,
+  targets: Target,
+  stockTakes: StockTake
+};
+
+/**
+ * List sync conflicts
+ * GET /sync/conflicts?status=open&collection=products&limit=50
+ */
+const listConflicts = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { status = 'open', collection } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = { sellerId };
+    if (status !== 'all') query.status = status;
+    if (collection) query.collectionName = collection;
+
+    const conflicts = await SyncConflict.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, conflicts, count: conflicts.length });
+  } catch (error) {
+    console.error('List sync conflicts error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching sync conflicts', error: error.message });
+  }
+};
+
+/**
+ * Resolve a sync conflict by hand
+ * POST /sync/conflicts/:id/resolve
+ * Body: { resolution: 'server' | 'client' | 'custom', data?: { field: value } }
+ * 'custom' applies the supplied values, limited to the conflicting fields.
+ * ?dryRun=true returns the record as it would look without saving anything.
+ */
+const resolveConflict = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { id } = req.params;
+    const { resolution, data } = req.body || {};
+
+    if (!['server', 'client', 'custom'].includes(resolution)) {
+      return res.status(400).json({ success: false, message: 'resolution must be one of server, client, custom' });
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid conflict id' });
+    }
+
+    const conflict = await SyncConflict.findOne({ _id: id, sellerId });
+    if (!conflict) {
+      return res.status(404).json({ success: false, message: 'Conflict not found' });
+    }
+    if (conflict.status === 'resolved') {
+      return res.status(409).json({ success: false, message: 'Conflict is already resolved' });
+    }
+
+    const Model = MODEL_MAP[conflict.collectionName];
+    if (!Model) {
+      return res.status(400).json({ success: false, message: `Unsupported collection: ${conflict.collectionName}` });
+    }
+
+    let values;
+    if (resolution === 'server') {
+      values = conflict.serverData || {};
+    } else if (resolution === 'client') {
+      values = conflict.clientData || {};
+    } else {
+      if (!data || typeof data !== 'object') {
+        return res.status(400).json({ success: false, message: 'data is required for a custom resolution' });
+      }
+      values = {};
+      conflict.fields.forEach((field) => {
+        if (Object.prototype.hasOwnProperty.call(data, field)) values[field] = data[field];
+      });
+    }
+
+    const doc = await Model.findOne({ _id: conflict.documentId, sellerId });
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Conflicting record no longer exists' });
+    }
+
+    const quantityBefore = doc.quantity || 0;
+    Object.entries(values).forEach(([field, value]) => doc.set(field, value));
+
+    if (req.query.dryRun === 'true') {
+      return res.json({ success: true, dryRun: true, conflict, record: doc, changedFields: doc.modifiedPaths() });
+    }
+
+    await doc.save();
+
+    // A settled batch quantity goes through the stock ledger like any other adjustment
+    if (conflict.collectionName === 'productBatches' && (doc.quantity || 0) !== quantityBefore) {
+      await recordStockMovement(doc, (doc.quantity || 0) - quantityBefore, {
+        sellerId,
+        reason: 'manual_adjust',
+        source: { type: 'SyncConflict', id: conflict._id },
+        user: getMovementUser(req),
+        note: `Sync conflict resolved (${resolution})`
+      });
+    }
+
+    conflict.status = 'resolved';
+    conflict.resolution = resolution;
+    conflict.resolvedData = values;
+    conflict.resolvedAt = new Date();
+    await conflict.save();
+
+    // Let other devices pick up the settled values
+    const count = await Model.countDocuments({ sellerId, isDeleted: { $ne: true } });
+    await SyncTracking.updateLatestTime(sellerId, conflict.collectionName, count);
+
+    res.json({ success: true, conflict, record: doc });
+  } catch (error) {
+    console.error('Resolve sync conflict error:', error);
+    res.status(500).json({ success: false, message: 'Error resolving sync conflict', error: error.message });
+  }
+};
+
+module.exports = {
+  MODEL_MAP,
+  listConflicts,
+  resolveConflict
+};
@@ -0,0 +1,81 @@
+/**
+ * Sync Devices Controller
+ * Device registry view: which devices are behind on which collections
+ */
+
+const Device = require('../models/Device');
+const SyncTracking = require('../models/SyncTracking');
+
+// A device not seen for this many days is reported as stale
+const STALE_DEVICE_DAYS = 7;
+
+/**
+ * List the seller's devices with their sync state
+ * GET /sync/devices?status=all|stale|unsynced&staleDays=7
+ */
+const listDevices = async (req, res) => {
+  try {
+    const sellerId = req.sellerId;
+    const { status = 'all' } = req.query;
+    const staleDays = parseInt(req.query.staleDays, 10) || STALE_DEVICE_DAYS;
+    const staleBefore = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+
+    const [devices, tracking] = await Promise.all([
+      Device.find({ sellerId }).sort({ lastSeenAt: -1 }).lean(),
+      SyncTracking.findOne({ sellerId }).lean()
+    ]);
+
+    const result = devices.map(device => {
+      const cursors = device.syncCursors || {};
+
+      // Collections the device syncs whose latest server change is newer than its cursor
+      const unsyncedCollections = Object.entries(cursors)
+        .map(([collection, cursor]) => {
+          const latestUpdateTime = tracking ? tracking[`${collection}LatestUpdateTime`] || null : null;
+          const lastSyncTime = cursor.lastSyncTime || null;
+          const pendingPage = !!cursor.cursor;
+          const behind = pendingPage || !lastSyncTime ||
+            (latestUpdateTime && new Date(latestUpdateTime) > new Date(lastSyncTime));
+          return behind ? { collection, latestUpdateTime, lastSyncTime, pendingPage } : null;
+        })
+        .filter(Boolean);
+
+      return {
+        deviceId: device.deviceId,
+        name: device.name,
+        platform: device.platform,
+        appVersion: device.appVersion,
+        userAgent: device.userAgent,
+        lastSeenAt: device.lastSeenAt,
+        firstSeenAt: device.createdAt,
+        isStale: !device.lastSeenAt || new Date(device.lastSeenAt) < staleBefore,
+        neverSynced: Object.keys(cursors).length === 0,
+        hasUnsyncedData: unsyncedCollections.length > 0,
+        unsyncedCollections
+      };
+    });
+
+    const filtered = result.filter(device => {
+      if (status === 'stale') return device.isStale;
+      if (status === 'unsynced') return device.hasUnsyncedData || device.neverSynced;
+      return true;
+    });
+
+    res.json({
+      success: true,
+      devices: filtered,
+      summary: {
+        total: result.length,
+        stale: result.filter(d => d.isStale).length,
+        unsynced: result.filter(d => d.hasUnsyncedData || d.neverSynced).length
+      }
+    });
+  } catch (error) {
+    console.error('List sync devices error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching devices', error: error.message });
+  }
+};
+
+module.exports = {
+  listDevices
+};
@@ -0,0 +1,327 @@
+/**
+ * Sync Dry Run Controller
+ * `?dryRun=true` on a sync push endpoint reports what the batch would do — create/update/delete,
+ * which records its references resolve to, batch stock deductions, due changes and plan limits —
+ * using the same lookups as the real handlers, without writing anything.
+ */
+
+const mongoose = require('mongoose');
+const SellerSettings = require('../models/SellerSettings');
+const { resolveEntity, adjustProductStockForOrder } = require('./sync');
+const { findLocation } = require('../utils/locations');
+const { MODEL_MAP } = require('./syncConflict');
+const { SYNC_HANDLERS, SYNC_REFERENCES, orderCollections } = require('./syncPush');
+const { checkSyncItems } = require('../middleware/validateSyncItems');
+const syncSchemas = require('../validations/sync.validation');
+const { adjustPlanUsage } = require('../utils/planUsage');
+const { getPolicy, parseBaseUpdatedAt } = require('../utils/syncConflicts');
+const { getConversionFactor } = require('../utils/unitConversions');
+
+// Collections whose creations and deletions count against plan limits
+const USAGE_TYPES = { customers: 'customers', products: 'products', orders: 'orders' };
+
+const isDryRun = (req) => req.query.dryRun === 'true';
+
+// syncCustomers / syncSuppliers also accept their transactions in the same batch
+const itemCollection = (collection, item) => {
+  if (collection === 'customers' && item.type && (item.customerId || item.customerLocalId) && item.amount !== undefined) {
+    return 'customerTransactions';
+  }
+  if (collection === 'suppliers' && item.type && item.supplierId && item.amount !== undefined) {
+    return 'supplierTransactions';
+  }
+  return collection;
+};
+
+// Same due rule as syncOrders
+const orderDue = (order) => ((!order.allPaymentClear && order.paymentMethod === 'due')
+  ? order.totalAmount
+  : (order.splitPaymentDetails?.dueAmount || 0));
+
+/**
+ * Running totals shared by every item of one preview, so later items see the effect of earlier ones
+ */
+const createPreviewState = () => ({
+  batchQuantities: new Map(),
+  customerDue: new Map(),
+  usage: {},
+  createdLocalIds: {}
+});
+
+/**
+ * Resolve one reference field the way the handlers do: `<name>MongoId`, a Mongo id in the field itself,
+ * or `<name>LocalId` / the field as a localId. References to records created earlier in the same
+ * preview are reported with `inBatch: true`.
+ */
+const resolveReference = async (sellerId, ref, target, state) => {
+  const base = ref.field.replace(/Id$/, '');
+  const rawId = target[ref.field];
+  const localId = target[`${base}LocalId`] || rawId;
+  const mongoId = target[`${base}MongoId`] || (mongoose.isValidObjectId(rawId) ? rawId : null);
+  if (!localId && !mongoId) return null;
+
+  const found = await resolveEntity(MODEL_MAP[ref.collection], sellerId, localId, mongoId);
+  if (found) {
+    return { collection: ref.collection, found: true, _id: found._id, localId: found.localId, doc: found };
+  }
+
+  const created = state.createdLocalIds[ref.collection];
+  return {
+    collection: ref.collection,
+    found: false,
+    _id: null,
+    localId: localId ? String(localId) : null,
+    inBatch: !!(created && localId && created.has(String(localId)))
+  };
+};
+
+const resolveReferences = async (sellerId, collection, item, state) => {
+  const references = {};
+  for (const ref of SYNC_REFERENCES[collection] || []) {
+    if (ref.nested) {
+      const lines = Array.isArray(item[ref.nested]) ? item[ref.nested] : [];
+      for (let index = 0; index < lines.length; index++) {
+        if (!lines[index] || typeof lines[index] !== 'object') continue;
+        const resolved = await resolveReference(sellerId, ref, lines[index], state);
+        if (resolved) references[`${ref.nested}.${index}.${ref.field}`] = resolved;
+      }
+    } else {
+      const resolved = await resolveReference(sellerId, ref, item, state);
+      if (resolved) references[ref.field] = resolved;
+    }
+  }
+  return references;
+};
+
+/**
+ * Plan-limit outcome of a usage delta, counting every change already previewed in this batch
+ */
+const previewUsage = async (sellerId, type, delta, state) => {
+  state.usage[type] = (state.usage[type] || 0) + delta;
+  if (delta <= 0 || state.usage[type] <= 0) return null;
+
+  const result = await adjustPlanUsage(sellerId, type, state.usage[type], { dryRun: true });
+  if (!result.success) {
+    // The real handler rolls the creation back, so it does not use up capacity either
+    state.usage[type] -= delta;
+    return { allowed: false, message: result.message };
+  }
+  return { allowed: true };
+};
+
+const previewDueChange = (state, customer, delta) => {
+  const key = customer._id.toString();
+  const from = state.customerDue.has(key) ? state.customerDue.get(key) : (customer.dueAmount || 0);
+  const to = from + delta;
+  state.customerDue.set(key, to);
+  return { customerId: customer._id, from, to };
+};
+
+/**
+ * Stock and due effects of an order, mirroring syncOrders
+ */
+const previewOrderEffects = async (sellerId, item, existing, references, state, entry) => {
+  const customerRef = references.customerId;
+  const customer = customerRef && customerRef.found ? customerRef.doc : null;
+
+  // syncOrders rejects a line in a unit its product cannot convert from
+  (item.items || []).forEach((line, index) => {
+    const productRef = references[`items.${index}.productId`];
+    const product = productRef && productRef.found ? productRef.doc : null;
+    if (product && line && line.unit && getConversionFactor(product, line.unit) === null) {
+      throw new Error(`No conversion from ${line.unit} to ${product.unit} for ${product.name}`);
+    }
+  });
+
+  const incoming = {
+    totalAmount: item.totalAmount,
+    paymentMethod: item.paymentMethod || 'cash',
+    splitPaymentDetails: item.splitPaymentDetails,
+    allPaymentClear: item.allPaymentClear
+  };
+  if (incoming.allPaymentClear === undefined) {
+    const pm = incoming.paymentMethod;
+    incoming.allPaymentClear = (pm !== 'due' && pm !== 'credit' && !(pm === 'split' && item.splitPaymentDetails?.dueAmount > 0));
+  }
+
+  if (existing) {
+    if (customer && item.dueAdded) {
+      const newDue = orderDue(incoming);
+      const delta = existing.dueAdded ? newDue - orderDue(existing) : newDue;
+      if (delta !== 0) entry.dueChange = previewDueChange(state, customer, delta);
+    }
+    return;
+  }
+
+  if (!item.stockDeducted) {
+    const location = item.locationId ? await findLocation(sellerId, item.locationId) : null;
+    if (item.locationId && !location) throw new Error('Location not found');
+
+    const lines = (item.items || []).map((line, index) => {
+      const productRef = references[`items.${index}.productId`];
+      return { ...line, productId: productRef && productRef.found ? productRef._id : null };
+    });
+    entry.stockChanges = await adjustProductStockForOrder(sellerId, lines, null, state.batchQuantities, { location });
+  }
+
+  if (customer && !item.dueAdded) {
+    const due = orderDue(incoming);
+    if (due > 0) entry.dueChange = previewDueChange(state, customer, due);
+  }
+};
+
+/**
+ * What one sync item would do. Throws for items the real handler would reject.
+ */
+const previewItem = async (collection, sellerId, item, state) => {
+  if (collection === 'settings') {
+    const settings = await SellerSettings.findOne({ sellerId });
+    return { id: item.id, _id: settings ? settings._id : null, action: 'updated' };
+  }
+
+  const Model = MODEL_MAP[collection];
+  const usageType = USAGE_TYPES[collection];
+  const existing = await resolveEntity(Model, sellerId, item.id, item._id);
+
+  if (item.isDeleted === true) {
+    if (existing && usageType) await previewUsage(sellerId, usageType, -1, state);
+    return { id: item.id, _id: existing ? existing._id : (item._id || null), action: 'deleted', found: !!existing };
+  }
+
+  const entry = { id: item.id, _id: existing ? existing._id : null, action: existing ? 'updated' : 'created' };
+
+  const references = await resolveReferences(sellerId, collection, item, state);
+  if (Object.keys(references).length > 0) {
+    entry.references = {};
+    Object.entries(references).forEach(([field, { doc, ...ref }]) => {
+      entry.references[field] = ref;
+    });
+  }
+
+  if (existing) {
+    const base = parseBaseUpdatedAt(item);
+    if (base && existing.updatedAt && existing.updatedAt.getTime() > base.getTime()) {
+      entry.possibleConflict = { policy: getPolicy(collection), serverUpdatedAt: existing.updatedAt };
+    }
+  } else if (usageType) {
+    const usage = await previewUsage(sellerId, usageType, 1, state);
+    if (usage && !usage.allowed) {
+      const limitError = new Error(usage.message);
+      limitError.action = 'limit-exceeded';
+      throw limitError;
+    }
+  }
+
+  if (collection === 'orders') {
+    await previewOrderEffects(sellerId, item, existing, references, state, entry);
+  } else if (collection === 'customers') {
+    const from = existing ? (existing.dueAmount || 0) : 0;
+    const to = item.dueAmount !== undefined ? item.dueAmount : from;
+    if (existing) state.customerDue.set(existing._id.toString(), to);
+    if (to !== from) entry.dueChange = { customerId: existing ? existing._id : null, from, to };
+  }
+
+  if (!existing && item.id !== undefined && item.id !== null) {
+    if (!state.createdLocalIds[collection]) state.createdLocalIds[collection] = new Set();
+    state.createdLocalIds[collection].add(String(item.id));
+  }
+
+  return entry;
+};
+
+const previewItems = async (collection, sellerId, items, state) => {
+  const results = { success: [], failed: [] };
+
+  for (const item of items) {
+    try {
+      results.success.push(await previewItem(itemCollection(collection, item), sellerId, item, state));
+    } catch (error) {
+      const failure = { id: item.id, error: error.message };
+      if (error.action) failure.action = error.action;
+      if (error.shortfalls) failure.shortfalls = error.shortfalls;
+      results.failed.push(failure);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Preview a sync batch instead of applying it
+ * POST /sync/<collection>?dryRun=true — passes through to the real handler otherwise
+ */
+const previewSync = (collection) => async (req, res, next) => {
+  if (!isDryRun(req)) {
+    return next();
+  }
+
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ success: false, message: 'Items must be an array' });
+    }
+
+    const results = await previewItems(collection, req.sellerId, items, createPreviewState());
+
+    res.json({
+      success: true,
+      dryRun: true,
+      results,
+      summary: { total: items.length, successful: results.success.length, failed: results.failed.length }
+    });
+  } catch (error) {
+    console.error('Sync dry run error:', error);
+    res.status(500).json({ success: false, message: 'Error previewing sync', error: error.message });
+  }
+};
+
+/**
+ * Preview a sync bundle in push order
+ * POST /sync/push?dryRun=true
+ */
+const previewBundle = async (req, res, next) => {
+  if (!isDryRun(req)) {
+    return next();
+  }
+
+  try {
+    const { collections } = req.body;
+
+    const unknown = Object.keys(collections).filter((name) => !SYNC_HANDLERS[name]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown collections: ${unknown.join(', ')}` });
+    }
+
+    const order = orderCollections(Object.keys(collections).filter((name) => Array.isArray(collections[name]) && collections[name].length > 0));
+    const state = createPreviewState();
+    const results = {};
+    const summary = { total: 0, successful: 0, failed: 0 };
+
+    for (const name of order) {
+      const { valid, failed } = checkSyncItems(syncSchemas.items[name], collections[name]);
+      const preview = await previewItems(name, req.sellerId, valid, state);
+      preview.failed.push(...failed);
+
+      results[name] = {
+        success: true,
+        dryRun: true,
+        results: preview,
+        summary: { total: collections[name].length, successful: preview.success.length, failed: preview.failed.length }
+      };
+      summary.total += collections[name].length;
+      summary.successful += preview.success.length;
+      summary.failed += preview.failed.length;
+    }
+
+    res.json({ success: true, dryRun: true, order, results, summary });
+  } catch (error) {
+    console.error('Sync push dry run error:', error);
+    res.status(500).json({ success: false, message: 'Error previewing sync bundle', error: error.message });
+  }
+};
+
+module.exports = {
+  isDryRun,
+  previewSync,
+  previewBundle
+};
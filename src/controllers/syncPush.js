@@ -0,0 +1,222 @@
+/**
+ * Bundled Sync Push Controller
+ * Accepts every collection in one request and runs the regular sync handlers
+ * in dependency order, so parents exist before the records that reference them.
+ */
+
+const syncController = require('./sync');
+const syncSchemas = require('../validations/sync.validation');
+const { checkSyncItems } = require('../middleware/validateSyncItems');
+
+// Collection key in the bundle -> sync handler
+const SYNC_HANDLERS = {
+  categories: syncController.syncCategories,
+  products: syncController.syncProducts,
+  productBatches: syncController.syncProductBatches,
+  dProducts: syncController.syncDProducts,
+  customers: syncController.syncCustomers,
+  suppliers: syncController.syncSuppliers,
+  orders: syncController.syncOrders,
+  transactions: syncController.syncTransactions,
+  customerTransactions: syncController.syncCustomerTransactions,
+  vendorOrders: syncController.syncVendorOrders,
+  supplierTransactions: syncController.syncSupplierTransactions,
+  refunds: syncController.syncRefunds,
+  expenses: syncController.syncExpenses,
+  targets: syncController.syncTargets,
+  stockTakes: syncController.syncStockTakes,
+  settings: syncController.syncSettings
+};
+
+/**
+ * References between collections. `field` is the id field the handler reads
+ * (it also accepts `<name>LocalId` / `<name>MongoId`); `nested` points at an array of line items.
+ * These edges define the push order.
+ */
+const SYNC_REFERENCES = {
+  products: [
+    { field: 'categoryId', collection: 'categories' },
+    { field: 'parentProductId', collection: 'products' }
+  ],
+  productBatches: [{ field: 'productId', collection: 'products' }],
+  orders: [
+    { field: 'customerId', collection: 'customers' },
+    { field: 'productId', collection: 'products', nested: 'items' },
+    { field: 'dProductId', collection: 'dProducts', nested: 'items' }
+  ],
+  customerTransactions: [
+    { field: 'customerId', collection: 'customers' },
+    { field: 'orderId', collection: 'orders' }
+  ],
+  vendorOrders: [{ field: 'supplierId', collection: 'suppliers' }],
+  supplierTransactions: [
+    { field: 'supplierId', collection: 'suppliers' },
+    { field: 'orderId', collection: 'vendorOrders' }
+  ],
+  refunds: [
+    { field: 'orderId', collection: 'orders' },
+    { field: 'productId', collection: 'products', nested: 'items' }
+  ],
+  stockTakes: [
+    { field: 'categoryId', collection: 'categories' },
+    { field: 'batchId', collection: 'productBatches', nested: 'counts' }
+  ]
+};
+
+/**
+ * Order the bundle's collections so every collection comes after the ones it references.
+ * Ties keep the SYNC_HANDLERS order.
+ */
+const orderCollections = (collections) => {
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (name) => {
+    if (visited.has(name)) return;
+    visited.add(name);
+    (SYNC_REFERENCES[name] || []).forEach((ref) => {
+      if (collections.includes(ref.collection)) visit(ref.collection);
+    });
+    ordered.push(name);
+  };
+
+  Object.keys(SYNC_HANDLERS).filter((name) => collections.includes(name)).forEach(visit);
+  return ordered;
+};
+
+/**
+ * Point references at records created earlier in this bundle.
+ * Fills `<name>MongoId` from the bundle's localId map when the client only knew the localId.
+ */
+const applyBundleReferences = (name, items, idMaps) => {
+  const refs = SYNC_REFERENCES[name] || [];
+  if (refs.length === 0) return items;
+
+  const link = (target, ref) => {
+    if (!target || typeof target !== 'object') return;
+    const base = ref.field.replace(/Id$/, '');
+    const mongoField = `${base}MongoId`;
+    const localId = target[`${base}LocalId`] || target[ref.field];
+    const mapped = localId !== undefined && localId !== null ? idMaps[ref.collection]?.[String(localId)] : null;
+    if (mapped && !target[mongoField]) {
+      target[mongoField] = mapped;
+    }
+  };
+
+  return items.map((item) => {
+    const linked = { ...item };
+    refs.forEach((ref) => {
+      if (ref.nested) {
+        if (Array.isArray(linked[ref.nested])) {
+          linked[ref.nested] = linked[ref.nested].map((line) => {
+            const copy = { ...line };
+            link(copy, ref);
+            return copy;
+          });
+        }
+      } else {
+        link(linked, ref);
+      }
+    });
+    return linked;
+  });
+};
+
+/**
+ * Call a sync handler with its own items and capture the JSON it would have sent
+ */
+const runSyncHandler = (handler, req, items) => new Promise((resolve, reject) => {
+  let statusCode = 200;
+  const res = {
+    status(code) {
+      statusCode = code;
+      return res;
+    },
+    json(body) {
+      resolve({ statusCode, body });
+      return res;
+    }
+  };
+
+  const subReq = Object.create(req);
+  subReq.body = { items };
+  Promise.resolve(handler(subReq, res)).catch(reject);
+});
+
+/**
+ * Push a bundle of collections
+ * POST /sync/push
+ * Body: { collections: { categories: [...], products: [...], orders: [...], ... } }
+ */
+const pushBundle = async (req, res) => {
+  try {
+    const { collections } = req.body;
+
+    const unknown = Object.keys(collections).filter((name) => !SYNC_HANDLERS[name]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown collections: ${unknown.join(', ')}` });
+    }
+
+    const order = orderCollections(Object.keys(collections).filter((name) => Array.isArray(collections[name]) && collections[name].length > 0));
+    const idMaps = {};
+    const idMap = {};
+    const results = {};
+    const summary = { total: 0, successful: 0, failed: 0 };
+
+    for (const name of order) {
+      const { valid, failed } = checkSyncItems(syncSchemas.items[name], collections[name]);
+      const items = applyBundleReferences(name, valid, idMaps);
+      idMaps[name] = {};
+
+      if (items.length === 0) {
+        results[name] = {
+          success: true,
+          results: { success: [], failed },
+          summary: { total: failed.length, successful: 0, failed: failed.length }
+        };
+        summary.total += failed.length;
+        summary.failed += failed.length;
+        continue;
+      }
+
+      const { statusCode, body } = await runSyncHandler(SYNC_HANDLERS[name], req, items);
+      results[name] = body;
+
+      if (statusCode >= 400 || !body || !body.results) {
+        summary.total += items.length + failed.length;
+        summary.failed += items.length + failed.length;
+        continue;
+      }
+
+      if (failed.length > 0) {
+        body.results.failed.push(...failed);
+        if (body.summary) {
+          body.summary.total += failed.length;
+          body.summary.failed += failed.length;
+        }
+      }
+
+      body.results.success.forEach((entry) => {
+        if (entry.action === 'deleted' || !entry._id || entry.id === undefined || entry.id === null) return;
+        idMaps[name][String(entry.id)] = String(entry._id);
+        idMap[String(entry.id)] = String(entry._id);
+      });
+
+      summary.total += body.summary ? body.summary.total : items.length;
+      summary.successful += body.results.success.length;
+      summary.failed += body.results.failed.length;
+    }
+
+    res.json({ success: true, order, idMap, results, summary });
+  } catch (error) {
+    console.error('Sync push error:', error);
+    res.status(500).json({ success: false, message: 'Error pushing sync bundle', error: error.message });
+  }
+};
+
+module.exports = {
+  SYNC_HANDLERS,
+  SYNC_REFERENCES,
+  orderCollections,
+  pushBundle
+};
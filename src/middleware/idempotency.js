@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// A batch key left 'pending' longer than this is assumed abandoned (e.g. server restart) and can be taken over
+const PENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+/**
+ * Claim a batch key for this request.
+ * Returns { record } when the caller owns the key, or { existing } when another request already used it.
+ */
+const claimBatchKey = async (query, requestHash) => {
+    try {
+        const record = await IdempotencyKey.create({ ...query, requestHash });
+        return { record };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne(query);
+    if (existing && existing.status === 'pending' && existing.requestHash === requestHash) {
+        const record = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: 'pending', createdAt: { $lt: new Date(Date.now() - PENDING_TIMEOUT_MS) } },
+            { createdAt: new Date() },
+            { new: true }
+        );
+        if (record) return { record };
+    }
+    return { existing };
+};
+
+/**
+ * Idempotency for sync batch endpoints.
+ *
+ * - Batch level: `Idempotency-Key` header (or body.idempotencyKey). The first successful response is stored
+ *   and returned as-is for any replay with the same key and body inside the retention window.
+ * - Item level: items[].idempotencyKey. Items already applied under their key are not sent to the handler
+ *   again; their stored result is merged back into results.success with `replayed: true`.
+ *
+ * Only 2xx responses are stored, so failed requests and failed items can be retried with the same key.
+ */
+const syncIdempotency = async (req, res, next) => {
+    // Dry runs write nothing, so they must not claim or replay keys
+    if (req.method !== 'POST' || req.query.dryRun === 'true') {
+        return next();
+    }
+
+    const sellerId = req.sellerId;
+    const endpoint = `${req.baseUrl}${req.path}`;
+    const batchKey = req.get('Idempotency-Key') || req.body?.idempotencyKey;
+    const items = Array.isArray(req.body?.items) ? req.body.items : null;
+    const hasItemKeys = !!items && items.some(item => item && item.idempotencyKey);
+
+    if (!sellerId || (!batchKey && !hasItemKeys)) {
+        return next();
+    }
+
+    try {
+        let batchRecord = null;
+
+        if (batchKey) {
+            const requestHash = hashBody(req.body);
+            const { record, existing } = await claimBatchKey(
+                { sellerId, endpoint, scope: 'batch', key: String(batchKey) },
+                requestHash
+            );
+
+            if (!record) {
+                if (!existing || existing.status === 'pending') {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'A request with this idempotency key is still being processed'
+                    });
+                }
+                if (existing.requestHash !== requestHash) {
+                    return res.status(422).json({
+                        success: false,
+                        message: 'Idempotency key was already used with a different request body'
+                    });
+                }
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.statusCode || 200).json(existing.response);
+            }
+            batchRecord = record;
+        }
+
+        // Drop items that were already applied under their own key
+        const replayed = [];
+        const itemKeys = new Map(); // item id -> idempotency key
+        if (hasItemKeys) {
+            const keys = items.filter(item => item && item.idempotencyKey).map(item => String(item.idempotencyKey));
+            const stored = await IdempotencyKey.find({
+                sellerId,
+                endpoint,
+                scope: 'item',
+                status: 'completed',
+                key: { $in: keys }
+            }).lean();
+            const storedByKey = new Map(stored.map(entry => [entry.key, entry.response]));
+
+            req.body.items = items.filter(item => {
+                if (!item || !item.idempotencyKey) return true;
+                const key = String(item.idempotencyKey);
+                if (storedByKey.has(key)) {
+                    replayed.push({ ...storedByKey.get(key), replayed: true });
+                    return false;
+                }
+                if (item.id !== undefined && item.id !== null) itemKeys.set(String(item.id), key);
+                return true;
+            });
+        }
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            res.json = originalJson;
+            const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+            let payload = body;
+            const writes = [];
+
+            if (succeeded && body && body.results) {
+                const applied = (body.results.success || []).filter(entry => itemKeys.has(String(entry.id)));
+                if (applied.length > 0) {
+                    writes.push(IdempotencyKey.bulkWrite(applied.map(entry => ({
+                        updateOne: {
+                            filter: { sellerId, endpoint, scope: 'item', key: itemKeys.get(String(entry.id)) },
+                            update: { $set: { status: 'completed', statusCode: 200, response: entry }, $setOnInsert: { createdAt: new Date() } },
+                            upsert: true
+                        }
+                    }))));
+                }
+
+                if (replayed.length > 0) {
+                    payload = {
+                        ...body,
+                        results: { ...body.results, success: [...(body.results.success || []), ...replayed] }
+                    };
+                    if (body.summary) {
+                        payload.summary = {
+                            ...body.summary,
+                            total: (body.summary.total || 0) + replayed.length,
+                            successful: (body.summary.successful || 0) + replayed.length
+                        };
+                    }
+                }
+            }
+
+            if (batchRecord) {
+                writes.push(succeeded
+                    ? IdempotencyKey.updateOne(
+                        { _id: batchRecord._id },
+                        { status: 'completed', statusCode: res.statusCode, response: payload }
+                    )
+                    : IdempotencyKey.deleteOne({ _id: batchRecord._id }));
+            }
+
+            // Persist before responding so a retry after this response always finds the stored result
+            Promise.all(writes)
+                .catch(error => console.error('Idempotency store error:', error))
+                .finally(() => originalJson(payload));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        console.error('Idempotency check error:', error);
+        res.status(500).json({ success: false, message: 'Error checking idempotency key', error: error.message });
+    }
+};
+
+module.exports = syncIdempotency;
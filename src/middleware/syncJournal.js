@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const SyncJournal = require('../models/SyncJournal');
+const { getDeviceFromRequest } = require('../utils/deviceRegistry');
+
+// '/product-batches' -> 'productBatches'
+const collectionFromPath = (path) => path.split('/')[1].replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * One journal line per request item, joined with the handler's results by items[].id
+ */
+const buildJournalItems = (items, results, collectionName) => {
+    const success = new Map();
+    const failed = new Map();
+    (results?.success || []).forEach(entry => success.set(String(entry.id), entry));
+    (results?.failed || []).forEach(entry => failed.set(String(entry.id), entry));
+
+    return items.map((item) => {
+        const key = String(item?.id);
+        const ok = success.get(key);
+        const failure = failed.get(key);
+        // A malformed client _id must not make the whole entry fail to save; keep it as text instead
+        const documentId = ok?._id || item?._id;
+        const validDocumentId = documentId && mongoose.isValidObjectId(documentId);
+        return {
+            localId: item?.id !== undefined && item?.id !== null ? key : undefined,
+            documentId: validDocumentId ? documentId : undefined,
+            clientDocumentId: documentId && !validDocumentId ? String(documentId) : undefined,
+            collectionName,
+            action: ok ? ok.action : (failure ? 'failed' : undefined),
+            invoiceNumber: ok?.invoiceNumber || item?.invoiceNumber ? String(ok?.invoiceNumber || item?.invoiceNumber) : undefined,
+            error: failure?.error,
+            code: failure?.code
+        };
+    });
+};
+
+/**
+ * Journal every sync push batch so support can trace what happened to a record.
+ * Captures the items as sent (before validation or idempotency filter them) and the final
+ * response, then writes the entry once the response has gone out. Journal failures never
+ * affect the sync itself.
+ */
+const syncJournal = (req, res, next) => {
+    const items = Array.isArray(req.body?.items) ? req.body.items : null;
+    const collections = req.body?.collections && typeof req.body.collections === 'object' ? req.body.collections : null;
+
+    if (req.method !== 'POST' || !req.sellerId || (!items && !collections)) {
+        return next();
+    }
+
+    const start = Date.now();
+    const endpoint = `${req.baseUrl}${req.path}`;
+    const isBundle = !items;
+    const sentItems = isBundle ? null : [...items];
+    const sentCollections = isBundle ? { ...collections } : null;
+    let responseBody = null;
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        res.json = originalJson;
+        responseBody = body;
+        return originalJson(body);
+    };
+
+    res.on('finish', () => {
+        let journalItems;
+        let collectionName;
+        if (isBundle) {
+            collectionName = 'bundle';
+            journalItems = [];
+            Object.entries(sentCollections).forEach(([name, list]) => {
+                if (!Array.isArray(list)) return;
+                journalItems.push(...buildJournalItems(list, responseBody?.results?.[name]?.results, name));
+            });
+        } else {
+            collectionName = collectionFromPath(req.path);
+            journalItems = buildJournalItems(sentItems, responseBody?.results, collectionName);
+        }
+
+        const device = getDeviceFromRequest(req);
+        SyncJournal.create({
+            sellerId: req.sellerId,
+            deviceId: device ? device.deviceId : undefined,
+            sessionId: req.header('x-session-id') || undefined,
+            endpoint,
+            collectionName,
+            statusCode: res.statusCode,
+            durationMs: Date.now() - start,
+            dryRun: req.query.dryRun === 'true',
+            replayed: !!res.get('Idempotent-Replayed'),
+            itemCount: journalItems.length,
+            successCount: journalItems.filter(item => item.action && item.action !== 'failed').length,
+            failedCount: journalItems.filter(item => item.action === 'failed').length,
+            error: res.statusCode >= 400 ? (responseBody?.error || responseBody?.message) : undefined,
+            items: journalItems
+        }).catch((error) => console.error('Sync journal write error:', error.message));
+    });
+
+    next();
+};
+
+module.exports = syncJournal;
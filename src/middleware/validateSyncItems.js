@@ -0,0 +1,104 @@
+const syncSchemas = require('../validations/sync.validation');
+
+// Joi error type -> machine-readable code returned to the client per field
+const ERROR_CODES = {
+    'any.required': 'FIELD_REQUIRED',
+    'any.only': 'INVALID_VALUE',
+    'any.invalid': 'INVALID_VALUE',
+    'string.base': 'INVALID_STRING',
+    'string.empty': 'FIELD_REQUIRED',
+    'string.email': 'INVALID_EMAIL',
+    'number.base': 'INVALID_NUMBER',
+    'number.min': 'NUMBER_TOO_SMALL',
+    'number.max': 'NUMBER_TOO_LARGE',
+    'number.positive': 'NUMBER_TOO_SMALL',
+    'date.base': 'INVALID_DATE',
+    'array.base': 'INVALID_ARRAY',
+    'array.min': 'ARRAY_TOO_SHORT',
+    'boolean.base': 'INVALID_BOOLEAN',
+    'object.base': 'INVALID_OBJECT',
+    'object.missing': 'FIELD_REQUIRED',
+    'alternatives.match': 'INVALID_VALUE',
+    'alternatives.types': 'INVALID_VALUE'
+};
+
+/**
+ * Validate a list of sync items against a collection schema.
+ * Returns the items that passed and a results.failed entry for each one that did not.
+ */
+const checkSyncItems = (schemaOrPicker, items) => {
+    const valid = [];
+    const failed = [];
+
+    items.forEach((item) => {
+        const schema = item && item.isDeleted === true
+            ? syncSchemas.deletion
+            : (typeof schemaOrPicker === 'function' ? schemaOrPicker(item) : schemaOrPicker);
+
+        const { error } = schema.validate(item, { abortEarly: false, convert: true });
+        if (!error) {
+            valid.push(item);
+            return;
+        }
+
+        const errors = error.details.map(d => ({
+            field: d.path.length > 0 ? d.path.join('.') : (d.context && d.context.peers ? d.context.peers.join('|') : ''),
+            code: ERROR_CODES[d.type] || 'INVALID_FIELD',
+            message: d.message
+        }));
+
+        failed.push({
+            id: item && item.id !== undefined ? item.id : null,
+            error: `Validation failed: ${errors.map(e => e.message).join(', ')}`,
+            code: 'VALIDATION_FAILED',
+            errors
+        });
+    });
+
+    return { valid, failed };
+};
+
+/**
+ * Middleware: validate every req.body.items entry for a sync collection.
+ * Invalid items never reach the handler; they are added to its results.failed.
+ * @param {String} collection - key of syncSchemas.items
+ */
+const validateSyncItems = (collection) => {
+    const schemaOrPicker = syncSchemas.items[collection];
+    if (!schemaOrPicker) {
+        throw new Error(`No sync item schema for ${collection}`);
+    }
+
+    return (req, res, next) => {
+        if (!Array.isArray(req.body.items)) {
+            return next();
+        }
+
+        const { valid, failed } = checkSyncItems(schemaOrPicker, req.body.items);
+        if (failed.length === 0) {
+            return next();
+        }
+
+        req.body.items = valid;
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            res.json = originalJson;
+            if (body && body.results && Array.isArray(body.results.failed)) {
+                body.results.failed.push(...failed);
+                if (body.summary) {
+                    body.summary.total = (body.summary.total || 0) + failed.length;
+                    body.summary.failed = (body.summary.failed || 0) + failed.length;
+                }
+            }
+            return originalJson(body);
+        };
+
+        next();
+    };
+};
+
+module.exports = {
+    checkSyncItems,
+    validateSyncItems
+};
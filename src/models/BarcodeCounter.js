@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Last internal barcode sequence number handed out to a seller
+const barcodeCounterSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true,
+        unique: true
+    },
+    sequence: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('BarcodeCounter', barcodeCounterSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 const CustomerSchema = new mongoose.Schema({
     sellerId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -44,4 +45,10 @@ CustomerSchema.index({ sellerId: 1, localId: 1 }, {
     }
 });
 
+// Cursor paging for incremental sync walks (updatedAt, _id) per seller
+CustomerSchema.index({ sellerId: 1, updatedAt: 1, _id: 1 });
+
+// Hard deletes leave a tombstone for other devices
+CustomerSchema.plugin(tombstonePlugin, { collectionName: 'customers' });
+
 module.exports = mongoose.model("Customer", CustomerSchema);
\ No newline at end of file
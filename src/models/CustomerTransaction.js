@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 
 const CustomerTransactionSchema = new mongoose.Schema({
     sellerId: {
@@ -121,4 +122,7 @@ CustomerTransactionSchema.post("findOneAndDelete", async function (doc) {
     }
 });
 
+// Hard deletes leave a tombstone for other devices
+CustomerTransactionSchema.plugin(tombstonePlugin, { collectionName: 'customerTransactions' });
+
 module.exports = mongoose.model("CustomerTransaction", CustomerTransactionSchema);
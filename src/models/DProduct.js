@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const dProductSchema = new mongoose.Schema({
     sellerId: {
@@ -53,6 +54,9 @@ const dProductSchema = new mongoose.Schema({
 // Compound index to ensure unique pCode per seller
 dProductSchema.index({ sellerId: 1, pCode: 1 }, { unique: true });
 
+// Hard deletes leave a tombstone for other devices
+dProductSchema.plugin(tombstonePlugin, { collectionName: 'dProducts' });
+
 const DProduct = mongoose.model('DProduct', dProductSchema);
 
 module.exports = DProduct;
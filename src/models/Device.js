@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Device Model
+ * One entry per seller device that pulls sync data, with its own cursor per collection
+ */
+const syncCursorSchema = new mongoose.Schema({
+  // Everything changed up to this time has been delivered to the device
+  lastSyncTime: { type: Date, default: null },
+  // Paging cursor of an unfinished incremental sync (null once complete)
+  cursor: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const deviceSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  // Stable id generated by the client app
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  platform: {
+    type: String,
+    default: ''
+  },
+  appVersion: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // SyncTracking data type -> cursor
+  syncCursors: {
+    type: Map,
+    of: syncCursorSchema,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+deviceSchema.index({ sellerId: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ sellerId: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const expenseSchema = new mongoose.Schema({
     sellerId: {
@@ -46,6 +47,9 @@ expenseSchema.pre('save', function (next) {
     next();
 });
 
+// Hard deletes leave a tombstone for other devices
+expenseSchema.plugin(tombstonePlugin, { collectionName: 'expenses' });
+
 const Expense = mongoose.model('Expense', expenseSchema);
 
 module.exports = Expense;
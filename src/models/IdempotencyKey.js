@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How long a stored sync response can be replayed for the same key
+const RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS, 10) || 48;
+
+const idempotencyKeySchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    // 'batch' keys cover a whole request, 'item' keys a single entry of req.body.items
+    scope: {
+        type: String,
+        enum: ['batch', 'item'],
+        default: 'batch'
+    },
+    endpoint: {
+        type: String,
+        required: true
+    },
+    requestHash: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'completed'],
+        default: 'pending'
+    },
+    statusCode: {
+        type: Number
+    },
+    // Stored response body (batch) or results entry (item) returned on replay
+    response: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: RETENTION_HOURS * 60 * 60
+    }
+});
+
+idempotencyKeySchema.index({ sellerId: 1, endpoint: 1, scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
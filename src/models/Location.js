@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A place a seller keeps stock (shop floor, back godown, ...). Batches without a location
+// belong to the seller's default location.
+const locationSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['shop', 'godown', 'other'],
+        default: 'shop'
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    localId: {
+        type: String,
+        required: false,
+        index: true
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
+locationSchema.index({ sellerId: 1, isDeleted: 1 });
+// At most one default location per seller
+locationSchema.index({ sellerId: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -92,6 +92,28 @@ const OrderSchema = new mongoose.Schema({
                 type: String,
                 required: true
             },
+            // `quantity` in the product's base unit (differs when sold loose or by the box)
+            baseQuantity: {
+                type: Number,
+                required: false
+            },
+            // For a bundle: the components it took off the shelf when sold (base units), so a refund
+            // restocks those even after the bundle's recipe changes
+            bundleComponents: [{
+                _id: false,
+                productId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Product"
+                },
+                productName: {
+                    type: String,
+                    default: ''
+                },
+                baseQuantity: {
+                    type: Number,
+                    required: true
+                }
+            }],
             hsnCode: {
                 type: String,
                 default: ''
@@ -223,7 +245,34 @@ const OrderSchema = new mongoose.Schema({
     deliveryCharge: {
         type: Number,
         default: 0
-    }
+    },
+    // Location the sale drew stock from (seller's default location when not set)
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Location",
+        required: false
+    },
+    // Items sold beyond available batch stock (see SellerSettings.inventorySettings.negativeStockPolicy)
+    hasStockShortfall: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    stockShortfalls: [{
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product"
+        },
+        productName: String,
+        quantity: Number,
+        deducted: Number,
+        shortfall: Number,
+        policy: String,
+        overflowBatchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ProductBatch"
+        }
+    }]
 }, { timestamps: true })
 
 // Pre-save hook to handle splitPaymentDetails validation
@@ -277,4 +326,7 @@ OrderSchema.pre('save', function (next) {
 // Index on sellerId, customerId, totalAmount, and createdAt for faster duplicate detection
 OrderSchema.index({ sellerId: 1, customerId: 1, totalAmount: 1, createdAt: -1 });
 
+// Cursor paging for incremental sync walks (updatedAt, _id) per seller
+OrderSchema.index({ sellerId: 1, updatedAt: 1, _id: 1 });
+
 module.exports = mongoose.model("Order", OrderSchema);
\ No newline at end of file
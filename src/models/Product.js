@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 const ProductSchema = new mongoose.Schema({
     sellerId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -109,7 +110,71 @@ const ProductSchema = new mongoose.Schema({
     onlineSale: {
         type: Boolean,
         default: true
-    }
+    },
+    // Bundle / combo: sold at `bundlePrice`, holds no stock itself; each sale deducts its components
+    // (quantity per bundle in the component's base unit) from their own batches
+    isBundle: {
+        type: Boolean,
+        default: false
+    },
+    bundlePrice: {
+        type: Number,
+        default: 0
+    },
+    bundleComponents: [{
+        _id: false,
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true
+        },
+        productLocalId: {
+            type: String,
+            required: false
+        },
+        productName: {
+            type: String,
+            default: ''
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 0
+        }
+    }],
+    // Units the product is bought or sold in besides its base `unit`: 1 `unit` = `factor` base units
+    // (1 box = 24 pcs). Stock is always kept in the base unit.
+    unitConversions: [{
+        _id: false,
+        unit: { type: String, required: true },
+        factor: { type: Number, required: true, min: 0 }
+    }],
+    // Variants: a parent declares option axes (size, pack, flavour) and holds no stock itself; each
+    // child SKU is a product of its own (barcode, batches, prices) pointing at the parent.
+    // Products with neither are single-variant items.
+    isVariantParent: {
+        type: Boolean,
+        default: false
+    },
+    variantAxes: [{
+        _id: false,
+        name: { type: String, required: true },
+        values: [{ type: String }]
+    }],
+    parentProductId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        default: null
+    },
+    parentProductLocalId: {
+        type: String,
+        required: false
+    },
+    variantOptions: [{
+        _id: false,
+        name: { type: String, required: true },
+        value: { type: String, required: true }
+    }]
 
 
 
@@ -123,4 +188,13 @@ ProductSchema.index({ sellerId: 1, localId: 1 }, {
     }
 });
 
+ProductSchema.index({ sellerId: 1, parentProductId: 1 });
+ProductSchema.index({ sellerId: 1, barcode: 1 });
+
+// Cursor paging for incremental sync walks (updatedAt, _id) per seller
+ProductSchema.index({ sellerId: 1, updatedAt: 1, _id: 1 });
+
+// Hard deletes leave a tombstone for other devices
+ProductSchema.plugin(tombstonePlugin, { collectionName: 'products' });
+
 module.exports = mongoose.model("Product", ProductSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 
 const ProductBatchSchema = new mongoose.Schema({
 
@@ -85,6 +86,17 @@ const ProductBatchSchema = new mongoose.Schema({
         type: Number,
         default: 1
     },
+    // Where the batch is kept; null means the seller's default location
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Location",
+        default: null
+    },
+    // Absorbs sales beyond available stock under the 'overflow' negative-stock policy; may go negative
+    isOverflow: {
+        type: Boolean,
+        default: false
+    },
 
 
     isDeleted: {
@@ -112,6 +124,22 @@ const ProductBatchSchema = new mongoose.Schema({
         type: String,
         enum: ['safe', 'warning', 'critical'],
         default: 'safe'
+    },
+    // Units held for pending online orders; reserving checks it in the same update that raises it
+    reservedQuantity: {
+        type: Number,
+        default: 0
+    },
+    // Units reported damaged and awaiting write-off
+    damagedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Batch-specific barcode printed on its labels; scans of the product barcode pick a batch instead
+    barcode: {
+        type: String,
+        default: ''
     }
 
 }, { timestamps: true });
@@ -120,5 +148,13 @@ const ProductBatchSchema = new mongoose.Schema({
 ProductBatchSchema.index({ sellerId: 1, isDeleted: 1 });
 ProductBatchSchema.index({ expiry: 1, quantity: 1 });
 ProductBatchSchema.index({ sellerId: 1, productId: 1 });
+ProductBatchSchema.index({ sellerId: 1, locationId: 1, productId: 1 });
+ProductBatchSchema.index({ sellerId: 1, barcode: 1 });
+
+// Cursor paging for incremental sync walks (updatedAt, _id) per seller
+ProductBatchSchema.index({ sellerId: 1, updatedAt: 1, _id: 1 });
+
+// Hard deletes leave a tombstone for other devices
+ProductBatchSchema.plugin(tombstonePlugin, { collectionName: 'productBatches' });
 
 module.exports = mongoose.model("ProductBatch", ProductBatchSchema);
@@ -35,6 +35,11 @@ const SellerSettingsSchema = new mongoose.Schema({
         alertFrequency: { type: String, default: 'daily' }, // immediate, daily, weekly
         recipients: [{ type: String }] // List of email addresses
     },
+    inventorySettings: {
+        // What a sale does when batches run out: sell into a negative overflow batch,
+        // reject the order, or sell what is there and flag the order
+        negativeStockPolicy: { type: String, enum: ['overflow', 'block', 'flag'], default: 'flag' }
+    },
     isSynced: {
         type: Boolean,
         default: true
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const STOCK_MOVEMENT_REASONS = ['sale', 'online_sale', 'cancel', 'refund', 'manual_adjust', 'purchase', 'write_off', 'transfer'];
+
+// One row per change to a ProductBatch quantity
+const stockMovementSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    batchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductBatch',
+        required: true
+    },
+    batchNumber: {
+        type: String,
+        default: ''
+    },
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    // Signed change in units: negative for stock going out
+    delta: {
+        type: Number,
+        required: true
+    },
+    quantityBefore: {
+        type: Number
+    },
+    quantityAfter: {
+        type: Number
+    },
+    reason: {
+        type: String,
+        enum: STOCK_MOVEMENT_REASONS,
+        required: true
+    },
+    // Document that caused the change (Order, Refund, ProductBatch, ...)
+    sourceType: {
+        type: String
+    },
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sourceLocalId: {
+        type: String
+    },
+    // Invoice number or other human reference for the source
+    reference: {
+        type: String
+    },
+    // Who made the change: the seller, an online shopper, or the system
+    userType: {
+        type: String,
+        enum: ['seller', 'customer', 'system'],
+        default: 'system'
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    userName: {
+        type: String
+    },
+    note: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockMovementSchema.index({ sellerId: 1, productId: 1, createdAt: -1, _id: -1 });
+stockMovementSchema.index({ sellerId: 1, batchId: 1, createdAt: -1 });
+stockMovementSchema.index({ sellerId: 1, sourceId: 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+StockMovement.REASONS = STOCK_MOVEMENT_REASONS;
+
+module.exports = StockMovement;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Batch quantities held for one online order until the seller accepts it (committed) or it is
+// cancelled / times out (released). Held quantity stays in ProductBatch.quantity until commit.
+const stockReservationSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    items: [{
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductBatch',
+            required: true
+        },
+        batchNumber: {
+            type: String,
+            default: ''
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        // Set on commit: how much was actually taken from the batch
+        committedQuantity: {
+            type: Number,
+            default: 0
+        }
+    }],
+    status: {
+        type: String,
+        // 'committing' while a commit is taking the reserved units out of their batches
+        enum: ['reserved', 'committing', 'committed', 'released'],
+        default: 'reserved'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    committedAt: {
+        type: Date
+    },
+    releasedAt: {
+        type: Date
+    },
+    releaseReason: {
+        type: String,
+        enum: ['cancelled', 'timeout']
+    },
+    // The items are counted in their batches' reservedQuantity (reservations made before that counter are not)
+    heldOnBatches: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockReservationSchema.index({ sellerId: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+stockReservationSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
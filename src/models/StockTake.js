@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Physical count of a seller's stock: all products or one category. Counters post partial counts
+// per batch; committing applies each counted batch's variance (count less the quantity it held when
+// counted) and keeps the applied adjustments.
+const stockTakeSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    scope: {
+        type: String,
+        enum: ['all', 'category'],
+        default: 'all'
+    },
+    categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductCategory'
+    },
+    status: {
+        type: String,
+        // 'committing' while a commit applies its adjustments
+        enum: ['open', 'committing', 'committed', 'cancelled'],
+        default: 'open'
+    },
+    // Latest count of each batch by each counter; a batch's counted quantity is the sum over counters
+    counts: [{
+        batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductBatch',
+            required: true
+        },
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        counterId: {
+            type: String,
+            default: 'default'
+        },
+        counterName: {
+            type: String,
+            default: ''
+        },
+        countedQuantity: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        countedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Filled on commit
+    adjustments: [{
+        batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductBatch'
+        },
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        productName: String,
+        batchNumber: String,
+        expectedQuantity: Number,
+        countedQuantity: Number,
+        variance: Number,
+        costPrice: Number,
+        varianceValue: Number
+    }],
+    openedBy: {
+        type: String,
+        default: ''
+    },
+    committedBy: {
+        type: String
+    },
+    committedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    localId: {
+        type: String,
+        required: false,
+        index: true
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
+stockTakeSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+// Cursor paging for incremental sync walks (updatedAt, _id) per seller
+stockTakeSchema.index({ sellerId: 1, updatedAt: 1, _id: 1 });
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Movement of batch stock from one location to another. Each line takes quantity from a source
+// batch and adds it to the matching batch at the destination (same batch number, dates and prices).
+const stockTransferSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    transferNumber: {
+        type: String,
+        required: true
+    },
+    fromLocationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+    toLocationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+    items: [{
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        productName: {
+            type: String,
+            default: ''
+        },
+        fromBatchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductBatch',
+            required: true
+        },
+        toBatchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductBatch',
+            required: true
+        },
+        batchNumber: {
+            type: String,
+            default: ''
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 0
+        }
+    }],
+    status: {
+        type: String,
+        enum: ['completed'],
+        default: 'completed'
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: String,
+        default: ''
+    },
+    localId: {
+        type: String,
+        required: false,
+        index: true
+    }
+}, { timestamps: true });
+
+stockTransferSchema.index({ sellerId: 1, createdAt: -1 });
+stockTransferSchema.index({ sellerId: 1, transferNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
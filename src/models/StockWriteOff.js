@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const WRITE_OFF_REASONS = ['expired', 'damaged', 'other'];
+
+// Stock taken out of batches as a loss (expired, damaged, ...), valued at batch cost. Part of the loss
+// can be recovered by returning the goods to the supplier, which credits the supplier's account.
+const stockWriteOffSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    writeOffNumber: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: WRITE_OFF_REASONS,
+        required: true
+    },
+    items: [{
+        productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        productName: {
+            type: String,
+            default: ''
+        },
+        batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductBatch',
+            required: true
+        },
+        batchNumber: {
+            type: String,
+            default: ''
+        },
+        expiry: {
+            type: Date,
+            default: null
+        },
+        // Base units written off
+        quantity: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        unitCost: {
+            type: Number,
+            default: 0
+        },
+        lossAmount: {
+            type: Number,
+            default: 0
+        }
+    }],
+    totalLoss: {
+        type: Number,
+        default: 0
+    },
+    // Goods sent back to the supplier for credit, valued at cost
+    supplierReturn: {
+        supplierId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Supplier'
+        },
+        supplierName: {
+            type: String
+        },
+        amount: {
+            type: Number,
+            default: 0
+        },
+        transactionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'SupplierTransaction'
+        }
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: String,
+        default: ''
+    },
+    localId: {
+        type: String,
+        required: false,
+        index: true
+    }
+}, { timestamps: true });
+
+stockWriteOffSchema.index({ sellerId: 1, createdAt: -1 });
+stockWriteOffSchema.index({ sellerId: 1, writeOffNumber: 1 }, { unique: true });
+
+const StockWriteOff = mongoose.model('StockWriteOff', stockWriteOffSchema);
+StockWriteOff.REASONS = WRITE_OFF_REASONS;
+
+module.exports = StockWriteOff;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 
 const SupplierSchema = new mongoose.Schema({
     sellerId: {
@@ -49,4 +50,7 @@ SupplierSchema.index({ sellerId: 1, localId: 1 }, {
     }
 });
 
+// Hard deletes leave a tombstone for other devices
+SupplierSchema.plugin(tombstonePlugin, { collectionName: 'suppliers' });
+
 module.exports = mongoose.model("Supplier", SupplierSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 
 const SupplierTransactionSchema = new mongoose.Schema({
     sellerId: {
@@ -20,7 +21,7 @@ const SupplierTransactionSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ["payment", "due", "refund", "opening_balance", "settlement", "add_due", "remove_due", "credit_usage", "purchase_order", "cancel_purchase"],
+        enum: ["payment", "due", "refund", "opening_balance", "settlement", "add_due", "remove_due", "credit_usage", "purchase_order", "cancel_purchase", "purchase_return"],
         required: true
     },
     amount: {
@@ -76,20 +77,21 @@ const SupplierTransactionSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Helper function to update supplier balance based on transaction history
-const updateSupplierBalance = async (supplierId, sellerId) => {
+// (inside the saving transaction's session, when there is one)
+const updateSupplierBalance = async (supplierId, sellerId, session = null) => {
     try {
         const Supplier = mongoose.model("Supplier");
         const transactions = await mongoose.model("SupplierTransaction").find({
             supplierId,
             sellerId,
             isDeleted: { $ne: true }
-        });
+        }).session(session);
 
         let totalDues = 0;
         let totalPayments = 0;
 
         transactions.forEach(t => {
-            const isPayment = ['payment', 'cash', 'online', 'upi', 'card', 'remove_due', 'settlement', 'cancel_purchase'].includes(t.type);
+            const isPayment = ['payment', 'cash', 'online', 'upi', 'card', 'remove_due', 'settlement', 'cancel_purchase', 'purchase_return'].includes(t.type);
             const isCredit = ['due', 'add_due', 'opening_balance', 'purchase_order', 'refund', 'credit_usage'].includes(t.type);
 
             if (isPayment) totalPayments += Number(t.amount || 0);
@@ -100,7 +102,7 @@ const updateSupplierBalance = async (supplierId, sellerId) => {
 
         await Supplier.findByIdAndUpdate(supplierId, {
             dueAmount: calculatedBalance
-        });
+        }, { session });
     } catch (error) {
         console.error("Error updating supplier balance from transaction hook:", error);
     }
@@ -109,7 +111,7 @@ const updateSupplierBalance = async (supplierId, sellerId) => {
 // Hook to update balance after saving a transaction
 SupplierTransactionSchema.post("save", async function (doc) {
     if (doc.supplierId && doc.sellerId) {
-        await updateSupplierBalance(doc.supplierId, doc.sellerId);
+        await updateSupplierBalance(doc.supplierId, doc.sellerId, doc.$session());
     }
 });
 
@@ -120,4 +122,7 @@ SupplierTransactionSchema.post("findOneAndDelete", async function (doc) {
     }
 });
 
+// Hard deletes leave a tombstone for other devices
+SupplierTransactionSchema.plugin(tombstonePlugin, { collectionName: 'supplierTransactions' });
+
 module.exports = mongoose.model("SupplierTransaction", SupplierTransactionSchema);
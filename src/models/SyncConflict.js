@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sync Conflict Model
+ * One entry per offline edit that arrived after the server copy had already changed
+ * (client base updatedAt older than the stored updatedAt).
+ */
+const syncConflictSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true,
+    index: true
+  },
+  // SyncTracking data type, e.g. 'customers', 'products', 'orders'
+  collectionName: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  localId: {
+    type: String
+  },
+  baseUpdatedAt: {
+    type: Date
+  },
+  serverUpdatedAt: {
+    type: Date
+  },
+  policy: {
+    type: String,
+    enum: ['server-wins', 'client-wins', 'field-merge'],
+    required: true
+  },
+  // Fields whose client and server values differed
+  fields: [{
+    type: String
+  }],
+  // Client values for the differing fields were kept for these
+  appliedFields: [{
+    type: String
+  }],
+  clientData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  serverData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: String,
+    enum: ['server', 'client', 'custom', null],
+    default: null
+  },
+  resolvedData: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+syncConflictSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+syncConflictSchema.index({ sellerId: 1, collectionName: 1, documentId: 1 });
+
+module.exports = mongoose.model('SyncConflict', syncConflictSchema);
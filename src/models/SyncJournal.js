@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// How long sync batches stay available for support lookups
+const RETENTION_DAYS = parseInt(process.env.SYNC_JOURNAL_RETENTION_DAYS, 10) || 30;
+
+const syncJournalItemSchema = new mongoose.Schema({
+    // Client localId (items[].id)
+    localId: {
+        type: String
+    },
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Client-sent _id that is not an ObjectId, kept as sent
+    clientDocumentId: {
+        type: String
+    },
+    collectionName: {
+        type: String
+    },
+    // created / updated / deleted, or failed
+    action: {
+        type: String
+    },
+    invoiceNumber: {
+        type: String
+    },
+    error: {
+        type: String
+    },
+    code: {
+        type: String
+    }
+}, { _id: false });
+
+const syncJournalSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller',
+        required: true
+    },
+    deviceId: {
+        type: String
+    },
+    sessionId: {
+        type: String
+    },
+    endpoint: {
+        type: String,
+        required: true
+    },
+    // Sync collection key, or 'bundle' for /sync/push
+    collectionName: {
+        type: String
+    },
+    statusCode: {
+        type: Number
+    },
+    durationMs: {
+        type: Number
+    },
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    replayed: {
+        type: Boolean,
+        default: false
+    },
+    itemCount: {
+        type: Number,
+        default: 0
+    },
+    successCount: {
+        type: Number,
+        default: 0
+    },
+    failedCount: {
+        type: Number,
+        default: 0
+    },
+    // Request-level error (e.g. a 500 from the handler)
+    error: {
+        type: String
+    },
+    items: [syncJournalItemSchema],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: RETENTION_DAYS * 24 * 60 * 60
+    }
+});
+
+syncJournalSchema.index({ sellerId: 1, createdAt: -1 });
+syncJournalSchema.index({ 'items.localId': 1 });
+syncJournalSchema.index({ 'items.invoiceNumber': 1 });
+
+module.exports = mongoose.model('SyncJournal', syncJournalSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { emitToSeller } = require('../utils/realtime');
 
 /**
  * Sync Tracking Model
@@ -31,6 +32,7 @@ const syncTrackingSchema = new mongoose.Schema({
   supplierTransactionsLatestUpdateTime: { type: Date, default: Date.now },
   dProductsLatestUpdateTime: { type: Date, default: Date.now },
   settingsLatestUpdateTime: { type: Date, default: Date.now },
+  stockTakesLatestUpdateTime: { type: Date, default: Date.now },
 
   // Record counts for each data type
   customersRecordCount: { type: Number, default: 0 },
@@ -50,6 +52,7 @@ const syncTrackingSchema = new mongoose.Schema({
   supplierTransactionsRecordCount: { type: Number, default: 0 },
   dProductsRecordCount: { type: Number, default: 0 },
   settingsRecordCount: { type: Number, default: 1 },
+  stockTakesRecordCount: { type: Number, default: 0 },
 
   // Last fetch times for each data type (used for incremental data fetching)
   customersLastSyncTime: { type: Date, default: null },
@@ -68,7 +71,8 @@ const syncTrackingSchema = new mongoose.Schema({
   suppliersLastSyncTime: { type: Date, default: null },
   supplierTransactionsLastSyncTime: { type: Date, default: null },
   dProductsLastSyncTime: { type: Date, default: null },
-  settingsLastSyncTime: { type: Date, default: null }
+  settingsLastSyncTime: { type: Date, default: null },
+  stockTakesLastSyncTime: { type: Date, default: null }
 }, {
   timestamps: true
 });
@@ -101,6 +105,14 @@ syncTrackingSchema.statics.updateLatestTime = async function (sellerId, dataType
     );
 
     //(`✅ Updated sync tracking for ${dataType}: ${now}`);
+
+    // Let the seller's other open devices pull this change right away
+    emitToSeller(sellerId, 'data_changed', {
+      collection: dataType,
+      latestUpdateTime: now,
+      count: recordCount !== null ? recordCount : (result ? result[`${dataType}RecordCount`] : null)
+    });
+
     return result;
   } catch (error) {
     console.error(`❌ Error updating sync tracking for ${dataType}:`, error);
@@ -121,7 +133,7 @@ syncTrackingSchema.statics.ensureTracking = async function (sellerId) {
       return await this.initializeForSeller(sellerId);
     }
 
-    const dataTypes = ['customers', 'products', 'productBatches', 'categories', 'orders', 'planOrders', 'refunds', 'transactions', 'customerTransactions', 'vendorOrders', 'expenses', 'achievements', 'staff', 'suppliers', 'supplierTransactions', 'dProducts', 'settings'];
+    const dataTypes = ['customers', 'products', 'productBatches', 'categories', 'orders', 'planOrders', 'refunds', 'transactions', 'customerTransactions', 'vendorOrders', 'expenses', 'achievements', 'staff', 'suppliers', 'supplierTransactions', 'dProducts', 'settings', 'stockTakes'];
 
     // Check for missing fields and update if necessary
     let needsUpdate = false;
@@ -161,7 +173,7 @@ syncTrackingSchema.statics.getLatestUpdateTimes = async function (sellerId) {
   try {
     const tracking = await this.ensureTracking(sellerId);
 
-    const dataTypes = ['customers', 'products', 'productBatches', 'categories', 'orders', 'planOrders', 'refunds', 'transactions', 'customerTransactions', 'vendorOrders', 'expenses', 'achievements', 'staff', 'suppliers', 'supplierTransactions', 'dProducts', 'settings'];
+    const dataTypes = ['customers', 'products', 'productBatches', 'categories', 'orders', 'planOrders', 'refunds', 'transactions', 'customerTransactions', 'vendorOrders', 'expenses', 'achievements', 'staff', 'suppliers', 'supplierTransactions', 'dProducts', 'settings', 'stockTakes'];
     const result = {};
 
     dataTypes.forEach(dataType => {
@@ -229,7 +241,7 @@ syncTrackingSchema.statics.getDeltaData = async function (sellerId, lastFetchTim
 // Static method to initialize sync tracking for a seller
 syncTrackingSchema.statics.initializeForSeller = async function (sellerId) {
   try {
-    const dataTypes = ['customers', 'products', 'productBatches', 'categories', 'orders', 'planOrders', 'refunds', 'transactions', 'customerTransactions', 'vendorOrders', 'expenses', 'achievements', 'staff', 'suppliers', 'supplierTransactions', 'dProducts', 'settings'];
+    const dataTypes = ['customers', 'products', 'productBatches', 'categories', 'orders', 'planOrders', 'refunds', 'transactions', 'customerTransactions', 'vendorOrders', 'expenses', 'achievements', 'staff', 'suppliers', 'supplierTransactions', 'dProducts', 'settings', 'stockTakes'];
     const now = new Date();
 
     const updateData = {};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tombstonePlugin } = require('../utils/tombstones');
 
 const targetSchema = new mongoose.Schema({
     sellerId: {
@@ -29,4 +30,7 @@ const targetSchema = new mongoose.Schema({
 // Ensure one target per day per seller
 targetSchema.index({ sellerId: 1, date: 1 }, { unique: true });
 
+// Hard deletes leave a tombstone for other devices
+targetSchema.plugin(tombstonePlugin, { collectionName: 'targets' });
+
 module.exports = mongoose.model('Target', targetSchema);
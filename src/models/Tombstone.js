@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tombstone Model
+ * Marker left behind when a synced record is hard deleted, so other devices
+ * still learn about the deletion through incremental and delta sync.
+ */
+const tombstoneSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  // SyncTracking data type, e.g. 'expenses', 'dProducts', 'supplierTransactions'
+  collectionName: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  localId: {
+    type: String
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Read paths page through (deletedAt, _id) per seller and collection
+tombstoneSchema.index({ sellerId: 1, collectionName: 1, deletedAt: 1, _id: 1 });
+tombstoneSchema.index({ deletedAt: 1 });
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
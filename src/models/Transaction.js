@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 
 const TransactionSchema = new mongoose.Schema({
   sellerId: {
@@ -76,4 +77,7 @@ const TransactionSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Hard deletes leave a tombstone for other devices
+TransactionSchema.plugin(tombstonePlugin, { collectionName: 'transactions' });
+
 module.exports = mongoose.model("Transaction", TransactionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tombstonePlugin } = require("../utils/tombstones");
 
 const VendorOrderSchema = new mongoose.Schema({
     sellerId: {
@@ -51,6 +52,16 @@ const VendorOrderSchema = new mongoose.Schema({
                 type: Boolean,
                 default: false
             },
+            // Set when the line is received into stock: base-unit quantity and the batch it went into
+            receivedBaseQuantity: {
+                type: Number,
+                default: 0
+            },
+            receivedBatchId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "ProductBatch",
+                default: null
+            },
             subtotal: {
                 type: Number,
                 required: true,
@@ -65,7 +76,8 @@ const VendorOrderSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ["pending", "completed", "cancelled"],
+        // 'draft': proposed by the reorder engine, waiting for the seller's review
+        enum: ["draft", "pending", "completed", "cancelled"],
         default: "pending",
         index: true
     },
@@ -117,6 +129,11 @@ const VendorOrderSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Created by the reorder engine and untouched since; such drafts are replaced on the next run
+    autoDrafted: {
+        type: Boolean,
+        default: false
+    },
     isDeleted: {
         type: Boolean,
         default: false,
@@ -182,5 +199,8 @@ VendorOrderSchema.pre('save', function (next) {
     next();
 });
 
+// Hard deletes leave a tombstone for other devices
+VendorOrderSchema.plugin(tombstonePlugin, { collectionName: 'vendorOrders' });
+
 module.exports = mongoose.model("VendorOrder", VendorOrderSchema);
 
@@ -28,4 +28,8 @@ router.delete('/coupons/:id', adminAuth, adminController.deleteCoupon);
 // Shops
 router.get('/shops', adminAuth, adminController.getShops);
 
+// Sync journal
+router.get('/sync-journal', adminAuth, adminController.searchSyncJournal);
+router.get('/sync-journal/:id', adminAuth, adminController.getSyncJournalEntry);
+
 module.exports = router;
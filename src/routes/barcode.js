@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { verifySeller, verifySession } = require('../middleware/auth');
+const barcodeController = require('../controllers/barcode');
+const dataController = require('../controllers/data');
+const validate = require('../middleware/validate');
+const barcodeSchemas = require('../validations/barcode.validation');
+
+// All barcode routes require authentication and valid session
+router.use(verifySeller);
+router.use(verifySession);
+
+router.get('/lookup/:code', barcodeController.lookupScannedBarcode);
+router.post('/assign', dataController.checkPlanForOperations, validate(barcodeSchemas.assignBarcodes), barcodeController.assignBarcodes);
+router.post('/labels', validate(barcodeSchemas.labelSheet), barcodeController.getLabelSheet);
+
+module.exports = router;
@@ -16,11 +16,17 @@ router.get('/customers', dataController.getCustomers);
 router.get('/suppliers', dataController.getSuppliers);
 router.get('/products', dataController.getProducts);
 router.get('/product-batches', dataController.getProductBatches);
+router.get('/products/:id/stock-movements', dataController.getProductStockMovements);
+router.get('/reports/stock-shortfalls', dataController.getStockShortfallReport);
+router.get('/reports/reorder-suggestions', dataController.getReorderSuggestions);
+router.get('/reports/inventory-valuation', dataController.getInventoryValuation);
+router.get('/reports/cogs', dataController.getCogsReport);
 router.get('/orders', dataController.getOrders);
 router.get('/transactions', dataController.getTransactions);
 router.get('/vendor-orders', dataController.getVendorOrders);
 router.get('/categories', dataController.getCategories);
 router.post('/all', dataController.getAllData);
+router.post('/all/stream', dataController.streamAllData);
 router.get('/current-plan', dataController.getCurrentPlan);
 router.get('/sync-tracking', dataController.getSyncTracking);
 
@@ -34,6 +40,8 @@ router.put('/seller/settings', dataController.checkPlanForOperations, dataContro
 
 // POST endpoints
 router.post('/product-batches', dataController.checkPlanForOperations, dataController.createProductBatch);
+router.post('/vendor-orders/:id/receive', dataController.checkPlanForOperations, dataController.receiveVendorOrder);
+router.post('/vendor-orders/reorder-drafts', dataController.checkPlanForOperations, dataController.createReorderDrafts);
 router.post('/plans/upgrade', dataController.upgradePlan);
 router.post('/plans/create-razorpay-order', dataController.createRazorpayOrder);
 router.post('/plans/verify-razorpay-payment', dataController.verifyRazorpayPayment);
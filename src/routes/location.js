@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { verifySeller, verifySession } = require('../middleware/auth');
+const locationController = require('../controllers/location');
+const dataController = require('../controllers/data');
+const validate = require('../middleware/validate');
+const locationSchemas = require('../validations/location.validation');
+
+// All location routes require authentication and valid session
+router.use(verifySeller);
+router.use(verifySession);
+
+router.get('/transfers', locationController.getStockTransfers);
+router.get('/transfers/:id', locationController.getStockTransfer);
+router.post('/transfers', dataController.checkPlanForOperations, validate(locationSchemas.createStockTransfer), locationController.createStockTransfer);
+
+router.get('/', locationController.getLocations);
+router.get('/:id/stock', locationController.getLocationStock);
+router.post('/', dataController.checkPlanForOperations, validate(locationSchemas.createLocation), locationController.createLocation);
+router.put('/:id', dataController.checkPlanForOperations, validate(locationSchemas.updateLocation), locationController.updateLocation);
+router.delete('/:id', dataController.checkPlanForOperations, locationController.deleteLocation);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { verifySeller, verifySession } = require('../middleware/auth');
+const stockTakeController = require('../controllers/stockTake');
+const dataController = require('../controllers/data');
+const validate = require('../middleware/validate');
+const stockTakeSchemas = require('../validations/stockTake.validation');
+
+// All stock-take routes require authentication and valid session
+router.use(verifySeller);
+router.use(verifySession);
+
+router.get('/', stockTakeController.getStockTakes);
+router.get('/:id', stockTakeController.getStockTake);
+
+router.post('/', dataController.checkPlanForOperations, validate(stockTakeSchemas.createStockTake), stockTakeController.createStockTake);
+router.post('/:id/counts', dataController.checkPlanForOperations, validate(stockTakeSchemas.addCounts), stockTakeController.addStockTakeCounts);
+router.post('/:id/commit', dataController.checkPlanForOperations, stockTakeController.commitStockTakeSession);
+router.post('/:id/cancel', dataController.checkPlanForOperations, stockTakeController.cancelStockTake);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { verifySeller, verifySession } = require('../middleware/auth');
+const stockWriteOffController = require('../controllers/stockWriteOff');
+const dataController = require('../controllers/data');
+const validate = require('../middleware/validate');
+const stockWriteOffSchemas = require('../validations/stockWriteOff.validation');
+
+// All write-off routes require authentication and valid session
+router.use(verifySeller);
+router.use(verifySession);
+
+router.get('/candidates', stockWriteOffController.getWriteOffCandidates);
+router.put('/batches/:id/damage', dataController.checkPlanForOperations, validate(stockWriteOffSchemas.markBatchDamaged), stockWriteOffController.markBatchDamaged);
+
+router.get('/', stockWriteOffController.getWriteOffs);
+router.get('/:id', stockWriteOffController.getWriteOff);
+router.post('/', dataController.checkPlanForOperations, validate(stockWriteOffSchemas.createWriteOff), stockWriteOffController.createWriteOff);
+
+module.exports = router;
@@ -3,32 +3,61 @@ const router = express.Router();
 const { verifySeller, verifySession } = require('../middleware/auth');
 const syncController = require('../controllers/sync');
 const incrementalSyncController = require('../controllers/incrementalSync');
+const syncIdempotency = require('../middleware/idempotency');
+const syncJournal = require('../middleware/syncJournal');
+const syncConflictController = require('../controllers/syncConflict');
+const syncPushController = require('../controllers/syncPush');
+const syncDevicesController = require('../controllers/syncDevices');
+const syncChecksumController = require('../controllers/syncChecksum');
+const syncDryRunController = require('../controllers/syncDryRun');
 
 // All sync routes require authentication and valid session
 router.use(verifySeller);
 router.use(verifySession);
 
+// Journal every push batch for support lookups (admin /sync-journal)
+router.use(syncJournal);
+
+// Replay-safe sync pushes: Idempotency-Key header per batch, items[].idempotencyKey per item
+router.use(syncIdempotency);
+
 const validate = require('../middleware/validate');
+const { validateSyncItems } = require('../middleware/validateSyncItems');
 const syncSchemas = require('../validations/sync.validation');
 const dataController = require('../controllers/data');
 
 // Specific routes first (before dynamic route)
 router.get('/status', syncController.getSyncStatus);
 
+// Conflicts recorded when an offline edit was based on an outdated copy
+router.get('/conflicts', syncConflictController.listConflicts);
+router.post('/conflicts/:id/resolve', syncConflictController.resolveConflict);
+
+// Device registry with per-device sync state (identify devices via x-device-id headers)
+router.get('/devices', syncDevicesController.listDevices);
+
+// Per-bucket digests to find records that drifted between client and server
+router.post('/checksums', validate(syncSchemas.checksums), syncChecksumController.getChecksums);
+
 // Sync endpoints (for pushing data from frontend) - all require valid plan
-router.post('/customers', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncCustomers);
-router.post('/suppliers', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncSuppliers);
-router.post('/products', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncProducts);
-router.post('/product-batches', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncProductBatches);
-router.post('/orders', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncOrders);
-router.post('/transactions', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncTransactions);
-router.post('/vendor-orders', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncVendorOrders);
-router.post('/categories', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncCategories);
-router.post('/refunds', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncRefunds);
-router.post('/expenses', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncExpenses);
-router.post('/settings', validate(syncSchemas.syncWrapper), syncController.syncSettings);
-router.post('/d-products', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncDProducts);
-router.post('/targets', validate(syncSchemas.syncWrapper), dataController.checkPlanForOperations, syncController.syncTargets);
+// ?dryRun=true previews the batch instead of applying it
+router.post('/customers', validate(syncSchemas.syncWrapper), validateSyncItems('customers'), dataController.checkPlanForOperations, syncDryRunController.previewSync('customers'), syncController.syncCustomers);
+router.post('/suppliers', validate(syncSchemas.syncWrapper), validateSyncItems('suppliers'), dataController.checkPlanForOperations, syncDryRunController.previewSync('suppliers'), syncController.syncSuppliers);
+router.post('/products', validate(syncSchemas.syncWrapper), validateSyncItems('products'), dataController.checkPlanForOperations, syncDryRunController.previewSync('products'), syncController.syncProducts);
+router.post('/product-batches', validate(syncSchemas.syncWrapper), validateSyncItems('productBatches'), dataController.checkPlanForOperations, syncDryRunController.previewSync('productBatches'), syncController.syncProductBatches);
+router.post('/orders', validate(syncSchemas.syncWrapper), validateSyncItems('orders'), dataController.checkPlanForOperations, syncDryRunController.previewSync('orders'), syncController.syncOrders);
+router.post('/transactions', validate(syncSchemas.syncWrapper), validateSyncItems('transactions'), dataController.checkPlanForOperations, syncDryRunController.previewSync('transactions'), syncController.syncTransactions);
+router.post('/vendor-orders', validate(syncSchemas.syncWrapper), validateSyncItems('vendorOrders'), dataController.checkPlanForOperations, syncDryRunController.previewSync('vendorOrders'), syncController.syncVendorOrders);
+router.post('/categories', validate(syncSchemas.syncWrapper), validateSyncItems('categories'), dataController.checkPlanForOperations, syncDryRunController.previewSync('categories'), syncController.syncCategories);
+router.post('/refunds', validate(syncSchemas.syncWrapper), validateSyncItems('refunds'), dataController.checkPlanForOperations, syncDryRunController.previewSync('refunds'), syncController.syncRefunds);
+router.post('/expenses', validate(syncSchemas.syncWrapper), validateSyncItems('expenses'), dataController.checkPlanForOperations, syncDryRunController.previewSync('expenses'), syncController.syncExpenses);
+router.post('/settings', validate(syncSchemas.syncWrapper), validateSyncItems('settings'), syncDryRunController.previewSync('settings'), syncController.syncSettings);
+router.post('/d-products', validate(syncSchemas.syncWrapper), validateSyncItems('dProducts'), dataController.checkPlanForOperations, syncDryRunController.previewSync('dProducts'), syncController.syncDProducts);
+router.post('/targets', validate(syncSchemas.syncWrapper), validateSyncItems('targets'), dataController.checkPlanForOperations, syncDryRunController.previewSync('targets'), syncController.syncTargets);
+router.post('/stock-takes', validate(syncSchemas.syncWrapper), validateSyncItems('stockTakes'), dataController.checkPlanForOperations, syncDryRunController.previewSync('stockTakes'), syncController.syncStockTakes);
+
+// All collections in one request, applied in dependency order
+router.post('/push', validate(syncSchemas.pushBundle), dataController.checkPlanForOperations, syncDryRunController.previewBundle, syncPushController.pushBundle);
 
 
 // Universal incremental sync endpoint (dynamic - must be last)
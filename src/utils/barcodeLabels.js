@@ -0,0 +1,150 @@
+const { isValidEan13 } = require('./barcodes');
+
+// EAN-13 digit patterns (1 = bar); G codes are the R codes reversed
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_CODES = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+const G_CODES = R_CODES.map(code => code.split('').reverse().join(''));
+// Which of the left six digits use G codes, chosen by the first digit
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// A4 sheet, measured in millimetres
+const SHEET = { width: 210, height: 297, margin: 8, gap: 2 };
+
+/**
+ * The 95 modules of an EAN-13 symbol as a string of 0/1
+ */
+const ean13Modules = (code) => {
+  const digits = code.split('').map(Number);
+  const parity = PARITY[digits[0]];
+  let modules = '101';
+  for (let i = 1; i <= 6; i++) {
+    modules += (parity[i - 1] === 'L' ? L_CODES : G_CODES)[digits[i]];
+  }
+  modules += '01010';
+  for (let i = 7; i <= 12; i++) {
+    modules += R_CODES[digits[i]];
+  }
+  return modules + '101';
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+const formatDate = (date) => {
+  const value = new Date(date);
+  return `${String(value.getMonth() + 1).padStart(2, '0')}/${value.getFullYear()}`;
+};
+
+/**
+ * SVG elements for an EAN-13 symbol with its digits underneath, `width` x `height` mm at (x, y).
+ * Guard bars run into the digit row, as printed on retail packs.
+ */
+const renderEan13 = (code, x, y, width, height) => {
+  const modules = ean13Modules(code);
+  const moduleWidth = width / 102; // 95 modules plus a quiet zone for the leading digit
+  const left = x + moduleWidth * 7;
+  const digitSize = Math.min(height * 0.22, moduleWidth * 7);
+  const barHeight = height - digitSize;
+  const guards = new Set([0, 1, 2, 45, 46, 47, 48, 49, 92, 93, 94]);
+
+  const bars = [];
+  let start = -1;
+  for (let i = 0; i <= modules.length; i++) {
+    if (modules[i] === '1' && start === -1) start = i;
+    if (modules[i] !== '1' && start !== -1) {
+      const extended = guards.has(start);
+      bars.push(`<rect x="${(left + start * moduleWidth).toFixed(3)}" y="${y.toFixed(3)}" width="${((i - start) * moduleWidth).toFixed(3)}" height="${(barHeight + (extended ? digitSize / 2 : 0)).toFixed(3)}"/>`);
+      start = -1;
+    }
+  }
+
+  const textY = (y + height).toFixed(3);
+  const fontSize = digitSize.toFixed(3);
+  const text = [
+    `<text x="${(x + moduleWidth * 3.5).toFixed(3)}" y="${textY}" font-size="${fontSize}" text-anchor="middle">${code[0]}</text>`,
+    `<text x="${(left + moduleWidth * 24).toFixed(3)}" y="${textY}" font-size="${fontSize}" text-anchor="middle" letter-spacing="${(moduleWidth * 1.6).toFixed(3)}">${code.slice(1, 7)}</text>`,
+    `<text x="${(left + moduleWidth * 71).toFixed(3)}" y="${textY}" font-size="${fontSize}" text-anchor="middle" letter-spacing="${(moduleWidth * 1.6).toFixed(3)}">${code.slice(7)}</text>`
+  ];
+
+  return `<g fill="#000">${bars.join('')}</g><g font-family="monospace" fill="#000">${text.join('')}</g>`;
+};
+
+/**
+ * One label: name, price, batch and expiry above the barcode
+ */
+const renderLabel = (label, x, y, width, height) => {
+  const pad = 1.5;
+  const nameSize = Math.min(3.2, height * 0.11);
+  const detailSize = nameSize * 0.8;
+  const parts = [];
+
+  parts.push(`<text x="${(x + pad).toFixed(3)}" y="${(y + pad + nameSize).toFixed(3)}" font-size="${nameSize.toFixed(3)}" font-weight="bold">${escapeXml(truncate(label.name || '', Math.floor(width / (nameSize * 0.55))))}</text>`);
+
+  if (label.price !== null && label.price !== undefined) {
+    parts.push(`<text x="${(x + pad).toFixed(3)}" y="${(y + pad + nameSize + detailSize * 1.4).toFixed(3)}" font-size="${detailSize.toFixed(3)}">${escapeXml(`Price ₹${formatNumber(label.price)}`)}</text>`);
+  }
+
+  const batchLine = [];
+  if (label.batchNumber) batchLine.push(`Batch ${label.batchNumber}`);
+  if (label.expiry) batchLine.push(`Exp ${formatDate(label.expiry)}`);
+  if (batchLine.length > 0) {
+    parts.push(`<text x="${(x + pad).toFixed(3)}" y="${(y + pad + nameSize + detailSize * 2.7).toFixed(3)}" font-size="${detailSize.toFixed(3)}">${escapeXml(batchLine.join('  '))}</text>`);
+  }
+
+  const textHeight = pad + nameSize + detailSize * 3.2;
+  if (label.barcode && isValidEan13(label.barcode)) {
+    const codeWidth = Math.min(width - pad * 2, 40);
+    parts.push(renderEan13(label.barcode, x + (width - codeWidth) / 2, y + textHeight, codeWidth, height - textHeight - pad));
+  } else if (label.barcode) {
+    // Not an EAN-13 (e.g. a manufacturer code in another symbology): print the digits only
+    parts.push(`<text x="${(x + width / 2).toFixed(3)}" y="${(y + height - pad).toFixed(3)}" font-size="${detailSize.toFixed(3)}" font-family="monospace" text-anchor="middle">${escapeXml(label.barcode)}</text>`);
+  }
+
+  return `<g font-family="Helvetica, Arial, sans-serif" fill="#000">${parts.join('')}</g>`;
+};
+
+/**
+ * Printable A4 label sheets as SVG, one document per page.
+ * `labels`: [{ name, barcode, price, batchNumber?, expiry? }] in print order.
+ * `options`: { columns = 3, rows = 8, outline = true } — outline draws cut lines around each label.
+ */
+const renderLabelSheets = (labels, { columns = 3, rows = 8, outline = true } = {}) => {
+  const perPage = columns * rows;
+  const width = (SHEET.width - SHEET.margin * 2 - SHEET.gap * (columns - 1)) / columns;
+  const height = (SHEET.height - SHEET.margin * 2 - SHEET.gap * (rows - 1)) / rows;
+  const pages = [];
+
+  for (let first = 0; first < labels.length; first += perPage) {
+    const cells = labels.slice(first, first + perPage).map((label, index) => {
+      const x = SHEET.margin + (index % columns) * (width + SHEET.gap);
+      const y = SHEET.margin + Math.floor(index / columns) * (height + SHEET.gap);
+      const border = outline
+        ? `<rect x="${x.toFixed(3)}" y="${y.toFixed(3)}" width="${width.toFixed(3)}" height="${height.toFixed(3)}" fill="none" stroke="#bbb" stroke-width="0.2" stroke-dasharray="1,1"/>`
+        : '';
+      return border + renderLabel(label, x, y, width, height);
+    });
+
+    pages.push([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET.width}mm" height="${SHEET.height}mm" viewBox="0 0 ${SHEET.width} ${SHEET.height}">`,
+      '<rect width="100%" height="100%" fill="#fff"/>',
+      ...cells,
+      '</svg>'
+    ].join('\n'));
+  }
+
+  return pages;
+};
+
+module.exports = {
+  ean13Modules,
+  renderEan13,
+  renderLabelSheets,
+};
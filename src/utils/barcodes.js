@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const BarcodeCounter = require('../models/BarcodeCounter');
+const SyncTracking = require('../models/SyncTracking');
+
+// GS1 prefixes 200-299 are reserved for in-store use, so internal codes cannot clash with a manufacturer's
+const INTERNAL_PREFIX = /^2\d{2}$/.test(process.env.INTERNAL_BARCODE_PREFIX || '') ? process.env.INTERNAL_BARCODE_PREFIX : '200';
+const SEQUENCE_DIGITS = 12 - INTERNAL_PREFIX.length;
+const MAX_ASSIGN = 1000;
+
+const barcodeError = (message, code = 'INVALID_BARCODE') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * EAN-13 check digit for the first 12 digits: weights 1 and 3 alternate from the left
+ */
+const ean13CheckDigit = (digits) => {
+  const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidEan13 = (code) => /^\d{13}$/.test(code) && ean13CheckDigit(code.slice(0, 12)) === code[12];
+
+const isInternalBarcode = (code) => isValidEan13(code) && code.startsWith(INTERNAL_PREFIX);
+
+/**
+ * Next `count` unused internal EAN-13 codes for a seller. Sequence numbers are reserved atomically, and
+ * codes already on one of the seller's products or batches (typed in by hand) are skipped.
+ */
+const allocateBarcodes = async (sellerId, count) => {
+  const codes = [];
+  while (codes.length < count) {
+    const needed = count - codes.length;
+    const counter = await BarcodeCounter.findOneAndUpdate(
+      { sellerId },
+      { $inc: { sequence: needed } },
+      { new: true, upsert: true }
+    );
+    if (counter.sequence >= 10 ** SEQUENCE_DIGITS) {
+      throw barcodeError('Internal barcode range is exhausted', 'BARCODE_RANGE_EXHAUSTED');
+    }
+
+    const candidates = [];
+    for (let sequence = counter.sequence - needed + 1; sequence <= counter.sequence; sequence++) {
+      const body = INTERNAL_PREFIX + String(sequence).padStart(SEQUENCE_DIGITS, '0');
+      candidates.push(body + ean13CheckDigit(body));
+    }
+
+    const [products, batches] = await Promise.all([
+      Product.find({ sellerId, barcode: { $in: candidates } }).select('barcode').lean(),
+      ProductBatch.find({ sellerId, barcode: { $in: candidates } }).select('barcode').lean()
+    ]);
+    const taken = new Set([...products, ...batches].map(doc => doc.barcode));
+    codes.push(...candidates.filter(code => !taken.has(code)));
+  }
+  return codes;
+};
+
+/**
+ * Give internal barcodes to products and batches. Without ids, every product with an empty barcode gets
+ * one. Existing barcodes are kept unless `overwrite` is set, which needs ids and only replaces internal
+ * codes: a manufacturer's barcode is never overwritten.
+ * Returns the assignments as [{ type: 'product'|'batch', id, name, barcode }].
+ */
+const assignInternalBarcodes = async (sellerId, { productIds = [], batchIds = [], overwrite = false } = {}) => {
+  const invalid = [...productIds, ...batchIds].find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) throw barcodeError(`Invalid ID: ${invalid}`);
+  if (overwrite && productIds.length === 0 && batchIds.length === 0) {
+    throw barcodeError('Choose the products or batches whose barcodes should be replaced');
+  }
+
+  const empty = [{ barcode: '' }, { barcode: null }, { barcode: { $exists: false } }];
+  // Narrowed by the regex here and checked digit by digit with isInternalBarcode below
+  const emptyBarcode = { $or: overwrite ? [...empty, { barcode: new RegExp(`^${INTERNAL_PREFIX}\\d{${SEQUENCE_DIGITS + 1}}$`) }] : empty };
+  const replaceable = (doc) => !doc.barcode || isInternalBarcode(doc.barcode);
+  const productQuery = productIds.length > 0 || batchIds.length > 0
+    ? { sellerId, _id: { $in: productIds }, isDeleted: { $ne: true }, ...emptyBarcode }
+    : { sellerId, isDeleted: { $ne: true }, isVariantParent: { $ne: true }, ...emptyBarcode };
+
+  const [products, batches] = (await Promise.all([
+    Product.find(productQuery).select('name barcode').limit(MAX_ASSIGN + 1),
+    batchIds.length > 0
+      ? ProductBatch.find({ sellerId, _id: { $in: batchIds }, isDeleted: false, ...emptyBarcode }).populate('productId', 'name')
+      : []
+  ])).map(docs => docs.filter(replaceable));
+  if (products.length + batches.length > MAX_ASSIGN) {
+    throw barcodeError(`At most ${MAX_ASSIGN} barcodes can be assigned at once`);
+  }
+  if (products.length + batches.length === 0) return [];
+
+  const codes = await allocateBarcodes(sellerId, products.length + batches.length);
+  const assignments = [];
+
+  if (products.length > 0) {
+    await Product.bulkWrite(products.map((product, index) => ({
+      updateOne: { filter: { _id: product._id, sellerId }, update: { $set: { barcode: codes[index] } } }
+    })));
+    products.forEach((product, index) => assignments.push({ type: 'product', id: product._id, name: product.name, barcode: codes[index] }));
+    await SyncTracking.updateLatestTime(sellerId, 'products');
+  }
+
+  if (batches.length > 0) {
+    const offset = products.length;
+    await ProductBatch.bulkWrite(batches.map((batch, index) => ({
+      updateOne: { filter: { _id: batch._id, sellerId }, update: { $set: { barcode: codes[offset + index] } } }
+    })));
+    batches.forEach((batch, index) => assignments.push({
+      type: 'batch',
+      id: batch._id,
+      name: `${batch.productId ? batch.productId.name : ''}${batch.batchNumber ? ` (${batch.batchNumber})` : ''}`,
+      barcode: codes[offset + index]
+    }));
+    await SyncTracking.updateLatestTime(sellerId, 'productBatches');
+  }
+
+  return assignments;
+};
+
+/**
+ * The batch a scan of a product barcode sells from: earliest expiry (oldest without expiry tracking)
+ * with stock, otherwise the newest batch for its price
+ */
+const pickScanBatch = async (sellerId, product) => {
+  const filter = { sellerId, productId: product._id, isDeleted: false, isOverflow: { $ne: true } };
+  const inStock = await ProductBatch.findOne({ ...filter, quantity: { $gt: 0 } })
+    .sort(product.trackExpiry ? { expiry: 1, createdAt: 1 } : { createdAt: 1 })
+    .lean();
+  return inStock || ProductBatch.findOne(filter).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Resolve a scanned code to { matchedBy, product, batch, price }. Batch barcodes win over product
+ * barcodes; null when nothing matches.
+ */
+const lookupBarcode = async (sellerId, code) => {
+  let batch = await ProductBatch.findOne({ sellerId, barcode: code, isDeleted: false }).lean();
+  let product = null;
+  let matchedBy = 'batch';
+
+  if (batch) {
+    product = await Product.findOne({ _id: batch.productId, sellerId, isDeleted: { $ne: true } }).lean();
+    if (!product) batch = null;
+  }
+  if (!batch) {
+    product = await Product.findOne({ sellerId, barcode: code, isDeleted: { $ne: true } }).lean();
+    if (!product) return null;
+    matchedBy = 'product';
+    batch = product.isBundle || product.isVariantParent ? null : await pickScanBatch(sellerId, product);
+  }
+
+  const price = product.isBundle ? (product.bundlePrice || 0) : (batch ? batch.sellingUnitPrice : null);
+  return { matchedBy, product, batch, price };
+};
+
+module.exports = {
+  INTERNAL_PREFIX,
+  ean13CheckDigit,
+  isValidEan13,
+  isInternalBarcode,
+  allocateBarcodes,
+  assignInternalBarcodes,
+  pickScanBatch,
+  lookupBarcode,
+};
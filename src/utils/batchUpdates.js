@@ -0,0 +1,48 @@
+const { recordStockMovement } = require('./stockMovements');
+
+// Fields a seller may change on an existing batch
+const BATCH_UPDATE_FIELDS = ['batchNumber', 'mfg', 'expiry', 'quantity', 'costPrice', 'sellingUnitPrice', 'wholesalePrice'];
+
+/**
+ * Apply a partial update to a ProductBatch document and record any quantity change in the stock ledger.
+ * `movement`: { reason, source, user, note, session } for the ledger entry (reason 'manual_adjust' by default);
+ * with a session the batch and its ledger entry save in that transaction.
+ * Shared by the batch edit endpoint and stock-take commits so both adjust stock the same way.
+ */
+const applyBatchUpdate = async (batch, updates, movement = {}) => {
+  const quantityBefore = batch.quantity || 0;
+
+  BATCH_UPDATE_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) {
+      if (field === 'mfg' || field === 'expiry') {
+        batch[field] = new Date(updates[field]);
+      } else if (field === 'quantity' || field === 'costPrice' || field === 'sellingUnitPrice') {
+        batch[field] = Number(updates[field]);
+      } else {
+        batch[field] = updates[field];
+      }
+    }
+  });
+
+  batch.updatedAt = new Date();
+  await batch.save({ session: movement.session || null });
+
+  const quantityDelta = (batch.quantity || 0) - quantityBefore;
+  if (quantityDelta !== 0) {
+    await recordStockMovement(batch, quantityDelta, {
+      sellerId: batch.sellerId,
+      reason: movement.reason || 'manual_adjust',
+      source: movement.source || { type: 'ProductBatch', id: batch._id },
+      user: movement.user,
+      note: movement.note,
+      session: movement.session
+    });
+  }
+
+  return batch;
+};
+
+module.exports = {
+  BATCH_UPDATE_FIELDS,
+  applyBatchUpdate,
+};
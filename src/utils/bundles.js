@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+
+const bundleError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_BUNDLE';
+  return error;
+};
+
+/**
+ * Check and resolve the components of a bundle being saved. Each component names a product by
+ * `productId` (Mongo id or localId), `productLocalId` or `productMongoId` and the base-unit `quantity`
+ * one bundle uses. Components must be ordinary products: not bundles, variant parents or the bundle itself.
+ * Returns [{ productId, productLocalId, productName, quantity }]; throws INVALID_BUNDLE errors.
+ */
+const resolveBundleComponents = async (sellerId, components, bundleId = null) => {
+  if (!Array.isArray(components) || components.length === 0) {
+    throw bundleError('A bundle needs at least one component');
+  }
+
+  const resolved = [];
+  for (const component of components) {
+    const rawId = component && component.productId;
+    const mongoId = component.productMongoId || (rawId && mongoose.isValidObjectId(rawId) && String(rawId).length === 24 ? rawId : null);
+    const localId = component.productLocalId || (!mongoId ? rawId : null);
+
+    let product = null;
+    if (mongoId) product = await Product.findOne({ _id: mongoId, sellerId, isDeleted: { $ne: true } });
+    if (!product && localId) product = await Product.findOne({ localId: String(localId), sellerId, isDeleted: { $ne: true } });
+    if (!product) throw bundleError(`Bundle component not found (ID: ${localId || mongoId})`);
+
+    const quantity = Number(component.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) throw bundleError(`Invalid quantity for ${product.name}`);
+    if (bundleId && product._id.equals(bundleId)) throw bundleError('A bundle cannot contain itself');
+    if (product.isBundle) throw bundleError(`${product.name} is a bundle; bundles cannot be nested`);
+    if (product.isVariantParent) throw bundleError(`${product.name} has variants; add a variant instead`);
+
+    const existing = resolved.find(entry => entry.productId.equals(product._id));
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      resolved.push({ productId: product._id, productLocalId: product.localId, productName: product.name, quantity });
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Check the bundle fields of a product being created or updated (`product` is the saved product on update)
+ * and return the fields to set: `isBundle`, `bundleComponents`, `bundlePrice`. Fields the input does not
+ * mention are left alone (empty object). Throws INVALID_BUNDLE errors.
+ */
+const resolveBundleFields = async (sellerId, input, product = null) => {
+  const fields = {};
+  if (input.bundlePrice !== undefined) {
+    const price = Number(input.bundlePrice);
+    if (!Number.isFinite(price) || price < 0) throw bundleError('Invalid bundle price');
+    fields.bundlePrice = price;
+  }
+  if (input.isBundle === undefined && input.bundleComponents === undefined) return fields;
+
+  const isBundle = input.isBundle !== undefined ? input.isBundle === true : true;
+  if (!isBundle) return Object.assign(fields, { isBundle: false, bundleComponents: [] });
+
+  if (input.isVariantParent || (input.variantAxes && input.variantAxes.length > 0) || (product && product.isVariantParent)) {
+    throw bundleError('A product with variant options cannot be a bundle');
+  }
+  if (product && !product.isBundle) {
+    // A bundle's stock is its components'; its own batches would never be sold
+    const stocked = await ProductBatch.countDocuments({ sellerId, productId: product._id, isDeleted: false, quantity: { $ne: 0 } });
+    if (stocked > 0) throw bundleError('Clear the stock of this product before making it a bundle');
+  }
+
+  const components = input.bundleComponents !== undefined ? input.bundleComponents : (product ? product.bundleComponents : []);
+  return Object.assign(fields, {
+    isBundle: true,
+    bundleComponents: await resolveBundleComponents(sellerId, components, product ? product._id : null)
+  });
+};
+
+/**
+ * Order or cart lines with every bundle replaced by its components (quantity per bundle x bundles sold).
+ * Component lines are in the component's base unit and carry `bundleProductId`. Other lines pass through.
+ */
+const expandBundleItems = async (sellerId, items, session = null) => {
+  if (!Array.isArray(items) || items.length === 0) return items;
+
+  const ids = items
+    .map(item => item && item.productId)
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return items;
+
+  const bundles = await Product.find({ _id: { $in: ids }, sellerId, isBundle: true })
+    .select('name bundleComponents')
+    .session(session);
+  if (bundles.length === 0) return items;
+  const bundleMap = new Map(bundles.map(bundle => [bundle._id.toString(), bundle]));
+
+  return items.flatMap(item => {
+    const bundle = item && item.productId ? bundleMap.get(item.productId.toString()) : null;
+    if (!bundle) return [item];
+
+    const count = Number(item.quantity) || 0;
+    return bundle.bundleComponents.map(component => ({
+      productId: component.productId,
+      name: component.productName,
+      quantity: component.quantity * count,
+      bundleProductId: bundle._id
+    }));
+  });
+};
+
+/**
+ * The components `bundlesSold` bundles take off the shelf, for keeping on the order line:
+ * [{ productId, productName, baseQuantity }] in each component's base unit.
+ */
+const bundleComponentLines = (bundle, bundlesSold) => (bundle.bundleComponents || []).map(component => ({
+  productId: component.productId,
+  productName: component.productName || '',
+  baseQuantity: component.quantity * (Number(bundlesSold) || 0)
+}));
+
+/**
+ * Whole bundles the component stock can make. `stockByProduct` maps productId -> available base units.
+ */
+const computeBundleStock = (bundle, stockByProduct) => {
+  const components = bundle.bundleComponents || [];
+  if (components.length === 0) return 0;
+  return Math.max(0, Math.min(...components.map(component => {
+    const available = stockByProduct.get(component.productId.toString()) || 0;
+    return Math.floor(available / component.quantity);
+  })));
+};
+
+/**
+ * Bundle fields of a product for client responses
+ */
+const formatBundleFields = (product) => ({
+  isBundle: product.isBundle || false,
+  bundlePrice: product.bundlePrice || 0,
+  bundleComponents: (product.bundleComponents || []).map(component => ({
+    productId: component.productId ? component.productId.toString() : null,
+    productLocalId: component.productLocalId || null,
+    productName: component.productName || '',
+    quantity: component.quantity
+  }))
+});
+
+module.exports = {
+  resolveBundleFields,
+  expandBundleItems,
+  bundleComponentLines,
+  computeBundleStock,
+  formatBundleFields,
+};
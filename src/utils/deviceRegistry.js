@@ -0,0 +1,62 @@
+const Device = require('../models/Device');
+
+// Headers sent by the client apps to identify the device
+const DEVICE_HEADERS = {
+  deviceId: 'x-device-id',
+  name: 'x-device-name',
+  platform: 'x-device-platform',
+  appVersion: 'x-app-version',
+};
+
+/**
+ * Read device details from request headers. Returns null when no device id is sent.
+ */
+const getDeviceFromRequest = (req) => {
+  const deviceId = req.get(DEVICE_HEADERS.deviceId);
+  if (!deviceId) return null;
+  return {
+    deviceId: String(deviceId).slice(0, 128),
+    name: req.get(DEVICE_HEADERS.name) || '',
+    platform: req.get(DEVICE_HEADERS.platform) || '',
+    appVersion: req.get(DEVICE_HEADERS.appVersion) || '',
+    userAgent: req.get('user-agent') || '',
+  };
+};
+
+/**
+ * Upsert the calling device and move its per-collection sync cursors.
+ * `cursors` maps a SyncTracking data type to { lastSyncTime?, cursor? }.
+ */
+const recordDeviceSync = async (req, cursors = {}) => {
+  const device = getDeviceFromRequest(req);
+  if (!device || !req.sellerId) return null;
+
+  const now = new Date();
+  const update = {
+    lastSeenAt: now,
+    userAgent: device.userAgent,
+  };
+  // Keep previously reported details when a request omits them
+  ['name', 'platform', 'appVersion'].forEach((field) => {
+    if (device[field]) update[field] = device[field];
+  });
+
+  Object.entries(cursors).forEach(([collectionName, value]) => {
+    if (!value) return;
+    if (value.lastSyncTime !== undefined) update[`syncCursors.${collectionName}.lastSyncTime`] = value.lastSyncTime;
+    if (value.cursor !== undefined) update[`syncCursors.${collectionName}.cursor`] = value.cursor;
+    update[`syncCursors.${collectionName}.updatedAt`] = now;
+  });
+
+  return Device.findOneAndUpdate(
+    { sellerId: req.sellerId, deviceId: device.deviceId },
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = {
+  DEVICE_HEADERS,
+  getDeviceFromRequest,
+  recordDeviceSync,
+};
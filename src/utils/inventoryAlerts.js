@@ -17,7 +17,8 @@ const checkAndSendInventoryAlerts = async (sellerId) => {
         const expiryDaysThreshold = seller.expiryDaysThreshold || 7;
 
         // 1. Fetch all active products
-        const products = await Product.find({ sellerId, isDeleted: false });
+        // Variant parents and bundles hold no stock of their own; their variants and components are checked instead
+        const products = await Product.find({ sellerId, isDeleted: false, isVariantParent: { $ne: true }, isBundle: { $ne: true } });
 
         // 2. Fetch all active batches to calculate total stock per product
         const batches = await ProductBatch.find({ sellerId, isDeleted: false });
@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const ProductCategory = require('../models/ProductCategory');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const StockMovement = require('../models/StockMovement');
+const StockWriteOff = require('../models/StockWriteOff');
+
+const VALUATION_METHODS = ['fifo', 'weighted_average'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Ledger totals per batch around a cut-off date:
+ *   after: net change since `asOf` (undone to get the quantity on that date)
+ *   purchased: units bought into the batch up to `asOf`
+ *   opening: quantity the batch held before its first ledger row (stock older than the ledger)
+ */
+const getBatchLedger = async (sellerId, asOf) => {
+  const rows = await StockMovement.aggregate([
+    { $match: { sellerId: toObjectId(sellerId) } },
+    { $sort: { batchId: 1, createdAt: 1 } },
+    {
+      $group: {
+        _id: '$batchId',
+        opening: { $first: '$quantityBefore' },
+        after: { $sum: { $cond: [{ $gt: ['$createdAt', asOf] }, '$delta', 0] } },
+        purchased: {
+          $sum: {
+            $cond: [{ $and: [{ $lte: ['$createdAt', asOf] }, { $eq: ['$reason', 'purchase'] }, { $gt: ['$delta', 0] }] }, '$delta', 0]
+          }
+        }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+/**
+ * Batch quantities and unit costs on `asOf`, plus each product's weighted-average cost: the cost of
+ * every unit bought up to that date, averaged. A batch older than the ledger counts its opening quantity
+ * as bought; one with no ledger rows at all counts its quantity.
+ */
+const getStockPosition = async (sellerId, asOf) => {
+  const [batches, ledger] = await Promise.all([
+    ProductBatch.find({ sellerId, createdAt: { $lte: asOf } }).select('productId batchNumber quantity costPrice isDeleted').lean(),
+    getBatchLedger(sellerId, asOf)
+  ]);
+
+  const positions = [];
+  const receipts = new Map();
+  batches.forEach(batch => {
+    const entry = ledger.get(batch._id.toString());
+    // Deleting a batch keeps its quantity but books it out in the ledger, so it holds nothing today
+    const current = batch.isDeleted ? 0 : (batch.quantity || 0);
+    const quantity = Math.max(0, current - (entry ? entry.after : 0));
+    const costPrice = batch.costPrice || 0;
+    const productKey = batch.productId.toString();
+
+    // Transferred-in batches open at zero and have no purchases: the units were already counted at the source
+    const received = entry ? Math.max(0, entry.opening || 0) + entry.purchased : quantity;
+    if (received > 0) {
+      const totals = receipts.get(productKey) || { units: 0, cost: 0 };
+      totals.units += received;
+      totals.cost += received * costPrice;
+      receipts.set(productKey, totals);
+    }
+
+    if (quantity > 0) positions.push({ productId: productKey, batchId: batch._id, batchNumber: batch.batchNumber, quantity, costPrice });
+  });
+
+  const averageCosts = new Map();
+  receipts.forEach((totals, productKey) => averageCosts.set(productKey, totals.units > 0 ? totals.cost / totals.units : 0));
+
+  return { positions, averageCosts };
+};
+
+const loadProducts = async (sellerId, productIds) => {
+  const products = await Product.find({ sellerId, _id: { $in: productIds } })
+    .select('name unit categoryId isBundle bundleComponents')
+    .lean();
+  const categoryIds = [...new Set(products.filter(p => p.categoryId).map(p => p.categoryId.toString()))];
+  const categories = await ProductCategory.find({ sellerId, _id: { $in: categoryIds } }).select('name').lean();
+  const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+  return new Map(products.map(product => [product._id.toString(), {
+    ...product,
+    categoryKey: product.categoryId ? product.categoryId.toString() : null,
+    categoryName: product.categoryId ? (categoryNames.get(product.categoryId.toString()) || '') : 'Uncategorized'
+  }]));
+};
+
+/**
+ * Sum product rows into one row per category. `fields` are the numeric columns to add up.
+ */
+const groupByCategory = (rows, fields) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row.categoryId || 'uncategorized';
+    if (!groups.has(key)) {
+      const group = { categoryId: row.categoryId, categoryName: row.categoryName, products: 0 };
+      fields.forEach(field => { group[field] = 0; });
+      groups.set(key, group);
+    }
+    const group = groups.get(key);
+    group.products += 1;
+    fields.forEach(field => { group[field] += row[field] || 0; });
+  });
+  return [...groups.values()].map(group => {
+    fields.forEach(field => { group[field] = round(group[field]); });
+    return group;
+  });
+};
+
+/**
+ * Closing stock value on `asOf`, per product. FIFO values each remaining unit at the cost of the batch
+ * it sits in; weighted average values all of a product's units at its average purchase cost.
+ */
+const valueInventory = async (sellerId, { asOf = new Date(), method = 'fifo' } = {}) => {
+  const { positions, averageCosts } = await getStockPosition(sellerId, asOf);
+
+  const byProduct = new Map();
+  positions.forEach(position => {
+    const entry = byProduct.get(position.productId) || { quantity: 0, fifoValue: 0, batches: 0 };
+    entry.quantity += position.quantity;
+    entry.fifoValue += position.quantity * position.costPrice;
+    entry.batches += 1;
+    byProduct.set(position.productId, entry);
+  });
+
+  const products = await loadProducts(sellerId, [...byProduct.keys()]);
+  const rows = [];
+  byProduct.forEach((entry, productKey) => {
+    const product = products.get(productKey);
+    const averageCost = averageCosts.get(productKey) || 0;
+    const value = method === 'weighted_average' ? entry.quantity * averageCost : entry.fifoValue;
+    rows.push({
+      productId: productKey,
+      productName: product ? product.name : '',
+      categoryId: product ? product.categoryKey : null,
+      categoryName: product ? product.categoryName : 'Uncategorized',
+      unit: product ? product.unit : '',
+      batches: entry.batches,
+      quantity: round(entry.quantity),
+      unitCost: entry.quantity > 0 ? round(value / entry.quantity) : 0,
+      value: round(value)
+    });
+  });
+  rows.sort((a, b) => b.value - a.value);
+
+  return {
+    asOf,
+    method,
+    products: rows,
+    categories: groupByCategory(rows, ['quantity', 'value']),
+    totals: {
+      products: rows.length,
+      quantity: round(rows.reduce((sum, row) => sum + row.quantity, 0)),
+      value: round(rows.reduce((sum, row) => sum + row.value, 0))
+    }
+  };
+};
+
+/**
+ * Cost of goods sold, revenue and gross margin for orders placed between `from` and `to`, per product.
+ *
+ * FIFO takes the cost of the batches each sale was actually deducted from (the stock ledger); sales
+ * without ledger rows (stock deducted on the device, bundles) use the order line's `costPrice`.
+ * Weighted average prices every unit sold at the product's average purchase cost as of `to`.
+ * Refunds in the period take back their revenue, and the cost of any units they restocked.
+ * Stock written off in the period is a loss at batch cost, less what supplier returns recovered;
+ * `profit` is the gross margin after that loss.
+ */
+const computeCogs = async (sellerId, { from, to = new Date(), method = 'fifo' } = {}) => {
+  const createdAt = { $lte: to };
+  if (from) createdAt.$gte = from;
+
+  const [orders, refunds, { averageCosts }] = await Promise.all([
+    // Pending online orders are not sales yet: their stock is only reserved until the seller accepts them
+    Order.find({ sellerId, isDeleted: { $ne: true }, orderStatus: { $nin: ['Cancelled', 'Pending'] }, createdAt })
+      .select('items discountPercent')
+      .lean(),
+    Refund.find({ sellerId, isDeleted: { $ne: true }, createdAt }).select('items').lean(),
+    getStockPosition(sellerId, to)
+  ]);
+
+  const [saleMovements, refundMovements, writeOffMovements, supplierReturns] = await Promise.all([
+    StockMovement.find({ sellerId, sourceType: 'Order', sourceId: { $in: orders.map(order => order._id) }, reason: { $in: ['sale', 'online_sale', 'cancel'] } })
+      .select('sourceId productId batchId delta')
+      .lean(),
+    StockMovement.find({ sellerId, sourceType: 'Refund', sourceId: { $in: refunds.map(refund => refund._id) }, reason: 'refund' })
+      .select('productId batchId delta')
+      .lean(),
+    StockMovement.find({ sellerId, reason: 'write_off', createdAt })
+      .select('productId batchId delta')
+      .lean(),
+    StockWriteOff.find({ sellerId, 'supplierReturn.supplierId': { $ne: null }, createdAt })
+      .select('items')
+      .lean()
+  ]);
+
+  const batchCosts = new Map();
+  const batchIds = [...new Set([...saleMovements, ...refundMovements, ...writeOffMovements].map(movement => movement.batchId.toString()))];
+  const costBatches = await ProductBatch.find({ _id: { $in: batchIds } }).select('costPrice').lean();
+  costBatches.forEach(batch => batchCosts.set(batch._id.toString(), batch.costPrice || 0));
+
+  // FIFO cost of what each order took out, per product
+  const orderLedger = new Map();
+  saleMovements.forEach(movement => {
+    const key = `${movement.sourceId}:${movement.productId}`;
+    const entry = orderLedger.get(key) || { units: 0, cost: 0 };
+    entry.units -= movement.delta;
+    entry.cost -= movement.delta * (batchCosts.get(movement.batchId.toString()) || 0);
+    orderLedger.set(key, entry);
+  });
+
+  const productIds = new Set();
+  orders.forEach(order => order.items.forEach(item => { if (item.productId) productIds.add(item.productId.toString()); }));
+  [...refundMovements, ...writeOffMovements].forEach(movement => productIds.add(movement.productId.toString()));
+  refunds.forEach(refund => refund.items.forEach(item => { if (item.productId) productIds.add(item.productId.toString()); }));
+  const products = await loadProducts(sellerId, [...productIds]);
+
+  const rows = new Map();
+  const rowFor = (productKey, name) => {
+    if (!rows.has(productKey)) {
+      const product = products.get(productKey);
+      rows.set(productKey, {
+        productId: productKey,
+        productName: product ? product.name : (name || ''),
+        categoryId: product ? product.categoryKey : null,
+        categoryName: product ? product.categoryName : 'Uncategorized',
+        unitsSold: 0,
+        unitsReturned: 0,
+        revenue: 0,
+        cogs: 0,
+        unitsWrittenOff: 0,
+        writeOffLoss: 0,
+        writeOffRecovered: 0
+      });
+    }
+    return rows.get(productKey);
+  };
+
+  const averageUnitCost = (product) => {
+    if (product && product.isBundle) {
+      return (product.bundleComponents || []).reduce((sum, component) => sum + component.quantity * (averageCosts.get(component.productId.toString()) || 0), 0);
+    }
+    return product ? (averageCosts.get(product._id.toString()) || 0) : 0;
+  };
+
+  orders.forEach(order => {
+    const discount = 1 - (order.discountPercent || 0) / 100;
+    order.items.forEach(item => {
+      const productKey = item.productId ? item.productId.toString() : `name:${item.name}`;
+      const product = item.productId ? products.get(productKey) : null;
+      const units = item.baseQuantity !== undefined && item.baseQuantity !== null ? item.baseQuantity : item.quantity;
+      const row = rowFor(productKey, item.name);
+
+      row.unitsSold += units;
+      row.revenue += (item.sellingPrice || 0) * (item.quantity || 0) * discount;
+
+      if (method === 'weighted_average' && product) {
+        row.cogs += units * averageUnitCost(product);
+        return;
+      }
+      const ledger = item.productId && !(product && product.isBundle) ? orderLedger.get(`${order._id}:${productKey}`) : null;
+      row.cogs += ledger && ledger.units > 0
+        ? units * (ledger.cost / ledger.units)
+        : (item.costPrice || 0) * (item.quantity || 0);
+    });
+  });
+
+  refunds.forEach(refund => refund.items.forEach(item => {
+    const row = rowFor(item.productId ? item.productId.toString() : `name:${item.name}`, item.name);
+    row.revenue -= item.lineTotal || 0;
+  }));
+  refundMovements.forEach(movement => {
+    const productKey = movement.productId.toString();
+    const row = rowFor(productKey);
+    const unitCost = method === 'weighted_average'
+      ? (averageCosts.get(productKey) || 0)
+      : (batchCosts.get(movement.batchId.toString()) || 0);
+    row.unitsReturned += movement.delta;
+    row.cogs -= movement.delta * unitCost;
+  });
+
+  // Write-offs are a loss at the cost of the batch they came out of, whichever costing method is used
+  writeOffMovements.forEach(movement => {
+    const row = rowFor(movement.productId.toString());
+    row.unitsWrittenOff -= movement.delta;
+    row.writeOffLoss -= movement.delta * (batchCosts.get(movement.batchId.toString()) || 0);
+  });
+  supplierReturns.forEach(writeOff => writeOff.items.forEach(item => {
+    rowFor(item.productId.toString(), item.productName).writeOffRecovered += item.lossAmount || 0;
+  }));
+
+  const productRows = [...rows.values()].map(row => {
+    const grossMargin = row.revenue - row.cogs;
+    return {
+      ...row,
+      unitsSold: round(row.unitsSold),
+      unitsReturned: round(row.unitsReturned),
+      revenue: round(row.revenue),
+      cogs: round(row.cogs),
+      grossMargin: round(grossMargin),
+      marginPercent: row.revenue > 0 ? round((grossMargin / row.revenue) * 100) : null,
+      unitsWrittenOff: round(row.unitsWrittenOff),
+      writeOffLoss: round(row.writeOffLoss),
+      writeOffRecovered: round(row.writeOffRecovered),
+      profit: round(grossMargin - row.writeOffLoss + row.writeOffRecovered)
+    };
+  });
+  productRows.sort((a, b) => b.revenue - a.revenue);
+
+  const withMarginPercent = (row) => ({ ...row, marginPercent: row.revenue > 0 ? round((row.grossMargin / row.revenue) * 100) : null });
+  const categories = groupByCategory(productRows, [
+    'unitsSold', 'unitsReturned', 'revenue', 'cogs', 'grossMargin', 'unitsWrittenOff', 'writeOffLoss', 'writeOffRecovered', 'profit'
+  ]).map(withMarginPercent);
+  const sumOf = (field) => round(productRows.reduce((sum, row) => sum + row[field], 0));
+
+  const totals = withMarginPercent({
+    orders: orders.length,
+    refunds: refunds.length,
+    revenue: sumOf('revenue'),
+    cogs: sumOf('cogs'),
+    grossMargin: sumOf('grossMargin'),
+    writeOffLoss: sumOf('writeOffLoss'),
+    writeOffRecovered: sumOf('writeOffRecovered'),
+    profit: sumOf('profit')
+  });
+
+  return { from: from || null, to, method, products: productRows, categories, totals };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Text such as a product name starting with = + - @ or a tab would run as a formula in a spreadsheet
+  if (typeof value === 'string' && /^[=+\-@\t]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text for `rows`, one column per `columns` entry ({ key, label })
+ */
+const toCsv = (columns, rows) => [
+  columns.map(column => csvCell(column.label)).join(','),
+  ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+].join('\r\n');
+
+module.exports = {
+  VALUATION_METHODS,
+  valueInventory,
+  computeCogs,
+  toCsv,
+};
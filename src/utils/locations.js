@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+
+/**
+ * The seller's default location, or null when the seller has not set up locations
+ */
+const findDefaultLocation = (sellerId, session = null) => Location.findOne({ sellerId, isDefault: true, isDeleted: false }).session(session);
+
+/**
+ * The seller's default location, created as "Shop" the first time locations are used
+ */
+const getDefaultLocation = async (sellerId) => {
+  const existing = await findDefaultLocation(sellerId);
+  if (existing) return existing;
+
+  try {
+    return await Location.create({ sellerId, name: 'Shop', type: 'shop', isDefault: true });
+  } catch (error) {
+    // Another request created it first (unique default per seller)
+    if (error.code === 11000) return findDefaultLocation(sellerId);
+    throw error;
+  }
+};
+
+/**
+ * A seller's active location by Mongo id or localId. Stock is only placed at active locations;
+ * pass `includeInactive` to look one up for management or reporting.
+ */
+const findLocation = (sellerId, locationId, session = null, { includeInactive = false } = {}) => {
+  if (!locationId) return null;
+  const query = typeof locationId !== 'number' && mongoose.isValidObjectId(locationId) && String(locationId).length === 24
+    ? { _id: locationId }
+    : { localId: String(locationId) };
+  return Location.findOne({
+    ...query,
+    sellerId,
+    isDeleted: false,
+    ...(!includeInactive && { isActive: true })
+  }).session(session);
+};
+
+/**
+ * ProductBatch filter for the stock kept at a location. Batches without a location sit at the default;
+ * with no location at all (seller has none) every batch matches.
+ */
+const locationBatchFilter = (location) => {
+  if (!location) return {};
+  return location.isDefault ? { locationId: { $in: [location._id, null] } } : { locationId: location._id };
+};
+
+/**
+ * Location a batch is kept at, resolving legacy batches to the default location
+ */
+const batchLocationId = (batch, defaultLocation) => {
+  if (batch.locationId) return batch.locationId.toString();
+  return defaultLocation ? defaultLocation._id.toString() : null;
+};
+
+/**
+ * Total batch quantity per location: [{ locationId, locationName, quantity }]
+ * `locations` are the seller's locations; `defaultLocation` receives batches without a location.
+ */
+const summarizeStockByLocation = (batches, locations, defaultLocation) => {
+  const names = new Map(locations.map(location => [location._id.toString(), location.name]));
+  const totals = new Map();
+
+  batches.forEach(batch => {
+    const locationId = batchLocationId(batch, defaultLocation);
+    totals.set(locationId, (totals.get(locationId) || 0) + (batch.quantity || 0));
+  });
+
+  return [...totals].map(([locationId, quantity]) => ({
+    locationId,
+    locationName: locationId ? (names.get(locationId) || '') : '',
+    quantity
+  }));
+};
+
+module.exports = {
+  findDefaultLocation,
+  getDefaultLocation,
+  findLocation,
+  locationBatchFilter,
+  batchLocationId,
+  summarizeStockByLocation,
+};
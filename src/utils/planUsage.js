@@ -22,11 +22,12 @@ const TYPE_CONFIG = {
   },
 };
 
-const loadPlanOrdersWithPlans = async (sellerId, includeExpired = false) => {
+const loadPlanOrdersWithPlans = async (sellerId, includeExpired = false, session = null) => {
+  // Documents loaded with a session keep it, so later order.save() calls join the same transaction
   const planOrders = await PlanOrder.find({
     sellerId,
     paymentStatus: 'completed',
-  }).populate('planId');
+  }).populate('planId').session(session);
 
   const now = new Date();
   return planOrders
@@ -89,8 +90,8 @@ const ensurePlanLimitsApplied = (planOrder, planDoc) => {
 
 // ... (bootstrapPlanForSeller remains same) ...
 
-const getPlanUsageSummary = async (sellerId) => {
-  const planEntries = await loadPlanOrdersWithPlans(sellerId, true); // Include expired plans for summary
+const getPlanUsageSummary = async (sellerId, { session = null } = {}) => {
+  const planEntries = await loadPlanOrdersWithPlans(sellerId, true, session); // Include expired plans for summary
   const summary = {
     customers: { limit: 0, used: 0, remaining: 0, isUnlimited: false },
     products: { limit: 0, used: 0, remaining: 0, isUnlimited: false },
@@ -241,13 +242,13 @@ const getPlanUsageSummary = async (sellerId) => {
   };
 };
 
-const checkDistributedLimit = async (sellerId, type, count = 1) => {
+const checkDistributedLimit = async (sellerId, type, count = 1, { session = null } = {}) => {
   const config = TYPE_CONFIG[type];
   if (!config) {
     return { canAdd: false, message: `Unknown usage type: ${type}` };
   }
 
-  const planEntries = await loadPlanOrdersWithPlans(sellerId);
+  const planEntries = await loadPlanOrdersWithPlans(sellerId, false, session);
   if (planEntries.length === 0) {
     return { canAdd: false, message: 'No active plans found. Please upgrade your plan.' };
   }
@@ -292,7 +293,12 @@ const checkDistributedLimit = async (sellerId, type, count = 1) => {
   };
 };
 
-const adjustPlanUsage = async (sellerId, type, delta = 0) => {
+/**
+ * Apply a usage delta across the seller's plan orders.
+ * Pass { session } to run the reads and writes inside a caller's transaction.
+ * Pass { dryRun: true } to only report whether the delta would fit; nothing is saved.
+ */
+const adjustPlanUsage = async (sellerId, type, delta = 0, { session = null, dryRun = false } = {}) => {
   if (!delta || delta === 0) {
     return { success: true, deltaApplied: 0 };
   }
@@ -301,9 +307,9 @@ const adjustPlanUsage = async (sellerId, type, delta = 0) => {
     return { success: false, message: `Unknown usage type: ${type}` };
   }
 
-  let planEntries = await loadPlanOrdersWithPlans(sellerId);
+  let planEntries = await loadPlanOrdersWithPlans(sellerId, false, session);
 
-  if (planEntries.length === 0 && delta > 0) {
+  if (planEntries.length === 0 && delta > 0 && !dryRun) {
     planEntries = await bootstrapPlanForSeller(sellerId);
   }
 
@@ -365,7 +371,7 @@ const adjustPlanUsage = async (sellerId, type, delta = 0) => {
   }
 
   if (remainingDelta !== 0) {
-    const limitCheck = await checkDistributedLimit(sellerId, type, Math.abs(remainingDelta));
+    const limitCheck = await checkDistributedLimit(sellerId, type, Math.abs(remainingDelta), { session });
     return {
       success: false,
       message: limitCheck.message || 'Upgrade your plan to increase limit.',
@@ -374,11 +380,18 @@ const adjustPlanUsage = async (sellerId, type, delta = 0) => {
     };
   }
 
-  await Promise.all(Array.from(plansUpdated).map((order) => order.save()));
+  if (dryRun) {
+    return { success: true, deltaApplied: delta };
+  }
+
+  // One save at a time: a MongoDB transaction does not allow parallel operations on its session
+  for (const order of plansUpdated) {
+    await order.save();
+  }
 
   let updatedSummary = null;
   try {
-    updatedSummary = await getPlanUsageSummary(sellerId);
+    updatedSummary = await getPlanUsageSummary(sellerId, { session });
   } catch (error) {
     // Error refreshing plan usage summary suppressed
   }
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+
+const variantError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_VARIANT';
+  return error;
+};
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * Option axes as stored: [{ name, values }] with blanks and repeated names/values dropped
+ */
+const normalizeVariantAxes = (axes) => {
+  if (!Array.isArray(axes)) return [];
+  const seen = new Set();
+  return axes.reduce((list, axis) => {
+    const name = clean(axis && axis.name);
+    if (!name || seen.has(name.toLowerCase())) return list;
+    seen.add(name.toLowerCase());
+    const values = [...new Set((Array.isArray(axis.values) ? axis.values : []).map(clean).filter(Boolean))];
+    list.push({ name, values });
+    return list;
+  }, []);
+};
+
+/**
+ * A variant's option values as [{ name, value }]; accepts that shape or a plain { Size: '1kg' } object
+ */
+const normalizeVariantOptions = (options) => {
+  if (!options) return [];
+  const entries = Array.isArray(options)
+    ? options.map(option => [option && option.name, option && option.value])
+    : Object.entries(options);
+  return entries
+    .map(([name, value]) => ({ name: clean(name), value: clean(value) }))
+    .filter(option => option.name && option.value);
+};
+
+const optionsKey = (options) => options
+  .map(option => `${option.name.toLowerCase()}=${option.value.toLowerCase()}`)
+  .sort()
+  .join('|');
+
+/**
+ * A seller's product by Mongo id or localId
+ */
+const findSellerProduct = async (sellerId, localId, mongoId) => {
+  if (mongoId && mongoose.isValidObjectId(mongoId)) {
+    const product = await Product.findOne({ _id: mongoId, sellerId, isDeleted: { $ne: true } });
+    if (product) return product;
+  }
+  if (localId) return Product.findOne({ localId: String(localId), sellerId, isDeleted: { $ne: true } });
+  return null;
+};
+
+const parentReference = (input) => ({
+  localId: input.parentProductLocalId
+    || (input.parentProductId && !mongoose.isValidObjectId(input.parentProductId) ? input.parentProductId : null),
+  mongoId: input.parentProductMongoId
+    || (input.parentProductId && mongoose.isValidObjectId(input.parentProductId) ? input.parentProductId : null)
+});
+
+/**
+ * The saved variant an incoming one without ids stands for: the sibling under the same parent with the
+ * same option values. Variants often share a name, so they are never matched by name alone.
+ */
+const findMatchingVariant = async (sellerId, input) => {
+  const { localId, mongoId } = parentReference(input);
+  const parent = await findSellerProduct(sellerId, localId, mongoId);
+  if (!parent) return null;
+
+  const key = optionsKey(normalizeVariantOptions(input.variantOptions));
+  const siblings = await Product.find({ sellerId, parentProductId: parent._id, isDeleted: { $ne: true } });
+  return siblings.find(sibling => optionsKey(sibling.variantOptions || []) === key) || null;
+};
+
+/**
+ * Check the variant fields of a product being created or updated (`product` is the saved product on update)
+ * and return the fields to set. `input` may carry:
+ *   variantAxes                                   - makes the product a variant parent ([] turns that off)
+ *   parentProductId / parentProductLocalId / parentProductMongoId + variantOptions - makes it a variant
+ *   parentProductId: null                         - detaches it from its parent
+ * Fields the input does not mention are left alone (empty object). Throws INVALID_VARIANT errors.
+ */
+const resolveVariantFields = async (sellerId, input, product = null) => {
+  const fields = {};
+  const productId = product ? product._id : null;
+
+  if (input.variantAxes !== undefined) {
+    const axes = normalizeVariantAxes(input.variantAxes);
+    if (axes.some(axis => axis.values.length === 0)) {
+      throw variantError('Every variant option needs at least one value');
+    }
+
+    if (productId && axes.length === 0 && product.isVariantParent) {
+      const variants = await Product.countDocuments({ sellerId, parentProductId: productId, isDeleted: { $ne: true } });
+      if (variants > 0) throw variantError('Remove or detach the variants before clearing the options');
+    }
+    if (productId && axes.length > 0 && !product.isVariantParent) {
+      // Stock is kept on the variants; a parent never sells from its own batches
+      const stocked = await ProductBatch.countDocuments({ sellerId, productId, isDeleted: false, quantity: { $ne: 0 } });
+      if (stocked > 0) throw variantError('Move the stock of this product to a variant before adding options');
+    }
+
+    fields.variantAxes = axes;
+    fields.isVariantParent = axes.length > 0;
+  }
+
+  const { localId: parentLocalId, mongoId: parentMongoId } = parentReference(input);
+
+  if (!parentLocalId && !parentMongoId) {
+    if (input.parentProductId === null) {
+      Object.assign(fields, { parentProductId: null, parentProductLocalId: null, variantOptions: [] });
+    }
+    return fields;
+  }
+
+  if (fields.isVariantParent || (product && product.isVariantParent && fields.isVariantParent !== false)) {
+    throw variantError('A product with variant options cannot itself be a variant');
+  }
+
+  const parent = await findSellerProduct(sellerId, parentLocalId, parentMongoId);
+  if (!parent) throw variantError(`Parent product not found (ID: ${parentLocalId || parentMongoId})`);
+  if (productId && parent._id.equals(productId)) throw variantError('A product cannot be its own variant');
+  if (!parent.isVariantParent) throw variantError(`${parent.name} has no variant options`);
+
+  const options = normalizeVariantOptions(input.variantOptions !== undefined ? input.variantOptions : (product ? product.variantOptions : []));
+  for (const axis of parent.variantAxes) {
+    const option = options.find(o => o.name.toLowerCase() === axis.name.toLowerCase());
+    if (!option) throw variantError(`Missing ${axis.name} for a variant of ${parent.name}`);
+    if (!axis.values.some(value => value.toLowerCase() === option.value.toLowerCase())) {
+      throw variantError(`${option.value} is not a ${axis.name} of ${parent.name}`);
+    }
+  }
+  const unknown = options.find(o => !parent.variantAxes.some(axis => axis.name.toLowerCase() === o.name.toLowerCase()));
+  if (unknown) throw variantError(`${parent.name} has no ${unknown.name} option`);
+
+  const siblings = await Product.find({
+    sellerId,
+    parentProductId: parent._id,
+    isDeleted: { $ne: true },
+    ...(productId && { _id: { $ne: productId } })
+  }).select('name variantOptions');
+  const duplicate = siblings.find(sibling => optionsKey(sibling.variantOptions || []) === optionsKey(options));
+  if (duplicate) throw variantError(`${duplicate.name} already has these options`);
+
+  return Object.assign(fields, {
+    parentProductId: parent._id,
+    parentProductLocalId: parent.localId,
+    variantOptions: options
+  });
+};
+
+/**
+ * Turn the variants of a removed parent back into single-variant products
+ */
+const detachVariants = (sellerId, parentId) => Product.updateMany(
+  { sellerId, parentProductId: parentId },
+  { parentProductId: null, parentProductLocalId: null, variantOptions: [] }
+);
+
+/**
+ * Variant fields of a product for client responses
+ */
+const formatVariantFields = (product) => ({
+  isVariantParent: product.isVariantParent || false,
+  variantAxes: (product.variantAxes || []).map(axis => ({ name: axis.name, values: axis.values })),
+  parentProductId: product.parentProductId ? product.parentProductId.toString() : null,
+  parentProductLocalId: product.parentProductLocalId || null,
+  variantOptions: (product.variantOptions || []).map(option => ({ name: option.name, value: option.value }))
+});
+
+/**
+ * Group store listings (products with price/totalStock) so each parent carries its variants.
+ * Variants whose parent is not listed (inactive, hidden) are left out; other products are unchanged.
+ */
+const groupVariantListings = (listings) => {
+  const parents = new Map(listings.filter(item => item.isVariantParent).map(item => [item._id.toString(), { ...item, variants: [] }]));
+
+  const grouped = [];
+  listings.forEach(item => {
+    if (item.isVariantParent) {
+      grouped.push(parents.get(item._id.toString()));
+    } else if (item.parentProductId) {
+      const parent = parents.get(item.parentProductId.toString());
+      if (parent) parent.variants.push(item);
+    } else {
+      grouped.push(item);
+    }
+  });
+
+  parents.forEach(parent => {
+    const prices = parent.variants.filter(variant => variant.totalStock > 0).map(variant => variant.price);
+    const allPrices = parent.variants.map(variant => variant.price);
+    parent.options = parent.variantAxes || [];
+    parent.price = prices.length > 0 ? Math.min(...prices) : (allPrices.length > 0 ? Math.min(...allPrices) : 0);
+    parent.totalStock = parent.variants.reduce((sum, variant) => sum + variant.totalStock, 0);
+  });
+
+  return grouped;
+};
+
+module.exports = {
+  findMatchingVariant,
+  resolveVariantFields,
+  detachVariants,
+  formatVariantFields,
+  groupVariantListings,
+};
@@ -0,0 +1,30 @@
+/**
+ * Socket.IO access for code that has no `req` (models, schedulers).
+ * server.js registers the instance; emits are no-ops until then.
+ */
+let ioInstance = null;
+
+const setSocketServer = (io) => {
+    ioInstance = io;
+};
+
+/**
+ * Emit an event to every open device of a seller (room `seller_${sellerId}`)
+ */
+const emitToSeller = (sellerId, event, payload) => {
+    if (!ioInstance || !sellerId) {
+        return false;
+    }
+    try {
+        ioInstance.to(`seller_${sellerId}`).emit(event, payload);
+        return true;
+    } catch (error) {
+        console.error(`Error emitting ${event} to seller room:`, error);
+        return false;
+    }
+};
+
+module.exports = {
+    setSocketServer,
+    emitToSeller
+};
@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Order = require('../models/Order');
+const VendorOrder = require('../models/VendorOrder');
+const SyncTracking = require('../models/SyncTracking');
+const { getReservedQuantities } = require('./stockReservations');
+const { getConversionFactor, toBaseQuantity } = require('./unitConversions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Defaults for a reorder run; each can be overridden per request
+const REORDER_DEFAULTS = {
+  velocityDays: 30, // sales history the daily velocity is averaged over
+  coverDays: 14, // stock an order should last beyond the reorder point
+  safetyDays: 3, // extra days of sales kept as safety stock
+  leadDays: 7 // lead time for suppliers with no delivery history
+};
+
+const VENDOR_ORDER_UNITS = VendorOrder.schema.path('items').schema.path('unit').enumValues;
+
+const supplierKey = (order) => (order.supplierMongoId
+  ? order.supplierMongoId.toString()
+  : `name:${(order.supplierName || '').trim().toLowerCase()}`);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Units sold per product over the last `days` days, in base units. Bundle sales count towards their
+ * components; cancelled online orders are left out. Returns Map productId -> sold.
+ */
+const getUnitsSold = async (sellerId, days) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const rows = await Order.aggregate([
+    {
+      $match: {
+        sellerId: new mongoose.Types.ObjectId(String(sellerId)),
+        isDeleted: { $ne: true },
+        orderStatus: { $ne: 'Cancelled' },
+        createdAt: { $gte: since }
+      }
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.productId': { $ne: null } } },
+    { $group: { _id: '$items.productId', sold: { $sum: { $ifNull: ['$items.baseQuantity', '$items.quantity'] } } } }
+  ]);
+
+  const sold = new Map(rows.map(row => [row._id.toString(), row.sold]));
+
+  const bundles = await Product.find({ sellerId, isBundle: true, _id: { $in: rows.map(row => row._id) } }).select('bundleComponents').lean();
+  bundles.forEach(bundle => {
+    const count = sold.get(bundle._id.toString()) || 0;
+    sold.delete(bundle._id.toString());
+    bundle.bundleComponents.forEach(component => {
+      const key = component.productId.toString();
+      sold.set(key, (sold.get(key) || 0) + count * component.quantity);
+    });
+  });
+
+  return sold;
+};
+
+/**
+ * Observed lead time per supplier: days from placing a purchase order to its actual delivery, averaged
+ * over completed orders. Suppliers without deliveries fall back to the planned expected delivery date.
+ * Returns Map supplierKey -> { leadDays, deliveries, averageDelayDays }.
+ */
+const getSupplierLeadTimes = async (sellerId) => {
+  const orders = await VendorOrder.find({
+    sellerId,
+    isDeleted: { $ne: true },
+    status: { $in: ['pending', 'completed'] },
+    $or: [{ actualDeliveryDate: { $ne: null } }, { expectedDeliveryDate: { $ne: null } }]
+  })
+    .select('supplierName supplierMongoId status createdAt expectedDeliveryDate actualDeliveryDate')
+    .sort({ createdAt: -1 })
+    .limit(1000)
+    .lean();
+
+  const stats = new Map();
+  orders.forEach(order => {
+    const key = supplierKey(order);
+    if (!stats.has(key)) stats.set(key, { observed: [], planned: [], delays: [] });
+    const entry = stats.get(key);
+    const placed = new Date(order.createdAt).getTime();
+
+    if (order.status === 'completed' && order.actualDeliveryDate) {
+      entry.observed.push(Math.max(0, (new Date(order.actualDeliveryDate).getTime() - placed) / DAY_MS));
+      if (order.expectedDeliveryDate) {
+        entry.delays.push((new Date(order.actualDeliveryDate).getTime() - new Date(order.expectedDeliveryDate).getTime()) / DAY_MS);
+      }
+    } else if (order.expectedDeliveryDate) {
+      entry.planned.push(Math.max(0, (new Date(order.expectedDeliveryDate).getTime() - placed) / DAY_MS));
+    }
+  });
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const leadTimes = new Map();
+  stats.forEach((entry, key) => {
+    const source = entry.observed.length > 0 ? entry.observed : entry.planned;
+    if (source.length === 0) return;
+    leadTimes.set(key, {
+      leadDays: round(average(source), 1),
+      deliveries: entry.observed.length,
+      averageDelayDays: entry.delays.length > 0 ? round(average(entry.delays), 1) : null
+    });
+  });
+  return leadTimes;
+};
+
+/**
+ * The supplier, unit and price each product was last bought with. Returns Map productId -> line.
+ */
+const getLastPurchases = async (sellerId, productIds) => {
+  const remaining = new Set(productIds.map(String));
+  const lastPurchases = new Map();
+
+  const cursor = VendorOrder.find({
+    sellerId,
+    isDeleted: { $ne: true },
+    status: { $in: ['pending', 'completed'] },
+    'items.productId': { $in: productIds }
+  })
+    .select('supplierName supplierMongoId supplierLocalId items createdAt')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  for await (const order of cursor) {
+    order.items.forEach(item => {
+      const key = item.productId ? item.productId.toString() : null;
+      if (!key || !remaining.has(key)) return;
+      remaining.delete(key);
+      lastPurchases.set(key, {
+        supplierKey: supplierKey(order),
+        supplierName: order.supplierName,
+        supplierMongoId: order.supplierMongoId || null,
+        supplierLocalId: order.supplierLocalId || null,
+        unit: item.unit,
+        price: item.price,
+        orderedAt: order.createdAt
+      });
+    });
+    if (remaining.size === 0) break;
+  }
+  return lastPurchases;
+};
+
+/**
+ * Base units already on order (pending purchase orders, less anything received). Returns Map productId -> quantity.
+ */
+const getIncomingStock = async (sellerId, productMap) => {
+  const orders = await VendorOrder.find({ sellerId, isDeleted: { $ne: true }, status: 'pending' }).select('items').lean();
+  const incoming = new Map();
+  orders.forEach(order => order.items.forEach(item => {
+    const product = item.productId ? productMap.get(item.productId.toString()) : null;
+    if (!product || item.receivedBatchId) return;
+    const key = product._id.toString();
+    incoming.set(key, (incoming.get(key) || 0) + toBaseQuantity(product, item.quantity, item.unit));
+  }));
+  return incoming;
+};
+
+/**
+ * Reorder point and quantity per product from its daily sales velocity and its last supplier's lead time:
+ *   reorder point = velocity x (lead days + safety days)
+ *   order quantity = reorder point + velocity x cover days - (available + incoming stock)
+ * Only products that sold in the window and whose stock position is at or below the reorder point are
+ * suggested. Quantities are in base units and, for ordering, in the unit the product was last bought in.
+ */
+const buildReorderSuggestions = async (sellerId, overrides = {}) => {
+  const parameters = { ...REORDER_DEFAULTS };
+  Object.keys(REORDER_DEFAULTS).forEach(key => {
+    const value = Number(overrides[key]);
+    if (Number.isFinite(value) && value > 0) parameters[key] = value;
+  });
+
+  const sold = await getUnitsSold(sellerId, parameters.velocityDays);
+  const productIds = [...sold.keys()].filter(id => sold.get(id) > 0);
+  if (productIds.length === 0) return { parameters, suggestions: [] };
+
+  const products = await Product.find({
+    _id: { $in: productIds },
+    sellerId,
+    isDeleted: { $ne: true },
+    isBundle: { $ne: true },
+    isVariantParent: { $ne: true }
+  }).lean();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const ids = products.map(product => product._id);
+
+  const [batches, reserved, leadTimes, lastPurchases, incoming] = await Promise.all([
+    ProductBatch.find({ sellerId, productId: { $in: ids }, isDeleted: false }).select('productId quantity damagedQuantity').lean(),
+    getReservedQuantities(sellerId, ids),
+    getSupplierLeadTimes(sellerId),
+    getLastPurchases(sellerId, ids),
+    getIncomingStock(sellerId, productMap)
+  ]);
+
+  const available = new Map();
+  batches.forEach(batch => {
+    const key = batch.productId.toString();
+    // Reserved units are spoken for and damaged units wait for a write-off; neither can be sold
+    const quantity = batch.quantity - (reserved.get(batch._id.toString()) || 0) - (batch.damagedQuantity || 0);
+    available.set(key, (available.get(key) || 0) + quantity);
+  });
+
+  const suggestions = [];
+  products.forEach(product => {
+    const key = product._id.toString();
+    const velocity = sold.get(key) / parameters.velocityDays;
+    const last = lastPurchases.get(key) || null;
+    const lead = last ? leadTimes.get(last.supplierKey) : null;
+    const leadDays = lead ? lead.leadDays : parameters.leadDays;
+
+    const stock = available.get(key) || 0;
+    const onOrder = incoming.get(key) || 0;
+    const reorderPoint = velocity * (leadDays + parameters.safetyDays);
+    const position = stock + onOrder;
+    if (position > reorderPoint) return;
+
+    const baseQuantity = Math.ceil(reorderPoint + velocity * parameters.coverDays - position);
+    if (baseQuantity <= 0) return;
+
+    // Order in the unit the product was last bought in when it converts; base units otherwise
+    let unit = last && last.unit ? last.unit : product.unit;
+    let factor = getConversionFactor(product, unit);
+    if (factor === null || !VENDOR_ORDER_UNITS.includes(unit)) {
+      unit = VENDOR_ORDER_UNITS.includes(product.unit) ? product.unit : 'pcs';
+      factor = 1;
+    }
+    const orderQuantity = Math.max(1, Math.ceil(baseQuantity / factor));
+    const price = last && last.unit === unit ? last.price : 0;
+
+    suggestions.push({
+      productId: product._id,
+      productLocalId: product.localId,
+      productName: product.name,
+      baseUnit: product.unit,
+      unitsSold: sold.get(key),
+      dailyVelocity: round(velocity, 3),
+      availableStock: stock,
+      incomingStock: onOrder,
+      daysOfStock: velocity > 0 ? round(stock / velocity, 1) : null,
+      leadDays,
+      leadTimeSource: lead ? (lead.deliveries > 0 ? 'observed' : 'expected') : 'default',
+      reorderPoint: round(reorderPoint),
+      baseQuantity,
+      orderQuantity,
+      unit,
+      price,
+      supplier: last ? {
+        key: last.supplierKey,
+        name: last.supplierName,
+        supplierMongoId: last.supplierMongoId,
+        supplierLocalId: last.supplierLocalId,
+        averageDelayDays: lead ? lead.averageDelayDays : null
+      } : null
+    });
+  });
+
+  suggestions.sort((a, b) => (a.daysOfStock ?? 0) - (b.daysOfStock ?? 0));
+  return { parameters, suggestions };
+};
+
+/**
+ * Replace the seller's auto-drafted purchase orders with one draft per supplier from the current
+ * suggestions. Products never bought from a supplier are returned as `unassigned`.
+ */
+const draftReorderPurchaseOrders = async (sellerId, overrides = {}) => {
+  const { parameters, suggestions } = await buildReorderSuggestions(sellerId, overrides);
+
+  const bySupplier = new Map();
+  const unassigned = [];
+  suggestions.forEach(suggestion => {
+    if (!suggestion.supplier) {
+      unassigned.push(suggestion);
+      return;
+    }
+    if (!bySupplier.has(suggestion.supplier.key)) bySupplier.set(suggestion.supplier.key, []);
+    bySupplier.get(suggestion.supplier.key).push(suggestion);
+  });
+
+  // Drafts the seller has not acted on are regenerated rather than piled up. They are soft-deleted so
+  // devices that already synced them drop them; editing or syncing a draft clears `autoDrafted`.
+  await VendorOrder.updateMany(
+    { sellerId, status: 'draft', autoDrafted: true, isDeleted: { $ne: true } },
+    { $set: { isDeleted: true } }
+  );
+
+  const drafts = [];
+  for (const lines of bySupplier.values()) {
+    const supplier = lines[0].supplier;
+    const leadDays = Math.max(...lines.map(line => line.leadDays));
+    const draft = new VendorOrder({
+      sellerId,
+      supplierName: supplier.name,
+      supplierMongoId: supplier.supplierMongoId || undefined,
+      supplierLocalId: supplier.supplierLocalId || undefined,
+      items: lines.map(line => ({
+        productId: line.productId,
+        productLocalId: line.productLocalId,
+        productMongoId: line.productId,
+        productName: line.productName,
+        quantity: line.orderQuantity,
+        price: line.price,
+        unit: line.unit,
+        subtotal: line.price * line.orderQuantity
+      })),
+      total: lines.reduce((sum, line) => sum + line.price * line.orderQuantity, 0),
+      status: 'draft',
+      autoDrafted: true,
+      notes: `Reorder draft from ${parameters.velocityDays}-day sales velocity`,
+      expectedDeliveryDate: new Date(Date.now() + leadDays * DAY_MS)
+    });
+    await draft.save();
+    drafts.push(draft);
+  }
+
+  await SyncTracking.updateLatestTime(sellerId, 'vendorOrders');
+
+  return { parameters, drafts, unassigned };
+};
+
+module.exports = {
+  REORDER_DEFAULTS,
+  buildReorderSuggestions,
+  draftReorderPurchaseOrders,
+};
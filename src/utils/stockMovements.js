@@ -0,0 +1,67 @@
+const StockMovement = require('../models/StockMovement');
+
+/**
+ * Who is moving stock, taken from the authenticated request
+ */
+const getMovementUser = (req) => {
+  if (req && req.sellerId) {
+    return { userType: 'seller', userId: req.sellerId, userName: req.seller ? (req.seller.name || req.seller.email || '') : '' };
+  }
+  if (req && req.customer) {
+    return { userType: 'customer', userId: req.customer._id, userName: req.customer.name || '' };
+  }
+  return { userType: 'system' };
+};
+
+/**
+ * Write batch quantity changes to the stock ledger.
+ * `movements`: [{ batch, delta, quantityBefore?, quantityAfter? }]; the quantities default to the batch's current
+ * quantity as the result of the change.
+ * `source`: { type, id, localId, reference } of the document that caused it.
+ * Inside a transaction (session given) a failure is rethrown so the change rolls back with it;
+ * otherwise it is logged and the stock change stands.
+ */
+const recordStockMovements = async (movements, { sellerId, reason, source = {}, user = {}, note, session = null }) => {
+  const docs = movements
+    .filter(movement => movement && movement.batch && movement.delta)
+    .map(({ batch, delta, quantityBefore, quantityAfter = batch.quantity }) => ({
+      sellerId: sellerId || batch.sellerId,
+      productId: batch.productId && batch.productId._id ? batch.productId._id : batch.productId,
+      batchId: batch._id,
+      batchNumber: batch.batchNumber || '',
+      locationId: batch.locationId || undefined,
+      delta,
+      quantityBefore: quantityBefore !== undefined ? quantityBefore : quantityAfter - delta,
+      quantityAfter,
+      reason,
+      sourceType: source.type,
+      sourceId: source.id,
+      sourceLocalId: source.localId !== undefined && source.localId !== null ? String(source.localId) : undefined,
+      reference: source.reference,
+      userType: user.userType || 'system',
+      userId: user.userId,
+      userName: user.userName,
+      note
+    }));
+
+  if (docs.length === 0) return [];
+
+  try {
+    return await StockMovement.insertMany(docs, { session });
+  } catch (error) {
+    if (session) throw error;
+    console.error('Error recording stock movements:', error);
+    return [];
+  }
+};
+
+/**
+ * Single-batch shorthand for recordStockMovements
+ */
+const recordStockMovement = (batch, delta, context) => recordStockMovements([{ batch, delta }], context);
+
+module.exports = {
+  getMovementUser,
+  recordStockMovements,
+  recordStockMovement,
+};
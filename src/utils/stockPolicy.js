@@ -0,0 +1,17 @@
+const SellerSettings = require('../models/SellerSettings');
+
+const NEGATIVE_STOCK_POLICIES = ['overflow', 'block', 'flag'];
+
+/**
+ * Seller's negative-stock policy ('flag' unless configured)
+ */
+const getNegativeStockPolicy = async (sellerId, session = null) => {
+  const settings = await SellerSettings.findOne({ sellerId }).select('inventorySettings').session(session).lean();
+  const policy = settings && settings.inventorySettings ? settings.inventorySettings.negativeStockPolicy : null;
+  return NEGATIVE_STOCK_POLICIES.includes(policy) ? policy : 'flag';
+};
+
+module.exports = {
+  NEGATIVE_STOCK_POLICIES,
+  getNegativeStockPolicy,
+};
@@ -0,0 +1,393 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const StockReservation = require('../models/StockReservation');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Order = require('../models/Order');
+const SyncTracking = require('../models/SyncTracking');
+const { recordStockMovements } = require('./stockMovements');
+const { expandBundleItems } = require('./bundles');
+const { findDefaultLocation, locationBatchFilter } = require('./locations');
+const { getNegativeStockPolicy } = require('./stockPolicy');
+const { toBaseQuantity } = require('./unitConversions');
+
+// How long a Pending online order may hold stock before it is cancelled
+const RESERVATION_HOURS = Number(process.env.ONLINE_ORDER_RESERVATION_HOURS) || 24;
+
+// Statuses that mean the seller has accepted the order; the first one reached commits the reservation
+const COMMIT_STATUSES = ['Seller Confirmed', 'Processing', 'Out for Delivery', 'Delivered', 'Completed'];
+
+const touchStock = async (sellerId) => {
+  try {
+    await SyncTracking.updateLatestTime(sellerId, 'productBatches');
+    await SyncTracking.updateLatestTime(sellerId, 'products');
+  } catch (error) {
+    console.error('Error updating sync tracking for stock reservation:', error);
+  }
+};
+
+/**
+ * Quantity currently held by open reservations, keyed by batch id.
+ * Pass `session` to read inside a caller's transaction.
+ */
+const getReservedQuantities = async (sellerId, productIds = null, session = null) => {
+  const match = { 'items.quantity': { $gt: 0 } };
+  if (productIds) {
+    match['items.productId'] = { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  const rows = await StockReservation.aggregate([
+    { $match: { sellerId: new mongoose.Types.ObjectId(String(sellerId)), status: 'reserved' } },
+    { $unwind: '$items' },
+    { $match: match },
+    { $group: { _id: '$items.batchId', quantity: { $sum: '$items.quantity' } } }
+  ]).session(session);
+
+  const reserved = new Map();
+  rows.forEach(row => reserved.set(row._id.toString(), row.quantity));
+  return reserved;
+};
+
+/**
+ * Pick batches for each requested item out of the stock not already reserved, in the order a POS sale
+ * takes them (FEFO when the product tracks expiry, FIFO otherwise).
+ * `cartItems`: [{ productId, quantity, unit? }]; a quantity in another of the product's units (2 box) is
+ * reserved in its base unit, and bundles reserve their components. Shortfalls are in base units.
+ * Online orders sell from the store's selling location (the seller's default location), so stock kept
+ * elsewhere (a godown) is never reserved.
+ * Returns the reservation lines and any quantity that could not be covered.
+ * Pass `session` to plan inside the transaction that reserves the lines (see reserveOrderStock).
+ */
+const planReservation = async (sellerId, cartItems, session = null) => {
+  const items = await expandBundleItems(sellerId, cartItems, session);
+  const location = await findDefaultLocation(sellerId, session);
+  const productIds = items.map(item => item.productId).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const reserved = await getReservedQuantities(sellerId, productIds, session);
+  const products = await Product.find({ _id: { $in: productIds }, sellerId }).select('trackExpiry unit unitConversions').session(session).lean();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const tracksExpiry = new Set(products.filter(product => product.trackExpiry).map(product => product._id.toString()));
+  const lines = [];
+  const shortfalls = [];
+
+  for (const item of items) {
+    if (!mongoose.Types.ObjectId.isValid(item.productId)) continue;
+
+    const product = productMap.get(String(item.productId));
+    const quantity = product ? toBaseQuantity(product, item.quantity, item.unit) : Number(item.quantity) || 0;
+    let remaining = quantity;
+    const batches = await ProductBatch.find({
+      sellerId,
+      productId: item.productId,
+      isDeleted: false,
+      quantity: { $gt: 0 },
+      ...locationBatchFilter(location)
+    }).sort(tracksExpiry.has(String(item.productId)) ? { expiry: 1, createdAt: 1 } : { createdAt: 1 }).session(session).lean();
+
+    for (const batch of batches) {
+      if (remaining <= 0) break;
+
+      const key = batch._id.toString();
+      // Damaged units wait for a write-off and are not sold
+      const available = batch.quantity - (reserved.get(key) || 0) - (batch.damagedQuantity || 0);
+      if (available <= 0) continue;
+
+      const taken = Math.min(available, remaining);
+      reserved.set(key, (reserved.get(key) || 0) + taken);
+      remaining -= taken;
+      lines.push({ productId: batch.productId, batchId: batch._id, batchNumber: batch.batchNumber || '', quantity: taken });
+    }
+
+    if (remaining > 0) {
+      shortfalls.push({ productId: item.productId, productName: item.name, quantity, shortfall: remaining });
+    }
+  }
+
+  return { lines, shortfalls };
+};
+
+/**
+ * Hold planned batch quantities for a saved order, inside the transaction that planned them.
+ * Each line bumps its batch's `reservedQuantity` only while the batch still has the units free, so two
+ * checkouts planning the same units conflict on the batch and the later one is retried against the
+ * stock the first left. Throws INSUFFICIENT_STOCK when a batch no longer has the units.
+ * The caller touches sync tracking once the transaction has committed.
+ */
+const reserveOrderStock = async (order, lines, session) => {
+  for (const line of lines) {
+    const result = await ProductBatch.updateOne({
+      _id: line.batchId,
+      sellerId: order.sellerId,
+      isDeleted: false,
+      $expr: {
+        $gte: [
+          { $subtract: ['$quantity', { $add: [{ $ifNull: ['$reservedQuantity', 0] }, { $ifNull: ['$damagedQuantity', 0] }] }] },
+          line.quantity
+        ]
+      }
+    }, { $inc: { reservedQuantity: line.quantity } }, { session });
+
+    if (result.matchedCount === 0) {
+      const stockError = new Error(`Batch ${line.batchNumber || line.batchId} no longer has ${line.quantity} units free`);
+      stockError.code = 'INSUFFICIENT_STOCK';
+      throw stockError;
+    }
+  }
+
+  const [reservation] = await StockReservation.create([{
+    sellerId: order.sellerId,
+    orderId: order._id,
+    items: lines,
+    heldOnBatches: true,
+    expiresAt: new Date(Date.now() + RESERVATION_HOURS * 60 * 60 * 1000)
+  }], { session });
+  return reservation;
+};
+
+/**
+ * Drop the hold an open reservation keeps on its batches' `reservedQuantity`
+ */
+const releaseReservedCounts = async (reservation) => {
+  if (!reservation.heldOnBatches) return;
+  for (const item of reservation.items) {
+    await ProductBatch.updateOne({ _id: item.batchId, sellerId: reservation.sellerId }, { $inc: { reservedQuantity: -item.quantity } });
+  }
+};
+
+/**
+ * Put committed quantities back into the batches they were taken from and ledger them as a cancellation
+ */
+const returnCommittedStock = async (reservation, order, user = {}) => {
+  const movements = [];
+  for (const item of reservation.items) {
+    if (!item.committedQuantity) continue;
+    const batch = await ProductBatch.findOneAndUpdate(
+      { _id: item.batchId, sellerId: reservation.sellerId },
+      { $inc: { quantity: item.committedQuantity } },
+      { new: true }
+    );
+    if (!batch) {
+      console.error(`Could not return stock to batch ${item.batchId} - batch not found.`);
+      continue;
+    }
+    movements.push({ batch, delta: item.committedQuantity });
+  }
+
+  await recordStockMovements(movements, {
+    sellerId: reservation.sellerId,
+    reason: 'cancel',
+    source: { type: 'Order', id: order._id, reference: order.invoiceNumber },
+    user
+  });
+};
+
+/**
+ * Shortfall lines for an order's reservation, in base units: what was reserved for each product, what
+ * could be taken and what was missing. Bundles reserve their components, so names come from the products.
+ */
+const buildReservationShortfalls = async (reservation, shortByProduct, policy) => {
+  const reservedByProduct = new Map();
+  reservation.items.forEach(item => {
+    const key = item.productId.toString();
+    reservedByProduct.set(key, (reservedByProduct.get(key) || 0) + item.quantity);
+  });
+  const products = await Product.find({ _id: { $in: [...shortByProduct.keys()] }, sellerId: reservation.sellerId }).select('name').lean();
+  const names = new Map(products.map(product => [product._id.toString(), product.name]));
+
+  return [...shortByProduct].map(([productId, shortfall]) => ({
+    productId,
+    productName: names.get(productId) || '',
+    quantity: reservedByProduct.get(productId) || 0,
+    deducted: (reservedByProduct.get(productId) || 0) - shortfall,
+    shortfall,
+    policy
+  }));
+};
+
+/**
+ * Take the reserved quantities out of their batches. Returns null when the order holds no open reservation.
+ * The reservation is claimed ('committing') before any batch is touched, so the expiry job and a seller
+ * status update (or two updates) cannot take it twice.
+ * Units a POS sale used in the meantime follow the seller's negative-stock policy: 'block' puts back
+ * everything taken, reopens the reservation and throws INSUFFICIENT_STOCK; otherwise the order is flagged.
+ */
+const commitOrderReservation = async (order, user = {}) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { orderId: order._id, status: 'reserved' },
+    { status: 'committing' },
+    { new: true }
+  );
+  if (!reservation) return null;
+
+  const policy = await getNegativeStockPolicy(reservation.sellerId);
+  const movements = [];
+  const applied = [];
+  const shortByProduct = new Map();
+  for (const item of reservation.items) {
+    const filter = { _id: item.batchId, sellerId: reservation.sellerId };
+    // The held units leave the batch's reserved count whatever is taken
+    const held = reservation.heldOnBatches ? item.quantity : 0;
+
+    let taken = item.quantity;
+    let batch = await ProductBatch.findOneAndUpdate(
+      { ...filter, quantity: { $gte: taken } },
+      { $inc: { quantity: -taken, reservedQuantity: -held } },
+      { new: true }
+    );
+
+    // A POS sale may have used the held units in the meantime; take what is left
+    if (!batch) {
+      const current = await ProductBatch.findOne(filter).select('quantity').lean();
+      taken = current ? Math.min(Math.max(current.quantity || 0, 0), item.quantity) : 0;
+      if (taken > 0) {
+        batch = await ProductBatch.findOneAndUpdate(
+          { ...filter, quantity: { $gte: taken } },
+          { $inc: { quantity: -taken, reservedQuantity: -held } },
+          { new: true }
+        );
+      }
+      if (!batch) {
+        taken = 0;
+        if (held) await ProductBatch.updateOne(filter, { $inc: { reservedQuantity: -held } });
+      }
+    }
+    applied.push({ filter, taken, held });
+
+    if (taken < item.quantity) {
+      const key = item.productId.toString();
+      shortByProduct.set(key, (shortByProduct.get(key) || 0) + item.quantity - taken);
+    }
+    if (!batch) continue;
+
+    item.committedQuantity = taken;
+    movements.push({ batch, delta: -taken });
+  }
+
+  if (shortByProduct.size > 0 && policy === 'block') {
+    for (const { filter, taken, held } of applied) {
+      if (taken || held) await ProductBatch.updateOne(filter, { $inc: { quantity: taken, reservedQuantity: held } });
+    }
+    const reopened = await StockReservation.updateOne({ _id: reservation._id, status: 'committing' }, { status: 'reserved' });
+    // Cancelled meanwhile: the release left the held counts to us
+    if (reopened.modifiedCount === 0) await releaseReservedCounts(reservation);
+
+    const stockError = new Error('Not enough stock left to accept this order');
+    stockError.code = 'INSUFFICIENT_STOCK';
+    stockError.shortfalls = await buildReservationShortfalls(reservation, shortByProduct, policy);
+    throw stockError;
+  }
+
+  await recordStockMovements(movements, {
+    sellerId: reservation.sellerId,
+    reason: 'online_sale',
+    source: { type: 'Order', id: order._id, reference: order.invoiceNumber },
+    user
+  });
+
+  const committed = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'committing' },
+    { status: 'committed', committedAt: new Date(), items: reservation.items },
+    { new: true }
+  );
+
+  // The order was cancelled while its stock was being taken; the release left the batches to us
+  if (!committed) {
+    await returnCommittedStock(reservation, order, user);
+    await touchStock(reservation.sellerId);
+    return StockReservation.findById(reservation._id);
+  }
+
+  // Whatever could no longer be taken was sold against insufficient stock
+  if (shortByProduct.size > 0) {
+    const stockShortfalls = await buildReservationShortfalls(reservation, shortByProduct, policy);
+    await Order.updateOne({ _id: order._id }, { hasStockShortfall: true, $push: { stockShortfalls: { $each: stockShortfalls } } });
+  }
+
+  await touchStock(reservation.sellerId);
+
+  return committed;
+};
+
+/**
+ * Give an order's stock back to the batches it was reserved from. An open reservation is simply dropped;
+ * a committed one puts the committed quantities back, and one still being committed is returned by the
+ * commit once it sees the release. The reservation is claimed before any batch is touched, so concurrent
+ * cancellations restock it once. `reason` 'timeout' (the expiry job) only releases an open reservation.
+ * Returns null when the order has no reservation (orders placed before reservations existed).
+ */
+const releaseOrderReservation = async (order, reason = 'cancelled', user = {}) => {
+  const releasable = reason === 'timeout' ? ['reserved'] : ['reserved', 'committing', 'committed'];
+  const previous = await StockReservation.findOneAndUpdate(
+    { orderId: order._id, status: { $in: releasable } },
+    { status: 'released', releasedAt: new Date(), releaseReason: reason },
+    { new: false }
+  );
+  if (!previous) return StockReservation.findOne({ orderId: order._id });
+
+  if (previous.status === 'reserved') {
+    await releaseReservedCounts(previous);
+  } else if (previous.status === 'committed') {
+    await returnCommittedStock(previous, order, user);
+  }
+  await touchStock(previous.sellerId);
+
+  return StockReservation.findById(previous._id);
+};
+
+/**
+ * Expire open reservations: orders still Pending are cancelled and release their stock,
+ * orders the seller already moved on are committed instead.
+ */
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'reserved', expiresAt: { $lt: new Date() } });
+  let released = 0;
+  let committed = 0;
+
+  for (const reservation of expired) {
+    try {
+      const order = await Order.findById(reservation.orderId);
+
+      if (order && COMMIT_STATUSES.includes(order.orderStatus)) {
+        await commitOrderReservation(order);
+        committed++;
+        continue;
+      }
+
+      // The seller may have confirmed or cancelled the order since it was loaded
+      const result = await releaseOrderReservation(order || { _id: reservation.orderId }, 'timeout');
+      if (!result || result.releaseReason !== 'timeout') continue;
+      released++;
+
+      if (order && order.orderStatus === 'Pending') {
+        order.orderStatus = 'Cancelled';
+        order.updatedAt = new Date();
+        await order.save();
+        await SyncTracking.updateLatestTime(order.sellerId, 'orders');
+      }
+    } catch (error) {
+      console.error('Error expiring stock reservation:', error);
+    }
+  }
+
+  return { success: true, released, committed };
+};
+
+/**
+ * Initialize the cron job
+ */
+const initReservationExpiry = () => {
+  // Run every 15 minutes
+  cron.schedule('*/15 * * * *', () => {
+    releaseExpiredReservations().catch((error) => console.error('Stock reservation expiry error:', error));
+  });
+};
+
+module.exports = {
+  COMMIT_STATUSES,
+  getReservedQuantities,
+  planReservation,
+  reserveOrderStock,
+  commitOrderReservation,
+  releaseOrderReservation,
+  releaseExpiredReservations,
+  initReservationExpiry,
+};
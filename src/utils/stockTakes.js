@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const SyncTracking = require('../models/SyncTracking');
+const StockTake = require('../models/StockTake');
+const StockMovement = require('../models/StockMovement');
+const { applyBatchUpdate } = require('./batchUpdates');
+const { getDeviceFromRequest } = require('./deviceRegistry');
+
+/**
+ * Who is counting: the calling device (so two tills count independently), else the seller
+ */
+const getCounterFromRequest = (req, counterName) => {
+  const device = getDeviceFromRequest(req);
+  return {
+    counterId: device ? device.deviceId : String(req.sellerId),
+    counterName: counterName || (device && device.name) || (req.seller ? req.seller.name : '') || ''
+  };
+};
+
+/**
+ * Client shape of a session (REST responses and data fetches)
+ */
+const formatStockTake = (stockTake) => ({
+  id: stockTake._id.toString(),
+  _id: stockTake._id.toString(),
+  localId: stockTake.localId,
+  name: stockTake.name,
+  scope: stockTake.scope,
+  categoryId: stockTake.categoryId ? stockTake.categoryId.toString() : null,
+  status: stockTake.status,
+  counts: (stockTake.counts || []).map(count => ({
+    batchId: count.batchId ? count.batchId.toString() : null,
+    productId: count.productId ? count.productId.toString() : null,
+    counterId: count.counterId,
+    counterName: count.counterName,
+    countedQuantity: count.countedQuantity,
+    countedAt: count.countedAt
+  })),
+  adjustments: stockTake.adjustments || [],
+  openedBy: stockTake.openedBy,
+  committedBy: stockTake.committedBy,
+  committedAt: stockTake.committedAt,
+  cancelledAt: stockTake.cancelledAt,
+  isDeleted: stockTake.isDeleted || false,
+  createdAt: stockTake.createdAt,
+  updatedAt: stockTake.updatedAt,
+  isSynced: true
+});
+
+/**
+ * Products a session covers (one category or everything), keyed by id
+ */
+const getScopeProducts = async (stockTake) => {
+  const productQuery = { sellerId: stockTake.sellerId, isDeleted: { $ne: true } };
+  if (stockTake.scope === 'category') productQuery.categoryId = stockTake.categoryId;
+
+  const products = await Product.find(productQuery).select('name barcode unit').lean();
+  return new Map(products.map(product => [product._id.toString(), product]));
+};
+
+/**
+ * Products and live batches a session covers
+ */
+const getScopeBatches = async (stockTake) => {
+  const productMap = await getScopeProducts(stockTake);
+
+  const batches = await ProductBatch.find({
+    sellerId: stockTake.sellerId,
+    isDeleted: false,
+    productId: { $in: [...productMap.values()].map(product => product._id) }
+  }).sort({ productId: 1, expiry: 1, createdAt: 1 });
+
+  return { productMap, batches };
+};
+
+/**
+ * Write one counter's count of a batch straight to the stored session, only while it is open: their
+ * older count is replaced in place, a first count is pushed. Counters posting at once never overwrite
+ * each other's lines. Returns false when nothing was written.
+ */
+const writeCount = async (stockTakeId, entry) => {
+  const { batchId, counterId, counterName, countedQuantity, countedAt } = entry;
+
+  // Twice, in case the same counter's first count of the batch lands between the two updates
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const replaced = await StockTake.updateOne(
+      { _id: stockTakeId, status: 'open', counts: { $elemMatch: { batchId, counterId, countedAt: { $lte: countedAt } } } },
+      {
+        $set: {
+          'counts.$[line].countedQuantity': countedQuantity,
+          'counts.$[line].countedAt': countedAt,
+          ...(counterName && { 'counts.$[line].counterName': counterName })
+        }
+      },
+      { arrayFilters: [{ 'line.batchId': batchId, 'line.counterId': counterId }] }
+    );
+    if (replaced.matchedCount > 0) return true;
+
+    const added = await StockTake.updateOne(
+      { _id: stockTakeId, status: 'open', counts: { $not: { $elemMatch: { batchId, counterId } } } },
+      { $push: { counts: entry } }
+    );
+    if (added.matchedCount > 0) return true;
+  }
+  return false;
+};
+
+/**
+ * Merge counts into an open session. `counts`: [{ batchId, countedQuantity, countedAt?, counterId?, counterName? }]
+ * with Mongo batch ids; `counter` supplies the counter for entries that do not name one.
+ * A counter's newer count of a batch replaces their older one; other counters' counts are kept.
+ * Counts are written to the stored session one by one (the `stockTake` document passed in is not
+ * changed; reload it to see them). Throws STOCK_TAKE_CLOSED when the session stopped being open.
+ * Returns the counts that were rejected with the reason.
+ */
+const addCounts = async (stockTake, counts, counter = {}) => {
+  const rejected = [];
+  const batchIds = counts
+    .map(count => count && count.batchId)
+    .filter(batchId => batchId && mongoose.Types.ObjectId.isValid(batchId));
+
+  const productMap = await getScopeProducts(stockTake);
+  const batches = await ProductBatch.find({ _id: { $in: batchIds }, sellerId: stockTake.sellerId, isDeleted: false })
+    .select('productId')
+    .lean();
+  const batchMap = new Map(batches.map(batch => [batch._id.toString(), batch]));
+
+  for (const count of counts) {
+    const batch = count && count.batchId ? batchMap.get(String(count.batchId)) : null;
+    const countedQuantity = count ? Number(count.countedQuantity) : NaN;
+
+    if (!batch) {
+      rejected.push({ batchId: count ? count.batchId : null, error: 'Batch not found' });
+      continue;
+    }
+    if (!productMap.has(batch.productId.toString())) {
+      rejected.push({ batchId: count.batchId, error: 'Batch is outside this stock take' });
+      continue;
+    }
+    if (!Number.isFinite(countedQuantity) || countedQuantity < 0) {
+      rejected.push({ batchId: count.batchId, error: 'Counted quantity must be a non-negative number' });
+      continue;
+    }
+
+    const counterId = String(count.counterId || counter.counterId || 'default');
+    const counterName = count.counterName || counter.counterName || '';
+    const countedAt = count.countedAt ? new Date(count.countedAt) : new Date();
+
+    const written = await writeCount(stockTake._id, { batchId: batch._id, productId: batch.productId, counterId, counterName, countedQuantity, countedAt });
+    if (written) continue;
+
+    // Counts replayed from an offline device may arrive after a newer one; that is not an error
+    const current = await StockTake.findById(stockTake._id).select('status').lean();
+    if (!current || current.status !== 'open') {
+      const closedError = new Error(`Stock take is ${current ? current.status : 'missing'}`);
+      closedError.code = 'STOCK_TAKE_CLOSED';
+      throw closedError;
+    }
+  }
+
+  return rejected;
+};
+
+const summarizeVariance = (lines) => {
+  const totals = {
+    batches: lines.length,
+    counted: 0,
+    uncounted: 0,
+    shortQuantity: 0,
+    overQuantity: 0,
+    netQuantity: 0,
+    shortValue: 0,
+    overValue: 0,
+    netValue: 0
+  };
+
+  lines.forEach(line => {
+    if (line.countedQuantity === null || line.countedQuantity === undefined) {
+      totals.uncounted++;
+      return;
+    }
+    totals.counted++;
+    if (line.variance < 0) {
+      totals.shortQuantity += -line.variance;
+      totals.shortValue += -line.varianceValue;
+    } else {
+      totals.overQuantity += line.variance;
+      totals.overValue += line.varianceValue;
+    }
+    totals.netQuantity += line.variance;
+    totals.netValue += line.varianceValue;
+  });
+
+  return totals;
+};
+
+/**
+ * Net ledger change of each batch after it was counted (its latest count when several counters
+ * counted it), keyed by batch id. Sales, receipts and transfers after the count are not part of it.
+ */
+const getChangesSinceCount = async (stockTake, countedAt) => {
+  if (countedAt.size === 0) return new Map();
+
+  const earliest = new Date(Math.min(...[...countedAt.values()].map(date => date.getTime())));
+  const movements = await StockMovement.find({
+    sellerId: stockTake.sellerId,
+    batchId: { $in: [...countedAt.keys()] },
+    createdAt: { $gt: earliest }
+  }).select('batchId delta createdAt').lean();
+
+  const changes = new Map();
+  movements.forEach(movement => {
+    const key = movement.batchId.toString();
+    if (movement.createdAt <= countedAt.get(key)) return;
+    changes.set(key, (changes.get(key) || 0) + movement.delta);
+  });
+  return changes;
+};
+
+/**
+ * Variance of every counted batch against the quantity it held when counted (current quantity less the
+ * ledger changes since), valued at the batch cost price. Uncounted batches are compared with their
+ * current quantity and have null counted quantity and variance. Committed sessions report what was applied.
+ */
+const buildVarianceReport = async (stockTake) => {
+  if (stockTake.status === 'committed') {
+    const lines = stockTake.adjustments.map(adjustment => ({
+      batchId: adjustment.batchId,
+      productId: adjustment.productId,
+      productName: adjustment.productName,
+      batchNumber: adjustment.batchNumber,
+      expectedQuantity: adjustment.expectedQuantity,
+      countedQuantity: adjustment.countedQuantity,
+      variance: adjustment.variance,
+      costPrice: adjustment.costPrice,
+      varianceValue: adjustment.varianceValue
+    }));
+    return { lines, totals: summarizeVariance(lines), batches: null };
+  }
+
+  const { productMap, batches } = await getScopeBatches(stockTake);
+  const counted = new Map();
+  const counters = new Map();
+  const countedAt = new Map();
+  stockTake.counts.forEach(count => {
+    const key = count.batchId.toString();
+    const at = count.countedAt || stockTake.createdAt;
+    counted.set(key, (counted.get(key) || 0) + count.countedQuantity);
+    counters.set(key, (counters.get(key) || 0) + 1);
+    if (!countedAt.has(key) || countedAt.get(key) < at) countedAt.set(key, at);
+  });
+  const changesSinceCount = await getChangesSinceCount(stockTake, countedAt);
+
+  const lines = batches.map(batch => {
+    const key = batch._id.toString();
+    const product = productMap.get(batch.productId.toString()) || {};
+    const currentQuantity = batch.quantity || 0;
+    const changeSinceCount = changesSinceCount.get(key) || 0;
+    const expectedQuantity = currentQuantity - changeSinceCount;
+    const costPrice = batch.costPrice || 0;
+    const countedQuantity = counted.has(key) ? counted.get(key) : null;
+    const variance = countedQuantity === null ? null : countedQuantity - expectedQuantity;
+
+    return {
+      batchId: batch._id,
+      productId: batch.productId,
+      productName: product.name || '',
+      barcode: product.barcode || '',
+      unit: product.unit || 'pcs',
+      batchNumber: batch.batchNumber || '',
+      expiry: batch.expiry,
+      expectedQuantity,
+      currentQuantity,
+      changeSinceCount,
+      countedQuantity,
+      counters: counters.get(key) || 0,
+      variance,
+      costPrice,
+      varianceValue: variance === null ? null : variance * costPrice
+    };
+  });
+
+  return { lines, totals: summarizeVariance(lines), batches };
+};
+
+/**
+ * Apply each counted batch's variance to its current quantity through the batch update path and close
+ * the session. Stock that moved after the count (sales, receipts, transfers) is kept, however late an
+ * offline device commits.
+ * The session is claimed ('committing') before any stock moves, so a concurrent commit (REST and a sync
+ * replay) cannot apply the variance twice; the adjustments and the closing status then commit in one
+ * transaction, and a failure hands the session back open. Returns null when the session is no longer open.
+ * `user` is the stock ledger user ({ userType, userId, userName }).
+ */
+const commitStockTake = async (stockTake, user = {}) => {
+  const claimed = await StockTake.findOneAndUpdate(
+    { _id: stockTake._id, status: 'open' },
+    { status: 'committing' },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let adjustments = [];
+  const committedAt = new Date();
+  try {
+    const { lines } = await buildVarianceReport(claimed);
+
+    await mongoose.connection.transaction(async (session) => {
+      adjustments = [];
+      for (const line of lines) {
+        if (line.countedQuantity === null) continue;
+
+        // Loaded inside the callback, as a retried transaction must start from the stored quantity
+        const batch = line.variance !== 0
+          ? await ProductBatch.findOne({ _id: line.batchId, sellerId: claimed.sellerId }).session(session)
+          : null;
+        if (batch) {
+          await applyBatchUpdate(batch, { quantity: (batch.quantity || 0) + line.variance }, {
+            reason: 'manual_adjust',
+            source: { type: 'StockTake', id: claimed._id, localId: claimed.localId, reference: claimed.name },
+            user,
+            note: 'Stock take',
+            session
+          });
+        }
+
+        adjustments.push({
+          batchId: line.batchId,
+          productId: line.productId,
+          productName: line.productName,
+          batchNumber: line.batchNumber,
+          expectedQuantity: line.expectedQuantity,
+          countedQuantity: line.countedQuantity,
+          variance: line.variance,
+          costPrice: line.costPrice,
+          varianceValue: line.varianceValue
+        });
+      }
+
+      await StockTake.updateOne(
+        { _id: claimed._id, status: 'committing' },
+        { adjustments, status: 'committed', committedAt, committedBy: user.userName || '' },
+        { session }
+      );
+    });
+  } catch (error) {
+    // Nothing was applied; let the seller commit again
+    await StockTake.updateOne({ _id: claimed._id, status: 'committing' }, { status: 'open' });
+    throw error;
+  }
+
+  // Callers keep working with the document they passed in
+  stockTake.set({ adjustments, status: 'committed', committedAt, committedBy: user.userName || '' });
+
+  if (adjustments.some(adjustment => adjustment.variance !== 0)) {
+    await SyncTracking.updateLatestTime(stockTake.sellerId, 'productBatches');
+    await SyncTracking.updateLatestTime(stockTake.sellerId, 'products');
+  }
+
+  return stockTake;
+};
+
+module.exports = {
+  getCounterFromRequest,
+  formatStockTake,
+  getScopeBatches,
+  addCounts,
+  buildVarianceReport,
+  commitStockTake,
+};
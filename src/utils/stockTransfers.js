@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const StockTransfer = require('../models/StockTransfer');
+const SyncTracking = require('../models/SyncTracking');
+const { recordStockMovements } = require('./stockMovements');
+const { locationBatchFilter } = require('./locations');
+const { getReservedQuantities } = require('./stockReservations');
+
+const transferError = (message, code = 'INVALID_TRANSFER') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const generateTransferNumber = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let randomId = '';
+  for (let i = 0; i < 8; i++) {
+    randomId += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return `TRF-${randomId}`;
+};
+
+/**
+ * Batches at `location` a transfer line draws from: the named batch, or the product's batches
+ * earliest expiry first (oldest first without expiry tracking)
+ */
+const getSourceBatches = async (sellerId, line, product, location, session) => {
+  const filter = { sellerId, productId: product._id, isDeleted: false, ...locationBatchFilter(location) };
+
+  if (line.batchId) {
+    const batch = mongoose.Types.ObjectId.isValid(line.batchId)
+      ? await ProductBatch.findOne({ ...filter, _id: line.batchId }).session(session)
+      : null;
+    if (!batch) throw transferError(`Batch ${line.batchId} of ${product.name} is not at ${location.name}`);
+    return [batch];
+  }
+
+  return ProductBatch.find({ ...filter, quantity: { $gt: 0 }, isOverflow: { $ne: true } })
+    .sort(product.trackExpiry ? { expiry: 1, createdAt: 1 } : { createdAt: 1 })
+    .session(session);
+};
+
+/**
+ * The destination batch matching a source batch (same batch number, dates and prices), created empty if needed
+ */
+const getDestinationBatch = async (source, location, session) => {
+  const existing = await ProductBatch.findOne({
+    sellerId: source.sellerId,
+    productId: source.productId,
+    batchNumber: source.batchNumber || '',
+    mfg: source.mfg || null,
+    expiry: source.expiry || null,
+    costPrice: source.costPrice,
+    sellingUnitPrice: source.sellingUnitPrice,
+    isOverflow: { $ne: true },
+    isDeleted: false,
+    ...locationBatchFilter(location)
+  }).session(session);
+  if (existing) return existing;
+
+  const [batch] = await ProductBatch.create([{
+    sellerId: source.sellerId,
+    productId: source.productId,
+    productLocalId: source.productLocalId,
+    productMongoId: source.productMongoId,
+    locationId: location._id,
+    batchNumber: source.batchNumber || '',
+    mfg: source.mfg,
+    expiry: source.expiry,
+    quantity: 0,
+    costPrice: source.costPrice,
+    sellingUnitPrice: source.sellingUnitPrice,
+    wholesalePrice: source.wholesalePrice,
+    wholesaleMOQ: source.wholesaleMOQ
+  }], { session });
+  return batch;
+};
+
+/**
+ * Move stock between two of a seller's locations in one transaction.
+ * `items`: [{ productId, quantity, batchId? }] — without a batch the quantity is drawn FEFO/FIFO.
+ * Every batch change is written to the stock ledger with reason 'transfer'.
+ * Units held for pending online orders and damaged units stay on their batch and cannot be moved.
+ * Throws INSUFFICIENT_STOCK when the source location cannot cover a line; nothing is moved then.
+ */
+const executeStockTransfer = async (sellerId, { fromLocation, toLocation, items, note, localId }, user = {}) => {
+  if (fromLocation._id.equals(toLocation._id)) {
+    throw transferError('Source and destination locations must differ');
+  }
+
+  let transfer = null;
+  // transaction() resolves with the commit result, so the callback reports back through `transfer`
+  await mongoose.connection.transaction(async (session) => {
+    const lines = [];
+    const movements = [];
+    const reserved = await getReservedQuantities(sellerId, items.map(item => item.productId).filter(id => mongoose.Types.ObjectId.isValid(id)));
+
+    for (const item of items) {
+      const product = mongoose.Types.ObjectId.isValid(item.productId)
+        ? await Product.findOne({ _id: item.productId, sellerId }).session(session)
+        : null;
+      if (!product) throw transferError(`Product not found (ID: ${item.productId})`);
+
+      let remaining = Number(item.quantity);
+      for (const source of await getSourceBatches(sellerId, item, product, fromLocation, session)) {
+        if (remaining <= 0) break;
+        const available = source.quantity - (reserved.get(source._id.toString()) || 0) - (source.damagedQuantity || 0);
+        const quantity = Math.min(available, remaining);
+        if (quantity <= 0) continue;
+
+        const destination = await getDestinationBatch(source, toLocation, session);
+        const sourceBefore = source.quantity;
+        const destinationBefore = destination.quantity;
+
+        source.quantity -= quantity;
+        destination.quantity += quantity;
+        await source.save({ session });
+        await destination.save({ session });
+        remaining -= quantity;
+
+        movements.push({ batch: source, delta: -quantity, quantityBefore: sourceBefore });
+        movements.push({ batch: destination, delta: quantity, quantityBefore: destinationBefore });
+        lines.push({
+          productId: product._id,
+          productName: product.name,
+          fromBatchId: source._id,
+          toBatchId: destination._id,
+          batchNumber: source.batchNumber || '',
+          quantity
+        });
+      }
+
+      if (remaining > 0) {
+        throw transferError(`Only ${Number(item.quantity) - remaining} of ${product.name} available at ${fromLocation.name}`, 'INSUFFICIENT_STOCK');
+      }
+    }
+
+    const [saved] = await StockTransfer.create([{
+      sellerId,
+      transferNumber: generateTransferNumber(),
+      fromLocationId: fromLocation._id,
+      toLocationId: toLocation._id,
+      items: lines,
+      note: note || '',
+      createdBy: user.userName || '',
+      localId
+    }], { session });
+
+    await recordStockMovements(movements, {
+      sellerId,
+      reason: 'transfer',
+      source: { type: 'StockTransfer', id: saved._id, localId, reference: saved.transferNumber },
+      user,
+      note: `${fromLocation.name} → ${toLocation.name}`,
+      session
+    });
+
+    transfer = saved;
+  });
+
+  await SyncTracking.updateLatestTime(sellerId, 'productBatches');
+  await SyncTracking.updateLatestTime(sellerId, 'products');
+
+  return transfer;
+};
+
+module.exports = {
+  executeStockTransfer,
+};
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Supplier = require('../models/Supplier');
+const SupplierTransaction = require('../models/SupplierTransaction');
+const VendorOrder = require('../models/VendorOrder');
+const StockWriteOff = require('../models/StockWriteOff');
+const SyncTracking = require('../models/SyncTracking');
+const { recordStockMovements } = require('./stockMovements');
+const { locationBatchFilter } = require('./locations');
+const { getReservedQuantities } = require('./stockReservations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const writeOffError = (message, code = 'INVALID_WRITE_OFF') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const generateWriteOffNumber = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let randomId = '';
+  for (let i = 0; i < 8; i++) {
+    randomId += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return `WO-${randomId}`;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Batches due for a write-off: expired (or expiring within `expiringWithinDays`) and batches with units
+ * reported damaged. `suggestedQuantity` is the whole batch for expired stock and the damaged units otherwise,
+ * less any units held for pending online orders.
+ */
+const findWriteOffCandidates = async (sellerId, { expiringWithinDays = 0, location = null } = {}) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const expiryLimit = new Date(today.getTime() + expiringWithinDays * DAY_MS);
+
+  const batches = await ProductBatch.find({
+    sellerId,
+    isDeleted: false,
+    isOverflow: { $ne: true },
+    quantity: { $gt: 0 },
+    $or: [{ expiry: { $ne: null, $lte: expiryLimit } }, { damagedQuantity: { $gt: 0 } }],
+    ...locationBatchFilter(location)
+  })
+    .populate('productId', 'name unit isDeleted')
+    .sort({ expiry: 1 })
+    .lean();
+  const reserved = await getReservedQuantities(sellerId);
+
+  return batches
+    .filter(batch => batch.productId && !batch.productId.isDeleted)
+    .map(batch => {
+      const expired = batch.expiry && new Date(batch.expiry) < today;
+      const expiring = !expired && batch.expiry && new Date(batch.expiry) <= expiryLimit;
+      const status = expired ? 'expired' : (expiring ? 'expiring' : 'damaged');
+      const free = Math.max(0, batch.quantity - (reserved.get(batch._id.toString()) || 0));
+      const suggestedQuantity = status === 'damaged'
+        ? Math.min(batch.damagedQuantity, free)
+        : free;
+
+      return {
+        batchId: batch._id,
+        productId: batch.productId._id,
+        productName: batch.productId.name,
+        unit: batch.productId.unit,
+        batchNumber: batch.batchNumber || '',
+        expiry: batch.expiry || null,
+        locationId: batch.locationId || null,
+        status,
+        quantity: batch.quantity,
+        damagedQuantity: batch.damagedQuantity || 0,
+        suggestedQuantity,
+        unitCost: batch.costPrice || 0,
+        potentialLoss: roundMoney(suggestedQuantity * (batch.costPrice || 0))
+      };
+    });
+};
+
+/**
+ * The supplier a return goes to: the one named in the request, otherwise the supplier whose purchase
+ * order delivered the batches (all of them must come from the same one)
+ */
+const resolveReturnSupplier = async (sellerId, supplierId, batchIds) => {
+  if (supplierId) {
+    const query = mongoose.Types.ObjectId.isValid(supplierId)
+      ? { $or: [{ _id: supplierId }, { localId: String(supplierId) }] }
+      : { localId: String(supplierId) };
+    const supplier = await Supplier.findOne({ ...query, sellerId, isDeleted: { $ne: true } });
+    if (!supplier) throw writeOffError('Supplier not found');
+    return supplier;
+  }
+
+  const orders = await VendorOrder.find({ sellerId, 'items.receivedBatchId': { $in: batchIds } })
+    .select('supplierMongoId')
+    .lean();
+  const supplierIds = [...new Set(orders.filter(order => order.supplierMongoId).map(order => order.supplierMongoId.toString()))];
+  if (supplierIds.length !== 1) {
+    throw writeOffError(supplierIds.length === 0
+      ? 'No supplier on record for these batches; choose the supplier to return to'
+      : 'These batches came from different suppliers; return them separately');
+  }
+
+  const supplier = await Supplier.findOne({ _id: supplierIds[0], sellerId, isDeleted: { $ne: true } });
+  if (!supplier) throw writeOffError('Supplier not found');
+  return supplier;
+};
+
+/**
+ * Write stock off as a loss in one transaction.
+ * `items`: [{ batchId, quantity? }] — without a quantity the whole batch goes. Each unit is valued at its
+ * batch cost and every change is written to the stock ledger with reason 'write_off'.
+ * `supplierReturn`: { supplierId? } sends the goods back to a supplier, crediting their account with the
+ * written-off cost through a 'purchase_return' supplier transaction.
+ * Units held for pending online orders cannot be written off; without a quantity the rest of the batch goes.
+ * Throws INSUFFICIENT_STOCK when a batch holds less than asked for; nothing is written off then.
+ */
+const executeWriteOff = async (sellerId, { reason, items, note, localId, supplierReturn }, user = {}) => {
+  // Repeated lines for a batch are one write-off of their combined quantity
+  const requested = new Map();
+  for (const item of items) {
+    if (!mongoose.Types.ObjectId.isValid(item.batchId)) throw writeOffError(`Batch not found (ID: ${item.batchId})`);
+    const key = String(item.batchId);
+    const previous = requested.get(key);
+    if (previous !== undefined && (previous === null || item.quantity === undefined || item.quantity === null)) {
+      throw writeOffError(`Batch ${key} is listed more than once`);
+    }
+    requested.set(key, item.quantity === undefined || item.quantity === null ? null : (previous || 0) + Number(item.quantity));
+  }
+
+  const supplier = supplierReturn
+    ? await resolveReturnSupplier(sellerId, supplierReturn.supplierId, [...requested.keys()])
+    : null;
+
+  let writeOff = null;
+  // transaction() resolves with the commit result, so the callback reports back through `writeOff`
+  await mongoose.connection.transaction(async (session) => {
+    const lines = [];
+    const movements = [];
+    const reserved = await getReservedQuantities(sellerId, null, session);
+
+    for (const [batchId, quantity] of requested) {
+      const batch = await ProductBatch.findOne({ _id: batchId, sellerId, isDeleted: false }).session(session);
+      if (!batch) throw writeOffError(`Batch not found (ID: ${batchId})`);
+      const product = await Product.findOne({ _id: batch.productId, sellerId }).select('name').session(session);
+
+      const free = batch.quantity - (reserved.get(batch._id.toString()) || 0);
+      const amount = quantity === null ? free : quantity;
+      if (amount <= 0) throw writeOffError(`Batch ${batch.batchNumber || batchId} has no stock to write off`);
+      if (amount > free) {
+        throw writeOffError(free < batch.quantity
+          ? `Only ${Math.max(0, free)} of batch ${batch.batchNumber || batchId} of ${product ? product.name : 'product'} can be written off; the rest is held for online orders`
+          : `Only ${batch.quantity} left in batch ${batch.batchNumber || batchId} of ${product ? product.name : 'product'}`, 'INSUFFICIENT_STOCK');
+      }
+
+      const quantityBefore = batch.quantity;
+      batch.quantity -= amount;
+      batch.damagedQuantity = Math.max(0, Math.min((batch.damagedQuantity || 0) - (reason === 'damaged' ? amount : 0), batch.quantity));
+      await batch.save({ session });
+
+      movements.push({ batch, delta: -amount, quantityBefore });
+      lines.push({
+        productId: batch.productId,
+        productName: product ? product.name : '',
+        batchId: batch._id,
+        batchNumber: batch.batchNumber || '',
+        expiry: batch.expiry || null,
+        quantity: amount,
+        unitCost: batch.costPrice || 0,
+        lossAmount: roundMoney(amount * (batch.costPrice || 0))
+      });
+    }
+
+    const totalLoss = roundMoney(lines.reduce((sum, line) => sum + line.lossAmount, 0));
+    const writeOffNumber = generateWriteOffNumber();
+
+    // The supplier's credit commits with the write-off, so a return is never recorded without it
+    let credit = null;
+    if (supplier && totalLoss > 0) {
+      credit = new SupplierTransaction({
+        sellerId,
+        supplierId: supplier._id,
+        supplierMongoId: supplier._id,
+        supplierLocalId: supplier.localId,
+        type: 'purchase_return',
+        amount: totalLoss,
+        description: `Returned written-off stock (${writeOffNumber})`
+      });
+      await credit.save({ session });
+    }
+
+    const [saved] = await StockWriteOff.create([{
+      sellerId,
+      writeOffNumber,
+      reason,
+      items: lines,
+      totalLoss,
+      ...(supplier && {
+        supplierReturn: { supplierId: supplier._id, supplierName: supplier.name, amount: totalLoss, transactionId: credit ? credit._id : undefined }
+      }),
+      note: note || '',
+      createdBy: user.userName || '',
+      localId
+    }], { session });
+
+    await recordStockMovements(movements, {
+      sellerId,
+      reason: 'write_off',
+      source: { type: 'StockWriteOff', id: saved._id, localId, reference: saved.writeOffNumber },
+      user,
+      note: note ? `${reason}: ${note}` : reason,
+      session
+    });
+
+    writeOff = saved;
+  });
+
+  if (supplier && writeOff.totalLoss > 0) {
+    await SyncTracking.updateLatestTime(sellerId, 'supplierTransactions');
+    await SyncTracking.updateLatestTime(sellerId, 'suppliers');
+  }
+
+  await SyncTracking.updateLatestTime(sellerId, 'productBatches');
+  await SyncTracking.updateLatestTime(sellerId, 'products');
+
+  return writeOff;
+};
+
+module.exports = {
+  findWriteOffCandidates,
+  executeWriteOff,
+};
@@ -0,0 +1,109 @@
+const SyncConflict = require('../models/SyncConflict');
+
+/**
+ * Conflict policy per sync collection, applied when an offline edit is based on
+ * an older copy than the one stored on the server.
+ * - server-wins: differing fields keep the stored value
+ * - client-wins: the incoming values are applied as before
+ * - field-merge: only fields listed in item.changedFields take the incoming value
+ */
+const CONFLICT_POLICIES = {
+  customers: 'field-merge',
+  suppliers: 'field-merge',
+  products: 'field-merge',
+  categories: 'field-merge',
+  dProducts: 'field-merge',
+  vendorOrders: 'field-merge',
+  // Batch quantities are also moved by server-side stock deductions
+  productBatches: 'server-wins',
+  transactions: 'server-wins',
+  orders: 'client-wins',
+  refunds: 'client-wins',
+  expenses: 'client-wins',
+  customerTransactions: 'client-wins',
+  supplierTransactions: 'client-wins',
+  targets: 'client-wins',
+};
+
+const DEFAULT_POLICY = 'client-wins';
+
+// Bookkeeping paths that never count as a conflicting edit
+const IGNORED_PATHS = ['_id', '__v', 'sellerId', 'localId', 'isDeleted', 'createdAt', 'updatedAt'];
+
+const getPolicy = (collectionName) => CONFLICT_POLICIES[collectionName] || DEFAULT_POLICY;
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const parseBaseUpdatedAt = (item) => {
+  const raw = item && (item.baseUpdatedAt || item.baseVersion);
+  if (!raw) return null;
+  const base = new Date(raw);
+  return Number.isNaN(base.getTime()) ? null : base;
+};
+
+/**
+ * Apply an incoming sync update to a loaded document with conflict detection.
+ *
+ * `assign` performs the handler's usual field assignments on `doc`. If the item carries a
+ * baseUpdatedAt older than the stored updatedAt and any assigned field changed, the collection
+ * policy decides which values stay and the conflict is written to SyncConflict.
+ * Returns null when there was no conflict, otherwise a summary for the sync results entry.
+ */
+const applySyncUpdate = async (doc, item, { sellerId, collectionName, session = null }, assign) => {
+  const serverData = doc.toObject({ depopulate: true });
+  assign();
+
+  const base = parseBaseUpdatedAt(item);
+  const serverUpdatedAt = serverData.updatedAt ? new Date(serverData.updatedAt) : null;
+  if (!base || !serverUpdatedAt || serverUpdatedAt.getTime() <= base.getTime()) {
+    return null;
+  }
+
+  const fields = doc.directModifiedPaths().filter((path) => !IGNORED_PATHS.includes(path.split('.')[0]));
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const policy = getPolicy(collectionName);
+  const changedFields = Array.isArray(item.changedFields) ? item.changedFields.map(String) : [];
+  const clientData = {};
+  const conflictServerData = {};
+  const appliedFields = [];
+  const clientSnapshot = doc.toObject({ depopulate: true });
+
+  for (const field of fields) {
+    clientData[field] = getPath(clientSnapshot, field);
+    conflictServerData[field] = getPath(serverData, field);
+
+    const keepClient = policy === 'client-wins'
+      || (policy === 'field-merge' && changedFields.includes(field.split('.')[0]));
+    if (keepClient) {
+      appliedFields.push(field);
+    } else {
+      doc.set(field, conflictServerData[field]);
+    }
+  }
+
+  const [conflict] = await SyncConflict.create([{
+    sellerId,
+    collectionName,
+    documentId: doc._id,
+    localId: doc.localId || (item.id !== undefined ? String(item.id) : undefined),
+    baseUpdatedAt: base,
+    serverUpdatedAt,
+    policy,
+    fields,
+    appliedFields,
+    clientData,
+    serverData: conflictServerData,
+  }], { session });
+
+  return { conflictId: conflict._id, policy, fields, appliedFields };
+};
+
+module.exports = {
+  CONFLICT_POLICIES,
+  getPolicy,
+  parseBaseUpdatedAt,
+  applySyncUpdate,
+};
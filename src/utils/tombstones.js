@@ -0,0 +1,155 @@
+const cron = require('node-cron');
+const Tombstone = require('../models/Tombstone');
+const SyncTracking = require('../models/SyncTracking');
+const Device = require('../models/Device');
+
+// Tombstones are always kept at least this long, and never longer than the max
+const MIN_RETENTION_DAYS = parseInt(process.env.TOMBSTONE_MIN_RETENTION_DAYS, 10) || 30;
+const MAX_RETENTION_DAYS = parseInt(process.env.TOMBSTONE_MAX_RETENTION_DAYS, 10) || 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Write a tombstone for a hard-deleted document
+ */
+const recordTombstone = async (collectionName, doc, { session = null } = {}) => {
+  if (!doc || !doc._id || !doc.sellerId) return null;
+  const [tombstone] = await Tombstone.create([{
+    sellerId: doc.sellerId,
+    collectionName,
+    documentId: doc._id,
+    localId: doc.localId !== undefined && doc.localId !== null ? String(doc.localId) : undefined,
+  }], { session });
+  return tombstone;
+};
+
+/**
+ * Mongoose plugin: record a tombstone after every findOneAndDelete / findByIdAndDelete, and for every
+ * document removed by a deleteOne / deleteMany query (read before the delete, recorded after it)
+ * Usage: Schema.plugin(tombstonePlugin, { collectionName: 'expenses' })
+ */
+const tombstonePlugin = (schema, { collectionName }) => {
+  schema.post('findOneAndDelete', async function (doc) {
+    if (!doc) return;
+    try {
+      await recordTombstone(collectionName, doc, { session: this.getOptions().session || null });
+    } catch (error) {
+      console.error(`Error recording tombstone for ${collectionName}:`, error);
+    }
+  });
+
+  schema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function () {
+    const query = this.model.find(this.getFilter())
+      .select('_id sellerId localId')
+      .session(this.getOptions().session || null)
+      .lean();
+    if (this.op === 'deleteOne') query.limit(1);
+    this._tombstoneDocs = await query;
+  });
+
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function (result) {
+    const docs = (this._tombstoneDocs || []).filter(doc => doc.sellerId);
+    if (docs.length === 0 || !result || result.deletedCount === 0) return;
+    try {
+      await Tombstone.insertMany(docs.map(doc => ({
+        sellerId: doc.sellerId,
+        collectionName,
+        documentId: doc._id,
+        localId: doc.localId !== undefined && doc.localId !== null ? String(doc.localId) : undefined,
+      })), { session: this.getOptions().session || null });
+    } catch (error) {
+      console.error(`Error recording tombstones for ${collectionName}:`, error);
+    }
+  });
+};
+
+/**
+ * Load tombstones for a seller and collection deleted after `since`
+ */
+const findTombstones = (sellerId, collectionName, since = null) => {
+  const query = { sellerId, collectionName };
+  if (since && !isNaN(since.getTime())) {
+    query.deletedAt = { $gt: since };
+  }
+  return Tombstone.find(query).sort({ deletedAt: 1, _id: 1 }).lean();
+};
+
+/**
+ * Oldest point any device of the seller may still need to sync from.
+ * Uses the registered devices' cursors; sellers without registered devices fall back
+ * to the per-seller SyncTracking fetch times.
+ */
+const getOldestSyncPoint = async (sellerId) => {
+  const devices = await Device.find({ sellerId }).select('syncCursors lastSeenAt').lean();
+  let lastSyncTimes = [];
+
+  devices.forEach((device) => {
+    const cursors = Object.values(device.syncCursors || {});
+    if (cursors.length === 0) return;
+    // A device with an unfinished sync still needs everything since it was last seen
+    cursors.forEach((cursor) => {
+      const time = cursor.lastSyncTime || device.lastSeenAt;
+      if (time) lastSyncTimes.push(new Date(time).getTime());
+    });
+  });
+
+  if (lastSyncTimes.length === 0) {
+    const tracking = await SyncTracking.findOne({ sellerId }).lean();
+    if (!tracking) return null;
+    lastSyncTimes = Object.keys(tracking)
+      .filter((key) => key.endsWith('LastSyncTime') && tracking[key])
+      .map((key) => new Date(tracking[key]).getTime());
+  }
+
+  return lastSyncTimes.length > 0 ? new Date(Math.min(...lastSyncTimes)) : null;
+};
+
+/**
+ * Remove tombstones every device has already synced past.
+ * Per seller the cutoff is the oldest recorded sync point, clamped between the
+ * min and max retention windows.
+ */
+const compactTombstones = async () => {
+  const now = Date.now();
+  const minCutoff = new Date(now - MIN_RETENTION_DAYS * DAY_MS);
+  const maxCutoff = new Date(now - MAX_RETENTION_DAYS * DAY_MS);
+  let removed = 0;
+
+  // Anything past the max retention goes regardless of device state
+  const expired = await Tombstone.deleteMany({ deletedAt: { $lt: maxCutoff } });
+  removed += expired.deletedCount || 0;
+
+  const sellerIds = await Tombstone.distinct('sellerId', { deletedAt: { $lt: minCutoff } });
+  for (const sellerId of sellerIds) {
+    try {
+      const oldestSync = await getOldestSyncPoint(sellerId);
+      if (!oldestSync) continue;
+      const cutoff = oldestSync < minCutoff ? oldestSync : minCutoff;
+      const result = await Tombstone.deleteMany({ sellerId, deletedAt: { $lt: cutoff } });
+      removed += result.deletedCount || 0;
+    } catch (error) {
+      console.error('Error compacting tombstones for seller:', error);
+    }
+  }
+
+  return { success: true, removed };
+};
+
+/**
+ * Initialize the cron job
+ */
+const initTombstoneCompaction = () => {
+  // Run every day at 3:30 AM, after the expiry check
+  cron.schedule('30 3 * * *', () => {
+    compactTombstones().catch((error) => console.error('Tombstone compaction error:', error));
+  });
+};
+
+module.exports = {
+  recordTombstone,
+  tombstonePlugin,
+  findTombstones,
+  getOldestSyncPoint,
+  compactTombstones,
+  initTombstoneCompaction,
+};
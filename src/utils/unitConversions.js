@@ -0,0 +1,95 @@
+/**
+ * Unit-of-measure conversions. A product's `unit` is its base unit: batch quantities, stock and
+ * ledger entries are always in it. `Product.unitConversions` adds units it is bought or sold in
+ * (1 box = 24 pcs); metric units convert among themselves without being listed (1 kg = 1000 g).
+ */
+
+const UNIT_ALIASES = {
+  pc: 'pcs', piece: 'pcs', pieces: 'pcs', nos: 'pcs', no: 'pcs', unit: 'pcs', units: 'pcs',
+  kgs: 'kg', kilogram: 'kg', kilograms: 'kg',
+  gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+  ltr: 'l', litre: 'l', liter: 'l', litres: 'l', liters: 'l',
+  boxes: 'box', packets: 'packet', pkt: 'packet', bottles: 'bottle', dozens: 'dozen', dz: 'dozen'
+};
+
+// Units with a fixed size: [dimension, size in the dimension's smallest unit]
+const STANDARD_UNITS = {
+  mg: ['mass', 1],
+  g: ['mass', 1000],
+  kg: ['mass', 1000000],
+  ml: ['volume', 1],
+  l: ['volume', 1000],
+  pcs: ['count', 1],
+  dozen: ['count', 12]
+};
+
+const normalizeUnit = (unit) => {
+  const value = String(unit || '').trim().toLowerCase();
+  return UNIT_ALIASES[value] || value;
+};
+
+/**
+ * Stored conversion list: [{ unit, factor }] where 1 `unit` = `factor` base units. Drops the base unit itself,
+ * repeats and non-positive factors.
+ */
+const normalizeUnitConversions = (conversions, baseUnit) => {
+  if (!Array.isArray(conversions)) return [];
+  const base = normalizeUnit(baseUnit);
+  const seen = new Set([base]);
+  return conversions.reduce((list, conversion) => {
+    const unit = normalizeUnit(conversion && conversion.unit);
+    const factor = Number(conversion && conversion.factor);
+    if (!unit || seen.has(unit) || !Number.isFinite(factor) || factor <= 0) return list;
+    seen.add(unit);
+    list.push({ unit, factor });
+    return list;
+  }, []);
+};
+
+/**
+ * Base units in one `unit` of the product, or null when the unit has no known conversion
+ */
+const getConversionFactor = (product, unit) => {
+  const base = normalizeUnit(product.unit || 'pcs');
+  const target = normalizeUnit(unit);
+  if (!target || target === base) return 1;
+
+  const defined = (product.unitConversions || []).find(conversion => normalizeUnit(conversion.unit) === target);
+  if (defined) return defined.factor;
+
+  const from = STANDARD_UNITS[target];
+  const to = STANDARD_UNITS[base];
+  if (from && to && from[0] === to[0]) return from[1] / to[1];
+
+  return null;
+};
+
+/**
+ * `quantity` in `unit` expressed in the product's base unit. Unknown units are taken as the base unit,
+ * which is how quantities were read before conversions existed; check incoming units with
+ * getConversionFactor first.
+ */
+const toBaseQuantity = (product, quantity, unit) => {
+  const factor = getConversionFactor(product, unit);
+  // Rounded so 250 g of a kg product is 0.25, not 0.25000000000000006
+  return Math.round((Number(quantity) || 0) * (factor === null ? 1 : factor) * 1e6) / 1e6;
+};
+
+/**
+ * A base-unit quantity in each of the product's units: [{ unit, quantity }], base unit first
+ */
+const quantityInUnits = (product, baseQuantity) => [
+  { unit: product.unit || 'pcs', quantity: baseQuantity },
+  ...(product.unitConversions || []).map(conversion => ({
+    unit: conversion.unit,
+    quantity: Math.round((baseQuantity / conversion.factor) * 1000) / 1000
+  }))
+];
+
+module.exports = {
+  normalizeUnit,
+  normalizeUnitConversions,
+  getConversionFactor,
+  toBaseQuantity,
+  quantityInUnits,
+};
@@ -0,0 +1,29 @@
+const Joi = require('joi');
+
+const barcodeSchemas = {
+    assignBarcodes: Joi.object({
+        productIds: Joi.array().items(Joi.string()),
+        batchIds: Joi.array().items(Joi.string()),
+        overwrite: Joi.boolean()
+    }).when(Joi.object({ overwrite: Joi.valid(true).required() }).unknown(), {
+        // Replacing barcodes is only done for products or batches picked one by one
+        then: Joi.object({
+            productIds: Joi.array().min(1),
+            batchIds: Joi.array().min(1)
+        }).or('productIds', 'batchIds')
+    }),
+
+    labelSheet: Joi.object({
+        items: Joi.array().items(Joi.object({
+            productId: Joi.string(),
+            batchId: Joi.string(),
+            copies: Joi.number().integer().min(1).max(500)
+        }).xor('productId', 'batchId')).min(1).required(),
+        columns: Joi.number().integer().min(1).max(6),
+        rows: Joi.number().integer().min(1).max(15),
+        page: Joi.number().integer().min(1),
+        outline: Joi.boolean()
+    })
+};
+
+module.exports = barcodeSchemas;
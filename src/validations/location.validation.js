@@ -0,0 +1,31 @@
+const Joi = require('joi');
+
+const locationSchemas = {
+    createLocation: Joi.object({
+        name: Joi.string().trim().required(),
+        type: Joi.string().valid('shop', 'godown', 'other').default('shop'),
+        isDefault: Joi.boolean(),
+        localId: Joi.string().allow('', null)
+    }),
+
+    updateLocation: Joi.object({
+        name: Joi.string().trim(),
+        type: Joi.string().valid('shop', 'godown', 'other'),
+        isActive: Joi.boolean(),
+        isDefault: Joi.boolean()
+    }).min(1),
+
+    createStockTransfer: Joi.object({
+        fromLocationId: Joi.string().required(),
+        toLocationId: Joi.string().required(),
+        items: Joi.array().items(Joi.object({
+            productId: Joi.string().required(),
+            batchId: Joi.string().allow('', null),
+            quantity: Joi.number().positive().required()
+        })).min(1).required(),
+        note: Joi.string().allow('', null).trim(),
+        localId: Joi.string().allow('', null)
+    })
+};
+
+module.exports = locationSchemas;
@@ -20,6 +20,9 @@ const settingsSchemas = {
             enableLowStockAlerts: Joi.boolean(),
             enableDailySummary: Joi.boolean(),
             alertThreshold: Joi.number().min(0)
+        }),
+        inventorySettings: Joi.object({
+            negativeStockPolicy: Joi.string().valid('overflow', 'block', 'flag')
         })
     }).unknown(true)
 };
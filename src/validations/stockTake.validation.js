@@ -0,0 +1,20 @@
+const Joi = require('joi');
+
+const stockTakeSchemas = {
+    createStockTake: Joi.object({
+        name: Joi.string().allow('', null).trim(),
+        scope: Joi.string().valid('all', 'category').default('all'),
+        categoryId: Joi.string().when('scope', { is: 'category', then: Joi.required() })
+    }),
+
+    addCounts: Joi.object({
+        counterName: Joi.string().allow('', null).trim(),
+        counts: Joi.array().items(Joi.object({
+            batchId: Joi.string().required(),
+            countedQuantity: Joi.number().min(0).required(),
+            countedAt: Joi.date()
+        })).min(1).required()
+    })
+};
+
+module.exports = stockTakeSchemas;
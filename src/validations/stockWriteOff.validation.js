@@ -0,0 +1,23 @@
+const Joi = require('joi');
+
+const stockWriteOffSchemas = {
+    createWriteOff: Joi.object({
+        reason: Joi.string().valid('expired', 'damaged', 'other').required(),
+        items: Joi.array().items(Joi.object({
+            batchId: Joi.string().required(),
+            // Omitted: write off the whole batch
+            quantity: Joi.number().positive().allow(null)
+        })).min(1).required(),
+        supplierReturn: Joi.object({
+            supplierId: Joi.string().allow('', null)
+        }).allow(null),
+        note: Joi.string().allow('', null).trim(),
+        localId: Joi.string().allow('', null)
+    }),
+
+    markBatchDamaged: Joi.object({
+        damagedQuantity: Joi.number().min(0).required()
+    })
+};
+
+module.exports = stockWriteOffSchemas;
@@ -1,15 +1,34 @@
 const Joi = require('joi');
 
+// Client ids are UUID strings, older records may still use numeric ids
+const localId = Joi.alternatives().try(Joi.string().allow(''), Joi.number()).allow(null);
+
+// Dates arrive as ISO strings or timestamps; 'null' strings come from older clients
+const dateField = Joi.alternatives().try(Joi.date(), Joi.string().valid('', 'null')).allow(null);
+
 const syncSchemas = {
     // Wrapper for all sync endpoints that expect { items: [...] }
     syncWrapper: Joi.object({
         items: Joi.array().required()
     }),
 
+    // Bundle for POST /sync/push: { collections: { categories: [...], products: [...], ... } }
+    pushBundle: Joi.object({
+        collections: Joi.object().pattern(Joi.string(), Joi.array()).required()
+    }),
+
+    // Body for POST /sync/checksums
+    checksums: Joi.object({
+        collections: Joi.array().items(Joi.string()),
+        bucket: Joi.string().valid('day', 'week', 'month'),
+        digests: Joi.object(),
+        records: Joi.object()
+    }),
+
     // Individual item schemas for validation within the array
     customer: Joi.object({
-        id: Joi.string().allow('', null),
-        _id: Joi.string().allow('', null),
+        id: localId,
+        _id: localId,
         name: Joi.string().required().trim(),
         mobileNumber: Joi.string().allow('', null),
         phone: Joi.string().allow('', null),
@@ -19,13 +38,54 @@ const syncSchemas = {
         isDeleted: Joi.boolean()
     }).unknown(true),
 
+    customerTransaction: Joi.object({
+        id: localId,
+        _id: localId,
+        customerId: localId,
+        customerLocalId: localId,
+        type: Joi.string().required().valid('payment', 'due', 'refund', 'opening_balance', 'settlement', 'add_due', 'remove_due', 'credit_usage'),
+        amount: Joi.number().required(),
+        date: dateField,
+        isDeleted: Joi.boolean()
+    }).or('customerId', 'customerLocalId').unknown(true),
+
+    supplier: Joi.object({
+        id: localId,
+        _id: localId,
+        name: Joi.string().required().trim(),
+        mobileNumber: Joi.string().allow('', null),
+        phone: Joi.string().allow('', null),
+        email: Joi.string().email().allow('', null),
+        address: Joi.string().allow('', null),
+        gstNumber: Joi.string().allow('', null),
+        dueAmount: Joi.number(),
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
+    supplierTransaction: Joi.object({
+        id: localId,
+        _id: localId,
+        supplierId: localId.required(),
+        type: Joi.string().required().valid('payment', 'due', 'refund', 'opening_balance', 'settlement', 'add_due', 'remove_due', 'credit_usage', 'purchase_order', 'cancel_purchase', 'purchase_return'),
+        amount: Joi.number().required(),
+        date: dateField,
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
+    category: Joi.object({
+        id: localId,
+        _id: localId,
+        name: Joi.string().required().trim(),
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
     product: Joi.object({
-        id: Joi.string().allow('', null),
-        _id: Joi.string().allow('', null),
+        id: localId,
+        _id: localId,
         name: Joi.string().required().trim(),
         barcode: Joi.string().allow('', null),
         category: Joi.string().allow('', null),
-        categoryId: Joi.string().allow('', null),
+        categoryId: localId,
         unit: Joi.string().allow('', null),
         costPrice: Joi.number().min(0),
         sellingUnitPrice: Joi.number().min(0),
@@ -34,19 +94,168 @@ const syncSchemas = {
         isDeleted: Joi.boolean()
     }).unknown(true),
 
+    productBatch: Joi.object({
+        id: localId,
+        _id: localId,
+        productId: localId,
+        productLocalId: localId,
+        productMongoId: localId,
+        batchNumber: Joi.string().allow('', null),
+        mfg: dateField,
+        expiry: dateField,
+        quantity: Joi.number().min(0).required(),
+        costPrice: Joi.number().min(0),
+        sellingUnitPrice: Joi.number().min(0),
+        wholesalePrice: Joi.number().min(0),
+        wholesaleMOQ: Joi.number().min(0),
+        isDeleted: Joi.boolean()
+    }).or('productId', 'productLocalId', 'productMongoId').unknown(true),
+
     order: Joi.object({
-        id: Joi.string().required(),
-        _id: Joi.string().allow('', null),
-        customerId: Joi.string().allow('', null),
+        id: localId.required(),
+        _id: localId,
+        customerId: localId,
         items: Joi.array().items(Joi.object({
-            productId: Joi.string().required(),
+            productId: localId,
+            productLocalId: localId,
+            productMongoId: localId,
             quantity: Joi.number().required().positive(),
             sellingPrice: Joi.number().required().min(0)
-        }).unknown(true)).required(),
+        }).unknown(true).when(Joi.object({ isDProduct: Joi.valid(true).required() }).unknown(), {
+            // Direct (dProduct) lines carry a dProduct id instead of a product id
+            otherwise: Joi.object().or('productId', 'productLocalId', 'productMongoId')
+        })).required(),
         totalAmount: Joi.number().required().min(0),
         paymentMethod: Joi.string().required(),
         isDeleted: Joi.boolean()
-    }).unknown(true)
+    }).unknown(true),
+
+    transaction: Joi.object({
+        id: localId,
+        _id: localId,
+        type: Joi.string().valid('sale', 'purchase', 'refund', 'recharge', 'plan_purchase'),
+        amount: Joi.number().min(0),
+        total: Joi.number().min(0),
+        paymentMethod: Joi.string().allow('', null),
+        date: dateField,
+        isDeleted: Joi.boolean()
+    }).or('amount', 'total').unknown(true),
+
+    vendorOrder: Joi.object({
+        id: localId,
+        _id: localId,
+        supplierName: Joi.string().required().trim(),
+        supplierId: localId,
+        items: Joi.array().items(Joi.object({
+            productName: Joi.string().allow('', null),
+            name: Joi.string().allow('', null),
+            quantity: Joi.number().required().min(1),
+            price: Joi.number().required().min(0),
+            unit: Joi.string().valid('pcs', 'kg', 'g', 'mg', 'l', 'ml', 'box', 'packet', 'bottle', 'dozen')
+        }).or('productName', 'name').unknown(true)).required(),
+        total: Joi.number().min(0),
+        status: Joi.string().valid('draft', 'pending', 'completed', 'cancelled'),
+        paymentMethod: Joi.string().valid('cash', 'online', 'upi', 'due'),
+        paymentStatus: Joi.string().valid('paid', 'partial', 'unpaid'),
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
+    refund: Joi.object({
+        id: localId,
+        _id: localId,
+        orderId: localId,
+        orderLocalId: localId,
+        orderMongoId: localId,
+        items: Joi.array().items(Joi.object({
+            name: Joi.string().required(),
+            qty: Joi.number().required().min(0),
+            rate: Joi.number().required().min(0),
+            lineTotal: Joi.number().required().min(0)
+        }).unknown(true)),
+        totalRefundAmount: Joi.number().required().min(0),
+        reason: Joi.string().allow('', null),
+        isDeleted: Joi.boolean()
+    }).or('orderId', 'orderLocalId', 'orderMongoId').unknown(true),
+
+    expense: Joi.object({
+        id: localId,
+        _id: localId,
+        amount: Joi.number().required().min(0),
+        category: Joi.string().required().valid('Tea/Coffee', 'Cleaning', 'Utility', 'Transport', 'Maintenance', 'Salaries', 'Rent', 'Other'),
+        description: Joi.string().allow('', null),
+        date: dateField,
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
+    target: Joi.object({
+        id: localId,
+        _id: localId,
+        targetAmount: Joi.number().required().min(0),
+        date: Joi.date().required(),
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
+    stockTake: Joi.object({
+        id: localId,
+        _id: localId,
+        name: Joi.string().allow('', null),
+        scope: Joi.string().valid('all', 'category'),
+        categoryId: localId.when('scope', { is: 'category', then: Joi.required() }),
+        status: Joi.string().valid('open', 'committed', 'cancelled'),
+        counts: Joi.array().items(Joi.object({
+            batchId: localId.required(),
+            countedQuantity: Joi.number().min(0).required(),
+            countedAt: dateField
+        }).unknown(true)),
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
+    dProduct: Joi.object({
+        id: localId,
+        _id: localId,
+        pCode: Joi.string().required().trim(),
+        productName: Joi.string().required().trim(),
+        unit: Joi.string().allow('', null),
+        taxPercentage: Joi.number().min(0).max(100),
+        isActive: Joi.boolean(),
+        isDeleted: Joi.boolean()
+    }).unknown(true),
+
+    // Settings are a singleton document; only the shape of the envelope is checked
+    settings: Joi.object().unknown(true),
+
+    // Deletions only need an id to resolve the record
+    deletion: Joi.object({
+        id: localId,
+        _id: localId,
+        isDeleted: Joi.boolean().valid(true).required()
+    }).or('id', '_id').unknown(true)
+};
+
+// Customer and supplier endpoints accept their ledger transactions in the same batch
+const isCustomerTransaction = (item) => !!(item && item.type && (item.customerId || item.customerLocalId) && item.amount !== undefined);
+const isSupplierTransaction = (item) => !!(item && item.type && item.supplierId && item.amount !== undefined);
+
+/**
+ * Item schema per sync collection (a schema, or a function picking one per item)
+ */
+syncSchemas.items = {
+    customers: (item) => isCustomerTransaction(item) ? syncSchemas.customerTransaction : syncSchemas.customer,
+    customerTransactions: syncSchemas.customerTransaction,
+    suppliers: (item) => isSupplierTransaction(item) ? syncSchemas.supplierTransaction : syncSchemas.supplier,
+    supplierTransactions: syncSchemas.supplierTransaction,
+    categories: syncSchemas.category,
+    products: syncSchemas.product,
+    productBatches: syncSchemas.productBatch,
+    orders: syncSchemas.order,
+    transactions: syncSchemas.transaction,
+    vendorOrders: syncSchemas.vendorOrder,
+    refunds: syncSchemas.refund,
+    expenses: syncSchemas.expense,
+    targets: syncSchemas.target,
+    stockTakes: syncSchemas.stockTake,
+    dProducts: syncSchemas.dProduct,
+    settings: syncSchemas.settings
 };
 
 module.exports = syncSchemas;